@@ -113,13 +113,13 @@ function scanRepo(repoPath) {
       name,
       timestamp: new Date().toISOString(),
       summary: data.summary,
-      unusedFiles: (data.unusedFiles || []).map(f => ({
+      unusedFiles: (data.deadFiles || []).map(f => ({
         path: f.path,
         size: f.size,
         verdict: f.verdict,
         confidence: f.evidence?.confidence?.score,
       })),
-      unusedFunctions: (data.unusedFunctions || []).map(f => ({
+      unusedFunctions: (data.deadFunctions || []).map(f => ({
         name: f.name,
         file: f.file,
         line: f.line,
@@ -0,0 +1,694 @@
+// Type declarations for 'swynx/api'. Kept in step with result.mjs and
+// scan-result.schema.json.
+
+export declare const RESULT_SCHEMA_VERSION: 1;
+
+/** Rejection reason of scan() when its signal is aborted */
+export declare class ScanCancelledError extends Error {
+  name: 'ScanCancelledError';
+  /** Scan phase that was running when the signal fired */
+  phase: string | null;
+  reason: unknown;
+  constructor(phase?: string | null, reason?: unknown);
+}
+
+export type ReportFormat = 'console' | 'json' | 'markdown' | 'sarif';
+export declare const REPORT_FORMATS: ReportFormat[];
+
+export interface Confidence {
+  score: number;
+  label: 'high' | 'medium' | 'low';
+  factors: string[];
+}
+
+export interface DiffEvidence {
+  reason: 'changed-in-range' | 'import-removed' | 'importer-changed' | 'orphaned-by-change';
+  via?: string;
+}
+
+export interface Evidence {
+  cwe?: string;
+  confidence?: Confidence;
+  diff?: DiffEvidence;
+  /** A dead file only a never-taken feature-flag branch imports */
+  staleFlag?: StaleFlagEvidence;
+  /** A SCSS/SASS/LESS partial nothing imports */
+  stylesheet?: { partial: boolean; importedBy: string[] };
+  /** Live reads of the environment with a computed key (possibly-live env vars) */
+  dynamicReads?: Array<{ file: string; line: number; prefix: string }>;
+  /** Live translation lookups with a computed key (possibly-live translation keys) */
+  dynamicLookups?: Array<{ file: string; line: number; prefix: string }>;
+  [key: string]: unknown;
+}
+
+export interface StaleFlagEvidence {
+  /** The flag branches whose imports reach the file, with the configured flag values */
+  branches: Array<{ file: string; line: number; flags: Record<string, unknown> }>;
+  summary: string;
+}
+
+export interface DeadFile {
+  /** Path relative to the project root, forward slashes */
+  path: string;
+  size: number;
+  lines: number;
+  language: string;
+  exports: string[];
+  verdict: string | null;
+  cwe: string;
+  evidence: Evidence | null;
+  /** Id of the DeadIsland the file belongs to */
+  island?: string;
+  /** Workspace package the finding belongs to */
+  packageName?: string;
+}
+
+/** Dead files connected by imports between them, removable as one unit */
+export interface DeadIsland {
+  id: string;
+  /** Common directory and root files */
+  name: string;
+  directory: string;
+  /** Files no other file of the island imports */
+  roots: string[];
+  files: string[];
+  fileCount: number;
+  size: number;
+  lines: number;
+  verdict?: string | null;
+  cwe?: string;
+  evidence?: Evidence | null;
+}
+
+/** import()/require() with a computed path; every file matching its pattern is kept reachable */
+export interface DynamicImport {
+  file: string;
+  line: number;
+  expression: string;
+  /** Glob implied by the static parts of the path */
+  pattern: string;
+  matches: string[];
+}
+
+/** import()/require() whose path has no static part to match files against */
+export interface UnconstrainedDynamicImport {
+  file: string;
+  line: number;
+  expression: string;
+  kind: 'import' | 'require';
+}
+
+export interface DeadFunction {
+  name: string;
+  file: string;
+  line?: number;
+  endLine?: number;
+  lineCount?: number;
+  sizeBytes?: number;
+  language?: string;
+  reason?: string;
+  verdict?: string;
+  cwe?: string;
+  evidence?: Evidence | null;
+  /** Workspace package the finding belongs to */
+  packageName?: string;
+}
+
+/** Statements inside a live file that can never run */
+export interface UnreachableCode {
+  file: string;
+  /** Enclosing function, or null at module level */
+  function: string | null;
+  line: number;
+  endLine: number;
+  lineCount?: number;
+  sizeBytes?: number;
+  language?: string;
+  reason: 'after-return' | 'after-throw' | 'after-break' | 'after-continue' | 'after-infinite-loop' | 'after-branches' | 'constant-condition' | 'stale-flag' | 'shadowed-case';
+  verdict: 'unreachable';
+  cwe?: string;
+  evidence?: Evidence | null;
+  packageName?: string;
+}
+
+/** A CSS rule whose class or id selectors nothing in the code or markup refers to */
+export interface UnusedSelector {
+  file: string;
+  /** The rule's selector list, nesting resolved */
+  selector: string;
+  line: number;
+  endLine: number;
+  lineCount?: number;
+  /** Bytes removing the rule saves */
+  sizeBytes?: number;
+  language?: 'css' | 'scss' | 'less';
+  /** Unreferenced class (.x) and id (#x) names */
+  unused: string[];
+  verdict: 'unused-selector';
+  cwe?: string;
+  evidence?: Evidence | null;
+  packageName?: string;
+}
+
+export interface EnvRead {
+  file: string;
+  line: number;
+  /** The read has a default value */
+  optional?: boolean;
+}
+
+/** An environment variable defined in config that no live code, script or config reads */
+export interface UnusedEnvVar {
+  name: string;
+  /** File that defines it */
+  file: string;
+  line: number;
+  source: 'dotenv' | 'compose' | 'helm' | 'k8s' | 'configmap' | 'secret';
+  reason?: 'never-read' | 'read-only-by-dead-code';
+  verdict: 'unused-env-var' | 'dead-code-only' | 'possibly-live';
+  /** Dead files that read it (dead-code-only) */
+  readBy?: EnvRead[];
+  cwe?: string;
+  evidence?: Evidence | null;
+  packageName?: string;
+}
+
+/** An environment variable the code reads without a default that no config defines */
+export interface UndefinedEnvVar {
+  name: string;
+  /** First file that reads it */
+  file: string;
+  line: number;
+  readBy: EnvRead[];
+  reason?: string;
+  verdict?: 'undefined-env-var';
+  /** Every reader is a dead file */
+  deadCodeOnly?: boolean;
+  packageName?: string;
+}
+
+export interface TranslationUse {
+  file: string;
+  line: number;
+}
+
+/** A message in a locale catalog that no live lookup uses */
+export interface UnusedTranslationKey {
+  /** Key path joined with '.' */
+  key: string;
+  /** i18next namespace (locales/en/<namespace>.json) */
+  namespace?: string;
+  locale: string | null;
+  /** Catalog that defines it */
+  file: string;
+  line: number;
+  endLine?: number;
+  reason?: 'never-used' | 'used-only-by-dead-code';
+  verdict: 'unused-translation-key' | 'dead-code-only' | 'possibly-live';
+  /** Dead files that look it up (dead-code-only) */
+  usedBy?: TranslationUse[];
+  cwe?: string;
+  evidence?: Evidence | null;
+  packageName?: string;
+}
+
+/** A key live code uses that other locales translate but this one does not */
+export interface MissingTranslationKey {
+  key: string;
+  namespace?: string;
+  locale: string | null;
+  /** The locale's catalog */
+  file: string;
+  definedIn: Array<{ locale: string | null; file: string; line: number }>;
+  usedBy: TranslationUse[];
+  reason?: string;
+  verdict?: 'missing-translation';
+  packageName?: string;
+}
+
+export interface DeadMember {
+  name: string;
+  /** Class or object variable that declares the member */
+  owner: string;
+  kind: 'method' | 'getter' | 'setter' | 'property';
+  static?: boolean;
+  file: string;
+  line: number;
+  endLine?: number;
+  lineCount?: number;
+  sizeBytes?: number;
+  language?: string;
+  reason?: string;
+  verdict?: string;
+  cwe?: string;
+  evidence?: Evidence | null;
+  /** Workspace package the finding belongs to */
+  packageName?: string;
+}
+
+export interface UnusedType {
+  name: string;
+  /** function/variable/class are ambient (`declare`) exports */
+  kind: 'interface' | 'type' | 'enum' | 'enum-member' | 'function' | 'variable' | 'class';
+  /** Enum that declares an enum-member */
+  owner?: string;
+  file: string;
+  line: number;
+  endLine?: number;
+  language?: string;
+  reason?: string;
+  verdict?: string;
+  cwe?: string;
+  evidence?: Evidence | null;
+  /** Workspace package the finding belongs to */
+  packageName?: string;
+}
+
+export interface ImportSite {
+  file: string;
+  line: number;
+}
+
+export interface UnusedDependency {
+  name: string;
+  version?: string;
+  declaredIn: 'dependencies' | 'devDependencies';
+  /** Package directory relative to the project root ('.' for the root) */
+  package: string;
+  packageName?: string | null;
+  /** package.json path relative to the project root */
+  manifest: string;
+  line?: number;
+  reason?: 'never-imported' | 'imported-only-by-dead-code';
+  verdict: 'unused-dependency' | 'dead-code-only';
+  /** Dead files that import it (dead-code-only) */
+  importedBy?: ImportSite[];
+  cwe?: string;
+  evidence?: Evidence | null;
+  recommendation?: Record<string, unknown>;
+}
+
+export interface MissingDependency {
+  name: string;
+  package: string;
+  packageName?: string | null;
+  manifest: string;
+  importedBy: ImportSite[];
+  reason?: string;
+  verdict?: string;
+  /** Every importer is a dead file */
+  deadCodeOnly?: boolean;
+}
+
+export interface DeadExport {
+  name: string;
+  line: number;
+  type: string;
+}
+
+export interface UnusedExports {
+  file: string;
+  language: string;
+  deadExports: DeadExport[];
+  totalExports: number;
+  liveExports: number;
+  evidence: Evidence | null;
+  recommendation: Record<string, unknown> | null;
+  /** Workspace package the finding belongs to */
+  packageName?: string;
+}
+
+/** Per-package totals of a monorepo scan */
+export interface WorkspacePackage {
+  name: string;
+  dir: string;
+  /** package.json, or project.json for an Nx project without one */
+  manifest: string;
+  files: number;
+  sizeBytes?: number;
+  lineCount?: number;
+  deadFiles: number;
+  deadBytes?: number;
+  deadRate?: string;
+  deadFunctions?: number;
+  deadMembers?: number;
+  unusedExports?: number;
+  unusedTypes?: number;
+  unusedDependencies?: number;
+  /** Listed in unusedPackages */
+  unused?: boolean;
+}
+
+export interface Workspace {
+  /** Workspace managers found, e.g. ['turbo', 'pnpm'] */
+  tools: string[];
+  packages: WorkspacePackage[];
+}
+
+/** Workspace package that no app, root code or top-level package reaches through imports */
+export interface UnusedPackage {
+  name: string;
+  dir: string;
+  manifest: string;
+  files: number;
+  size: number;
+  lines: number;
+  /** possibly-live when the package is publishable */
+  verdict?: string | null;
+  cwe?: string;
+  evidence?: Evidence | null;
+}
+
+/** Production file that no production entry point reaches; only tests load it */
+export interface TestOnlyFile {
+  file: string;
+  size: number;
+  lines: number;
+  verdict: 'test-only';
+  cwe?: string;
+  evidence?: Evidence | null;
+  packageName?: string;
+}
+
+/** Export of a production file that only test files import */
+export interface TestOnlyExport {
+  file: string;
+  name: string;
+  type?: string;
+  line: number;
+  verdict: 'test-only';
+  cwe?: string;
+  evidence?: Evidence | null;
+  packageName?: string;
+}
+
+/** Library mode (deadCode.library): public entry files of a published package */
+export interface LibraryPackage {
+  name: string;
+  /** Empty for the root package */
+  dir: string;
+  manifest: string;
+  entries: Array<{ subpath: string; field: string; file: string }>;
+}
+
+/** Live module of a library that its public API never reaches (only tests, scripts or other entry points do) */
+export interface UnreachableFromPublicApi {
+  file: string;
+  size: number;
+  lines: number;
+  verdict?: string | null;
+  cwe?: string;
+  evidence?: Evidence | null;
+  packageName?: string;
+}
+
+/** Public API symbol with no doc comment on its declaration */
+export interface UndocumentedExport {
+  /** File that declares the symbol */
+  file: string;
+  line: number;
+  name: string;
+  /** Name under which the public API exports it */
+  exportedAs: string;
+  type?: string;
+  /** Export subpath that exposes it */
+  entry: string;
+  packageName?: string;
+}
+
+/** Path in package.json files/exports/main/module/types that matches nothing */
+export interface MissingPackageFile {
+  manifest: string;
+  field: string;
+  target: string;
+  packageName?: string;
+}
+
+export interface PackageScope {
+  name: string;
+  dir: string;
+  totalFindings: number;
+  reportedFindings: number;
+  outOfScope: number;
+}
+
+export interface ParseFailure {
+  file: string;
+  /** timeout: ran past deadCode.parseTimeout; crash: took its worker down */
+  reason: 'timeout' | 'crash' | 'error';
+  message: string;
+  /** How the file's imports were recovered */
+  fallback: 'regex-imports' | 'none';
+}
+
+export interface MemoryUsage {
+  /** Resident memory budget, MB (advisory: sizes parse chunks, not enforced) */
+  budgetMb: number;
+  /** Highest RSS sampled during the scan, MB */
+  peakRssMb: number;
+  /** False when the scan went past the budget */
+  withinBudget: boolean;
+}
+
+export interface DiffScope {
+  range: string;
+  base: string;
+  head: string | null;
+  changedFiles: number;
+  totalFindings: number;
+  reportedFindings: number;
+  outOfScope: number;
+}
+
+export interface BaselineFinding {
+  id: string;
+  type: 'unused-file' | 'unused-function' | 'unused-member' | 'unused-export' | 'unused-type' | 'unused-dependency' | 'missing-dependency' | 'test-only-file' | 'test-only-export' | 'unreachable-code' | 'unused-selector' | 'unused-env-var' | 'undefined-env-var' | 'unused-translation-key' | 'missing-translation';
+  file: string;
+  name?: string;
+}
+
+export interface BaselineSummary {
+  file: string | null;
+  createdAt: string | null;
+  suppressed: number;
+  newFindings: number;
+  resolved: BaselineFinding[];
+}
+
+export interface BaselineDocument {
+  version: number;
+  tool: 'swynx';
+  createdAt: string;
+  summary: { unusedFiles: number; unusedFunctions: number; unreachableCode?: number; unusedMembers?: number; unusedExports: number; unusedTypes?: number; unusedSelectors?: number; unusedEnvVars?: number; undefinedEnvVars?: number; unusedTranslationKeys?: number; missingTranslationKeys?: number; unusedDependencies?: number; missingDependencies?: number; testOnlyFiles?: number; testOnlyExports?: number };
+  findings: BaselineFinding[];
+}
+
+/** Counts at the head of `swynx scan --format json` output */
+export interface ReportSummary {
+  totalFilesScanned: number;
+  activeFiles: number;
+  unusedFiles: number;
+  unusedFunctions: number;
+  unreachableCode: number;
+  unusedMembers: number;
+  unusedExports: number;
+  unusedTypes: number;
+  unusedDependencies: number;
+  missingDependencies: number;
+  /** Islands of more than one file */
+  deadIslands: number;
+  unconstrainedDynamicImports: number;
+  unusedPackages: number;
+  unusedSelectors: number;
+  unusedEnvVars: number;
+  undefinedEnvVars: number;
+  unusedTranslationKeys: number;
+  missingTranslationKeys: number;
+  /** Library-mode scans */
+  unreachableFromPublicApi?: number;
+  undocumentedExports?: number;
+  missingPackageFiles?: number;
+  /** When test-only code was found */
+  testOnlyFiles?: number;
+  testOnlyExports?: number;
+  totalUnused: number;
+  /** e.g. "4.2%" */
+  percentUnused: string;
+  wastedBytes: number;
+  status: 'issues-found' | 'clean';
+  memory?: MemoryUsage;
+}
+
+export interface ScanResult {
+  schemaVersion: typeof RESULT_SCHEMA_VERSION;
+  /** Present in JSON reports (`swynx scan --format json`, report({ format: 'json' })) */
+  summary?: ReportSummary;
+  classification?: { id: 'CWE-561'; name: string; reference: string; severity: 'warning' | 'none' };
+  projectPath?: string;
+  totalFiles: number;
+  entryPoints: number;
+  reachableFiles: number;
+  /** e.g. "4.20%" */
+  deadRate: string;
+  totalDeadBytes: number;
+  languages: Record<string, number>;
+  /** Present for lowMemory scans */
+  memory?: MemoryUsage;
+  deadFiles: DeadFile[];
+  deadFunctions: DeadFunction[];
+  unreachableCode?: UnreachableCode[];
+  /** Unreferenced class members and object methods in live JS/TS files */
+  deadMembers?: DeadMember[];
+  /** Unused interfaces, type aliases, const enums and enum members (advisory unless deadCode.failOnUnusedTypes) */
+  unusedTypes?: UnusedType[];
+  /** package.json dependencies nothing imports, per workspace package (advisory) */
+  unusedDependencies?: UnusedDependency[];
+  /** Imported packages no package.json declares (advisory) */
+  missingDependencies?: MissingDependency[];
+  /** Dead files grouped into connected components of the dead import graph, largest first */
+  deadIslands?: DeadIsland[];
+  /** Present when the project is a monorepo */
+  workspace?: Workspace;
+  unusedPackages?: UnusedPackage[];
+  /** Present when deadCode.testOnlyCode is set */
+  testOnlyFiles?: TestOnlyFile[];
+  testOnlyExports?: TestOnlyExport[];
+  /** Present for library-mode scans */
+  library?: { packages: LibraryPackage[] };
+  unreachableFromPublicApi?: UnreachableFromPublicApi[];
+  undocumentedExports?: UndocumentedExport[];
+  missingPackageFiles?: MissingPackageFile[];
+  /** CSS rules nothing refers to (advisory unless deadCode.failOnUnusedSelectors) */
+  unusedSelectors?: UnusedSelector[];
+  /** Env vars defined in .env, compose, Helm or Kubernetes config that nothing reads (advisory unless deadCode.failOnUnusedEnvVars) */
+  unusedEnvVars?: UnusedEnvVar[];
+  /** Env vars read without a default that no config defines */
+  undefinedEnvVars?: UndefinedEnvVar[];
+  /** Locale catalog keys no live code looks up (advisory unless deadCode.failOnUnusedTranslationKeys) */
+  unusedTranslationKeys?: UnusedTranslationKey[];
+  /** Keys live code uses that a locale does not translate */
+  missingTranslationKeys?: MissingTranslationKey[];
+  dynamicImports?: DynamicImport[];
+  /** Dynamic imports that could load any file; files they might reach can be reported dead */
+  unconstrainedDynamicImports?: UnconstrainedDynamicImport[];
+  unusedExports: UnusedExports[];
+  /** Files that could not be parsed; everything they import stays live */
+  parseFailures?: ParseFailure[];
+  diffScope?: DiffScope;
+  packageScope?: PackageScope;
+  baseline?: BaselineSummary;
+  aiSummary?: Record<string, unknown>;
+  /** @deprecated JSON reports only: use deadFiles */
+  unusedFiles?: DeadFile[];
+  /** @deprecated JSON reports only: use deadFunctions */
+  unusedFunctions?: DeadFunction[];
+  /** @deprecated JSON reports only: use deadMembers */
+  unusedMembers?: DeadMember[];
+  /** @deprecated JSON reports only: use aiSummary */
+  aiVerification?: Record<string, unknown>;
+}
+
+export interface ProgressEvent {
+  phase: string;
+  message?: string;
+}
+
+export interface ScanOptions {
+  /** Merged config to use as-is (skips config file loading) */
+  config?: Record<string, unknown>;
+  /** Config file to load instead of the global and project config */
+  configFile?: string;
+  /** Extra glob patterns to exclude (added to the config's list) */
+  exclude?: string[];
+  /** Only scan files matching these patterns */
+  include?: string[];
+  /** Spill parse results to disk to bound memory (disables the parse cache) */
+  lowMemory?: boolean;
+  /** Advisory RSS budget in MB for lowMemory (default 2048): sizes parse chunks, not enforced */
+  memoryBudget?: number;
+  /** Library mode: each published package's public API is its only surface */
+  library?: boolean;
+  /** Report production code that only tests use (testOnlyFiles, testOnlyExports) */
+  testOnlyCode?: boolean;
+  /** Reuse and update .swynx-cache/ (default true) */
+  cache?: boolean;
+  /** Only report findings touched since this git ref */
+  since?: string;
+  /** Only report findings touched by a git range (base..head) */
+  diff?: string;
+  /** Baseline file path or document; suppresses known findings */
+  baseline?: string | BaselineDocument;
+  /** Only report findings in this workspace package (name or directory) */
+  package?: string;
+  onProgress?: (event: ProgressEvent) => void;
+  /** Cancels the scan; scan() then rejects with ScanCancelledError */
+  signal?: AbortSignal;
+}
+
+export interface ReportOptions {
+  /** Default 'json' */
+  format?: ReportFormat;
+  /** ANSI colours, console format only (default false) */
+  color?: boolean;
+  verbose?: boolean;
+}
+
+export interface FixOptions {
+  dryRun?: boolean;
+  /** Only remove files at or above this confidence, 0-1 */
+  minConfidence?: number;
+  /** Also remove possibly-live / low-confidence files */
+  includeUncertain?: boolean;
+  /** Remove imports of deleted files from live files (default true) */
+  importClean?: boolean;
+  /** Remove re-exports of deleted files from barrels (default true) */
+  barrelClean?: boolean;
+  /** Commit the change when the project is a git repo (default true) */
+  gitCommit?: boolean;
+  /** Project root (defaults to result.projectPath) */
+  projectPath?: string;
+  /** Only remove the files of this dead island (id or name), all or none */
+  island?: string;
+  /** Move files to a quarantine session instead of deleting them */
+  quarantine?: boolean;
+}
+
+export interface FixResult {
+  deleted: Array<{ file: string; size?: number; dryRun?: boolean }>;
+  skipped: Array<{ file: string; reason?: string }>;
+  errors: Array<{ file?: string; error: string }>;
+  emptyDirsRemoved: string[];
+  importsRemoved: Array<{ file: string; [key: string]: unknown }>;
+  exportsRemoved: Array<{ file: string; [key: string]: unknown }>;
+  filesModified?: string[];
+  snapshotId: string | null;
+  /** Set when files were quarantined instead of deleted */
+  quarantineSession?: string;
+  commit: Record<string, unknown> | null;
+  message?: string;
+}
+
+export interface RollbackResult {
+  success: boolean;
+  snapshotId?: string;
+  restored?: string[];
+  errors?: Array<{ file: string; error: string }>;
+  message?: string;
+  error?: string;
+}
+
+export declare function scan(projectPath: string, options?: ScanOptions): Promise<ScanResult>;
+export declare function report(result: ScanResult, options?: ReportOptions): Promise<string>;
+export declare function fix(result: ScanResult, options?: FixOptions): Promise<FixResult>;
+export declare function rollback(projectPath: string, snapshotId?: string | null): Promise<RollbackResult>;
+
+declare const api: {
+  scan: typeof scan;
+  report: typeof report;
+  fix: typeof fix;
+  rollback: typeof rollback;
+  RESULT_SCHEMA_VERSION: typeof RESULT_SCHEMA_VERSION;
+  REPORT_FORMATS: typeof REPORT_FORMATS;
+  ScanCancelledError: typeof ScanCancelledError;
+};
+export default api;
@@ -0,0 +1,175 @@
+// src/api/index.mjs
+// Public programmatic API — import from 'swynx/api'.
+//
+// Everything here works on one result shape (see result.mjs,
+// scan-result.schema.json and index.d.ts). Internal modules under src/ are
+// not part of the public surface and may change between releases.
+
+import { resolve } from 'path';
+import { loadConfig } from '../config/index.mjs';
+import { scanDeadCode } from '../scanner/scan-dead-code.mjs';
+import { applyFix, rollback as rollbackFix } from '../fixer/apply-fix.mjs';
+import { ScanCancelledError } from '../scanner/cancel.mjs';
+import { toScanResult, RESULT_SCHEMA_VERSION } from './result.mjs';
+
+export { RESULT_SCHEMA_VERSION, ScanCancelledError };
+
+const REPORTERS = {
+  console: () => import('../reporters/console.mjs'),
+  json: () => import('../reporters/json.mjs'),
+  markdown: () => import('../reporters/markdown.mjs'),
+  sarif: () => import('../reporters/sarif.mjs')
+};
+
+export const REPORT_FORMATS = Object.keys(REPORTERS);
+
+/**
+ * Scan a project for dead code.
+ *
+ * @param {string} projectPath - Project root (resolved against cwd)
+ * @param {Object} [options]
+ * @param {Object}   [options.config] - Merged config to use as-is (skips config file loading)
+ * @param {string}   [options.configFile] - Config file to load instead of the global and project config
+ * @param {string[]} [options.exclude] - Extra glob patterns to exclude (added to the config's list)
+ * @param {string[]} [options.include] - Only scan files matching these patterns
+ * @param {boolean}  [options.lowMemory] - Spill parse results to disk; result.memory reports the peak
+ * @param {number}   [options.memoryBudget] - Advisory RSS budget in MB for lowMemory (default 2048): sizes parse chunks, not enforced
+ * @param {boolean}  [options.library] - Library mode: each published package's public API is its only surface
+ * @param {boolean}  [options.testOnlyCode] - Report production code that only tests use
+ * @param {boolean}  [options.cache=true] - Reuse and update .swynx-cache/
+ * @param {string}   [options.since] - Only report findings touched since this git ref
+ * @param {string}   [options.diff] - Only report findings touched by a git range (base..head)
+ * @param {string|Object} [options.baseline] - Baseline file path or document; suppresses known findings
+ * @param {string}   [options.package] - Only report findings in this workspace package (name or directory)
+ * @param {Function} [options.onProgress] - Progress callback ({ phase, message })
+ * @param {AbortSignal} [options.signal] - Cancels the scan; parse workers are terminated
+ * @returns {Promise<Object>} Scan result
+ * @throws {ScanCancelledError} When the signal is aborted before the scan finishes
+ */
+export async function scan(projectPath, options = {}) {
+  const root = resolve(projectPath);
+
+  if (options.since && options.diff) {
+    throw new Error('Use either since or diff, not both');
+  }
+
+  const config = options.config || await loadConfig(options.configFile || null, root, {}, { quiet: true });
+  const deadCode = { ...config.deadCode };
+  if (options.exclude?.length) {
+    deadCode.exclude = [...(deadCode.exclude || []), ...options.exclude];
+  }
+  if (options.include?.length) {
+    deadCode.include = options.include;
+  }
+  if (options.lowMemory) {
+    deadCode.lowMemory = true;
+  }
+  if (options.memoryBudget) {
+    deadCode.memoryBudget = options.memoryBudget;
+  }
+  if (options.library) {
+    deadCode.library = true;
+  }
+  if (options.testOnlyCode) {
+    deadCode.testOnlyCode = true;
+  }
+
+  const raw = await scanDeadCode(root, {
+    config: { ...config, deadCode },
+    cache: options.cache !== false,
+    onProgress: options.onProgress,
+    // A diff scope matches imports on the resolved edges of the reachability walk
+    trace: Boolean(options.since || options.diff),
+    signal: options.signal
+  });
+  if (raw.cancelled) {
+    throw new ScanCancelledError(raw.phase, options.signal?.reason);
+  }
+  let result = toScanResult(raw, { projectPath: root });
+
+  if (options.since || options.diff) {
+    const { applyDiffScope } = await import('../reports/diff-scope.mjs');
+    result = applyDiffScope(result, root, { since: options.since, diff: options.diff, trace: raw.reachabilityTrace });
+  }
+
+  if (options.package) {
+    const { applyPackageScope } = await import('../reports/package-scope.mjs');
+    result = applyPackageScope(result, options.package);
+  }
+
+  if (options.baseline) {
+    const { readBaseline, applyBaseline } = await import('../reports/baseline.mjs');
+    const fromFile = typeof options.baseline === 'string';
+    const baseline = fromFile ? readBaseline(resolve(root, options.baseline)) : options.baseline;
+    result = applyBaseline(result, baseline, fromFile ? options.baseline : null);
+  }
+
+  return result;
+}
+
+/**
+ * Render a scan result with one of the built-in reporters.
+ *
+ * @param {Object} result - Scan result from scan()
+ * @param {Object} [options]
+ * @param {string}  [options.format='json'] - One of REPORT_FORMATS
+ * @param {boolean} [options.color=false] - ANSI colours (console format only)
+ * @param {boolean} [options.verbose=false] - Include extra detail where the format supports it
+ * @returns {Promise<string>}
+ */
+export async function report(result, options = {}) {
+  const { format = 'json', color = false, verbose = false } = options;
+  if (!REPORTERS[format]) {
+    throw new Error(`Unknown format: ${format} (expected ${REPORT_FORMATS.join(', ')})`);
+  }
+  const reporter = await REPORTERS[format]();
+  return reporter.report(result, { noColor: !color, verbose });
+}
+
+/**
+ * Delete the dead files in a scan result, cleaning imports and barrel
+ * exports that pointed at them. A snapshot is taken first so the change can
+ * be undone with rollback().
+ *
+ * @param {Object} result - Scan result from scan()
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Report what would change without touching disk
+ * @param {number}  [options.minConfidence=0] - Only remove files at or above this confidence (0-1)
+ * @param {boolean} [options.includeUncertain=false] - Also remove possibly-live / low-confidence files
+ * @param {boolean} [options.importClean=true] - Remove imports of deleted files from live files
+ * @param {boolean} [options.barrelClean=true] - Remove re-exports of deleted files from barrels
+ * @param {boolean} [options.gitCommit=true] - Commit the change when the project is a git repo
+ * @param {string}  [options.projectPath] - Project root (defaults to result.projectPath)
+ * @param {string}  [options.island] - Only remove this dead island (id, name or directory), all of it or nothing
+ * @param {boolean} [options.quarantine=false] - Move files to a quarantine session instead of deleting them
+ * @returns {Promise<Object>} Fix result ({ deleted, skipped, errors, snapshotId, ... })
+ */
+export async function fix(result, options = {}) {
+  const projectPath = options.projectPath || result.projectPath;
+  if (!projectPath) {
+    throw new Error('fix() needs options.projectPath when the result has no projectPath');
+  }
+  return applyFix(resolve(projectPath), result, {
+    dryRun: options.dryRun || false,
+    minConfidence: options.minConfidence || 0,
+    includeUncertain: options.includeUncertain || false,
+    noImportClean: options.importClean === false,
+    noBarrelClean: options.barrelClean === false,
+    noGitCommit: options.gitCommit === false,
+    island: options.island || null,
+    quarantine: options.quarantine || false
+  });
+}
+
+/**
+ * Restore the files removed by a fix.
+ *
+ * @param {string} projectPath - Project root
+ * @param {string} [snapshotId] - Snapshot to restore (default: the most recent)
+ * @returns {Promise<Object>} { success, restored?, error? }
+ */
+export async function rollback(projectPath, snapshotId = null) {
+  return rollbackFix(resolve(projectPath), snapshotId);
+}
+
+export default { scan, report, fix, rollback, RESULT_SCHEMA_VERSION, REPORT_FORMATS, ScanCancelledError };
@@ -0,0 +1,132 @@
+// src/api/result.mjs
+// The versioned scan result shape shared by the CLI, the reporters and the
+// public API. Described by scan-result.schema.json and index.d.ts — bump
+// RESULT_SCHEMA_VERSION when a field is removed or changes meaning.
+
+export const RESULT_SCHEMA_VERSION = 1;
+
+/**
+ * Normalise raw scanDeadCode() output into the public scan result.
+ *
+ * @param {Object} scanResult - Output of scanDeadCode()
+ * @param {Object} [meta]
+ * @param {string} [meta.projectPath] - Absolute project root that was scanned
+ * @returns {Object} Scan result (schema version RESULT_SCHEMA_VERSION)
+ */
+export function toScanResult(scanResult, meta = {}) {
+  const { deadFiles, summary } = scanResult;
+  return {
+    schemaVersion: RESULT_SCHEMA_VERSION,
+    ...(meta.projectPath ? { projectPath: meta.projectPath } : {}),
+    totalFiles: summary.totalFiles || 0,
+    entryPoints: summary.entryPoints || 0,
+    reachableFiles: summary.reachableFiles || 0,
+    deadRate: summary.deadRate || '0.00%',
+    totalDeadBytes: summary.totalDeadBytes || 0,
+    languages: summary.languages || {},
+    ...(summary.memory ? { memory: summary.memory } : {}),
+    deadFiles: deadFiles.map(f => ({
+      path: f.file || f.relativePath || f.path || 'unknown',
+      size: f.size || 0,
+      lines: f.lines || 0,
+      language: f.language || 'unknown',
+      exports: (f.exports || []).map(e => typeof e === 'string' ? e : (e.name || 'default')),
+      verdict: f.verdict || null,
+      cwe: f.cwe || 'CWE-561',
+      evidence: f.evidence || null,
+      ...(f.island ? { island: f.island } : {}),
+      ...(f.packageName ? { packageName: f.packageName } : {})
+    })),
+    deadFunctions: scanResult.deadFunctions || [],
+    unreachableCode: scanResult.unreachableCode || [],
+    deadMembers: scanResult.deadMembers || [],
+    unusedTypes: scanResult.unusedTypes || [],
+    unusedDependencies: scanResult.unusedDependencies || [],
+    missingDependencies: scanResult.missingDependencies || [],
+    deadIslands: (scanResult.deadIslands || []).map(i => ({
+      id: i.id,
+      name: i.name,
+      directory: i.directory,
+      roots: i.roots || [],
+      files: i.files || [],
+      fileCount: i.fileCount || (i.files || []).length,
+      size: i.sizeBytes || i.size || 0,
+      lines: i.lineCount || i.lines || 0,
+      verdict: i.verdict || null,
+      cwe: i.cwe || 'CWE-561',
+      evidence: i.evidence || null
+    })),
+    ...(scanResult.workspace ? { workspace: scanResult.workspace } : {}),
+    unusedPackages: (scanResult.unusedPackages || []).map(p => ({
+      name: p.name,
+      dir: p.dir,
+      manifest: p.manifest,
+      files: p.files || 0,
+      size: p.sizeBytes || p.size || 0,
+      lines: p.lineCount || p.lines || 0,
+      verdict: p.verdict || null,
+      cwe: p.cwe || 'CWE-561',
+      evidence: p.evidence || null
+    })),
+    testOnlyFiles: (scanResult.testOnlyFiles || []).map(f => ({
+      file: f.file,
+      size: f.sizeBytes || f.size || 0,
+      lines: f.lineCount || f.lines || 0,
+      verdict: f.verdict || 'test-only',
+      cwe: f.cwe || 'CWE-561',
+      evidence: f.evidence || null,
+      ...(f.packageName ? { packageName: f.packageName } : {})
+    })),
+    testOnlyExports: scanResult.testOnlyExports || [],
+    ...(scanResult.library ? { library: scanResult.library } : {}),
+    unreachableFromPublicApi: (scanResult.unreachableFromPublicApi || []).map(m => ({
+      file: m.file,
+      size: m.sizeBytes || m.size || 0,
+      lines: m.lineCount || m.lines || 0,
+      verdict: m.verdict || null,
+      cwe: m.cwe || 'CWE-561',
+      evidence: m.evidence || null,
+      ...(m.packageName ? { packageName: m.packageName } : {})
+    })),
+    undocumentedExports: scanResult.undocumentedExports || [],
+    missingPackageFiles: scanResult.missingPackageFiles || [],
+    unusedSelectors: scanResult.unusedSelectors || [],
+    unusedEnvVars: scanResult.unusedEnvVars || [],
+    undefinedEnvVars: scanResult.undefinedEnvVars || [],
+    unusedTranslationKeys: scanResult.unusedTranslationKeys || [],
+    missingTranslationKeys: scanResult.missingTranslationKeys || [],
+    dynamicImports: (scanResult.dynamicImports || []).map(d => ({
+      file: d.file,
+      line: d.line || 0,
+      expression: d.expression || '',
+      pattern: d.pattern,
+      matches: d.matches || []
+    })),
+    unconstrainedDynamicImports: (scanResult.unconstrainedDynamicImports || []).map(d => ({
+      file: d.file,
+      line: d.line || 0,
+      expression: d.expression || '',
+      kind: d.kind || 'import'
+    })),
+    unusedExports: (scanResult.partiallyDeadFiles || []).map(f => ({
+      file: f.file || f.relativePath,
+      language: f.language || 'javascript',
+      deadExports: (f.exports || []).filter(e => e.status === 'dead').map(e => ({
+        name: e.name,
+        line: e.line || 0,
+        type: e.type || 'unknown'
+      })),
+      totalExports: f.summary?.totalExports || (f.exports || []).length,
+      liveExports: f.summary?.liveExports || 0,
+      evidence: f.evidence || null,
+      recommendation: f.recommendation || null,
+      ...(f.packageName ? { packageName: f.packageName } : {})
+    })).filter(f => f.deadExports.length > 0),
+    parseFailures: (scanResult.parseFailures || []).map(f => ({
+      file: f.file,
+      reason: f.reason || 'error',
+      message: f.message || '',
+      fallback: f.fallback || 'none'
+    }))
+  };
+}
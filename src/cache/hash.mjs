@@ -2,7 +2,8 @@
 // Content hashing utilities for cache invalidation
 
 import { createHash } from 'crypto';
-import { readFileSync } from 'fs';
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { join } from 'path';
 
 /**
  * Read a file and return its SHA-256 hash (first 16 hex characters).
@@ -22,3 +23,31 @@ export function hashFile(filePath) {
 export function hashContent(content) {
   return createHash('sha256').update(content).digest('hex').slice(0, 16);
 }
+
+/**
+ * Hash the contents of every file directly inside the given directories.
+ * Used to fingerprint parser and knowledge-base versions for cache invalidation.
+ * @param {string[]} dirs - Absolute directory paths (missing directories are skipped).
+ * @param {string[]} [extensions] - Only include files with these extensions.
+ * @returns {string} 16-char hex hash prefix.
+ */
+export function hashDirectories(dirs, extensions = null) {
+  const hash = createHash('sha256');
+
+  for (const dir of dirs) {
+    if (!existsSync(dir)) continue;
+    const names = readdirSync(dir)
+      .filter(name => !extensions || extensions.some(ext => name.endsWith(ext)))
+      .sort();
+
+    for (const name of names) {
+      try {
+        hash.update(name).update(readFileSync(join(dir, name)));
+      } catch {
+        // Unreadable entry (e.g. a subdirectory) — skip
+      }
+    }
+  }
+
+  return hash.digest('hex').slice(0, 16);
+}
@@ -11,10 +11,14 @@ const CACHE_FILE = 'scan-cache.json';
 export class CacheManager {
   /**
    * @param {string} projectPath - Root directory of the project being scanned.
+   * @param {object} [options]
+   * @param {string} [options.fingerprint] - Parser/knowledge fingerprint; a cache written
+   *   under a different fingerprint is discarded on load.
    */
-  constructor(projectPath) {
+  constructor(projectPath, options = {}) {
     this.projectPath = projectPath;
     this.cachePath = join(projectPath, CACHE_DIR, CACHE_FILE);
+    this.fingerprint = options.fingerprint || null;
     this.entries = Object.create(null);
     this.hits = 0;
     this.misses = 0;
@@ -30,7 +34,8 @@ export class CacheManager {
         const raw = readFileSync(this.cachePath, 'utf8');
         const data = JSON.parse(raw);
 
-        if (data && data.version === CACHE_VERSION && data.entries) {
+        if (data && data.version === CACHE_VERSION && data.entries &&
+            (data.fingerprint || null) === this.fingerprint) {
           this.entries = data.entries;
         }
       }
@@ -74,6 +79,25 @@ export class CacheManager {
     };
   }
 
+  /**
+   * Drop entries for files that are no longer part of the project.
+   * @param {Iterable<string>} relativePaths - Project-relative paths seen in the current scan.
+   * @returns {number} Number of entries removed.
+   */
+  prune(relativePaths) {
+    const keep = new Set(relativePaths);
+    let removed = 0;
+
+    for (const key of Object.keys(this.entries)) {
+      if (!keep.has(key)) {
+        delete this.entries[key];
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
   /**
    * Persist the cache to disk.
    */
@@ -86,6 +110,7 @@ export class CacheManager {
 
     const data = {
       version: CACHE_VERSION,
+      fingerprint: this.fingerprint,
       entries: this.entries,
     };
 
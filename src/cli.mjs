@@ -4,6 +4,10 @@ import { Command } from 'commander';
 import { resolve } from 'node:path';
 import { readFileSync, writeFileSync } from 'node:fs';
 import { createInterface } from 'node:readline';
+import { register as registerSecurityAudit } from './cli/commands/security-audit.mjs';
+import { register as registerActivate } from './cli/commands/activate-offline.mjs';
+import { registerInitCommand } from './cli/commands/init.mjs';
+import { toScanResult } from './api/result.mjs';
 
 const program = new Command();
 
@@ -12,56 +16,194 @@ program
   .description('Find and remove unused code in your projects')
   .version('0.1.0');
 
+const REPORTERS = {
+  console: () => import('./reporters/console.mjs'),
+  json: () => import('./reporters/json.mjs'),
+  markdown: () => import('./reporters/markdown.mjs'),
+  sarif: () => import('./reporters/sarif.mjs'),
+};
+const REPORT_FORMATS = Object.keys(REPORTERS);
+
+/**
+ * Add the shared --format / --output options to a command, rejecting
+ * unknown formats (exit 2) before the action runs.
+ */
+function withOutputOptions(command, formats, defaultFormat) {
+  return command
+    .option('--format <type>', `output format: ${formats.join(', ')}`, defaultFormat)
+    .option('--output <file>', 'write the output to a file instead of stdout')
+    .hook('preAction', (cmd) => {
+      const { format } = cmd.opts();
+      if (!formats.includes(format)) {
+        console.error(`Unknown format: ${format} (expected ${formats.join(', ')})`);
+        process.exit(2);
+      }
+    });
+}
+
+/**
+ * Write rendered output to --output if given, otherwise stdout.
+ */
+function writeOutput(output, opts) {
+  if (opts.output) {
+    writeFileSync(resolve(opts.output), output, 'utf-8');
+    console.error(`Report written to ${opts.output}`);
+  } else {
+    console.log(output);
+  }
+}
+
+/**
+ * Render dead code results with the reporter chosen by --format.
+ */
+async function renderReport(results, opts) {
+  const reporter = await REPORTERS[opts.format]();
+  return reporter.report(results, {
+    noColor: opts.format !== 'console',
+    verbose: opts.verbose,
+  });
+}
+
+/**
+ * Commander collector for repeatable options (e.g. --exclude a --exclude b).
+ */
+function collect(value, previous) {
+  return [...previous, value];
+}
+
+/**
+ * Load the merged defaults < global < project config for a scan and fold
+ * in --exclude / --include flags. Flag excludes extend the config's list;
+ * flag includes replace it.
+ */
+async function loadScanConfig(root, opts) {
+  const { loadConfig } = await import('./config/index.mjs');
+  const config = await loadConfig(opts.config || null, root, {}, {
+    quiet: opts.ci || (opts.format && opts.format !== 'console')
+  });
+  config.deadCode = { ...config.deadCode };
+  if (opts.exclude?.length) {
+    config.deadCode.exclude = [...(config.deadCode.exclude || []), ...opts.exclude];
+  }
+  if (opts.include?.length) {
+    config.deadCode.include = opts.include;
+  }
+  if (opts.lowMemory) {
+    config.deadCode.lowMemory = true;
+  }
+  if (opts.memoryBudget) {
+    config.deadCode.memoryBudget = opts.memoryBudget;
+  }
+  if (opts.library) {
+    config.deadCode.library = true;
+  }
+  if (opts.testOnlyCode || opts.maxTestOnlyCode !== undefined) {
+    config.deadCode.testOnlyCode = true;
+  }
+  if (opts.maxTestOnlyCode !== undefined) {
+    config.deadCode.maxTestOnlyCode = opts.maxTestOnlyCode;
+  }
+  return config;
+}
+
 /**
- * Transform raw scanner output into the shape reporters expect.
+ * Abort the returned signal on the first Ctrl+C so a running scan can stop
+ * its workers; a second Ctrl+C exits immediately.
  */
-function toReporterShape(scanResult) {
-  const { deadFiles, summary } = scanResult;
+function cancelOnInterrupt() {
+  const controller = new AbortController();
+  const onInterrupt = () => {
+    console.error('\nCancelling scan... (press Ctrl+C again to force quit)');
+    controller.abort();
+    process.once('SIGINT', () => process.exit(130));
+  };
+  process.once('SIGINT', onInterrupt);
   return {
-    totalFiles: summary.totalFiles || 0,
-    entryPoints: summary.entryPoints || 0,
-    reachableFiles: summary.reachableFiles || 0,
-    deadRate: summary.deadRate || '0.00%',
-    totalDeadBytes: summary.totalDeadBytes || 0,
-    languages: summary.languages || {},
-    deadFiles: deadFiles.map(f => ({
-      path: f.file || f.relativePath || f.path || 'unknown',
-      size: f.size || 0,
-      lines: f.lines || 0,
-      language: f.language || 'unknown',
-      exports: (f.exports || []).map(e => typeof e === 'string' ? e : (e.name || 'default')),
-      verdict: f.verdict || null,
-      cwe: f.cwe || 'CWE-561',
-      evidence: f.evidence || null
-    })),
-    deadFunctions: scanResult.deadFunctions || [],
-    unusedExports: (scanResult.partiallyDeadFiles || []).map(f => ({
-      file: f.file || f.relativePath,
-      language: f.language || 'javascript',
-      deadExports: (f.exports || []).filter(e => e.status === 'dead').map(e => ({
-        name: e.name,
-        line: e.line || 0,
-        type: e.type || 'unknown'
-      })),
-      totalExports: f.summary?.totalExports || (f.exports || []).length,
-      liveExports: f.summary?.liveExports || 0,
-      evidence: f.evidence || null,
-      recommendation: f.recommendation || null
-    })).filter(f => f.deadExports.length > 0)
+    signal: controller.signal,
+    dispose: () => process.removeListener('SIGINT', onInterrupt)
+  };
+}
+
+/**
+ * scan --watch: print the full report once, then one block per change batch
+ * listing files that became dead or came back alive. Runs until Ctrl+C.
+ */
+async function watchScan(root, config, opts, onProgress) {
+  const { watchDeadCode } = await import('./scanner/watch.mjs');
+  const stamp = () => `[${new Date().toLocaleTimeString()}]`;
+
+  const onUpdate = async (update) => {
+    if (update.type === 'ready') {
+      writeOutput(await renderReport(toScanResult(update.result, { projectPath: root }), opts), opts);
+      console.error(`Watching ${root} for changes (Ctrl+C to stop)...`);
+      return;
+    }
+    if (update.type === 'error') {
+      console.error(`${stamp()} Watch error: ${update.error?.message || update.error}`);
+      return;
+    }
+
+    const changed = update.changedFiles.length;
+    if (!update.reachabilityChanged) {
+      if (opts.verbose) {
+        console.error(`${stamp()} ${changed} file${changed !== 1 ? 's' : ''} changed — imports unchanged, reachability not recomputed`);
+      }
+      return;
+    }
+
+    const lines = [`${stamp()} ${changed} file${changed !== 1 ? 's' : ''} changed (${update.elapsed}ms)`];
+    for (const file of update.becameDead) lines.push(`  - ${file}  (now unreachable)`);
+    for (const file of update.becameAlive) lines.push(`  + ${file}  (reachable again)`);
+    for (const file of update.removed) lines.push(`  x ${file}  (deleted)`);
+    if (update.becameDead.length + update.becameAlive.length + update.removed.length === 0) {
+      lines.push('  no change in dead files');
+    }
+    const { deadFiles, deadRate } = update.result.summary;
+    lines.push(`  ${deadFiles} dead file${deadFiles !== 1 ? 's' : ''} (${deadRate})`);
+    console.error(lines.join('\n'));
+
+    // Keep --output current so editors/tools reading it see the latest state
+    if (opts.output) {
+      writeFileSync(resolve(opts.output), await renderReport(toScanResult(update.result, { projectPath: root }), opts), 'utf-8');
+    }
   };
+
+  const watcher = await watchDeadCode(root, {
+    config,
+    loadConfig: () => loadScanConfig(root, opts),
+    onProgress,
+    onUpdate,
+    cache: opts.cache !== false
+  });
+
+  await new Promise(resolveStop => {
+    process.once('SIGINT', resolveStop);
+    process.once('SIGTERM', resolveStop);
+  });
+  await watcher.close();
 }
 
 // ── scan ────────────────────────────────────────────────────────────────────
 
-program
-  .command('scan')
+withOutputOptions(program.command('scan'), REPORT_FORMATS, 'console')
   .argument('[path]', 'project root to scan', '.')
   .description('Scan a project and find unused code')
-  .option('--format <type>', 'report format: console, json, markdown, or sarif', 'console')
-  .option('--output <file>', 'save the report to a file')
   .option('--ci', 'fail the build if unused code is found (for CI/CD pipelines)')
   .option('--verbose', 'show detailed progress and diagnostics')
-  .option('--no-cache', 'force a fresh scan (ignore previous results)')
+  .option('--no-cache', 'force a fresh scan (do not reuse or write .swynx-cache/)')
+  .option('--config <file>', 'use this config file instead of the global and project config')
+  .option('--exclude <glob>', 'skip files matching this pattern (repeatable)', collect, [])
+  .option('--include <glob>', 'only scan files matching this pattern (repeatable)', collect, [])
+  .option('--baseline <file>', 'ignore findings recorded in this baseline file (see swynx baseline)')
+  .option('--since <ref>', 'only report findings touched by changes since this git ref')
+  .option('--diff <range>', 'only report findings touched by a git range (base..head)')
+  .option('--package <name>', 'only report findings in this workspace package (name or directory)')
+  .option('--library', 'library mode: check published packages against their public API (exports, types)')
+  .option('--test-only-code', 'report production files and exports that only tests use')
+  .option('--max-test-only-code <n>', 'with --ci: fail when test-only findings exceed this many (implies --test-only-code)', (v) => parseInt(v, 10))
+  .option('--watch', 'keep running and report files that become dead or alive as you edit')
+  .option('--low-memory', 'spill parse results to disk to keep memory use down on very large repos')
+  .option('--memory-budget <mb>', 'advisory resident memory budget for --low-memory, in MB (default 2048): reported, not enforced', (v) => parseInt(v, 10))
   .option('--qualify', 'use AI to double-check results (requires Ollama)')
   .option('--model <name>', 'AI model to use for qualification', 'qwen2.5-coder:3b')
   .option('--ollama-url <url>', 'Ollama server address', 'http://localhost:11434')
@@ -74,6 +216,8 @@ program
   .option('--no-barrel-clean', 'skip updating index/barrel files')
   .option('--no-git-commit', 'skip creating a git commit after cleanup')
   .option('--include-uncertain', 'also remove files that might still be in use')
+  .option('--island <id>', 'with --fix: only remove this dead island (id, name or directory), all of it or nothing')
+  .option('--quarantine', 'with --fix: move files to .swynx-quarantine/ instead of deleting them')
   .option('--confirm', 'ask for confirmation before deleting (default with --fix)')
   .action(async (path, opts) => {
     const root = resolve(path);
@@ -103,9 +247,69 @@ program
     };
 
     const knowledge = await loadKnowledge();
+    const config = await loadScanConfig(root, opts);
+    if (opts.verbose) {
+      console.error(`Config: ${config._source}`);
+    }
+
+    if (opts.watch) {
+      if (opts.ci || opts.fix || opts.since || opts.diff || opts.lowMemory) {
+        console.error('--watch cannot be combined with --ci, --fix, --since, --diff or --low-memory');
+        process.exit(2);
+      }
+      await watchScan(root, config, opts, onProgress);
+      return;
+    }
+
+    const interrupt = cancelOnInterrupt();
+    // A diff scope matches imports on the resolved edges of the reachability walk
+    const trace = Boolean(opts.since || opts.diff);
+    const scanResult = await scanDeadCode(root, { config, onProgress, cache: opts.cache !== false, trace, signal: interrupt.signal });
+    interrupt.dispose();
+    if (scanResult.cancelled || interrupt.signal.aborted) {
+      console.error(`Scan cancelled${scanResult.phase ? ` during ${scanResult.phase}` : ''} — no report written`);
+      process.exit(130);
+    }
+    let results = toScanResult(scanResult, { projectPath: root });
+
+    // Narrow to findings touched by a git range (full reachability is still computed)
+    if (opts.since || opts.diff) {
+      if (opts.since && opts.diff) {
+        console.error('Use either --since or --diff, not both');
+        process.exit(2);
+      }
+      const { applyDiffScope } = await import('./reports/diff-scope.mjs');
+      try {
+        results = applyDiffScope(results, root, { since: opts.since, diff: opts.diff, trace: scanResult.reachabilityTrace });
+      } catch (err) {
+        console.error(`Could not compute diff scope: ${err.message}`);
+        process.exit(2);
+      }
+    }
 
-    const scanResult = await scanDeadCode(root, { onProgress });
-    let results = toReporterShape(scanResult);
+    // Narrow to one workspace package (reachability still covers the whole repo)
+    if (opts.package) {
+      const { applyPackageScope } = await import('./reports/package-scope.mjs');
+      try {
+        results = applyPackageScope(results, opts.package);
+      } catch (err) {
+        console.error(`Could not scope to package: ${err.message}`);
+        process.exit(2);
+      }
+    }
+
+    // Suppress findings already recorded in the baseline
+    if (opts.baseline) {
+      const { readBaseline, applyBaseline } = await import('./reports/baseline.mjs');
+      let baseline;
+      try {
+        baseline = readBaseline(resolve(opts.baseline));
+      } catch (err) {
+        console.error(`Could not read baseline ${opts.baseline}: ${err.message}`);
+        process.exit(2);
+      }
+      results = applyBaseline(results, baseline, opts.baseline);
+    }
 
     // Optional AI qualification
     if (opts.qualify) {
@@ -121,60 +325,113 @@ program
       });
     }
 
-    // Pick reporter
-    const reporters = {
-      console: () => import('./reporters/console.mjs'),
-      json: () => import('./reporters/json.mjs'),
-      markdown: () => import('./reporters/markdown.mjs'),
-      sarif: () => import('./reporters/sarif.mjs'),
-    };
-
-    const loader = reporters[opts.format];
-    if (!loader) {
-      console.error(`Unknown format: ${opts.format}`);
-      process.exit(2);
-    }
-
-    const reporter = await loader();
-    const output = reporter.report(results, {
-      noColor: opts.format !== 'console',
-      verbose: opts.verbose,
-    });
-
-    if (opts.output) {
-      writeFileSync(resolve(opts.output), output, 'utf-8');
-      console.error(`Report written to ${opts.output}`);
-    } else {
-      console.log(output);
-    }
+    writeOutput(await renderReport(results, opts), opts);
 
     if (opts.ci) {
       const fileCount = results.deadFiles.length;
       const fnCount = (results.deadFunctions || []).length;
+      const memberCount = (results.deadMembers || []).length;
+      const typeCount = (results.unusedTypes || []).length;
+      const failOnTypes = config.deadCode?.failOnUnusedTypes === true;
+      const unreachableCount = (results.unreachableCode || []).length;
+      const failOnUnreachable = config.deadCode?.failOnUnreachableCode === true;
+      const selectorCount = (results.unusedSelectors || []).length;
+      const failOnSelectors = config.deadCode?.failOnUnusedSelectors === true;
+      // A possibly-live env var may be read through a computed key: never fails
+      const unusedEnvCount = (results.unusedEnvVars || []).filter(v => v.verdict !== 'possibly-live').length;
+      const undefinedEnvCount = (results.undefinedEnvVars || []).length;
+      const envCount = unusedEnvCount + undefinedEnvCount;
+      const failOnEnv = config.deadCode?.failOnUnusedEnvVars === true;
+      const unusedKeyCount = (results.unusedTranslationKeys || []).filter(k => k.verdict !== 'possibly-live').length;
+      const missingKeyCount = (results.missingTranslationKeys || []).length;
+      const translationCount = unusedKeyCount + missingKeyCount;
+      const failOnTranslations = config.deadCode?.failOnUnusedTranslationKeys === true;
       const expCount = (results.unusedExports || []).reduce((sum, f) => sum + (f.deadExports || []).length, 0);
-      // Unused exports are advisory only — they never fail the build
-      if (fileCount + fnCount > 0) {
-        console.error(`${fileCount + fnCount} dead code issue${fileCount + fnCount !== 1 ? 's' : ''} found (${fileCount} files, ${fnCount} functions) — build failed (CWE-561)`);
+      const depCount = (results.unusedDependencies || []).length;
+      const missingCount = (results.missingDependencies || []).length;
+      const resolvedCount = results.baseline?.resolved?.length || 0;
+      if (resolvedCount > 0) {
+        console.error(`${resolvedCount} baseline finding${resolvedCount !== 1 ? 's' : ''} no longer present — run \`swynx baseline\` to tighten the baseline`);
+      }
+      // Unused members, exports and dependency findings are advisory only — they never fail the build.
+      // Unused types, unreachable code, unused selectors, env vars and translation keys fail it only when
+      // deadCode.failOnUnusedTypes / failOnUnreachableCode / failOnUnusedSelectors / failOnUnusedEnvVars /
+      // failOnUnusedTranslationKeys is set
+      const failing = fileCount + fnCount + (failOnTypes ? typeCount : 0) + (failOnUnreachable ? unreachableCount : 0) +
+        (failOnSelectors ? selectorCount : 0) + (failOnEnv ? envCount : 0) + (failOnTranslations ? translationCount : 0);
+      if (failing > 0) {
+        const breakdown = `${fileCount} files, ${fnCount} functions${failOnTypes ? `, ${typeCount} types` : ''}${failOnUnreachable ? `, ${unreachableCount} unreachable blocks` : ''}${failOnSelectors ? `, ${selectorCount} selectors` : ''}${failOnEnv ? `, ${envCount} env vars` : ''}${failOnTranslations ? `, ${translationCount} translation keys` : ''}`;
+        console.error(`${failing} dead code issue${failing !== 1 ? 's' : ''} found (${breakdown}) — build failed (CWE-561)`);
+        process.exit(1);
+      }
+      // Test-only code has its own threshold: deadCode.maxTestOnlyCode
+      const testOnlyFileCount = (results.testOnlyFiles || []).length;
+      const testOnlyExportCount = (results.testOnlyExports || []).length;
+      const testOnlyCount = testOnlyFileCount + testOnlyExportCount;
+      const testOnlyDetail = `${testOnlyFileCount} file${testOnlyFileCount !== 1 ? 's' : ''}, ${testOnlyExportCount} export${testOnlyExportCount !== 1 ? 's' : ''}`;
+      const maxTestOnly = config.deadCode?.maxTestOnlyCode;
+      if (typeof maxTestOnly === 'number' && testOnlyCount > maxTestOnly) {
+        console.error(`${testOnlyCount} test-only finding${testOnlyCount !== 1 ? 's' : ''} (${testOnlyDetail}) exceed deadCode.maxTestOnlyCode (${maxTestOnly}) — build failed (CWE-561)`);
         process.exit(1);
       }
+      if (testOnlyCount > 0) {
+        const limit = typeof maxTestOnly === 'number' ? `within deadCode.maxTestOnlyCode (${maxTestOnly})` : 'advisory — set deadCode.maxTestOnlyCode to fail the build';
+        console.error(`${testOnlyCount} test-only finding${testOnlyCount !== 1 ? 's' : ''} (${testOnlyDetail}) found (${limit})`);
+      }
+      if (unreachableCount > 0) {
+        console.error(`${unreachableCount} unreachable code block${unreachableCount !== 1 ? 's' : ''} found (advisory — set deadCode.failOnUnreachableCode to fail the build)`);
+      }
+      if (selectorCount > 0) {
+        console.error(`${selectorCount} unused CSS selector${selectorCount !== 1 ? 's' : ''} found (advisory — set deadCode.failOnUnusedSelectors to fail the build)`);
+      }
+      if (envCount > 0) {
+        console.error(`${unusedEnvCount} unused and ${undefinedEnvCount} undefined environment variable${envCount !== 1 ? 's' : ''} found (advisory — set deadCode.failOnUnusedEnvVars to fail the build)`);
+      }
+      if (translationCount > 0) {
+        console.error(`${unusedKeyCount} unused and ${missingKeyCount} missing translation key${translationCount !== 1 ? 's' : ''} found (advisory — set deadCode.failOnUnusedTranslationKeys to fail the build)`);
+      }
+      if (typeCount > 0) {
+        console.error(`${typeCount} unused type${typeCount !== 1 ? 's' : ''} found (advisory — set deadCode.failOnUnusedTypes to fail the build)`);
+      }
+      if (memberCount > 0) {
+        console.error(`${memberCount} unused class member${memberCount !== 1 ? 's' : ''} found (advisory — not failing the build)`);
+      }
       if (expCount > 0) {
         console.error(`${expCount} unused export${expCount !== 1 ? 's' : ''} found (advisory — not failing the build)`);
       }
+      if (depCount + missingCount > 0) {
+        console.error(`${depCount} unused and ${missingCount} missing dependenc${depCount + missingCount !== 1 ? 'ies' : 'y'} found (advisory — not failing the build)`);
+      }
+      const packageCount = (results.unusedPackages || []).length;
+      if (packageCount > 0) {
+        console.error(`${packageCount} unused workspace package${packageCount !== 1 ? 's' : ''} found (advisory — not failing the build)`);
+      }
+      const internalCount = (results.unreachableFromPublicApi || []).length;
+      const undocumentedCount = (results.undocumentedExports || []).length;
+      const missingFileCount = (results.missingPackageFiles || []).length;
+      if (internalCount + undocumentedCount + missingFileCount > 0) {
+        console.error(`Library: ${internalCount} module${internalCount !== 1 ? 's' : ''} outside the public API, ${undocumentedCount} undocumented export${undocumentedCount !== 1 ? 's' : ''}, ${missingFileCount} missing package file${missingFileCount !== 1 ? 's' : ''} (advisory — not failing the build)`);
+      }
     }
 
     // Apply fix if requested
     if (opts.fix) {
       const { applyFix, generateReport } = await import('./fixer/apply-fix.mjs');
+      const { selectIsland } = await import('./fixer/islands.mjs');
 
       // Confirm before fixing (unless dry-run)
       if (!opts.dryRun && opts.confirm !== false) {
-        const deadCount = results.deadFiles.length;
+        const deadCount = opts.island
+          ? results.deadFiles.filter(f => f.island === selectIsland(results, opts.island).id).length
+          : results.deadFiles.length;
         if (deadCount === 0) {
           console.log('\nNo unused files to remove.');
           return;
         }
 
-        console.log(`\n${deadCount} unused file${deadCount > 1 ? 's' : ''} will be removed (a backup is created automatically).`);
+        console.log(opts.quarantine
+          ? `\n${deadCount} unused file${deadCount > 1 ? 's' : ''} will be moved to quarantine.`
+          : `\n${deadCount} unused file${deadCount > 1 ? 's' : ''} will be removed (a backup is created automatically).`);
 
         const answer = await new Promise((res) => {
           const rl = createInterface({ input: process.stdin, output: process.stdout });
@@ -197,6 +454,8 @@ program
         noImportClean: opts.importClean === false,
         noBarrelClean: opts.barrelClean === false,
         noGitCommit: opts.gitCommit === false,
+        island: opts.island || null,
+        quarantine: opts.quarantine || false,
         verbose: opts.verbose
       });
 
@@ -210,12 +469,51 @@ program
     }
   });
 
+// ── baseline ────────────────────────────────────────────────────────────────
+
+program
+  .command('baseline')
+  .argument('[path]', 'project root to scan', '.')
+  .description('Record current findings so scan --baseline only fails on new ones')
+  .option('--output <file>', 'baseline file to write (default: <path>/.swynx-baseline.json)')
+  .option('--config <file>', 'use this config file instead of the global and project config')
+  .option('--exclude <glob>', 'skip files matching this pattern (repeatable)', collect, [])
+  .option('--include <glob>', 'only scan files matching this pattern (repeatable)', collect, [])
+  .option('--no-cache', 'force a fresh scan (do not reuse or write .swynx-cache/)')
+  .option('--verbose', 'show extra diagnostic output')
+  .action(async (path, opts) => {
+    const root = resolve(path);
+
+    const { scanDeadCode } = await import('./scanner/scan-dead-code.mjs');
+    const { loadKnowledge } = await import('./knowledge/loader.mjs');
+    const { createBaseline, writeBaseline, DEFAULT_BASELINE_FILE } = await import('./reports/baseline.mjs');
+
+    await loadKnowledge();
+    const config = await loadScanConfig(root, opts);
+
+    const onProgress = ({ phase, message }) => {
+      if (opts.verbose && message) console.error(`  [${phase}] ${message}`);
+    };
+
+    const scanResult = await scanDeadCode(root, { config, onProgress, cache: opts.cache !== false });
+    const baseline = createBaseline(toScanResult(scanResult, { projectPath: root }));
+
+    const outPath = opts.output ? resolve(opts.output) : resolve(root, DEFAULT_BASELINE_FILE);
+    writeBaseline(outPath, baseline);
+
+    const { unusedFiles, unusedFunctions, unusedExports } = baseline.summary;
+    console.log(`Baseline written to ${outPath}`);
+    console.log(`  ${unusedFiles} unused files, ${unusedFunctions} unused functions, ${unusedExports} unused exports recorded`);
+    console.log(`  Commit it, then run: swynx scan . --ci --baseline ${opts.output || DEFAULT_BASELINE_FILE}`);
+  });
+
 // ── verify ──────────────────────────────────────────────────────────────────
 
 program
   .command('verify')
   .argument('[path]', 'project root to verify', '.')
   .description('Re-scan and check if previously found issues are fixed')
+  .option('--config <file>', 'use this config file instead of the global and project config')
   .option('--verbose', 'show extra diagnostic output')
   .action(async (path, opts) => {
     const root = resolve(path);
@@ -231,21 +529,96 @@ program
       if (opts.verbose && message) console.error(`  [${phase}] ${message}`);
     };
 
-    const scanResult = await scanDeadCode(root, { onProgress });
-    const results = toReporterShape(scanResult);
+    const config = await loadScanConfig(root, opts);
+    const scanResult = await scanDeadCode(root, { config, onProgress });
+    const results = toScanResult(scanResult, { projectPath: root });
 
     const reporter = await import('./reporters/console.mjs');
     console.log(reporter.report(results, { noColor: false }));
   });
 
+// ── why ─────────────────────────────────────────────────────────────────────
+
+withOutputOptions(program.command('why'), ['console', 'json'], 'console')
+  .argument('<file>', 'file to explain')
+  .argument('[path]', 'project root to scan', '.')
+  .description('Show the import chain that keeps a file live, or why it is dead')
+  .option('--config <file>', 'use this config file instead of the global and project config')
+  .option('--exclude <glob>', 'skip files matching this pattern (repeatable)', collect, [])
+  .option('--include <glob>', 'only scan files matching this pattern (repeatable)', collect, [])
+  .option('--no-cache', 'force a fresh scan (do not reuse or write .swynx-cache/)')
+  .option('--verbose', 'show extra diagnostic output')
+  .action(async (file, path, opts) => {
+    const root = resolve(path);
+
+    const { scanDeadCode } = await import('./scanner/scan-dead-code.mjs');
+    const { loadKnowledge } = await import('./knowledge/loader.mjs');
+    const { explainFile, formatExplanation } = await import('./reports/why.mjs');
+
+    await loadKnowledge();
+    const config = await loadScanConfig(root, opts);
+
+    const onProgress = ({ phase, message }) => {
+      if (opts.verbose && message) console.error(`  [${phase}] ${message}`);
+    };
+
+    // A file argument is relative to the cwd, like the project path
+    const scanResult = await scanDeadCode(root, { config, onProgress, cache: opts.cache !== false, trace: true });
+    const explanation = explainFile(scanResult, resolve(file), root);
+
+    writeOutput(opts.format === 'json'
+      ? JSON.stringify(explanation, null, 2)
+      : formatExplanation(explanation, { noColor: !!opts.output }), opts);
+    if (explanation.status === 'not-scanned' || explanation.status === 'ambiguous') {
+      process.exitCode = 1;
+    }
+  });
+
+// ── impact ──────────────────────────────────────────────────────────────────
+
+withOutputOptions(program.command('impact'), ['console', 'json'], 'console')
+  .argument('<target>', 'file to delete, or file#export to delete one export')
+  .argument('[path]', 'project root to scan', '.')
+  .description('Show every file, export and dependency a deletion would leave dead')
+  .option('--config <file>', 'use this config file instead of the global and project config')
+  .option('--exclude <glob>', 'skip files matching this pattern (repeatable)', collect, [])
+  .option('--include <glob>', 'only scan files matching this pattern (repeatable)', collect, [])
+  .option('--no-cache', 'force a fresh scan (do not reuse or write .swynx-cache/)')
+  .option('--verbose', 'show extra diagnostic output')
+  .action(async (target, path, opts) => {
+    const root = resolve(path);
+
+    const { scanDeadCode } = await import('./scanner/scan-dead-code.mjs');
+    const { loadKnowledge } = await import('./knowledge/loader.mjs');
+    const { parseTarget, simulateRemoval, formatImpact } = await import('./reports/impact.mjs');
+
+    await loadKnowledge();
+    const config = await loadScanConfig(root, opts);
+
+    const onProgress = ({ phase, message }) => {
+      if (opts.verbose && message) console.error(`  [${phase}] ${message}`);
+    };
+
+    const scanResult = await scanDeadCode(root, {
+      config, onProgress, cache: opts.cache !== false, trace: true, keepParsed: true
+    });
+    // The file part is relative to the cwd, like the project path
+    const { file, exportName } = parseTarget(target);
+    const impact = simulateRemoval(scanResult, exportName ? `${resolve(file)}#${exportName}` : resolve(file), root, config);
+
+    writeOutput(opts.format === 'json'
+      ? JSON.stringify(impact, null, 2)
+      : formatImpact(impact, { noColor: !!opts.output }), opts);
+    if (impact.status !== 'ok' && impact.status !== 'dead') {
+      process.exitCode = 1;
+    }
+  });
+
 // ── qualify ─────────────────────────────────────────────────────────────────
 
-program
-  .command('qualify')
+withOutputOptions(program.command('qualify'), REPORT_FORMATS, 'console')
   .argument('<file>', 'scan output JSON file to re-qualify')
   .description('Re-check saved results with AI without re-scanning')
-  .option('--format <type>', 'output format (console|json|markdown|sarif)', 'console')
-  .option('--output <file>', 'write report to a file instead of stdout')
   .option('--model <name>', 'Ollama model to use', 'qwen2.5-coder:3b')
   .option('--ollama-url <url>', 'Ollama API endpoint', 'http://localhost:11434')
   .option('--qualify-limit <n>', 'max dead files to qualify', (v) => parseInt(v, 10), 50)
@@ -275,31 +648,7 @@ program
       knowledge,
     });
 
-    const reporters = {
-      console: () => import('./reporters/console.mjs'),
-      json: () => import('./reporters/json.mjs'),
-      markdown: () => import('./reporters/markdown.mjs'),
-      sarif: () => import('./reporters/sarif.mjs'),
-    };
-
-    const loader = reporters[opts.format];
-    if (!loader) {
-      console.error(`Unknown format: ${opts.format}`);
-      process.exit(2);
-    }
-
-    const reporter = await loader();
-    const output = reporter.report(results, {
-      noColor: opts.format !== 'console',
-      verbose: opts.verbose,
-    });
-
-    if (opts.output) {
-      writeFileSync(resolve(opts.output), output, 'utf-8');
-      console.error(`Report written to ${opts.output}`);
-    } else {
-      console.log(output);
-    }
+    writeOutput(await renderReport(results, opts), opts);
   });
 
 // ── learn ───────────────────────────────────────────────────────────────────
@@ -472,4 +821,121 @@ program
     });
   });
 
+// ── check ──────────────────────────────────────────────────────────────────
+
+withOutputOptions(program.command('check'), ['console', 'json'], 'console')
+  .argument('[path]', 'project root to check', '.')
+  .description('Check the latest stored scan (scanning now if there is none) against quality gate thresholds (exit 1 on failure)')
+  .option('--scan-file <file>', 'check this scan result JSON instead of the latest stored scan')
+  .option('--rescan', 'run and store a fresh scan instead of using the latest stored one')
+  .option('--config <file>', 'read thresholds from this config file instead of the global and project config')
+  .option('--max-critical-vulnerabilities <n>', 'fail above this many critical vulnerabilities')
+  .option('--max-high-vulnerabilities <n>', 'fail above this many high vulnerabilities')
+  .option('--max-exploitable-vulnerabilities <n>', 'fail above this many vulnerabilities with known exploits')
+  .option('--max-unused-deps <n>', 'fail above this many unused dependencies')
+  .option('--max-dead-code-percent <n>', 'fail above this percentage of dead code')
+  .option('--max-dead-files <n>', 'fail above this many unused files')
+  .option('--max-waste-mb <n>', 'fail above this much waste in MB')
+  .option('--max-outdated-major <n>', 'fail above this many dependencies behind a major version')
+  .option('--max-outdated-critical <n>', 'fail above this many outdated dependencies with security fixes')
+  .option('--require-license-compliance', 'fail on copyleft or high-risk licenses')
+  .option('--quiet', 'only print failed checks')
+  .action(async (path, opts) => {
+    const { checkCommand } = await import('./cli/commands/check.mjs');
+    await checkCommand({ ...opts, project: resolve(path) });
+  });
+
+// ── monitor ────────────────────────────────────────────────────────────────
+
+program
+  .command('monitor')
+  .argument('[path]', 'project root to monitor', '.')
+  .description('Re-scan a project on an interval and store the results')
+  .option('--interval <every>', 'how often to scan, e.g. 30m, 6h, 1d', '6h')
+  .action(async (path, opts) => {
+    const { monitorCommand } = await import('./cli/commands/monitor.mjs');
+    await monitorCommand(resolve(path), opts);
+  });
+
+// ── report ─────────────────────────────────────────────────────────────────
+
+withOutputOptions(program.command('report'), ['md', 'json', 'csv', 'llm'], 'md')
+  .argument('[path]', 'project root', '.')
+  .description('Generate an action list or progress report from stored scans')
+  .option('--scan <id>', 'report on this scan instead of the latest')
+  .option('--diff <id>', 'progress report against a scan id, or "previous"')
+  .option('--from <id>', 'alias for --diff <id>')
+  .option('--list-scans', 'list stored scans for this project')
+  .action(async (path, opts) => {
+    const { reportCommand } = await import('./cli/commands/report.mjs');
+    await reportCommand({ ...opts, project: resolve(path) });
+  });
+
+// ── quarantine ─────────────────────────────────────────────────────────────
+
+program
+  .command('quarantine')
+  .argument('[action]', 'list, show, restore, or purge')
+  .argument('[path]', 'project root', '.')
+  .description('Manage files quarantined by fixes')
+  .option('-s, --session <id>', 'quarantine session id')
+  .option('--old <days>', 'with purge: purge sessions older than this many days')
+  .option('--force', 'confirm a purge')
+  .action(async (action, path, opts) => {
+    const { quarantineCommand } = await import('./cli/commands/quarantine.mjs');
+    await quarantineCommand(action, resolve(path), opts);
+  });
+
+// ── esg-report ─────────────────────────────────────────────────────────────
+
+withOutputOptions(program.command('esg-report'), ['pdf', 'csv', 'json'], 'pdf')
+  .description('Generate an ESG emissions compliance report across stored scans')
+  .option('--period <preset>', 'reporting period preset, e.g. 30d, 90d, this-quarter')
+  .option('--after <date>', 'start date (YYYY-MM-DD)')
+  .option('--before <date>', 'end date (YYYY-MM-DD)')
+  .option('--projects <list>', 'comma-separated project names to include')
+  .action(async (opts) => {
+    const { esgReportCommand } = await import('./cli/commands/esg-report.mjs');
+    await esgReportCommand(opts);
+  });
+
+// ── fix ────────────────────────────────────────────────────────────────────
+
+program
+  .command('fix')
+  .argument('[path]', 'project root', '.')
+  .description('Analyse and apply fix modules (dependencies, assets, dead code, translation keys) to the latest scan')
+  .option('--list', 'list available fix modules')
+  .option('--rescan', 'run a fresh scan instead of using the latest stored one')
+  .option('--preview', 'show what would change without changing anything')
+  .option('--dry-run', 'alias for --preview')
+  .option('--module <id>', 'apply a single fix module')
+  .option('--all', 'apply every auto-fixable module')
+  .option('--include-medium', 'with --all: also apply medium-confidence fixes')
+  .option('--include-major', 'allow major version upgrades')
+  .option('--force', 'apply even when the module advises against it')
+  .option('--verbose', 'show extra diagnostic output')
+  .action(async (path, opts) => {
+    const { fixCommand } = await import('./cli/commands/fix.mjs');
+    await fixCommand(resolve(path), opts);
+  });
+
+// ── init / security-audit / activate ───────────────────────────────────────
+
+registerInitCommand(program);
+registerSecurityAudit(program);
+registerActivate(program);
+
+// ── migrate-storage ────────────────────────────────────────────────────────
+
+program
+  .command('migrate-storage')
+  .description('Move scan data from global storage into project directories')
+  .option('--keep-legacy', 'leave the global scan database in place')
+  .option('--delete', 'delete the global scan database instead of archiving it')
+  .action(async (opts) => {
+    const { migrateStorageCommand } = await import('./cli/commands/migrate-storage.mjs');
+    await migrateStorageCommand({ keepLegacy: opts.keepLegacy, deleteAfterMigration: opts.delete });
+  });
+
 program.parse();
@@ -1,9 +1,11 @@
 // src/cli/commands/check.mjs
 // Quality gate command - validates scan results against thresholds
 
-import { readFileSync, existsSync } from 'fs';
-import { resolve, join } from 'path';
-import { getRecentScans } from '../../storage/index.mjs';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { resolve } from 'path';
+import { getRecentScans, saveScan } from '../../storage/index.mjs';
+import { scanProject } from '../../scanner/index.mjs';
+import { loadConfigFile, loadGlobalConfig, loadProjectConfig } from '../../config/index.mjs';
 
 // Exit codes
 const EXIT_PASS = 0;
@@ -27,34 +29,33 @@ const DEFAULT_THRESHOLDS = {
 };
 
 /**
- * Load config from .swynx.json if present
+ * Thresholds the user set: global < project config, or only the --config file.
+ * Each layer's `thresholds` section wins over its `ci` section (or, without
+ * one, its top-level keys), which older configs used. Built-in defaults are
+ * not applied, so a check only runs when someone asked for it.
  */
-function loadConfig(projectPath) {
-  const configPaths = [
-    join(projectPath, '.swynx.json'),
-    join(projectPath, 'swynx.json'),
-    join(projectPath, '.swynxrc.json')
-  ];
-
-  for (const configPath of configPaths) {
-    if (existsSync(configPath)) {
-      try {
-        const content = readFileSync(configPath, 'utf8');
-        const config = JSON.parse(content);
-        return config.ci || config;
-      } catch (e) {
-        // Invalid config, continue
+async function loadThresholds(projectPath, configPath) {
+  const layers = configPath
+    ? [await loadConfigFile(configPath)]
+    : [await loadGlobalConfig({ quiet: true }), (await loadProjectConfig(projectPath, { quiet: true })).config];
+
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+  for (const layer of layers.filter(Boolean)) {
+    for (const section of [layer.ci || layer, layer.thresholds || {}]) {
+      for (const key of Object.keys(DEFAULT_THRESHOLDS)) {
+        if (section[key] !== undefined) thresholds[key] = section[key];
       }
     }
   }
-
-  return {};
+  return thresholds;
 }
 
 /**
- * Load scan results from file or database
+ * Load scan results from file or database. Without a stored scan (or with
+ * --rescan) the project is scanned now and the scan is stored, so `report`
+ * and `fix` can use it too.
  */
-async function loadScanResults(scanFile, projectPath) {
+async function loadScanResults(scanFile, projectPath, rescan = false) {
   // If explicit file provided, use it
   if (scanFile) {
     const filePath = resolve(scanFile);
@@ -66,9 +67,14 @@ async function loadScanResults(scanFile, projectPath) {
   }
 
   // Otherwise, get latest scan from database
-  const scans = await getRecentScans(projectPath, 1, { includeRaw: true });
+  const scans = rescan ? [] : await getRecentScans(projectPath, 1, { includeRaw: true });
   if (!scans || scans.length === 0) {
-    throw new Error(`No scans found for project: ${projectPath}\nRun 'swynx scan ${projectPath} --ci' first.`);
+    const scanResult = await scanProject(projectPath, { onProgress: () => {} });
+    if (scanResult.cancelled) {
+      throw new Error(`Scan of ${projectPath} was cancelled during ${scanResult.phase}`);
+    }
+    await saveScan(scanResult);
+    return scanResult;
   }
 
   const latestScan = scans[0];
@@ -151,6 +157,8 @@ function extractMetrics(scanResults) {
   const findings = scanResults.findings || {};
   const dependencies = scanResults.dependencies || {};
   const deadCode = scanResults.deadCode || {};
+  // Full scans (scanProject) carry the versioned dead code result
+  const deadCodeResult = scanResults.deadCodeResult || {};
   const outdated = scanResults.outdated || {};
   const licenses = scanResults.licenses || {};
 
@@ -169,16 +177,19 @@ function extractMetrics(scanResults) {
   const unusedDeps = dependencies.unused?.length ||
     findings.warning?.filter(f => f.type === 'unused-dependency')?.length || 0;
 
-  // Dead code percentage
+  // Dead code percentage (full scan, or `swynx scan --format json` output)
   const deadCodePercent = deadCode.percentage ||
-    scanResults.summary?.deadCodePercent || 0;
+    parseFloat(deadCodeResult.deadRate) ||
+    scanResults.summary?.deadCodePercent ||
+    parseFloat(scanResults.summary?.percentUnused) || 0;
 
   // Dead files count
   const deadFiles = deadCode.files?.filter(f => f.deadPercent === 100)?.length ||
-    deadCode.fullyDeadFiles || 0;
+    deadCode.fullyDeadFiles?.length ||
+    (deadCodeResult.deadFiles || scanResults.deadFiles || scanResults.unusedFiles)?.length || 0;
 
   // Waste in MB
-  const wasteMb = (scanResults.summary?.wasteSizeBytes || 0) / (1024 * 1024);
+  const wasteMb = (scanResults.summary?.wasteSizeBytes || scanResults.summary?.wastedBytes || 0) / (1024 * 1024);
 
   // Outdated with major updates
   const outdatedMajor = outdated.packages?.filter(p => p.updateType === 'major')?.length ||
@@ -213,14 +224,11 @@ function extractMetrics(scanResults) {
  */
 export async function checkCommand(options) {
   const projectPath = options.project || process.cwd();
+  const asJson = options.format === 'json' || options.json;
 
   try {
     // Load config and merge with CLI options
-    const fileConfig = loadConfig(projectPath);
-    const thresholds = {
-      ...DEFAULT_THRESHOLDS,
-      ...fileConfig
-    };
+    const thresholds = await loadThresholds(projectPath, options.config);
 
     // CLI options override config file
     if (options.maxCriticalVulnerabilities !== undefined) {
@@ -255,7 +263,7 @@ export async function checkCommand(options) {
     }
 
     // Load scan results
-    const scanResults = await loadScanResults(options.scanFile, projectPath);
+    const scanResults = await loadScanResults(options.scanFile, projectPath, options.rescan);
     const metrics = extractMetrics(scanResults);
 
     // Run checks
@@ -295,22 +303,22 @@ export async function checkCommand(options) {
     };
 
     // Output
-    if (options.json) {
-      console.log(JSON.stringify(result, null, 2));
+    if (asJson) {
+      emit(JSON.stringify(result, null, 2), options.output);
     } else if (!options.quiet || !allPassed) {
-      outputConsole(result, options.quiet);
+      emit(formatConsole(result, options.quiet, !options.output), options.output);
     }
 
     // Exit
     process.exit(allPassed ? EXIT_PASS : EXIT_FAIL);
 
   } catch (error) {
-    if (options.json) {
-      console.log(JSON.stringify({
+    if (asJson) {
+      emit(JSON.stringify({
         passed: false,
         error: error.message,
         timestamp: new Date().toISOString()
-      }, null, 2));
+      }, null, 2), options.output);
     } else {
       console.error(`\n Error: ${error.message}\n`);
     }
@@ -318,54 +326,69 @@ export async function checkCommand(options) {
   }
 }
 
+/**
+ * Write output to a file (--output) or stdout
+ */
+function emit(text, outputPath) {
+  if (outputPath) {
+    writeFileSync(resolve(outputPath), text + '\n', 'utf-8');
+    console.error(`Report written to ${outputPath}`);
+  } else {
+    console.log(text);
+  }
+}
+
 /**
  * Console output formatter
  */
-function outputConsole(result, quiet) {
-  const green = '\x1b[32m';
-  const red = '\x1b[31m';
-  const yellow = '\x1b[33m';
-  const reset = '\x1b[0m';
-  const bold = '\x1b[1m';
-  const dim = '\x1b[2m';
+function formatConsole(result, quiet, useColor = true) {
+  const green = useColor ? '\x1b[32m' : '';
+  const red = useColor ? '\x1b[31m' : '';
+  const yellow = useColor ? '\x1b[33m' : '';
+  const reset = useColor ? '\x1b[0m' : '';
+  const bold = useColor ? '\x1b[1m' : '';
+  const dim = useColor ? '\x1b[2m' : '';
+
+  const lines = [];
 
   if (quiet) {
     // Quiet mode - only show failures
-    console.log(`\n${red}${bold} Quality Gate Failed${reset}\n`);
+    lines.push(`\n${red}${bold} Quality Gate Failed${reset}\n`);
     for (const check of result.checks.filter(c => !c.passed)) {
-      console.log(`  ${red}✗${reset} ${check.message}`);
+      lines.push(`  ${red}✗${reset} ${check.message}`);
     }
-    console.log('');
-    return;
+    lines.push('');
+    return lines.join('\n');
   }
 
-  console.log('');
-  console.log(`${bold} Swynx Quality Gate${reset}`);
-  console.log(' ─────────────────────────────────────');
-  console.log('');
+  lines.push('');
+  lines.push(`${bold} Swynx Quality Gate${reset}`);
+  lines.push(' ─────────────────────────────────────');
+  lines.push('');
 
   if (result.checks.length === 0) {
-    console.log(`  ${yellow}⚠${reset} No checks configured`);
-    console.log(`  ${dim}Use --max-critical-vulnerabilities, --max-dead-code-percent, etc.${reset}`);
-    console.log('');
-    return;
+    lines.push(`  ${yellow}⚠${reset} No checks configured`);
+    lines.push(`  ${dim}Use --max-critical-vulnerabilities, --max-dead-code-percent, etc.${reset}`);
+    lines.push('');
+    return lines.join('\n');
   }
 
   for (const check of result.checks) {
     const icon = check.passed ? `${green}✓${reset}` : `${red}✗${reset}`;
-    console.log(`  ${icon} ${check.message}`);
+    lines.push(`  ${icon} ${check.message}`);
   }
 
-  console.log('');
+  lines.push('');
 
   if (result.passed) {
-    console.log(`  ${green}${bold}All checks passed${reset}`);
+    lines.push(`  ${green}${bold}All checks passed${reset}`);
   } else {
     const failed = result.checks.filter(c => !c.passed).length;
-    console.log(`  ${red}${bold}${failed} check${failed > 1 ? 's' : ''} failed${reset}`);
+    lines.push(`  ${red}${bold}${failed} check${failed > 1 ? 's' : ''} failed${reset}`);
   }
 
-  console.log('');
+  lines.push('');
+  return lines.join('\n');
 }
 
 export default checkCommand;
@@ -37,8 +37,8 @@ export async function reportCommand(options) {
     // Get most recent scan
     const scans = await getRecentScans(projectPath, 1, { includeRaw: true });
     if (scans.length === 0) {
-      console.error(`\n${yellow}No scans found. Run a scan first:${reset}`);
-      console.error(`  swynx scan ${projectPath}\n`);
+      console.error(`\n${yellow}No stored scans found. Store one first:${reset}`);
+      console.error(`  swynx check ${projectPath} --rescan\n`);
       process.exit(1);
     }
     targetScan = scans[0];
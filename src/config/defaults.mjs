@@ -73,7 +73,93 @@ export const DEFAULT_DEAD_CODE = {
 
   // Package.json fields that contain dynamically loaded file paths
   // These are searched recursively in package.json objects
-  dynamicPackageFields: ['nodes', 'plugins', 'credentials', 'extensions', 'adapters', 'connectors']
+  dynamicPackageFields: ['nodes', 'plugins', 'credentials', 'extensions', 'adapters', 'connectors'],
+
+  // Extra glob patterns excluded from the scan (added to the built-in exclude list)
+  // e.g., ["**/legacy/**", "scripts/**"]
+  exclude: [],
+
+  // Set to false to replace the built-in exclude list with `exclude` instead of extending it
+  excludeDefaults: true,
+
+  // Glob patterns to scan (default: everything not excluded)
+  include: [],
+
+  // Per-file parse budget in milliseconds. A file that runs over is reported
+  // under parseFailures and its imports are read by a regex fallback instead
+  // of the AST. 0 turns it off and lets small projects parse in-process
+  parseTimeout: 30000,
+
+  // Spill parse results to disk and shrink parse chunks to stay under
+  // memoryBudget (MB of resident memory). For very large repositories
+  lowMemory: false,
+  memoryBudget: 2048,
+
+  // Unused interfaces, type aliases, const enums and enum members are
+  // reported under unusedTypes. Set to true to make them fail `scan --ci`
+  failOnUnusedTypes: false,
+
+  // Statements inside live files that can never run (after return/throw,
+  // constant conditions, shadowed switch cases) are reported under
+  // unreachableCode. failOnUnreachableCode makes them fail `scan --ci`.
+  // env gives environment variables a fixed value so branches on them fold,
+  // e.g. { "FEATURE_LEGACY": "off" }; null means never set
+  unreachableCode: true,
+  failOnUnreachableCode: false,
+  env: {},
+
+  // Feature flags with a permanent value, e.g. { "new-checkout": true }, or
+  // flagsFile: a JSON/YAML flag export (a path or a list of paths). Branches
+  // on flags.isEnabled('x'), useFlag('x') or process.env.X that the value
+  // never takes are reported as stale-flag, and files only they import are dead
+  flags: {},
+  flagsFile: null,
+
+  // SCSS/SASS/LESS partials nothing imports are dead files; CSS rules whose
+  // classes and ids no code or markup mentions are reported under
+  // unusedSelectors (failOnUnusedSelectors makes them fail `scan --ci`).
+  // dynamicClassPatterns adds safelist regexes, or { regex, action } class
+  // builders like those in src/knowledge/patterns/css-classes.json
+  unusedSelectors: true,
+  failOnUnusedSelectors: false,
+  dynamicClassPatterns: [],
+
+  // Environment variables defined in .env files, docker-compose, Helm values
+  // or Kubernetes manifests that no code reads (unusedEnvVars), and variables
+  // read without a default that none of them defines (undefinedEnvVars).
+  // failOnUnusedEnvVars fails `scan --ci` on either; ignoreEnvVars lists
+  // names read or set outside the repository
+  unusedEnvVars: true,
+  failOnUnusedEnvVars: false,
+  ignoreEnvVars: [],
+
+  // Keys in i18next, react-intl and vue-i18n locale catalogs (JSON/YAML under
+  // locales/, i18n/, lang/ ...) that no t(), $t() or <FormattedMessage> uses
+  // (unusedTranslationKeys), and used keys a locale lacks (missingTranslationKeys).
+  // translationCatalogs adds catalog globs outside those directories;
+  // ignoreTranslationKeys lists regexes of keys never to report. `swynx fix
+  // --module i18n-keys` prunes the unused keys from the catalogs
+  unusedTranslationKeys: true,
+  failOnUnusedTranslationKeys: false,
+  translationCatalogs: [],
+  ignoreTranslationKeys: [],
+
+  // Library mode: each published package's public API (exports conditions,
+  // main/module, types and .d.ts rollups) is the surface it promises. Reports
+  // modules the API never reaches, undocumented public symbols, and
+  // package.json files/exports paths that do not exist
+  library: false,
+
+  // Walk the import graph a second time from production entry points only,
+  // and report production files and exports that only tests use. Set
+  // maxTestOnlyCode to a number to fail `scan --ci` above that many findings
+  // (it turns the check on as well)
+  testOnlyCode: false,
+  maxTestOnlyCode: null,
+
+  // Package names never reported as unused or missing dependencies, e.g.
+  // packages loaded by a tool that is configured outside the repository
+  ignoreDependencies: []
 };
 
 /**
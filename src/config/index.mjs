@@ -138,7 +138,7 @@ export async function saveGlobalConfig(config) {
  * @param {boolean} options.quiet - Suppress warnings
  * @returns {Promise<object>} Project config or empty object
  */
-async function loadProjectConfig(projectPath, options = {}) {
+export async function loadProjectConfig(projectPath, options = {}) {
   const configPaths = [
     join(projectPath, '.swynx.json'),
     join(projectPath, 'swynx.config.json'),
@@ -183,6 +183,27 @@ async function loadProjectConfig(projectPath, options = {}) {
   return { config: {}, source: null };
 }
 
+/**
+ * Load an explicit config file (.json, or a JS module's default export)
+ * @param {string} configPath - Config file path
+ * @returns {Promise<object|null>} The config, or null if the file does not exist
+ */
+export async function loadConfigFile(configPath) {
+  const resolvedPath = resolve(configPath);
+  try {
+    if (resolvedPath.endsWith('.json')) {
+      return JSON.parse(await readFile(resolvedPath, 'utf-8'));
+    }
+    const module = await import(resolvedPath);
+    return module.default || module;
+  } catch (error) {
+    if (error.code !== 'ENOENT' && error.code !== 'ERR_MODULE_NOT_FOUND') {
+      throw error;
+    }
+    return null;
+  }
+}
+
 /**
  * Save project configuration to .swynx.json
  * @param {string} projectPath - Project directory path
@@ -222,21 +243,10 @@ export async function loadConfig(configPath = null, projectPath = process.cwd(),
 
   // Load explicit config file if provided
   if (configPath) {
-    try {
-      const resolvedPath = resolve(configPath);
-      if (resolvedPath.endsWith('.json')) {
-        const content = await readFile(resolvedPath, 'utf-8');
-        config = deepMerge(config, JSON.parse(content));
-        sources.push(`file:${resolvedPath}`);
-      } else {
-        const module = await import(resolvedPath);
-        config = deepMerge(config, module.default || module);
-        sources.push(`file:${resolvedPath}`);
-      }
-    } catch (error) {
-      if (error.code !== 'ENOENT' && error.code !== 'ERR_MODULE_NOT_FOUND') {
-        throw error;
-      }
+    const fileConfig = await loadConfigFile(configPath);
+    if (fileConfig) {
+      config = deepMerge(config, fileConfig);
+      sources.push(`file:${resolve(configPath)}`);
     }
   } else {
     // Load global config
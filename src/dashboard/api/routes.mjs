@@ -567,6 +567,15 @@ export async function createRoutes() {
     // Send initial connection event
     res.write(`data: ${JSON.stringify({ type: 'connected', timestamp: Date.now() })}\n\n`);
 
+    // Cancel the scan if the browser goes away before it finishes
+    const scanAbort = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        console.log('[scan-stream] Client disconnected, cancelling scan for:', projectPath);
+        scanAbort.abort();
+      }
+    });
+
     // Track recently processed files for display
     const recentFiles = [];
     const MAX_RECENT_FILES = 10;
@@ -709,7 +718,7 @@ export async function createRoutes() {
 
       let scanResult;
       try {
-        scanResult = await scanProject(projectPath, { onProgress, workers });
+        scanResult = await scanProject(projectPath, { onProgress, workers, signal: scanAbort.signal });
       } catch (scanErr) {
         console.error('[scan-stream] Scanner threw error:', scanErr?.message || scanErr);
         throw new Error(`Scanner error: ${scanErr?.message || scanErr}`);
@@ -720,6 +729,12 @@ export async function createRoutes() {
         throw new Error('Scanner returned empty result');
       }
 
+      // Cancelled scans are partial — never save them
+      if (scanResult.cancelled) {
+        console.log('[scan-stream] Scan cancelled during', scanResult.phase);
+        return;
+      }
+
       const duration = Date.now() - startTime;
       console.log('[scan-stream] Scan completed in', duration, 'ms, processing results...');
 
@@ -764,6 +779,65 @@ export async function createRoutes() {
     }
   });
 
+  // Watch a project and stream dead/alive transitions as files change (SSE)
+  router.get('/watch-stream/:projectPath(*)', async (req, res) => {
+    const projectPath = decodeURIComponent(req.params.projectPath);
+
+    if (!projectPath || !existsSync(projectPath)) {
+      return res.status(400).json({ success: false, error: 'projectPath must be a local directory' });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || `http://localhost:${req.socket.localPort}`);
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    const send = (payload) => res.write(`data: ${JSON.stringify({ ...payload, timestamp: Date.now() })}\n\n`);
+    send({ type: 'connected' });
+
+    let session = null;
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+      if (session) session.close().catch(() => {});
+    });
+
+    try {
+      const config = await loadConfig(null, projectPath, {}, { quiet: true });
+      const { watchDeadCode } = await import('../../scanner/watch.mjs');
+      session = await watchDeadCode(projectPath, {
+        config,
+        loadConfig: () => loadConfig(null, projectPath, {}, { quiet: true }),
+        onUpdate: (update) => {
+          if (closed) return;
+          if (update.type === 'error') {
+            send({ type: 'error', error: update.error?.message || String(update.error) });
+            return;
+          }
+          send({
+            type: update.type,
+            changedFiles: update.changedFiles || [],
+            reachabilityChanged: update.reachabilityChanged ?? true,
+            becameDead: update.becameDead || [],
+            becameAlive: update.becameAlive || [],
+            removed: update.removed || [],
+            deadFiles: update.result.deadFiles.map(f => f.file),
+            summary: update.result.summary,
+            elapsed: update.elapsed
+          });
+        }
+      });
+      if (closed) await session.close();
+    } catch (error) {
+      if (!closed) {
+        send({ type: 'error', error: error?.message || String(error) });
+        res.end();
+      }
+    }
+  });
+
   // === Stats ===
 
   // Get project stats for trend chart
@@ -1252,7 +1326,7 @@ export async function createRoutes() {
   // Preview unified fix (dry run) - shows all waste that would be cleaned
   router.post('/fix/cleanup/preview', async (req, res) => {
     try {
-      const { projectPath, fixDeadCode, fixUnusedAssets, fixUnusedDeps, minConfidence } = req.body;
+      const { projectPath, fixDeadCode, fixUnusedAssets, fixUnusedDeps, minConfidence, island, quarantine } = req.body;
 
       if (!projectPath) {
         return res.status(400).json({
@@ -1281,7 +1355,9 @@ export async function createRoutes() {
         fixDeadCode: fixDeadCode !== false,
         fixUnusedAssets: fixUnusedAssets !== false,
         fixUnusedDeps: fixUnusedDeps !== false,
-        minConfidence: minConfidence || 0
+        minConfidence: minConfidence || 0,
+        island: island || null,
+        quarantine: quarantine || false
       });
 
       res.json({ success: true, result });
@@ -1293,7 +1369,7 @@ export async function createRoutes() {
   // Apply unified fix - clean up all selected waste types
   router.post('/fix/cleanup/apply', async (req, res) => {
     try {
-      const { projectPath, fixDeadCode, fixUnusedAssets, fixUnusedDeps, minConfidence, noGitCommit } = req.body;
+      const { projectPath, fixDeadCode, fixUnusedAssets, fixUnusedDeps, minConfidence, noGitCommit, island, quarantine } = req.body;
 
       if (!projectPath) {
         return res.status(400).json({
@@ -1324,7 +1400,9 @@ export async function createRoutes() {
         fixUnusedAssets: fixUnusedAssets !== false,
         fixUnusedDeps: fixUnusedDeps !== false,
         minConfidence: minConfidence || 0,
-        noGitCommit: noGitCommit || false
+        noGitCommit: noGitCommit || false,
+        island: island || null,
+        quarantine: quarantine || false
       });
 
       res.json({ success: true, result });
@@ -1805,6 +1883,32 @@ export async function createRoutes() {
     }
   });
 
+  // Simulate deleting a file (or file#export) and list what it leaves dead.
+  // Re-scans the project the stored scan belongs to.
+  router.get('/drill/impact/:scanId/:target(*)', async (req, res) => {
+    try {
+      const { scanId, target } = req.params;
+      const scan = await getScanById(scanId);
+      if (!scan) {
+        return res.status(404).json({ success: false, error: 'Scan not found' });
+      }
+      const projectPath = scan.project_path;
+      if (!projectPath || !existsSync(projectPath)) {
+        return res.status(400).json({ success: false, error: 'Project is not available locally' });
+      }
+
+      const { scanDeadCode } = await import('../../scanner/scan-dead-code.mjs');
+      const { simulateRemoval } = await import('../../reports/impact.mjs');
+      const config = await loadConfig(null, projectPath, {}, { quiet: true });
+      const scanResult = await scanDeadCode(projectPath, { config, trace: true, keepParsed: true });
+      const impact = simulateRemoval(scanResult, target, projectPath, config);
+
+      res.json({ success: impact.status === 'ok' || impact.status === 'dead', impact });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
   // Get security vulnerabilities detail
   router.get('/drill/security/:scanId', async (req, res) => {
     try {
@@ -2605,6 +2709,13 @@ export async function createRoutes() {
         cssAnalysisRaw = cssAnalysisRaw.files || [];
       }
 
+      // Rules no code or markup refers to (stylesheets analyser)
+      const deadCode = scanData.details?.deadCode || scanData.deadCode || {};
+      const unusedSelectors = scanData.unusedSelectors || deadCode.unusedSelectors || [];
+      const unusedByFile = new Map();
+      for (const s of unusedSelectors) unusedByFile.set(s.file, (unusedByFile.get(s.file) || 0) + 1);
+      const savingsBytes = unusedSelectors.reduce((sum, s) => sum + (s.sizeBytes || 0), 0);
+
       // Build files array from raw CSS analysis
       const files = cssAnalysisRaw.map(css => ({
         file: css.file?.path || css.file,
@@ -2612,7 +2723,7 @@ export async function createRoutes() {
         sizeBytes: css.size || 0,
         sizeFormatted: formatBytes(css.size || 0),
         selectors: css.selectors?.length || css.rules || 0,
-        unusedSelectors: 0, // Would need HTML analysis to determine
+        unusedSelectors: unusedByFile.get(css.file?.relativePath || css.relativePath || css.file) || 0,
         duplicates: 0,
         lineCount: css.lines || 0
       }));
@@ -2627,13 +2738,13 @@ export async function createRoutes() {
           totalFiles: totalCssFiles,
           totalSize: formatBytes(totalCssSize),
           totalSizeBytes: totalCssSize,
-          unusedSelectorsCount: 0,
+          unusedSelectorsCount: unusedSelectors.length,
           duplicateRulesCount: 0,
-          potentialSavings: formatBytes(0),
-          potentialSavingsBytes: 0
+          potentialSavings: formatBytes(savingsBytes),
+          potentialSavingsBytes: savingsBytes
         },
         files: files.slice(0, 50),
-        unusedSelectors: [],
+        unusedSelectors: unusedSelectors.slice(0, 200),
         duplicateRules: [],
         mediaQueries: [],
         frameworks: detectCssFrameworks(cssAnalysisRaw)
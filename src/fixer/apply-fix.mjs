@@ -9,6 +9,8 @@ import { cleanBarrelExports } from './barrel-cleaner.mjs';
 import { commitFix } from './git.mjs';
 import { consoleReport, jsonReport } from './report.mjs';
 import { listSnapshots, getLatestSnapshot, restoreSnapshot } from './snapshot.mjs';
+import { createSession, quarantineFile } from './quarantine.mjs';
+import { selectIsland, islandFiles } from './islands.mjs';
 
 /**
  * Apply fix to remove dead files
@@ -24,6 +26,8 @@ export async function applyFix(projectPath, scanResult, options = {}) {
     noImportClean = false,
     noBarrelClean = false,
     noGitCommit = false,
+    island = null,
+    quarantine = false,
     verbose = false
   } = options;
 
@@ -41,32 +45,49 @@ export async function applyFix(projectPath, scanResult, options = {}) {
   // Get dead files from scan result
   let deadFiles = scanResult.deadFiles || [];
 
-  // Skip possibly-live files unless explicitly included
-  if (!includeUncertain) {
-    const beforeCount = deadFiles.length;
-    deadFiles = deadFiles.filter(f => {
-      if (f.verdict === 'possibly-live') return false;
-      // Also check numeric confidence: require >= 0.8 for auto-fix
-      const evidenceScore = f.evidence?.confidence?.score;
-      if (evidenceScore !== undefined && evidenceScore < 0.8) return false;
-      return true;
-    });
-    const skippedCount = beforeCount - deadFiles.length;
-    if (skippedCount > 0 && verbose) {
-      console.log(`  Skipped ${skippedCount} possibly-live/low-confidence file(s). Use --include-uncertain to include.`);
+  const isCertain = (f) => {
+    if (f.verdict === 'possibly-live') return false;
+    // Also check numeric confidence: require >= 0.8 for auto-fix
+    const evidenceScore = f.evidence?.confidence?.score;
+    if (evidenceScore !== undefined && evidenceScore < 0.8) return false;
+    return true;
+  };
+  const meetsConfidence = (f) => {
+    if (minConfidence <= 0) return true;
+    // Prefer evidence-based numeric score
+    const evidenceScore = f.evidence?.confidence?.score;
+    if (evidenceScore !== undefined) return evidenceScore >= minConfidence;
+    // Fall back to AI confidence
+    const confidence = f.aiConfidence ?? f.confidence ?? 1;
+    return confidence >= minConfidence;
+  };
+
+  if (island) {
+    // A whole island or nothing: removing part of one leaves the rest dead
+    const selected = selectIsland(scanResult, island);
+    const { files, rejected } = islandFiles(deadFiles, selected, f => (includeUncertain || isCertain(f)) && meetsConfidence(f));
+    result.island = { id: selected.id, name: selected.name, fileCount: selected.fileCount };
+    if (rejected.length > 0) {
+      return {
+        ...result,
+        skipped: rejected.map(f => ({ file: f.path || f.file, reason: 'below confidence threshold or possibly live' })),
+        message: `Island ${selected.id} was left alone: ${rejected.length} of its files did not pass the confidence checks`
+      };
+    }
+    deadFiles = files;
+  } else {
+    // Skip possibly-live files unless explicitly included
+    if (!includeUncertain) {
+      const beforeCount = deadFiles.length;
+      deadFiles = deadFiles.filter(isCertain);
+      const skippedCount = beforeCount - deadFiles.length;
+      if (skippedCount > 0 && verbose) {
+        console.log(`  Skipped ${skippedCount} possibly-live/low-confidence file(s). Use --include-uncertain to include.`);
+      }
     }
-  }
 
-  // Filter by confidence threshold (supports both AI confidence and evidence score)
-  if (minConfidence > 0) {
-    deadFiles = deadFiles.filter(f => {
-      // Prefer evidence-based numeric score
-      const evidenceScore = f.evidence?.confidence?.score;
-      if (evidenceScore !== undefined) return evidenceScore >= minConfidence;
-      // Fall back to AI confidence
-      const confidence = f.aiConfidence ?? f.confidence ?? 1;
-      return confidence >= minConfidence;
-    });
+    // Filter by confidence threshold (supports both AI confidence and evidence score)
+    deadFiles = deadFiles.filter(meetsConfidence);
   }
 
   // Get file paths
@@ -128,18 +149,39 @@ export async function applyFix(projectPath, scanResult, options = {}) {
     return result;
   }
 
-  // Actually delete files (creates snapshot automatically)
-  const deleteResult = await deleteFiles(projectPath, filePaths, {
-    dryRun: false,
-    createBackup: true,
-    cleanEmptyDirs: true
-  });
+  if (quarantine) {
+    // Move files aside instead (undo with `swynx quarantine restore`)
+    const session = createSession(projectPath, island ? `dead-island ${result.island.id}` : 'dead-code-removal');
+    const moved = [];
+    for (const entry of result.deleted) {
+      const fullPath = join(projectPath, entry.file);
+      if (!existsSync(fullPath)) {
+        result.skipped.push({ file: entry.file, reason: 'File not found' });
+        continue;
+      }
+      try {
+        quarantineFile(projectPath, session.sessionId, fullPath);
+        moved.push({ ...entry, dryRun: false, quarantined: true });
+      } catch (error) {
+        result.errors.push({ file: entry.file, error: error.message });
+      }
+    }
+    result.deleted = moved;
+    result.quarantineSession = session.sessionId;
+  } else {
+    // Actually delete files (creates snapshot automatically)
+    const deleteResult = await deleteFiles(projectPath, filePaths, {
+      dryRun: false,
+      createBackup: true,
+      cleanEmptyDirs: true
+    });
 
-  result.deleted = deleteResult.deleted;
-  result.skipped = deleteResult.skipped;
-  result.errors = deleteResult.errors;
-  result.emptyDirsRemoved = deleteResult.emptyDirsRemoved;
-  result.snapshotId = deleteResult.snapshotId;
+    result.deleted = deleteResult.deleted;
+    result.skipped = deleteResult.skipped;
+    result.errors = deleteResult.errors;
+    result.emptyDirsRemoved = deleteResult.emptyDirsRemoved;
+    result.snapshotId = deleteResult.snapshotId;
+  }
 
   // Get list of live files for import cleaning
   const liveFiles = await getLiveFiles(projectPath, filePaths);
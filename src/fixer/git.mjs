@@ -1,7 +1,7 @@
 // src/fixer/git.mjs
 // Generate git commits after fixes
 
-import { execSync, exec } from 'child_process';
+import { execSync, execFileSync, exec } from 'child_process';
 import { promisify } from 'util';
 
 const execAsync = promisify(exec);
@@ -21,6 +21,101 @@ export function isGitRepo(projectPath) {
   }
 }
 
+/**
+ * Resolve a ref (branch, tag, SHA, HEAD~n) to a commit SHA, or null if unknown.
+ * Refs and paths are passed to git as arguments, never through a shell; a ref
+ * starting with '-' would be read as an option and is rejected.
+ */
+export function resolveRef(projectPath, ref) {
+  if (typeof ref !== 'string' || ref === '' || ref.startsWith('-')) return null;
+  try {
+    return execFileSync('git', ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], {
+      cwd: projectPath,
+      stdio: 'pipe',
+      encoding: 'utf-8'
+    }).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the merge base of two refs (the fork point used by `base...head`)
+ */
+export function getMergeBase(projectPath, base, head) {
+  try {
+    return execFileSync('git', ['merge-base', '--end-of-options', base, head], {
+      cwd: projectPath,
+      stdio: 'pipe',
+      encoding: 'utf-8'
+    }).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List files changed between two refs, relative to projectPath.
+ * When head is omitted the working tree is compared against base, and
+ * untracked (not ignored) files are included as additions.
+ *
+ * @returns {Array<{status: string, file: string, oldFile: string|null}>}
+ *   status is the git letter: A (added), M (modified), D (deleted), R (renamed)
+ */
+export function getChangedFiles(projectPath, base, head = null) {
+  const range = head ? [base, head] : [base];
+  const stdout = execFileSync('git', ['diff', '--name-status', '--relative', '-M', '--end-of-options', ...range, '--'], {
+    cwd: projectPath,
+    stdio: 'pipe',
+    encoding: 'utf-8',
+    maxBuffer: 64 * 1024 * 1024
+  });
+
+  const changes = [];
+  for (const line of stdout.split('\n').filter(Boolean)) {
+    const [code, first, second] = line.split('\t');
+    const status = code[0];
+    if (status === 'R' || status === 'C') {
+      changes.push({ status: 'R', file: second, oldFile: first });
+    } else {
+      changes.push({ status, file: first, oldFile: null });
+    }
+  }
+
+  if (!head) {
+    try {
+      const untracked = execFileSync('git', ['ls-files', '--others', '--exclude-standard'], {
+        cwd: projectPath,
+        stdio: 'pipe',
+        encoding: 'utf-8',
+        maxBuffer: 64 * 1024 * 1024
+      });
+      for (const file of untracked.split('\n').filter(Boolean)) {
+        changes.push({ status: 'A', file, oldFile: null });
+      }
+    } catch { /* skip */ }
+  }
+
+  return changes;
+}
+
+/**
+ * Read a file's content at a given ref (path relative to projectPath).
+ * Returns null if the file did not exist at that ref.
+ */
+export function getFileAtRef(projectPath, ref, file) {
+  try {
+    return execFileSync('git', ['show', '--end-of-options', `${ref}:./${file}`], {
+      cwd: projectPath,
+      stdio: 'pipe',
+      encoding: 'utf-8',
+      maxBuffer: 64 * 1024 * 1024
+    });
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Get current git status
  */
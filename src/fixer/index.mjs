@@ -6,6 +6,7 @@ import outdatedDeps from './modules/outdated-deps.mjs';
 import deadCode from './modules/dead-code.mjs';
 import optimizeImages from './modules/optimize-images.mjs';
 import consoleLogs from './modules/console-logs.mjs';
+import i18nKeys from './modules/i18n-keys.mjs';
 import { listSessions, getSession } from './quarantine.mjs';
 
 // All available fix modules
@@ -14,7 +15,8 @@ export const modules = {
   'outdated-deps': outdatedDeps,
   'dead-code': deadCode,
   'optimize-images': optimizeImages,
-  'console-logs': consoleLogs
+  'console-logs': consoleLogs,
+  'i18n-keys': i18nKeys
 };
 
 // Confidence levels
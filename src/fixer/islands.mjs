@@ -0,0 +1,48 @@
+// src/fixer/islands.mjs
+// Dead island selection shared by applyFix and unifiedFix
+
+/**
+ * Dead islands of a scan result (public result or raw scanner shape)
+ */
+export function getIslands(scanResult) {
+  return scanResult.deadIslands ||
+         scanResult.details?.deadCode?.deadIslands ||
+         [];
+}
+
+/**
+ * Find the island a fix should be limited to
+ * @param {object} scanResult - Scan result with deadIslands
+ * @param {string} island - Island id (island-3), name or common directory
+ * @returns {object} The island
+ * @throws {Error} When no island, or more than one, matches
+ */
+export function selectIsland(scanResult, island) {
+  const islands = getIslands(scanResult);
+  const byId = islands.find(i => i.id === island || i.name === island);
+  if (byId) return byId;
+
+  const byDir = islands.filter(i => i.fileCount > 1 && i.directory === island.replace(/\/+$/, ''));
+  if (byDir.length === 1) return byDir[0];
+  if (byDir.length > 1) {
+    throw new Error(`More than one dead island under ${island}: ${byDir.map(i => i.id).join(', ')}`);
+  }
+  throw new Error(`No dead island ${island} in this scan`);
+}
+
+/**
+ * Limit dead files to one island. The island is kept or dropped as a whole:
+ * if any of its files fails the check, none are returned.
+ * @param {Array} deadFiles - Dead file entries (path or file)
+ * @param {object} island - Island from selectIsland
+ * @param {Function} [keep] - Per-file check (confidence, verdict)
+ * @returns {{ files: Array, rejected: Array }}
+ */
+export function islandFiles(deadFiles, island, keep = () => true) {
+  const members = new Set(island.files);
+  const files = deadFiles.filter(f => members.has(f.path || f.file || f.relativePath));
+  const rejected = files.filter(f => !keep(f));
+  return rejected.length > 0 ? { files: [], rejected } : { files, rejected };
+}
+
+export default { getIslands, selectIsland, islandFiles };
@@ -0,0 +1,182 @@
+// src/fixer/modules/i18n-keys.mjs
+// Fix module for pruning unused keys from translation catalogs
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { join, extname } from 'path';
+import { createSession, quarantineFile } from '../quarantine.mjs';
+import { readCatalogs } from '../../scanner/analysers/i18n.mjs';
+
+export const metadata = {
+  id: 'i18n-keys',
+  name: 'Prune Unused Translation Keys',
+  description: 'Removes keys no code looks up from i18next, react-intl and vue-i18n locale catalogs',
+  confidence: 'MEDIUM',
+  autoFixable: true,
+  category: 'code'
+};
+
+/**
+ * Remove the keys at `paths` from a JSON catalog, and the groups they leave empty
+ */
+function pruneJson(text, paths) {
+  const data = JSON.parse(text);
+  for (const path of paths) {
+    const parents = [data];
+    for (const name of path.slice(0, -1)) parents.push(parents[parents.length - 1]?.[name]);
+    const owner = parents[parents.length - 1];
+    if (!owner || typeof owner !== 'object') continue;
+    delete owner[path[path.length - 1]];
+    for (let i = parents.length - 1; i > 0; i--) {
+      if (Object.keys(parents[i]).length > 0) break;
+      delete parents[i - 1][path[i - 1]];
+    }
+  }
+  const indent = text.match(/\n([ \t]+)"/)?.[1] ?? 2;
+  return JSON.stringify(data, null, indent) + (text.endsWith('\n') ? '\n' : '');
+}
+
+/**
+ * Remove the lines of the keys from a YAML catalog; a group whose keys all
+ * go is removed whole
+ */
+function pruneYaml(text, catalogs, removing) {
+  const lines = text.split('\n');
+  const drop = new Set();
+  const under = (map, key) => key.path.length > map.path.length && map.path.every((name, i) => key.path[i] === name);
+  for (const catalog of catalogs) {
+    const spans = catalog.keys.filter(k => removing.has(k));
+    for (const map of catalog.maps) {
+      const keys = catalog.keys.filter(k => under(map, k));
+      if (keys.length > 0 && keys.every(k => removing.has(k))) spans.push(map);
+    }
+    for (const span of spans) {
+      for (let line = span.line; line <= (span.endLine || span.line); line++) drop.add(line - 1);
+    }
+  }
+  return lines.filter((_, i) => !drop.has(i)).join('\n');
+}
+
+/**
+ * Analyse unused translation keys from scan results
+ */
+export function analyse(scanResult) {
+  const keys = scanResult.unusedTranslationKeys || scanResult.details?.deadCode?.unusedTranslationKeys || [];
+
+  // A computed lookup may still reach a possibly-live key
+  return keys
+    .filter(k => k.verdict !== 'possibly-live')
+    .map(k => ({
+      type: 'unused-translation-key',
+      file: k.file,
+      key: k.key,
+      locale: k.locale,
+      line: k.line,
+      reason: k.evidence?.summary,
+      confidence: 'MEDIUM',
+      autoFixable: true,
+      description: `Unused translation key: ${k.key} (${k.locale || 'unknown locale'})`
+    }));
+}
+
+/**
+ * Preview the fix without applying
+ */
+export function preview(scanResult) {
+  const issues = analyse(scanResult);
+
+  return {
+    moduleId: metadata.id,
+    issues,
+    summary: {
+      totalKeys: issues.length,
+      totalCatalogs: new Set(issues.map(i => i.file)).size,
+      note: 'Keys are removed from the catalogs in place; originals are backed up to quarantine.'
+    }
+  };
+}
+
+/**
+ * Apply the fix
+ */
+export async function fix(projectPath, scanResult, options = {}) {
+  const issues = analyse(scanResult);
+
+  if (issues.length === 0) {
+    return {
+      success: true,
+      moduleId: metadata.id,
+      fixed: [],
+      skipped: [],
+      message: 'No unused translation keys to remove'
+    };
+  }
+
+  const byFile = new Map();
+  for (const issue of issues) {
+    if (!byFile.has(issue.file)) byFile.set(issue.file, []);
+    byFile.get(issue.file).push(issue);
+  }
+
+  // Dry run mode
+  if (options.dryRun) {
+    return {
+      success: true,
+      moduleId: metadata.id,
+      dryRun: true,
+      wouldFix: [...byFile].map(([file, list]) => ({ file, keys: list.map(i => i.key) })),
+      totalKeys: issues.length
+    };
+  }
+
+  // Create quarantine session for backups
+  const session = createSession(projectPath, 'i18n-key-pruning');
+  const fixed = [];
+  const skipped = [];
+  const errors = [];
+  let totalRemoved = 0;
+
+  for (const [file, list] of byFile) {
+    const fullPath = join(projectPath, file);
+    try {
+      if (!existsSync(fullPath)) {
+        skipped.push({ file, reason: 'File not found' });
+        continue;
+      }
+      const text = readFileSync(fullPath, 'utf-8');
+      const catalogs = readCatalogs(file, text, true);
+      const wanted = new Set(list.map(i => `${i.locale}\0${i.key}`));
+      const removing = new Set(catalogs.flatMap(c => c.keys.filter(k => wanted.has(`${c.locale}\0${k.key}`))));
+      if (removing.size === 0) {
+        skipped.push({ file, reason: 'Keys no longer in the catalog' });
+        continue;
+      }
+
+      const pruned = extname(file).toLowerCase() === '.json'
+        ? pruneJson(text, [...removing].map(k => k.path))
+        : pruneYaml(text, catalogs, removing);
+
+      // Back up the original (moves it to quarantine), then write the pruned catalog
+      quarantineFile(projectPath, session.sessionId, fullPath);
+      writeFileSync(fullPath, pruned);
+      totalRemoved += removing.size;
+      fixed.push({ file, keysRemoved: removing.size });
+    } catch (error) {
+      skipped.push({ file, reason: error.message });
+      errors.push({ file, error: error.message });
+    }
+  }
+
+  return {
+    success: true,
+    moduleId: metadata.id,
+    fixed,
+    skipped,
+    errors: errors.length > 0 ? errors : undefined,
+    filesChanged: fixed.length,
+    quarantineSession: session.sessionId,
+    totalKeysRemoved: totalRemoved,
+    note: 'Original catalogs backed up to quarantine.'
+  };
+}
+
+export default { metadata, analyse, preview, fix };
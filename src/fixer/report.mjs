@@ -28,6 +28,15 @@ export function consoleReport(result, options = {}) {
     lines.push(chalk.green('\n━━━ Fix Applied ━━━\n'));
   }
 
+  if (result.island) {
+    lines.push(chalk.bold('Island: ') + `${result.island.id} ${chalk.dim(result.island.name)}`);
+    lines.push('');
+  }
+  if (result.message && !(result.deleted || []).length) {
+    lines.push(chalk.yellow(result.message));
+    lines.push('');
+  }
+
   // Deleted files
   const deleted = result.deleted || [];
   if (deleted.length > 0) {
@@ -123,6 +132,12 @@ export function consoleReport(result, options = {}) {
     lines.push('');
   }
 
+  if (result.quarantineSession) {
+    lines.push(chalk.cyan(`Quarantined in session: ${result.quarantineSession}`));
+    lines.push(chalk.dim(`  Restore with: swynx quarantine restore -s ${result.quarantineSession}`));
+    lines.push('');
+  }
+
   // Snapshot/rollback info
   if (result.snapshotId) {
     lines.push(chalk.cyan(`Snapshot created: ${result.snapshotId}`));
@@ -136,7 +151,7 @@ export function consoleReport(result, options = {}) {
   const totalBytes = deleted.reduce((sum, d) => sum + (d.size || 0), 0);
 
   lines.push(chalk.bold('Summary:'));
-  lines.push(`  ${dryRun ? 'Would remove' : 'Removed'}: ${totalRemoved} file${totalRemoved !== 1 ? 's' : ''} (${formatBytes(totalBytes)})`);
+  lines.push(`  ${dryRun ? 'Would remove' : result.quarantineSession ? 'Quarantined' : 'Removed'}: ${totalRemoved} file${totalRemoved !== 1 ? 's' : ''} (${formatBytes(totalBytes)})`);
   if (totalModified > 0) {
     lines.push(`  ${dryRun ? 'Would update' : 'Updated'}: ${totalModified} file${totalModified !== 1 ? 's' : ''}`);
   }
@@ -158,6 +173,8 @@ export function jsonReport(result, options = {}) {
     skipped: result.skipped || [],
     errors: result.errors || [],
     snapshotId: result.snapshotId,
+    ...(result.quarantineSession && { quarantineSession: result.quarantineSession }),
+    ...(result.island && { island: result.island }),
     commit: result.commit,
     summary: {
       filesRemoved: (result.deleted || []).length,
@@ -8,6 +8,8 @@ import { cleanDeadImports } from './import-cleaner.mjs';
 import { cleanBarrelExports } from './barrel-cleaner.mjs';
 import { commitFix, isGitRepo } from './git.mjs';
 import { createSnapshot, listSnapshots, restoreSnapshot } from './snapshot.mjs';
+import { createSession, quarantineFile } from './quarantine.mjs';
+import { selectIsland, islandFiles } from './islands.mjs';
 import { execSync } from 'child_process';
 
 /**
@@ -24,6 +26,8 @@ export async function unifiedFix(projectPath, scanResult, options = {}) {
     fixUnusedDeps = true,
     minConfidence = 0,
     noGitCommit = false,
+    island = null,
+    quarantine = false,
     verbose = false
   } = options;
 
@@ -48,7 +52,16 @@ export async function unifiedFix(projectPath, scanResult, options = {}) {
 
   // === Dead Code ===
   let deadFiles = [];
-  if (fixDeadCode) {
+  if (island) {
+    // One island, all of its files or none; nothing else is touched
+    const selected = selectIsland(scanResult, island);
+    const { files, rejected } = islandFiles(extractDeadFiles(scanResult), selected, f => f.confidence >= minConfidence);
+    result.island = { id: selected.id, name: selected.name, fileCount: selected.fileCount };
+    result.deadCode.skipped = rejected.map(f => ({ file: f.path, reason: 'below confidence threshold' }));
+    deadFiles = files;
+    if (verbose) console.log(`[fix] Island ${selected.id}: ${deadFiles.length} dead code files`);
+    allFilesToBackup.push(...deadFiles.map(f => f.path));
+  } else if (fixDeadCode) {
     deadFiles = extractDeadFiles(scanResult, minConfidence);
     if (verbose) console.log(`[fix] Found ${deadFiles.length} dead code files`);
     allFilesToBackup.push(...deadFiles.map(f => f.path));
@@ -56,7 +69,7 @@ export async function unifiedFix(projectPath, scanResult, options = {}) {
 
   // === Unused Assets ===
   let unusedAssets = [];
-  if (fixUnusedAssets) {
+  if (fixUnusedAssets && !island) {
     unusedAssets = extractUnusedAssets(scanResult);
     if (verbose) console.log(`[fix] Found ${unusedAssets.length} unused assets`);
     allFilesToBackup.push(...unusedAssets.map(f => f.path));
@@ -64,7 +77,7 @@ export async function unifiedFix(projectPath, scanResult, options = {}) {
 
   // === Unused Dependencies ===
   let unusedDeps = [];
-  if (fixUnusedDeps) {
+  if (fixUnusedDeps && !island) {
     unusedDeps = extractUnusedDeps(scanResult);
     if (verbose) console.log(`[fix] Found ${unusedDeps.length} unused dependencies`);
   }
@@ -112,8 +125,24 @@ export async function unifiedFix(projectPath, scanResult, options = {}) {
     }
   }
 
-  // === Delete Dead Code Files ===
-  if (deadFiles.length > 0) {
+  // === Quarantine or Delete Dead Code Files ===
+  if (deadFiles.length > 0 && quarantine) {
+    const session = createSession(projectPath, island ? `dead-island ${result.island.id}` : 'unified-fix');
+    for (const file of deadFiles) {
+      const fullPath = join(projectPath, file.path);
+      if (!existsSync(fullPath)) {
+        result.deadCode.skipped.push({ file: file.path, reason: 'File not found' });
+        continue;
+      }
+      try {
+        quarantineFile(projectPath, session.sessionId, fullPath);
+        result.deadCode.deleted.push({ file: file.path, size: file.size, quarantined: true });
+      } catch (error) {
+        result.deadCode.errors.push({ file: file.path, error: error.message });
+      }
+    }
+    result.quarantineSession = session.sessionId;
+  } else if (deadFiles.length > 0) {
     const deleteResult = await deleteFiles(projectPath, deadFiles.map(f => f.path), {
       dryRun: false,
       createBackup: false, // Already created unified snapshot
@@ -217,6 +246,7 @@ function extractDeadFiles(scanResult, minConfidence = 0) {
     .map(f => ({
       path: f.path || f.file || f.relativePath,
       size: f.size || f.sizeBytes || 0,
+      confidence: f.aiConfidence ?? f.confidence ?? 1,
       type: 'dead-code'
     }));
 }
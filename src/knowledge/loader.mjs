@@ -138,6 +138,14 @@ export function getDIContainerPatterns() {
   return loadedPatterns?.patterns?.['entry-points']?.patterns?.di_container_references?.detect_patterns || [];
 }
 
+export function getClassUsagePatterns() {
+  return loadedPatterns?.patterns?.['css-classes'] || null;
+}
+
+export function getEnvPatterns() {
+  return loadedPatterns?.patterns?.['env-vars'] || null;
+}
+
 export function resetKnowledge() {
   loadedPatterns = null;
 }
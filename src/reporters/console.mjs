@@ -58,15 +58,134 @@ function evidenceLine(file, c) {
   const ev = file.evidence;
   if (!ev) return null;
   const parts = [];
-  if (ev.entryPoints) {
+  if (ev.staleFlag || ev.stylesheet) {
+    parts.push(ev.staleFlag?.summary || ev.summary);
+  } else if (ev.entryPoints) {
     parts.push(`No code path leads to this file (checked ${ev.entryPoints.total} starting points)`);
   }
   if (ev.dynamicCheck?.matchedPattern) {
     parts.push(`May be loaded at runtime via "${ev.dynamicCheck.matchedPattern}" — worth double-checking`);
   }
+  const diffNote = diffReason(ev.diff);
+  if (diffNote) parts.push(diffNote);
   return parts.length > 0 ? `     ${c.dim(parts.join('. ') + '.')}` : null;
 }
 
+/**
+ * Why a finding is in scope for a --since / --diff scan
+ */
+function diffReason(diff) {
+  if (!diff) return null;
+  if (diff.reason === 'import-removed') return `No longer imported by ${diff.via} after this change`;
+  if (diff.reason === 'orphaned-by-change') return `Only used by ${diff.via}, which this change left unused`;
+  return null;
+}
+
+function baselineLines(baseline, c) {
+  const lines = [];
+  const source = baseline.file ? ` ${c.dim(`(${baseline.file})`)}` : '';
+  lines.push(c.bold('Baseline') + source);
+  lines.push(`  Known findings suppressed: ${c.dim(String(baseline.suppressed))}`);
+  lines.push(`  New since baseline:        ${baseline.newFindings > 0 ? c.red(String(baseline.newFindings)) : c.green('0')}`);
+  const resolved = baseline.resolved || [];
+  if (resolved.length > 0) {
+    lines.push(`  No longer present:         ${c.green(String(resolved.length))}`);
+    for (const f of resolved.slice(0, 10)) {
+      lines.push(`    ${c.dim('-')} ${f.file}${f.name ? `:${f.name}` : ''} ${c.dim(`(${f.type})`)}`);
+    }
+    if (resolved.length > 10) lines.push(`    ${c.dim(`... and ${resolved.length - 10} more`)}`);
+    lines.push(`  ${c.dim('Run')} swynx baseline ${c.dim('to tighten the baseline.')}`);
+  }
+  lines.push('');
+  return lines;
+}
+
+const PARSE_FAILURE_REASONS = {
+  timeout: 'timed out',
+  crash: 'crashed the parser',
+  error: 'parse error'
+};
+
+function memoryLine(memory, c) {
+  const peak = `${memory.peakRssMb} MB`;
+  return `  Peak memory:       ${memory.withinBudget ? c.green(peak) : c.red(peak)} ${c.dim(`(budget ${memory.budgetMb} MB)`)}`;
+}
+
+function parseFailureLines(failures, c) {
+  const lines = [];
+  lines.push(c.bold('Files that could not be parsed') + c.dim(` (${failures.length})`));
+  lines.push(c.dim('  Everything these files import is treated as used, so they never cause a false finding.'));
+  for (const f of failures.slice(0, 20)) {
+    const detail = f.message ? c.dim(` — ${f.message.split('\n')[0]}`) : '';
+    lines.push(`  ${c.yellow(f.file)} ${c.dim(`(${PARSE_FAILURE_REASONS[f.reason] || f.reason})`)}${detail}`);
+  }
+  if (failures.length > 20) lines.push(`  ${c.dim(`... and ${failures.length - 20} more`)}`);
+  lines.push('');
+  return lines;
+}
+
+function unconstrainedImportLines(imports, c) {
+  const lines = [];
+  lines.push(c.bold('Unconstrained Dynamic Imports') + c.dim(` (${imports.length})`));
+  lines.push(c.dim('  These computed paths could load any file. Files only they load may be reported as unused.'));
+  for (const d of imports.slice(0, 20)) {
+    lines.push(`  ${c.yellow(`${d.file}:${d.line}`)} ${c.dim(`${d.kind}(${d.expression})`)}`);
+  }
+  if (imports.length > 20) lines.push(`  ${c.dim(`... and ${imports.length - 20} more`)}`);
+  lines.push('');
+  return lines;
+}
+
+function libraryLines(results, c) {
+  const internal = results.unreachableFromPublicApi || [];
+  const undocumented = results.undocumentedExports || [];
+  const missing = results.missingPackageFiles || [];
+  const lines = [];
+  lines.push(c.bold('Public API') + c.dim(` (${(results.library?.packages || []).map(p => p.name).join(', ')})`));
+  if (internal.length + undocumented.length + missing.length === 0) {
+    lines.push(c.green('  \u2713 Every module is reachable from the public API, and every public symbol is documented.'));
+  }
+  for (const m of missing) {
+    lines.push(`  ${c.red('missing')} ${c.yellow(m.target)} ${c.dim(`listed in ${m.manifest} ${m.field}`)}`);
+  }
+  if (internal.length > 0) {
+    lines.push(c.dim(`  ${internal.length} module${internal.length !== 1 ? 's' : ''} the public API never reaches (only tests, scripts or other entry points use them):`));
+    for (const m of internal.slice(0, 20)) {
+      lines.push(`  ${c.yellow(m.file)} ${c.dim(`(${m.lines} lines, ${formatBytes(m.size)})`)}`);
+    }
+    if (internal.length > 20) lines.push(`  ${c.dim(`... and ${internal.length - 20} more`)}`);
+  }
+  if (undocumented.length > 0) {
+    lines.push(c.dim(`  ${undocumented.length} exported symbol${undocumented.length !== 1 ? 's' : ''} without a doc comment:`));
+    for (const u of undocumented.slice(0, 20)) {
+      const alias = u.exportedAs !== u.name ? c.dim(` (exported as ${u.exportedAs})`) : '';
+      lines.push(`  ${c.yellow(`${u.file}:${u.line}`)} ${u.name}${alias} ${c.dim(`\u2192 ${u.entry}`)}`);
+    }
+    if (undocumented.length > 20) lines.push(`  ${c.dim(`... and ${undocumented.length - 20} more`)}`);
+  }
+  lines.push('');
+  return lines;
+}
+
+function testOnlyLines(results, c) {
+  const files = results.testOnlyFiles || [];
+  const exports = results.testOnlyExports || [];
+  const lines = [];
+  lines.push(c.bold('Test-Only Code') + c.dim(' (production code that only tests use)'));
+  for (const f of files.slice(0, 20)) {
+    const by = f.evidence?.importedBy || [];
+    lines.push(`  ${c.yellow(f.file)} ${c.dim(`(${f.lines} lines, ${formatBytes(f.size)})`)}`);
+    if (by.length > 0) lines.push(c.dim(`    used by ${by.slice(0, 3).join(', ')}${by.length > 3 ? `, +${by.length - 3} more` : ''}`));
+  }
+  if (files.length > 20) lines.push(`  ${c.dim(`... and ${files.length - 20} more files`)}`);
+  for (const e of exports.slice(0, 20)) {
+    lines.push(`  ${c.yellow(`${e.file}:${e.line}`)} ${e.name} ${c.dim(`(${e.type})`)}`);
+  }
+  if (exports.length > 20) lines.push(`  ${c.dim(`... and ${exports.length - 20} more exports`)}`);
+  lines.push('');
+  return lines;
+}
+
 /**
  * @param {object} results
  * @param {object} [options]
@@ -87,8 +206,20 @@ export function report(results, options = {}) {
   const deadPct = totalFiles > 0 ? ((deadCount / totalFiles) * 100).toFixed(1) : '0.0';
   const deadBytes = deadFiles.reduce((sum, f) => sum + (f.size || 0), 0);
   const dfCount = (results.deadFunctions || []).length;
+  const ucCount = (results.unreachableCode || []).length;
+  const dmCount = (results.deadMembers || []).length;
   const ueCount = (results.unusedExports || []).reduce((sum, f) => sum + (f.deadExports || []).length, 0);
-  const cweCount = deadCount + dfCount + ueCount;
+  const utCount = (results.unusedTypes || []).length;
+  const udCount = (results.unusedDependencies || []).length;
+  const mdCount = (results.missingDependencies || []).length;
+  const upCount = (results.unusedPackages || []).length;
+  const usCount = (results.unusedSelectors || []).length;
+  const uvCount = (results.unusedEnvVars || []).length;
+  const nvCount = (results.undefinedEnvVars || []).length;
+  const ukCount = (results.unusedTranslationKeys || []).length;
+  const mkCount = (results.missingTranslationKeys || []).length;
+  const cweCount = deadCount + dfCount + ucCount + dmCount + ueCount + utCount + udCount + mdCount + upCount + usCount + uvCount + nvCount +
+    ukCount + mkCount;
   const activeFiles = reachableFiles || (totalFiles - deadCount);
 
   const lines = [];
@@ -99,13 +230,33 @@ export function report(results, options = {}) {
   lines.push('\u2550'.repeat(42));
   lines.push('');
 
+  if (results.diffScope) {
+    const ds = results.diffScope;
+    lines.push(c.dim(`  Showing findings touched by ${ds.range} (${ds.changedFiles} changed file${ds.changedFiles !== 1 ? 's' : ''}, ${ds.outOfScope} other finding${ds.outOfScope !== 1 ? 's' : ''} not shown)`));
+    lines.push('');
+  }
+
+  if (results.packageScope) {
+    const ps = results.packageScope;
+    lines.push(c.dim(`  Showing package ${ps.name} (${ps.dir}/), ${ps.outOfScope} finding${ps.outOfScope !== 1 ? 's' : ''} in other packages not shown`));
+    lines.push('');
+  }
+
   if (cweCount === 0) {
     if (totalFiles === 0) {
       lines.push(c.yellow('No source files found in this directory.'));
+    } else if (results.baseline || results.diffScope) {
+      lines.push(c.green(`\u2713 No new dead code — ${totalFiles.toLocaleString()} files scanned.`));
     } else {
       lines.push(c.green(`\u2713 All clear — ${totalFiles.toLocaleString()} files scanned, no dead code found.`));
     }
+    if (results.memory) lines.push(memoryLine(results.memory, c));
     lines.push('');
+    if (results.baseline) lines.push(...baselineLines(results.baseline, c));
+    if (results.parseFailures?.length) lines.push(...parseFailureLines(results.parseFailures, c));
+    if (results.unconstrainedDynamicImports?.length) lines.push(...unconstrainedImportLines(results.unconstrainedDynamicImports, c));
+    if (results.library) lines.push(...libraryLines(results, c));
+    if (results.testOnlyFiles?.length || results.testOnlyExports?.length) lines.push(...testOnlyLines(results, c));
     return lines.join('\n');
   }
 
@@ -113,7 +264,18 @@ export function report(results, options = {}) {
   const headlineParts = [];
   if (deadCount > 0) headlineParts.push(`${deadCount} unused file${deadCount !== 1 ? 's' : ''}`);
   if (dfCount > 0) headlineParts.push(`${dfCount} unused function${dfCount !== 1 ? 's' : ''}`);
+  if (ucCount > 0) headlineParts.push(`${ucCount} unreachable code block${ucCount !== 1 ? 's' : ''}`);
+  if (dmCount > 0) headlineParts.push(`${dmCount} unused member${dmCount !== 1 ? 's' : ''}`);
   if (ueCount > 0) headlineParts.push(`${ueCount} unused export${ueCount !== 1 ? 's' : ''}`);
+  if (utCount > 0) headlineParts.push(`${utCount} unused type${utCount !== 1 ? 's' : ''}`);
+  if (udCount > 0) headlineParts.push(`${udCount} unused dependenc${udCount !== 1 ? 'ies' : 'y'}`);
+  if (mdCount > 0) headlineParts.push(`${mdCount} missing dependenc${mdCount !== 1 ? 'ies' : 'y'}`);
+  if (upCount > 0) headlineParts.push(`${upCount} unused package${upCount !== 1 ? 's' : ''}`);
+  if (usCount > 0) headlineParts.push(`${usCount} unused CSS selector${usCount !== 1 ? 's' : ''}`);
+  if (uvCount > 0) headlineParts.push(`${uvCount} unused env var${uvCount !== 1 ? 's' : ''}`);
+  if (nvCount > 0) headlineParts.push(`${nvCount} undefined env var${nvCount !== 1 ? 's' : ''}`);
+  if (ukCount > 0) headlineParts.push(`${ukCount} unused translation key${ukCount !== 1 ? 's' : ''}`);
+  if (mkCount > 0) headlineParts.push(`${mkCount} missing translation${mkCount !== 1 ? 's' : ''}`);
   lines.push(`  ${c.bold(c.red(`${headlineParts.join(', ')} found`))}`);
   lines.push('');
 
@@ -125,12 +287,61 @@ export function report(results, options = {}) {
   if (dfCount > 0) {
     lines.push(`  Unused functions:  ${c.red(String(dfCount))}`);
   }
+  if (ucCount > 0) {
+    lines.push(`  Unreachable code:  ${c.red(String(ucCount))}`);
+  }
+  if (dmCount > 0) {
+    lines.push(`  Unused members:    ${c.red(String(dmCount))}`);
+  }
   if (ueCount > 0) {
     lines.push(`  Unused exports:    ${c.red(String(ueCount))}`);
   }
+  if (utCount > 0) {
+    lines.push(`  Unused types:      ${c.red(String(utCount))}`);
+  }
+  if (udCount > 0) {
+    lines.push(`  Unused deps:       ${c.red(String(udCount))}`);
+  }
+  if (mdCount > 0) {
+    lines.push(`  Missing deps:      ${c.red(String(mdCount))}`);
+  }
+  if (upCount > 0) {
+    lines.push(`  Unused packages:   ${c.red(String(upCount))}`);
+  }
+  if (usCount > 0) {
+    lines.push(`  Unused selectors:  ${c.red(String(usCount))}`);
+  }
+  if (uvCount > 0) {
+    lines.push(`  Unused env vars:   ${c.red(String(uvCount))}`);
+  }
+  if (nvCount > 0) {
+    lines.push(`  Undefined env:     ${c.red(String(nvCount))}`);
+  }
+  if (ukCount > 0) {
+    lines.push(`  Unused i18n keys:  ${c.red(String(ukCount))}`);
+  }
+  if (mkCount > 0) {
+    lines.push(`  Missing i18n keys: ${c.red(String(mkCount))}`);
+  }
   lines.push(`  Wasted space:      ${c.red(formatBytes(deadBytes))}`);
+  if (results.memory) lines.push(memoryLine(results.memory, c));
   lines.push('');
 
+  if (results.baseline) lines.push(...baselineLines(results.baseline, c));
+
+  // Per-package totals for a monorepo (not when scoped to one package)
+  const workspacePackages = results.packageScope ? [] : (results.workspace?.packages || []);
+  if (workspacePackages.length > 0) {
+    const width = Math.max(...workspacePackages.map(p => p.name.length), 7);
+    lines.push(c.bold('By Package'));
+    lines.push(c.dim(`  ${'Package'.padEnd(width)}  Files  Unused files  Functions  Exports`));
+    for (const pkg of workspacePackages) {
+      const row = `  ${pkg.name.padEnd(width)}  ${String(pkg.files).padStart(5)}  ${String(pkg.deadFiles).padStart(12)}  ${String(pkg.deadFunctions || 0).padStart(9)}  ${String(pkg.unusedExports || 0).padStart(7)}`;
+      lines.push(pkg.unused ? `${c.yellow(row)} ${c.dim('(unused package)')}` : row);
+    }
+    lines.push('');
+  }
+
   // What this means
   lines.push(c.dim('  These files exist in your project but nothing uses them.'));
   lines.push(c.dim('  They add clutter, slow down builds, and increase security surface area.'));
@@ -176,6 +387,40 @@ export function report(results, options = {}) {
     }
   });
 
+  // Workspace packages nothing uses
+  const unusedPackages = results.unusedPackages || [];
+  if (unusedPackages.length > 0) {
+    lines.push('');
+    lines.push(c.bold('Unused Workspace Packages'));
+    lines.push('\u2500'.repeat(25));
+    lines.push(c.dim('  No app, root code or top-level package imports these packages.'));
+    lines.push('');
+
+    unusedPackages.forEach((pkg, i) => {
+      const meta = `${pkg.files} files, ${pkg.lines} lines, ${formatBytes(pkg.size)}`;
+      const badge = pkg.verdict === 'possibly-live' ? ` ${c.yellow('[possibly live]')}` : '';
+      lines.push(`  ${c.dim(`${i + 1}.`)} ${c.yellow(pkg.name)} ${c.dim(`${pkg.dir}/ (${meta})`)}${badge}`);
+      if (pkg.evidence?.summary) lines.push(`     ${c.dim(pkg.evidence.summary)}`);
+    });
+  }
+
+  // Dead islands: groups of unused files that only import each other
+  const islands = (results.deadIslands || []).filter(i => i.fileCount > 1);
+  if (islands.length > 0) {
+    lines.push('');
+    lines.push(c.bold('Dead Islands'));
+    lines.push('\u2500'.repeat(12));
+    lines.push(c.dim('  Unused files that import each other. Each group can be removed as one unit (swynx scan --fix --island <id>).'));
+    lines.push('');
+
+    islands.forEach((island) => {
+      const meta = `${island.fileCount} files, ${island.lines} lines, ${formatBytes(island.size)}`;
+      const badge = island.verdict === 'possibly-live' ? ` ${c.yellow('[possibly live]')}` : '';
+      lines.push(`  ${c.dim(`${island.id}`)} ${c.yellow(island.name)} ${c.dim(`(${meta})`)}${badge}`);
+      if (island.evidence?.summary) lines.push(`     ${c.dim(island.evidence.summary)}`);
+    });
+  }
+
   // Dead functions
   const deadFunctions = results.deadFunctions || [];
   if (deadFunctions.length > 0) {
@@ -194,6 +439,55 @@ export function report(results, options = {}) {
     });
   }
 
+  // Statements that can never run inside live files
+  const unreachableCode = results.unreachableCode || [];
+  if (unreachableCode.length > 0) {
+    lines.push('');
+    lines.push(c.bold('Unreachable Code'));
+    lines.push('\u2500'.repeat(16));
+    lines.push(c.dim('  These files are in use, but these statements can never run.'));
+    lines.push('');
+
+    unreachableCode.forEach((u, i) => {
+      const span = u.endLine > u.line ? `lines ${u.line}-${u.endLine}` : `line ${u.line}`;
+      const where = u.function ? ` ${c.dim(`in ${u.function}()`)}` : '';
+      lines.push(`  ${c.dim(`${i + 1}.`)} ${c.yellow(u.file)} ${c.dim(span)}${where}`);
+      if (u.evidence?.summary) lines.push(`     ${c.dim(u.evidence.summary)}`);
+    });
+  }
+
+  // CSS rules nothing in the code or markup refers to
+  const unusedSelectors = results.unusedSelectors || [];
+  if (unusedSelectors.length > 0) {
+    const bytes = unusedSelectors.reduce((sum, s) => sum + (s.sizeBytes || 0), 0);
+    lines.push('');
+    lines.push(c.bold('Unused CSS Selectors'));
+    lines.push('\u2500'.repeat(20));
+    lines.push(c.dim(`  These stylesheets are in use, but no code or markup uses these rules (${formatBytes(bytes)}).`));
+    lines.push('');
+
+    unusedSelectors.forEach((s, i) => {
+      const meta = s.sizeBytes ? ` ${c.dim(`(${formatBytes(s.sizeBytes)})`)}` : '';
+      lines.push(`  ${c.dim(`${i + 1}.`)} ${c.yellow(`${s.file}:`)}${c.bold(s.selector)} ${c.dim(`line ${s.line}`)}${meta}`);
+    });
+  }
+
+  // Dead class members and object methods
+  const deadMembers = results.deadMembers || [];
+  if (deadMembers.length > 0) {
+    lines.push('');
+    lines.push(c.bold('Unused Class Members'));
+    lines.push('\u2500'.repeat(20));
+    lines.push(c.dim('  These classes and objects are in use, but these members are never referenced.'));
+    lines.push('');
+
+    deadMembers.forEach((m, i) => {
+      const kind = m.kind === 'method' ? '' : ` ${c.dim(m.static ? `static ${m.kind}` : m.kind)}`;
+      const meta = m.lineCount ? ` ${c.dim(`(${m.lineCount} lines)`)}` : '';
+      lines.push(`  ${c.dim(`${i + 1}.`)} ${c.yellow(`${m.file}:`)}${c.bold(`${m.owner}.${m.name}`)}${kind} ${c.dim(`line ${m.line}`)}${meta}`);
+    });
+  }
+
   // Unused exports (file is alive, but some of its exports are never imported)
   const unusedExports = results.unusedExports || [];
   if (unusedExports.length > 0) {
@@ -212,6 +506,148 @@ export function report(results, options = {}) {
     }
   }
 
+  // Unused types (erased at compile time — no runtime cost, but still dead)
+  const unusedTypes = results.unusedTypes || [];
+  if (unusedTypes.length > 0) {
+    lines.push('');
+    lines.push(c.bold('Unused Types'));
+    lines.push('\u2500'.repeat(12));
+    lines.push(c.dim('  These interfaces, types and enum members are never imported or referenced.'));
+    lines.push('');
+
+    unusedTypes.forEach((t, i) => {
+      const name = t.owner ? `${t.owner}.${t.name}` : t.name;
+      lines.push(`  ${c.dim(`${i + 1}.`)} ${c.yellow(`${t.file}:`)}${c.bold(name)} ${c.dim(`${t.kind}, line ${t.line}`)}`);
+    });
+  }
+
+  // Unused dependencies, grouped by the package.json that declares them
+  const unusedDeps = results.unusedDependencies || [];
+  if (unusedDeps.length > 0) {
+    lines.push('');
+    lines.push(c.bold('Unused Dependencies'));
+    lines.push('\u2500'.repeat(19));
+    lines.push(c.dim('  Declared but never imported, run from a script or named in a tool config.'));
+
+    let manifest = null;
+    unusedDeps.forEach((dep, i) => {
+      if (dep.manifest !== manifest) {
+        manifest = dep.manifest;
+        lines.push('');
+        lines.push(`  ${c.yellow(manifest)}`);
+      }
+      const deadOnly = dep.verdict === 'dead-code-only'
+        ? ` ${c.yellow(`used only by dead code (${[...new Set(dep.importedBy.map(imp => imp.file))].join(', ')})`)}`
+        : '';
+      lines.push(`  ${c.dim(`${i + 1}.`)} ${c.bold(dep.name)} ${c.dim(dep.declaredIn)}${deadOnly}`);
+    });
+  }
+
+  // Missing dependencies
+  const missingDeps = results.missingDependencies || [];
+  if (missingDeps.length > 0) {
+    lines.push('');
+    lines.push(c.bold('Missing Dependencies'));
+    lines.push('\u2500'.repeat(20));
+    lines.push(c.dim('  Imported, but no package.json that would resolve them declares them.'));
+    lines.push('');
+
+    missingDeps.forEach((dep, i) => {
+      const first = dep.importedBy[0];
+      const more = dep.importedBy.length > 1 ? c.dim(` (+${dep.importedBy.length - 1} more)`) : '';
+      lines.push(`  ${c.dim(`${i + 1}.`)} ${c.bold(dep.name)} ${c.dim(`imported at ${first.file}:${first.line}`)}${more} ${c.dim(`\u2192 ${dep.manifest}`)}${dep.deadCodeOnly ? ` ${c.yellow('(dead code only)')}` : ''}`);
+    });
+  }
+
+  // Environment variables defined in config that nothing reads
+  const unusedEnv = results.unusedEnvVars || [];
+  if (unusedEnv.length > 0) {
+    lines.push('');
+    lines.push(c.bold('Unused Environment Variables'));
+    lines.push('\u2500'.repeat(28));
+    lines.push(c.dim('  Defined, but no code, script or config reads them.'));
+    lines.push('');
+
+    unusedEnv.forEach((v, i) => {
+      const note = v.verdict === 'dead-code-only'
+        ? ` ${c.yellow(`read only by dead code (${[...new Set(v.readBy.map(r => r.file))].join(', ')})`)}`
+        : v.verdict === 'possibly-live' ? ` ${c.dim('(possibly read through a computed key)')}` : '';
+      lines.push(`  ${c.dim(`${i + 1}.`)} ${c.bold(v.name)} ${c.dim(`${v.file}:${v.line}`)}${note}`);
+    });
+  }
+
+  // Environment variables the code reads that nothing defines
+  const undefinedEnv = results.undefinedEnvVars || [];
+  if (undefinedEnv.length > 0) {
+    lines.push('');
+    lines.push(c.bold('Undefined Environment Variables'));
+    lines.push('\u2500'.repeat(31));
+    lines.push(c.dim('  Read without a default, but no .env, compose, Helm or Kubernetes config defines them.'));
+    lines.push('');
+
+    undefinedEnv.forEach((v, i) => {
+      const more = v.readBy.length > 1 ? c.dim(` (+${v.readBy.length - 1} more)`) : '';
+      lines.push(`  ${c.dim(`${i + 1}.`)} ${c.bold(v.name)} ${c.dim(`read at ${v.file}:${v.line}`)}${more}${v.deadCodeOnly ? ` ${c.yellow('(dead code only)')}` : ''}`);
+    });
+  }
+
+  // Translation keys no live code looks up, grouped by catalog
+  const unusedKeys = results.unusedTranslationKeys || [];
+  if (unusedKeys.length > 0) {
+    lines.push('');
+    lines.push(c.bold('Unused Translation Keys'));
+    lines.push('\u2500'.repeat(23));
+    lines.push(c.dim('  In a locale catalog, but no t(), $t() or <FormattedMessage> uses them.'));
+
+    let catalog = null;
+    unusedKeys.forEach((k, i) => {
+      if (k.file !== catalog) {
+        catalog = k.file;
+        lines.push('');
+        lines.push(`  ${c.yellow(catalog)}${k.locale ? ` ${c.dim(`(${k.locale})`)}` : ''}`);
+      }
+      const note = k.verdict === 'dead-code-only'
+        ? ` ${c.yellow(`used only by dead code (${[...new Set(k.usedBy.map(u => u.file))].join(', ')})`)}`
+        : k.verdict === 'possibly-live' ? ` ${c.dim('(possibly looked up with a computed key)')}` : '';
+      lines.push(`  ${c.dim(`${i + 1}.`)} ${c.bold(k.key)} ${c.dim(`line ${k.line}`)}${note}`);
+    });
+  }
+
+  // Used keys a locale does not translate
+  const missingKeys = results.missingTranslationKeys || [];
+  if (missingKeys.length > 0) {
+    lines.push('');
+    lines.push(c.bold('Missing Translations'));
+    lines.push('\u2500'.repeat(20));
+    lines.push(c.dim('  Used by live code and translated in other locales, but not in these.'));
+    lines.push('');
+
+    missingKeys.forEach((k, i) => {
+      const first = k.usedBy[0];
+      lines.push(`  ${c.dim(`${i + 1}.`)} ${c.bold(k.key)} ${c.dim(`missing from ${k.file}${k.locale ? ` (${k.locale})` : ''}, used at ${first.file}:${first.line}`)}`);
+    });
+  }
+
+  if (results.parseFailures?.length) {
+    lines.push('');
+    lines.push(...parseFailureLines(results.parseFailures, c).slice(0, -1));
+  }
+
+  if (results.unconstrainedDynamicImports?.length) {
+    lines.push('');
+    lines.push(...unconstrainedImportLines(results.unconstrainedDynamicImports, c).slice(0, -1));
+  }
+
+  if (results.library) {
+    lines.push('');
+    lines.push(...libraryLines(results, c).slice(0, -1));
+  }
+
+  if (results.testOnlyFiles?.length || results.testOnlyExports?.length) {
+    lines.push('');
+    lines.push(...testOnlyLines(results, c).slice(0, -1));
+  }
+
   // AI summary
   if (results.aiSummary) {
     const ai = results.aiSummary;
@@ -1,34 +1,77 @@
 /**
  * JSON reporter - machine-readable output.
- * Uses plain-English field names alongside technical identifiers.
+ * Emits the versioned scan result (src/api/scan-result.schema.json) as is,
+ * headed by a plain-English summary and the CWE classification.
  */
 
+import { toScanResult, RESULT_SCHEMA_VERSION } from '../api/result.mjs';
+
 /**
- * @param {object} results
+ * @param {object} results - Output of toScanResult(), or raw scanDeadCode() output
  * @param {object} [options]
  * @returns {string}
  */
 export function report(results, options = {}) {
+  if (results.schemaVersion !== RESULT_SCHEMA_VERSION) results = toScanResult(results);
   const deadFiles = results.deadFiles || [];
   const deadFunctions = results.deadFunctions || [];
+  const unreachableCode = results.unreachableCode || [];
+  const deadMembers = results.deadMembers || [];
+  const unusedTypes = results.unusedTypes || [];
+  const unusedDependencies = results.unusedDependencies || [];
+  const missingDependencies = results.missingDependencies || [];
+  const deadIslands = results.deadIslands || [];
+  const unconstrainedDynamicImports = results.unconstrainedDynamicImports || [];
+  const unusedPackages = results.unusedPackages || [];
+  const unusedSelectors = results.unusedSelectors || [];
+  const unusedEnvVars = results.unusedEnvVars || [];
+  const undefinedEnvVars = results.undefinedEnvVars || [];
+  const unusedTranslationKeys = results.unusedTranslationKeys || [];
+  const missingTranslationKeys = results.missingTranslationKeys || [];
   const unusedExports = results.unusedExports || [];
   const unusedExportCount = unusedExports.reduce((sum, f) => sum + f.deadExports.length, 0);
-  const totalUnused = deadFiles.length + deadFunctions.length + unusedExportCount;
+  const totalUnused = deadFiles.length + deadFunctions.length + unreachableCode.length + deadMembers.length + unusedExportCount + unusedTypes.length +
+    unusedDependencies.length + unusedPackages.length + unusedSelectors.length + unusedEnvVars.length +
+    unusedTranslationKeys.length;
   const totalFiles = results.totalFiles || 0;
   const deadBytes = deadFiles.reduce((sum, f) => sum + (f.size || 0), 0);
   const deadPct = totalFiles > 0 ? ((deadFiles.length / totalFiles) * 100).toFixed(1) : '0.0';
 
   const output = {
+    schemaVersion: results.schemaVersion,
     summary: {
       totalFilesScanned: totalFiles,
       activeFiles: results.reachableFiles || (totalFiles - deadFiles.length),
       unusedFiles: deadFiles.length,
       unusedFunctions: deadFunctions.length,
+      unreachableCode: unreachableCode.length,
+      unusedMembers: deadMembers.length,
       unusedExports: unusedExportCount,
+      unusedTypes: unusedTypes.length,
+      unusedDependencies: unusedDependencies.length,
+      missingDependencies: missingDependencies.length,
+      deadIslands: deadIslands.filter(i => i.fileCount > 1).length,
+      unconstrainedDynamicImports: unconstrainedDynamicImports.length,
+      unusedPackages: unusedPackages.length,
+      unusedSelectors: unusedSelectors.length,
+      unusedEnvVars: unusedEnvVars.length,
+      undefinedEnvVars: undefinedEnvVars.length,
+      unusedTranslationKeys: unusedTranslationKeys.length,
+      missingTranslationKeys: missingTranslationKeys.length,
+      ...(results.library ? {
+        unreachableFromPublicApi: (results.unreachableFromPublicApi || []).length,
+        undocumentedExports: (results.undocumentedExports || []).length,
+        missingPackageFiles: (results.missingPackageFiles || []).length,
+      } : {}),
+      ...(results.testOnlyFiles?.length || results.testOnlyExports?.length ? {
+        testOnlyFiles: results.testOnlyFiles.length,
+        testOnlyExports: (results.testOnlyExports || []).length,
+      } : {}),
       totalUnused,
       percentUnused: `${deadPct}%`,
       wastedBytes: deadBytes,
       status: totalUnused > 0 ? 'issues-found' : 'clean',
+      ...(results.memory ? { memory: results.memory } : {}),
     },
     // Technical classification (for CI/CD and compliance systems)
     classification: {
@@ -37,10 +80,11 @@ export function report(results, options = {}) {
       reference: 'https://cwe.mitre.org/data/definitions/561.html',
       severity: totalUnused > 0 ? 'warning' : 'none',
     },
+    ...results,
+    // Names these lists had before the versioned schema, kept for existing consumers
     unusedFiles: deadFiles,
     unusedFunctions: deadFunctions,
-    unusedExports,
-    languages: results.languages || {},
+    unusedMembers: deadMembers,
     ...(results.aiSummary ? { aiVerification: results.aiSummary } : {}),
   };
 
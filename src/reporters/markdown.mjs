@@ -23,6 +23,137 @@ function verdictLabel(file) {
   return `Unused ${pct}`;
 }
 
+function baselineSection(baseline) {
+  const lines = [];
+  lines.push('## Baseline');
+  lines.push('');
+  lines.push(`Compared against ${baseline.file ? `\`${baseline.file}\`` : 'a baseline'}${baseline.createdAt ? ` (created ${baseline.createdAt.slice(0, 10)})` : ''}. Only findings introduced since then are listed in this report.`);
+  lines.push('');
+  lines.push('| Metric | Count |');
+  lines.push('| ------ | ----- |');
+  lines.push(`| Known findings suppressed | ${baseline.suppressed} |`);
+  lines.push(`| New since baseline | ${baseline.newFindings} |`);
+  lines.push(`| No longer present | ${(baseline.resolved || []).length} |`);
+  if ((baseline.resolved || []).length > 0) {
+    lines.push('');
+    lines.push('Fixed since the baseline was recorded — run `swynx baseline` to tighten it:');
+    lines.push('');
+    for (const f of baseline.resolved) {
+      lines.push(`- \`${f.file}${f.name ? `:${f.name}` : ''}\` (${f.type})`);
+    }
+  }
+  lines.push('');
+  return lines;
+}
+
+const PARSE_FAILURE_REASONS = {
+  timeout: 'Timed out',
+  crash: 'Crashed the parser',
+  error: 'Parse error'
+};
+
+function parseFailureSection(failures) {
+  const lines = [];
+  lines.push('## Files That Could Not Be Parsed');
+  lines.push('');
+  lines.push('Everything these files import is treated as used, so they never cause a false finding — but their own dead code is not analysed:');
+  lines.push('');
+  lines.push('| File | Reason | Detail |');
+  lines.push('| ---- | ------ | ------ |');
+  for (const f of failures) {
+    const detail = (f.message || '').split('\n')[0].replace(/\|/g, '\\|');
+    lines.push(`| \`${f.file}\` | ${PARSE_FAILURE_REASONS[f.reason] || f.reason} | ${detail} |`);
+  }
+  lines.push('');
+  return lines;
+}
+
+function unconstrainedImportSection(imports) {
+  const lines = [];
+  lines.push('## Unconstrained Dynamic Imports');
+  lines.push('');
+  lines.push('These computed paths could load any file, so files only they load may be reported as unused:');
+  lines.push('');
+  lines.push('| Location | Expression |');
+  lines.push('| -------- | ---------- |');
+  for (const d of imports) {
+    lines.push(`| \`${d.file}:${d.line}\` | \`${d.kind}(${d.expression.replace(/\|/g, '\\|')})\` |`);
+  }
+  lines.push('');
+  return lines;
+}
+
+function librarySection(results) {
+  const internal = results.unreachableFromPublicApi || [];
+  const undocumented = results.undocumentedExports || [];
+  const missing = results.missingPackageFiles || [];
+  const lines = [];
+  lines.push('## Public API');
+  lines.push('');
+  lines.push(`Library mode: checked against the public API of ${(results.library?.packages || []).map(p => `\`${p.name}\``).join(', ')}.`);
+  lines.push('');
+  if (internal.length + undocumented.length + missing.length === 0) {
+    lines.push('Every module is reachable from the public API, and every public symbol is documented.');
+    lines.push('');
+  }
+  if (missing.length > 0) {
+    lines.push('**Missing package files** — listed in package.json but neither the file nor its source exists:');
+    lines.push('');
+    lines.push('| Manifest | Field | Path |');
+    lines.push('| -------- | ----- | ---- |');
+    for (const m of missing) lines.push(`| \`${m.manifest}\` | \`${m.field}\` | \`${m.target}\` |`);
+    lines.push('');
+  }
+  if (internal.length > 0) {
+    lines.push('**Modules outside the public API** — only tests, scripts or other entry points use them:');
+    lines.push('');
+    lines.push('| File | Lines | Size |');
+    lines.push('| ---- | ----- | ---- |');
+    for (const m of internal) lines.push(`| \`${m.file}\` | ${m.lines} | ${formatBytes(m.size)} |`);
+    lines.push('');
+  }
+  if (undocumented.length > 0) {
+    lines.push('**Undocumented exports** — no doc comment on the declaration:');
+    lines.push('');
+    lines.push('| Symbol | Declared at | Entry |');
+    lines.push('| ------ | ----------- | ----- |');
+    for (const u of undocumented) {
+      const name = u.exportedAs !== u.name ? `${u.exportedAs} (${u.name})` : u.name;
+      lines.push(`| \`${name}\` | \`${u.file}:${u.line}\` | \`${u.entry}\` |`);
+    }
+    lines.push('');
+  }
+  return lines;
+}
+
+function testOnlySection(results) {
+  const files = results.testOnlyFiles || [];
+  const exports = results.testOnlyExports || [];
+  const lines = [];
+  lines.push('## Test-Only Code');
+  lines.push('');
+  lines.push('Production code that only tests reach. It stays live because tests are entry points.');
+  lines.push('');
+  if (files.length > 0) {
+    lines.push('| File | Lines | Size | Used by |');
+    lines.push('| ---- | ----- | ---- | ------- |');
+    for (const f of files) {
+      const by = f.evidence?.importedBy || [];
+      lines.push(`| \`${f.file}\` | ${f.lines} | ${formatBytes(f.size)} | ${by.map(b => `\`${b}\``).join(', ')} |`);
+    }
+    lines.push('');
+  }
+  if (exports.length > 0) {
+    lines.push('| Export | Declared at | Used by |');
+    lines.push('| ------ | ----------- | ------- |');
+    for (const e of exports) {
+      lines.push(`| \`${e.name}\` | \`${e.file}:${e.line}\` | ${(e.evidence?.importedBy || []).map(b => `\`${b}\``).join(', ')} |`);
+    }
+    lines.push('');
+  }
+  return lines;
+}
+
 /**
  * @param {object} results
  * @param {object} [options]
@@ -40,8 +171,20 @@ export function report(results, options = {}) {
   const deadPct = totalFiles > 0 ? ((deadCount / totalFiles) * 100).toFixed(1) : '0.0';
   const deadBytes = deadFiles.reduce((sum, f) => sum + (f.size || 0), 0);
   const dfCount = (results.deadFunctions || []).length;
+  const ucCount = (results.unreachableCode || []).length;
+  const dmCount = (results.deadMembers || []).length;
   const ueCount = (results.unusedExports || []).reduce((sum, f) => sum + (f.deadExports || []).length, 0);
-  const cweCount = deadCount + dfCount + ueCount;
+  const utCount = (results.unusedTypes || []).length;
+  const udCount = (results.unusedDependencies || []).length;
+  const mdCount = (results.missingDependencies || []).length;
+  const upCount = (results.unusedPackages || []).length;
+  const usCount = (results.unusedSelectors || []).length;
+  const uvCount = (results.unusedEnvVars || []).length;
+  const nvCount = (results.undefinedEnvVars || []).length;
+  const ukCount = (results.unusedTranslationKeys || []).length;
+  const mkCount = (results.missingTranslationKeys || []).length;
+  const cweCount = deadCount + dfCount + ucCount + dmCount + ueCount + utCount + udCount + mdCount + upCount + usCount + uvCount + nvCount +
+    ukCount + mkCount;
   const activeFiles = reachableFiles || (totalFiles - deadCount);
 
   const lines = [];
@@ -49,13 +192,36 @@ export function report(results, options = {}) {
   lines.push('# Swynx Dead Code Report');
   lines.push('');
 
+  if (results.diffScope) {
+    const ds = results.diffScope;
+    lines.push(`_Showing findings touched by \`${ds.range}\` (${ds.changedFiles} changed files, ${ds.outOfScope} other findings not shown)._`);
+    lines.push('');
+  }
+
+  if (results.packageScope) {
+    const ps = results.packageScope;
+    lines.push(`_Showing package \`${ps.name}\` (\`${ps.dir}/\`), ${ps.outOfScope} findings in other packages not shown._`);
+    lines.push('');
+  }
+
   if (cweCount === 0 && deadCount === 0) {
     if (totalFiles === 0) {
       lines.push('> No source files found in this directory.');
+    } else if (results.baseline || results.diffScope) {
+      lines.push(`> **No new dead code** — ${totalFiles.toLocaleString()} files scanned.`);
     } else {
       lines.push(`> **All clear** — ${totalFiles.toLocaleString()} files scanned, no dead code found.`);
     }
     lines.push('');
+    if (results.memory) {
+      lines.push(`Peak memory ${results.memory.peakRssMb} MB (budget ${results.memory.budgetMb} MB).`);
+      lines.push('');
+    }
+    if (results.baseline) lines.push(...baselineSection(results.baseline));
+    if (results.parseFailures?.length) lines.push(...parseFailureSection(results.parseFailures));
+    if (results.unconstrainedDynamicImports?.length) lines.push(...unconstrainedImportSection(results.unconstrainedDynamicImports));
+    if (results.library) lines.push(...librarySection(results));
+    if (results.testOnlyFiles?.length || results.testOnlyExports?.length) lines.push(...testOnlySection(results));
     return lines.join('\n');
   }
 
@@ -63,7 +229,18 @@ export function report(results, options = {}) {
   const mdHeadline = [];
   if (deadCount > 0) mdHeadline.push(`${deadCount} unused file${deadCount !== 1 ? 's' : ''}`);
   if (dfCount > 0) mdHeadline.push(`${dfCount} unused function${dfCount !== 1 ? 's' : ''}`);
+  if (ucCount > 0) mdHeadline.push(`${ucCount} unreachable code block${ucCount !== 1 ? 's' : ''}`);
+  if (dmCount > 0) mdHeadline.push(`${dmCount} unused member${dmCount !== 1 ? 's' : ''}`);
   if (ueCount > 0) mdHeadline.push(`${ueCount} unused export${ueCount !== 1 ? 's' : ''}`);
+  if (utCount > 0) mdHeadline.push(`${utCount} unused type${utCount !== 1 ? 's' : ''}`);
+  if (udCount > 0) mdHeadline.push(`${udCount} unused dependenc${udCount !== 1 ? 'ies' : 'y'}`);
+  if (mdCount > 0) mdHeadline.push(`${mdCount} missing dependenc${mdCount !== 1 ? 'ies' : 'y'}`);
+  if (upCount > 0) mdHeadline.push(`${upCount} unused package${upCount !== 1 ? 's' : ''}`);
+  if (usCount > 0) mdHeadline.push(`${usCount} unused CSS selector${usCount !== 1 ? 's' : ''}`);
+  if (uvCount > 0) mdHeadline.push(`${uvCount} unused env var${uvCount !== 1 ? 's' : ''}`);
+  if (nvCount > 0) mdHeadline.push(`${nvCount} undefined env var${nvCount !== 1 ? 's' : ''}`);
+  if (ukCount > 0) mdHeadline.push(`${ukCount} unused translation key${ukCount !== 1 ? 's' : ''}`);
+  if (mkCount > 0) mdHeadline.push(`${mkCount} missing translation${mkCount !== 1 ? 's' : ''}`);
   lines.push(`> **${mdHeadline.join(', ')} found**${deadCount > 0 ? ` — ${deadPct}% of your codebase is not being used` : ''}`);
   lines.push('');
 
@@ -84,14 +261,64 @@ export function report(results, options = {}) {
   if (dfCount > 0) {
     lines.push(`| **Unused functions** | **${dfCount}** |`);
   }
+  if (ucCount > 0) {
+    lines.push(`| **Unreachable code** | **${ucCount}** |`);
+  }
+  if (dmCount > 0) {
+    lines.push(`| **Unused members** | **${dmCount}** |`);
+  }
   if (ueCount > 0) {
     lines.push(`| **Unused exports** | **${ueCount}** |`);
   }
+  if (utCount > 0) {
+    lines.push(`| **Unused types** | **${utCount}** |`);
+  }
+  if (udCount > 0) {
+    lines.push(`| **Unused dependencies** | **${udCount}** |`);
+  }
+  if (mdCount > 0) {
+    lines.push(`| **Missing dependencies** | **${mdCount}** |`);
+  }
+  if (upCount > 0) {
+    lines.push(`| **Unused packages** | **${upCount}** |`);
+  }
+  if (usCount > 0) {
+    lines.push(`| **Unused CSS selectors** | **${usCount}** |`);
+  }
+  if (uvCount > 0) {
+    lines.push(`| **Unused env vars** | **${uvCount}** |`);
+  }
+  if (nvCount > 0) {
+    lines.push(`| **Undefined env vars** | **${nvCount}** |`);
+  }
+  if (ukCount > 0) {
+    lines.push(`| **Unused translation keys** | **${ukCount}** |`);
+  }
+  if (mkCount > 0) {
+    lines.push(`| **Missing translations** | **${mkCount}** |`);
+  }
   lines.push(`| Wasted space | ${formatBytes(deadBytes)} |`);
+  if (results.memory) {
+    lines.push(`| Peak memory | ${results.memory.peakRssMb} MB (budget ${results.memory.budgetMb} MB${results.memory.withinBudget ? '' : ', **exceeded**'}) |`);
+  }
   lines.push('');
   lines.push(`> *Classification: [CWE-561](https://cwe.mitre.org/data/definitions/561.html) — dead code that can never be executed.*`);
   lines.push('');
 
+  // Per-package totals for a monorepo (not when scoped to one package)
+  const workspacePackages = results.packageScope ? [] : (results.workspace?.packages || []);
+  if (workspacePackages.length > 0) {
+    lines.push('## By Package');
+    lines.push('');
+    lines.push('| Package | Directory | Files | Unused files | Unused functions | Unused exports |');
+    lines.push('| ------- | --------- | ----- | ------------ | ---------------- | -------------- |');
+    for (const pkg of workspacePackages) {
+      const name = pkg.unused ? `\`${pkg.name}\` _(unused)_` : `\`${pkg.name}\``;
+      lines.push(`| ${name} | \`${pkg.dir}\` | ${pkg.files} | ${pkg.deadFiles} (${pkg.deadRate}) | ${pkg.deadFunctions || 0} | ${pkg.unusedExports || 0} |`);
+    }
+    lines.push('');
+  }
+
   // Findings table
   lines.push('## Unused Files');
   lines.push('');
@@ -123,8 +350,12 @@ export function report(results, options = {}) {
       if (file.evidence) {
         const ev = file.evidence;
         const evParts = [];
-        if (ev.entryPoints) evParts.push(`No code path reaches this file (checked ${ev.entryPoints.total} starting points)`);
+        if (ev.staleFlag) evParts.push(ev.staleFlag.summary);
+        else if (ev.stylesheet) evParts.push(ev.summary);
+        else if (ev.entryPoints) evParts.push(`No code path reaches this file (checked ${ev.entryPoints.total} starting points)`);
         if (ev.dynamicCheck?.matchedPattern) evParts.push(`May be loaded at runtime via "${ev.dynamicCheck.matchedPattern}"`);
+        if (ev.diff?.reason === 'import-removed') evParts.push(`No longer imported by \`${ev.diff.via}\` after this change`);
+        if (ev.diff?.reason === 'orphaned-by-change') evParts.push(`Only used by \`${ev.diff.via}\`, which this change left unused`);
         if (ev.confidence?.score != null) evParts.push(`Confidence: ${Math.round(ev.confidence.score * 100)}%`);
         if (evParts.length > 0) {
           lines.push(`   - ${evParts.join('. ')}`);
@@ -149,6 +380,39 @@ export function report(results, options = {}) {
     lines.push('</details>');
   }
 
+  // Workspace packages nothing uses
+  const mdUnusedPackages = results.unusedPackages || [];
+  if (mdUnusedPackages.length > 0) {
+    lines.push('');
+    lines.push('## Unused Workspace Packages');
+    lines.push('');
+    lines.push('No app, root code or top-level package imports these packages:');
+    lines.push('');
+    lines.push('| Package | Directory | Files | Lines | Size | Why |');
+    lines.push('| ------- | --------- | ----- | ----- | ---- | --- |');
+
+    for (const pkg of mdUnusedPackages) {
+      lines.push(`| \`${pkg.name}\` | \`${pkg.dir}\` | ${pkg.files} | ${pkg.lines} | ${formatBytes(pkg.size)} | ${pkg.evidence?.summary || ''} |`);
+    }
+  }
+
+  // Dead islands
+  const islands = (results.deadIslands || []).filter(i => i.fileCount > 1);
+  if (islands.length > 0) {
+    lines.push('');
+    lines.push('## Dead Islands');
+    lines.push('');
+    lines.push('Unused files that import each other. Each group can be removed as one unit with `swynx scan --fix --island <id>`:');
+    lines.push('');
+    lines.push('| Island | Directory | Root files | Files | Lines | Size |');
+    lines.push('| ------ | --------- | ---------- | ----- | ----- | ---- |');
+
+    for (const island of islands) {
+      const roots = island.roots.length ? island.roots.map(r => `\`${r}\``).join(', ') : '_import cycle_';
+      lines.push(`| ${island.id} | \`${island.directory}\` | ${roots} | ${island.fileCount} | ${island.lines} | ${formatBytes(island.size)} |`);
+    }
+  }
+
   // Dead functions
   const deadFunctions = results.deadFunctions || [];
   if (deadFunctions.length > 0) {
@@ -165,6 +429,180 @@ export function report(results, options = {}) {
     });
   }
 
+  // Statements that can never run inside live files
+  const unreachableCode = results.unreachableCode || [];
+  if (unreachableCode.length > 0) {
+    lines.push('');
+    lines.push('## Unreachable Code');
+    lines.push('');
+    lines.push('These files are in use, but these statements can never run:');
+    lines.push('');
+    lines.push('| # | File | Lines | Function | Why |');
+    lines.push('| - | ---- | ----- | -------- | --- |');
+
+    unreachableCode.forEach((u, i) => {
+      const span = u.endLine > u.line ? `${u.line}-${u.endLine}` : `${u.line}`;
+      const why = (u.evidence?.summary || u.reason).replace(/\|/g, '\\|');
+      lines.push(`| ${i + 1} | \`${u.file}\` | ${span} | ${u.function ? `\`${u.function}\`` : '(module)'} | ${why} |`);
+    });
+  }
+
+  // CSS rules nothing in the code or markup refers to
+  const unusedSelectors = results.unusedSelectors || [];
+  if (unusedSelectors.length > 0) {
+    lines.push('');
+    lines.push('## Unused CSS Selectors');
+    lines.push('');
+    lines.push('These stylesheets are in use, but no code or markup uses these rules:');
+    lines.push('');
+    lines.push('| # | Selector | File | Line | Size |');
+    lines.push('| - | -------- | ---- | ---- | ---- |');
+
+    unusedSelectors.forEach((s, i) => {
+      lines.push(`| ${i + 1} | \`${s.selector.replace(/\|/g, '\\|')}\` | \`${s.file}\` | ${s.line} | ${formatBytes(s.sizeBytes || 0)} |`);
+    });
+  }
+
+  // Dead class members and object methods
+  const deadMembers = results.deadMembers || [];
+  if (deadMembers.length > 0) {
+    lines.push('');
+    lines.push('## Unused Class Members');
+    lines.push('');
+    lines.push('These classes and objects are in use, but these members are never referenced:');
+    lines.push('');
+    lines.push('| # | Member | Kind | File | Line |');
+    lines.push('| - | ------ | ---- | ---- | ---- |');
+
+    deadMembers.forEach((m, i) => {
+      lines.push(`| ${i + 1} | \`${m.owner}.${m.name}\` | ${m.static ? `static ${m.kind}` : m.kind} | \`${m.file}\` | ${m.line || '?'} |`);
+    });
+  }
+
+  // Unused types
+  const mdUnusedTypes = results.unusedTypes || [];
+  if (mdUnusedTypes.length > 0) {
+    lines.push('');
+    lines.push('## Unused Types');
+    lines.push('');
+    lines.push('These interfaces, types and enum members are never imported or referenced:');
+    lines.push('');
+    lines.push('| # | Type | Kind | File | Line |');
+    lines.push('| - | ---- | ---- | ---- | ---- |');
+
+    mdUnusedTypes.forEach((t, i) => {
+      lines.push(`| ${i + 1} | \`${t.owner ? `${t.owner}.${t.name}` : t.name}\` | ${t.kind} | \`${t.file}\` | ${t.line || '?'} |`);
+    });
+  }
+
+  // Unused and missing dependencies
+  const mdUnusedDeps = results.unusedDependencies || [];
+  if (mdUnusedDeps.length > 0) {
+    lines.push('');
+    lines.push('## Unused Dependencies');
+    lines.push('');
+    lines.push('Declared in package.json but never imported, run from a script or named in a tool config:');
+    lines.push('');
+    lines.push('| # | Package | Declared in | Manifest | Note |');
+    lines.push('| - | ------- | ----------- | -------- | ---- |');
+
+    mdUnusedDeps.forEach((dep, i) => {
+      const note = dep.verdict === 'dead-code-only'
+        ? `Used only by dead code (${[...new Set(dep.importedBy.map(imp => `\`${imp.file}\``))].join(', ')})`
+        : '';
+      lines.push(`| ${i + 1} | \`${dep.name}\` | ${dep.declaredIn} | \`${dep.manifest}\`${dep.line ? `:${dep.line}` : ''} | ${note} |`);
+    });
+  }
+
+  const mdMissingDeps = results.missingDependencies || [];
+  if (mdMissingDeps.length > 0) {
+    lines.push('');
+    lines.push('## Missing Dependencies');
+    lines.push('');
+    lines.push('Imported, but declared in no package.json that would resolve them:');
+    lines.push('');
+    lines.push('| # | Package | Imported at | Add to |');
+    lines.push('| - | ------- | ----------- | ------ |');
+
+    mdMissingDeps.forEach((dep, i) => {
+      const sites = dep.importedBy.slice(0, 3).map(imp => `\`${imp.file}:${imp.line}\``).join(', ');
+      const more = dep.importedBy.length > 3 ? ` (+${dep.importedBy.length - 3} more)` : '';
+      lines.push(`| ${i + 1} | \`${dep.name}\` | ${sites}${more} | \`${dep.manifest}\` |`);
+    });
+  }
+
+  // Unused and undefined environment variables
+  const mdUnusedEnv = results.unusedEnvVars || [];
+  if (mdUnusedEnv.length > 0) {
+    lines.push('');
+    lines.push('## Unused Environment Variables');
+    lines.push('');
+    lines.push('Defined in .env, docker-compose, Helm or Kubernetes config, but no code, script or config reads them:');
+    lines.push('');
+    lines.push('| # | Variable | Defined in | Source | Note |');
+    lines.push('| - | -------- | ---------- | ------ | ---- |');
+
+    mdUnusedEnv.forEach((v, i) => {
+      const note = v.verdict === 'dead-code-only'
+        ? `Read only by dead code (${[...new Set(v.readBy.map(r => `\`${r.file}\``))].join(', ')})`
+        : v.verdict === 'possibly-live' ? 'Possibly read through a computed key' : '';
+      lines.push(`| ${i + 1} | \`${v.name}\` | \`${v.file}:${v.line}\` | ${v.source} | ${note} |`);
+    });
+  }
+
+  const mdUndefinedEnv = results.undefinedEnvVars || [];
+  if (mdUndefinedEnv.length > 0) {
+    lines.push('');
+    lines.push('## Undefined Environment Variables');
+    lines.push('');
+    lines.push('Read without a default, but no .env, docker-compose, Helm or Kubernetes config defines them:');
+    lines.push('');
+    lines.push('| # | Variable | Read at | Note |');
+    lines.push('| - | -------- | ------- | ---- |');
+
+    mdUndefinedEnv.forEach((v, i) => {
+      const sites = v.readBy.slice(0, 3).map(r => `\`${r.file}:${r.line}\``).join(', ');
+      const more = v.readBy.length > 3 ? ` (+${v.readBy.length - 3} more)` : '';
+      lines.push(`| ${i + 1} | \`${v.name}\` | ${sites}${more} | ${v.deadCodeOnly ? 'Dead code only' : ''} |`);
+    });
+  }
+
+  // Unused and missing translation keys
+  const mdUnusedKeys = results.unusedTranslationKeys || [];
+  if (mdUnusedKeys.length > 0) {
+    lines.push('');
+    lines.push('## Unused Translation Keys');
+    lines.push('');
+    lines.push('In a locale catalog, but no t(), $t(), <FormattedMessage> or i18nKey lookup uses them:');
+    lines.push('');
+    lines.push('| # | Key | Locale | Catalog | Note |');
+    lines.push('| - | --- | ------ | ------- | ---- |');
+
+    mdUnusedKeys.forEach((k, i) => {
+      const note = k.verdict === 'dead-code-only'
+        ? `Used only by dead code (${[...new Set(k.usedBy.map(u => `\`${u.file}\``))].join(', ')})`
+        : k.verdict === 'possibly-live' ? 'Possibly looked up with a computed key' : '';
+      lines.push(`| ${i + 1} | \`${k.key}\` | ${k.locale || ''} | \`${k.file}:${k.line}\` | ${note} |`);
+    });
+  }
+
+  const mdMissingKeys = results.missingTranslationKeys || [];
+  if (mdMissingKeys.length > 0) {
+    lines.push('');
+    lines.push('## Missing Translations');
+    lines.push('');
+    lines.push('Used by live code and translated in other locales, but missing from these:');
+    lines.push('');
+    lines.push('| # | Key | Locale | Catalog | Used at |');
+    lines.push('| - | --- | ------ | ------- | ------- |');
+
+    mdMissingKeys.forEach((k, i) => {
+      const sites = k.usedBy.slice(0, 3).map(u => `\`${u.file}:${u.line}\``).join(', ');
+      const more = k.usedBy.length > 3 ? ` (+${k.usedBy.length - 3} more)` : '';
+      lines.push(`| ${i + 1} | \`${k.key}\` | ${k.locale || ''} | \`${k.file}\` | ${sites}${more} |`);
+    });
+  }
+
   // Unused exports
   const mdUnusedExports = results.unusedExports || [];
   if (mdUnusedExports.length > 0) {
@@ -184,6 +622,31 @@ export function report(results, options = {}) {
     }
   }
 
+  if (results.baseline) {
+    lines.push('');
+    lines.push(...baselineSection(results.baseline).slice(0, -1));
+  }
+
+  if (results.parseFailures?.length) {
+    lines.push('');
+    lines.push(...parseFailureSection(results.parseFailures).slice(0, -1));
+  }
+
+  if (results.unconstrainedDynamicImports?.length) {
+    lines.push('');
+    lines.push(...unconstrainedImportSection(results.unconstrainedDynamicImports).slice(0, -1));
+  }
+
+  if (results.library) {
+    lines.push('');
+    lines.push(...librarySection(results).slice(0, -1));
+  }
+
+  if (results.testOnlyFiles?.length || results.testOnlyExports?.length) {
+    lines.push('');
+    lines.push(...testOnlySection(results).slice(0, -1));
+  }
+
   // AI summary
   if (results.aiSummary) {
     const ai = results.aiSummary;
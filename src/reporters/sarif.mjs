@@ -1,6 +1,7 @@
 /**
  * SARIF v2.1.0 reporter - for CI/CD integration (GitHub Code Scanning, etc.)
- * Maps all dead code findings to CWE-561 using the SARIF taxonomy system.
+ * Maps all dead code findings to CWE-561 using the SARIF taxonomy system;
+ * unused dependencies map to CWE-1164 (Irrelevant Code).
  */
 
 /**
@@ -9,7 +10,12 @@
  * @returns {string}
  */
 export function report(results, options = {}) {
-  const { deadFiles = [], deadFunctions = [], unusedExports = [] } = results;
+  const { deadFiles = [], deadFunctions = [], unreachableCode = [], deadMembers = [], unusedTypes = [], unusedExports = [] } = results;
+  const { unusedDependencies = [], missingDependencies = [], unusedPackages = [] } = results;
+  const { unreachableFromPublicApi = [], undocumentedExports = [], missingPackageFiles = [] } = results;
+  const { testOnlyFiles = [], testOnlyExports = [] } = results;
+  const { unusedSelectors = [], unusedEnvVars = [], undefinedEnvVars = [] } = results;
+  const { unusedTranslationKeys = [], missingTranslationKeys = [] } = results;
 
   const sarif = {
     $schema: 'https://raw.githubusercontent.com/oasis-tcs/sarif-spec/main/sarif-2.1/schema/sarif-schema-2.1.0.json',
@@ -101,132 +107,903 @@ export function report(results, options = {}) {
                 },
               },
               {
-                id: 'swynx/unused-export',
+                id: 'swynx/unreachable-code',
                 shortDescription: {
-                  text: 'CWE-561: Unused export detected',
+                  text: 'CWE-561: Unreachable statements detected',
+                },
+                fullDescription: {
+                  text: 'Statements inside a live file that can never run: code after return, throw, break, continue or a loop that never exits, a branch behind a constant condition, or a switch case an earlier case already matches. This is a CWE-561 (Dead Code) security weakness.',
+                },
+                defaultConfiguration: {
+                  level: 'warning',
+                },
+                relationships: [
+                  {
+                    target: {
+                      id: '561',
+                      guid: 'cwe-561',
+                      toolComponent: { name: 'CWE' },
+                    },
+                    kinds: ['superset'],
+                  },
+                ],
+                helpUri: 'https://cwe.mitre.org/data/definitions/561.html',
+                properties: {
+                  tags: ['security', 'CWE-561', 'dead-code'],
+                },
+              },
+              {
+                id: 'swynx/unused-selector',
+                shortDescription: {
+                  text: 'CWE-561: Unused CSS selector detected',
+                },
+                fullDescription: {
+                  text: 'A CSS rule in a stylesheet that is in use, whose class or id selectors no code or markup refers to. This is a CWE-561 (Dead Code) security weakness.',
+                },
+                defaultConfiguration: {
+                  level: 'note',
+                },
+                relationships: [
+                  {
+                    target: {
+                      id: '561',
+                      guid: 'cwe-561',
+                      toolComponent: { name: 'CWE' },
+                    },
+                    kinds: ['superset'],
+                  },
+                ],
+                helpUri: 'https://cwe.mitre.org/data/definitions/561.html',
+                properties: {
+                  tags: ['security', 'CWE-561', 'dead-code', 'css'],
+                },
+              },
+              {
+                id: 'swynx/unused-member',
+                shortDescription: {
+                  text: 'CWE-561: Unused class member detected',
+                },
+                fullDescription: {
+                  text: 'A method, accessor, field or static member of a class (or a method of a module-local object) that is never referenced anywhere in the project, although its class is in use. This is a CWE-561 (Dead Code) security weakness.',
+                },
+                defaultConfiguration: {
+                  level: 'note',
+                },
+                relationships: [
+                  {
+                    target: {
+                      id: '561',
+                      guid: 'cwe-561',
+                      toolComponent: { name: 'CWE' },
+                    },
+                    kinds: ['superset'],
+                  },
+                ],
+                helpUri: 'https://cwe.mitre.org/data/definitions/561.html',
+                properties: {
+                  tags: ['security', 'CWE-561', 'dead-code'],
+                },
+              },
+              {
+                id: 'swynx/unused-type',
+                shortDescription: {
+                  text: 'CWE-561: Unused type detected',
+                },
+                fullDescription: {
+                  text: 'An exported interface, type alias or const enum that is never imported, or an enum member that is never referenced. Types are erased at compile time, so this is dead declaration code rather than dead runtime code. This is a CWE-561 (Dead Code) security weakness.',
+                },
+                defaultConfiguration: {
+                  level: 'note',
+                },
+                relationships: [
+                  {
+                    target: {
+                      id: '561',
+                      guid: 'cwe-561',
+                      toolComponent: { name: 'CWE' },
+                    },
+                    kinds: ['superset'],
+                  },
+                ],
+                helpUri: 'https://cwe.mitre.org/data/definitions/561.html',
+                properties: {
+                  tags: ['security', 'CWE-561', 'dead-code'],
+                },
+              },
+              {
+                id: 'swynx/unused-dependency',
+                shortDescription: {
+                  text: 'CWE-1164: Unused dependency detected',
+                },
+                fullDescription: {
+                  text: 'A package declared in package.json (dependencies or devDependencies) that no file of the package imports, no script runs and no tool config names — or that only dead files import. It is installed and shipped for nothing. This is a CWE-1164 (Irrelevant Code) weakness.',
+                },
+                defaultConfiguration: {
+                  level: 'note',
+                },
+                relationships: [
+                  {
+                    target: {
+                      id: '1164',
+                      guid: 'cwe-1164',
+                      toolComponent: { name: 'CWE' },
+                    },
+                    kinds: ['superset'],
+                  },
+                ],
+                helpUri: 'https://cwe.mitre.org/data/definitions/1164.html',
+                properties: {
+                  tags: ['CWE-1164', 'dependencies'],
+                },
+              },
+              {
+                id: 'swynx/missing-dependency',
+                shortDescription: {
+                  text: 'Imported package is not declared',
+                },
+                fullDescription: {
+                  text: 'A package is imported but declared in no package.json that would resolve it. It only works while another package happens to install it.',
+                },
+                defaultConfiguration: {
+                  level: 'warning',
+                },
+                properties: {
+                  tags: ['dependencies'],
+                },
+              },
+              {
+                id: 'swynx/unused-env-var',
+                shortDescription: {
+                  text: 'CWE-1164: Unused environment variable detected',
+                },
+                fullDescription: {
+                  text: 'An environment variable defined in a .env file, docker-compose, Helm values or a Kubernetes manifest that no code, script or config reads — or that only dead files read. This is a CWE-1164 (Irrelevant Code) weakness.',
+                },
+                defaultConfiguration: {
+                  level: 'note',
+                },
+                relationships: [
+                  {
+                    target: {
+                      id: '1164',
+                      guid: 'cwe-1164',
+                      toolComponent: { name: 'CWE' },
+                    },
+                    kinds: ['superset'],
+                  },
+                ],
+                helpUri: 'https://cwe.mitre.org/data/definitions/1164.html',
+                properties: {
+                  tags: ['config', 'environment'],
+                },
+              },
+              {
+                id: 'swynx/undefined-env-var',
+                shortDescription: {
+                  text: 'Environment variable is read but never defined',
+                },
+                fullDescription: {
+                  text: 'Code reads an environment variable without a default, but no .env file, docker-compose, Helm values or Kubernetes manifest defines it. It is unset unless something outside the repository provides it.',
+                },
+                defaultConfiguration: {
+                  level: 'warning',
+                },
+                properties: {
+                  tags: ['config', 'environment'],
+                },
+              },
+              {
+                id: 'swynx/unused-translation-key',
+                shortDescription: {
+                  text: 'CWE-1164: Unused translation key detected',
+                },
+                fullDescription: {
+                  text: 'A message in an i18next, react-intl or vue-i18n locale catalog that no t(), $t(), <FormattedMessage> or i18nKey lookup uses — or that only dead files use. It is translated and shipped for nothing. This is a CWE-1164 (Irrelevant Code) weakness.',
+                },
+                defaultConfiguration: {
+                  level: 'note',
+                },
+                relationships: [
+                  {
+                    target: {
+                      id: '1164',
+                      guid: 'cwe-1164',
+                      toolComponent: { name: 'CWE' },
+                    },
+                    kinds: ['superset'],
+                  },
+                ],
+                helpUri: 'https://cwe.mitre.org/data/definitions/1164.html',
+                properties: {
+                  tags: ['i18n'],
+                },
+              },
+              {
+                id: 'swynx/missing-translation',
+                shortDescription: {
+                  text: 'Translation key is missing from a locale',
+                },
+                fullDescription: {
+                  text: 'Live code looks up a key that other locales of the same catalog translate but this locale does not. Users of this locale see the fallback or the raw key.',
+                },
+                defaultConfiguration: {
+                  level: 'warning',
+                },
+                properties: {
+                  tags: ['i18n'],
+                },
+              },
+              {
+                id: 'swynx/unused-package',
+                shortDescription: {
+                  text: 'CWE-561: Unused workspace package detected',
+                },
+                fullDescription: {
+                  text: 'A monorepo workspace package that no app, root code or top-level package imports. Its files may still look live because the package entry point is treated as a root, but nothing in the repository uses the package. This is a CWE-561 (Dead Code) security weakness.',
+                },
+                defaultConfiguration: {
+                  level: 'warning',
+                },
+                relationships: [
+                  {
+                    target: {
+                      id: '561',
+                      guid: 'cwe-561',
+                      toolComponent: { name: 'CWE' },
+                    },
+                    kinds: ['superset'],
+                  },
+                ],
+                helpUri: 'https://cwe.mitre.org/data/definitions/561.html',
+                properties: {
+                  tags: ['security', 'CWE-561', 'dead-code', 'monorepo'],
+                },
+              },
+              {
+                id: 'swynx/unreachable-from-public-api',
+                shortDescription: {
+                  text: 'CWE-561: Library module unreachable from the public API',
+                },
+                fullDescription: {
+                  text: 'In library mode, a module of a published package that none of its public entry points (exports conditions, main/module, types) reach. Only tests, scripts or other entry points keep it live, so nothing a consumer can load runs it. This is a CWE-561 (Dead Code) security weakness.',
+                },
+                defaultConfiguration: {
+                  level: 'note',
+                },
+                relationships: [
+                  {
+                    target: {
+                      id: '561',
+                      guid: 'cwe-561',
+                      toolComponent: { name: 'CWE' },
+                    },
+                    kinds: ['superset'],
+                  },
+                ],
+                helpUri: 'https://cwe.mitre.org/data/definitions/561.html',
+                properties: {
+                  tags: ['security', 'CWE-561', 'dead-code', 'library'],
+                },
+              },
+              {
+                id: 'swynx/undocumented-export',
+                shortDescription: {
+                  text: 'Public API symbol has no doc comment',
+                },
+                fullDescription: {
+                  text: 'In library mode, a symbol exported by a public entry point whose declaration has no /** doc comment.',
+                },
+                defaultConfiguration: {
+                  level: 'note',
+                },
+                properties: {
+                  tags: ['library', 'documentation'],
+                },
+              },
+              {
+                id: 'swynx/missing-package-file',
+                shortDescription: {
+                  text: 'Published path does not exist',
+                },
+                fullDescription: {
+                  text: 'In library mode, a path in package.json files, exports, main, module or types that matches no file, and no source file it would be built from. The published package would be missing it.',
+                },
+                defaultConfiguration: {
+                  level: 'warning',
+                },
+                properties: {
+                  tags: ['library', 'packaging'],
+                },
+              },
+              {
+                id: 'swynx/test-only-code',
+                shortDescription: {
+                  text: 'CWE-561: Production code used only by tests',
+                },
+                fullDescription: {
+                  text: 'A production file or export that no production entry point reaches; only test files import it. Test files are entry points, so it counts as live, but nothing that ships runs it. This is a CWE-561 (Dead Code) security weakness.',
+                },
+                defaultConfiguration: {
+                  level: 'warning',
+                },
+                relationships: [
+                  {
+                    target: {
+                      id: '561',
+                      guid: 'cwe-561',
+                      toolComponent: { name: 'CWE' },
+                    },
+                    kinds: ['superset'],
+                  },
+                ],
+                helpUri: 'https://cwe.mitre.org/data/definitions/561.html',
+                properties: {
+                  tags: ['security', 'CWE-561', 'dead-code', 'test-only'],
+                },
+              },
+              {
+                id: 'swynx/unused-export',
+                shortDescription: {
+                  text: 'CWE-561: Unused export detected',
+                },
+                fullDescription: {
+                  text: 'An exported symbol that is never imported by any other file in the project. The file itself is in use, but this export is dead weight.',
+                },
+                defaultConfiguration: {
+                  level: 'note',
+                },
+                relationships: [
+                  {
+                    target: {
+                      id: '561',
+                      guid: 'cwe-561',
+                      toolComponent: { name: 'CWE' },
+                    },
+                    kinds: ['superset'],
+                  },
+                ],
+                helpUri: 'https://cwe.mitre.org/data/definitions/561.html',
+                properties: {
+                  tags: ['security', 'CWE-561', 'dead-code'],
+                },
+              },
+            ],
+          },
+        },
+        taxonomies: [
+          {
+            name: 'CWE',
+            version: '4.14',
+            informationUri: 'https://cwe.mitre.org/data/published/cwe_v4.14.pdf',
+            organization: 'MITRE',
+            shortDescription: { text: 'The MITRE Common Weakness Enumeration' },
+            taxa: [
+              {
+                id: '561',
+                guid: 'cwe-561',
+                name: 'Dead Code',
+                shortDescription: { text: 'The product contains dead code, which can never be executed.' },
+                helpUri: 'https://cwe.mitre.org/data/definitions/561.html',
+              },
+              {
+                id: '1164',
+                guid: 'cwe-1164',
+                name: 'Irrelevant Code',
+                shortDescription: { text: 'The product contains code that is not essential for execution.' },
+                helpUri: 'https://cwe.mitre.org/data/definitions/1164.html',
+              },
+            ],
+          },
+        ],
+        results: [
+          ...deadFiles.map((file) => {
+            const verdict = file.verdict || 'unreachable';
+            const confidence = file.evidence?.confidence;
+
+            let ruleId = 'swynx/unreachable-file';
+            let level = 'warning';
+
+            if (verdict === 'possibly-live') {
+              ruleId = 'swynx/possibly-live';
+              level = 'note';
+            } else if (confidence && confidence.score >= 0.85) {
+              level = 'warning';
+            } else if (confidence && confidence.score < 0.6) {
+              level = 'note';
+            }
+
+            const result = {
+              ruleId,
+              level,
+              message: {
+                text: verdict === 'possibly-live'
+                  ? `CWE-561: File may be loaded dynamically${confidence?.score != null ? ` (${Math.round(confidence.score * 100)}% confidence)` : ''}. Review required.`
+                  : file.evidence?.staleFlag
+                    ? `CWE-561: ${file.evidence.staleFlag.summary}.`
+                    : file.evidence?.stylesheet
+                    ? `CWE-561: Unused stylesheet partial. ${file.evidence.summary}.`
+                    : `CWE-561: File is unreachable from all entry points${confidence?.score != null ? ` (${Math.round(confidence.score * 100)}% confidence)` : ''}.`,
+              },
+              locations: [
+                {
+                  physicalLocation: {
+                    artifactLocation: {
+                      uri: file.path,
+                      uriBaseId: '%SRCROOT%',
+                    },
+                  },
+                },
+              ],
+              taxa: [
+                {
+                  id: '561',
+                  guid: 'cwe-561',
+                  toolComponent: { name: 'CWE' },
+                },
+              ],
+            };
+
+            if (file.evidence || file.cwe) {
+              result.properties = {
+                verdict,
+                cwe: file.cwe || 'CWE-561',
+                evidence: file.evidence,
+              };
+            }
+
+            if (file.island) {
+              result.properties = { ...(result.properties || {}), island: file.island };
+            }
+
+            if (file.aiQualification && !file.aiQualification.error) {
+              const ai = file.aiQualification;
+              result.properties = { ...(result.properties || {}), aiQualification: ai };
+              if (ai.category === 'false-positive' || ai.category === 'likely-alive') {
+                result.level = 'note';
+              } else if (ai.category === 'confirmed-dead' && ai.confidence >= 0.9) {
+                result.level = 'error';
+              }
+            }
+
+            return result;
+          }),
+          ...deadFunctions.map((fn) => ({
+            ruleId: 'swynx/unreachable-function',
+            level: 'note',
+            message: {
+              text: `CWE-561: ${fn.language || 'Unknown'} function "${fn.name}" is ${fn.reason === 'unexported-never-called' ? 'unexported and' : 'private and'} never called.`,
+            },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: {
+                    uri: fn.file,
+                    uriBaseId: '%SRCROOT%',
+                  },
+                  region: {
+                    startLine: fn.line || 1,
+                    ...(fn.endLine ? { endLine: fn.endLine } : {}),
+                  },
+                },
+              },
+            ],
+            taxa: [
+              {
+                id: '561',
+                guid: 'cwe-561',
+                toolComponent: { name: 'CWE' },
+              },
+            ],
+            properties: {
+              verdict: fn.verdict || 'unreachable',
+              cwe: fn.cwe || 'CWE-561',
+              evidence: fn.evidence,
+            },
+          })),
+          ...unreachableCode.map((u) => ({
+            ruleId: 'swynx/unreachable-code',
+            level: 'warning',
+            message: {
+              text: `CWE-561: Unreachable code${u.function ? ` in "${u.function}"` : ''}. ${u.evidence?.summary || u.reason}.`,
+            },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: {
+                    uri: u.file,
+                    uriBaseId: '%SRCROOT%',
+                  },
+                  region: {
+                    startLine: u.line || 1,
+                    ...(u.endLine ? { endLine: u.endLine } : {}),
+                  },
+                },
+              },
+            ],
+            taxa: [
+              {
+                id: '561',
+                guid: 'cwe-561',
+                toolComponent: { name: 'CWE' },
+              },
+            ],
+            properties: {
+              reason: u.reason,
+              verdict: u.verdict || 'unreachable',
+              cwe: u.cwe || 'CWE-561',
+              evidence: u.evidence,
+            },
+          })),
+          ...unusedSelectors.map((s) => ({
+            ruleId: 'swynx/unused-selector',
+            level: 'note',
+            message: {
+              text: `CWE-561: CSS rule "${s.selector}" is never used. ${s.evidence?.summary || `Unused: ${s.unused.join(', ')}`}.`,
+            },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: {
+                    uri: s.file,
+                    uriBaseId: '%SRCROOT%',
+                  },
+                  region: {
+                    startLine: s.line || 1,
+                    ...(s.endLine ? { endLine: s.endLine } : {}),
+                  },
+                },
+              },
+            ],
+            taxa: [
+              {
+                id: '561',
+                guid: 'cwe-561',
+                toolComponent: { name: 'CWE' },
+              },
+            ],
+            properties: {
+              unused: s.unused,
+              sizeBytes: s.sizeBytes || 0,
+              verdict: s.verdict || 'unused-selector',
+              cwe: s.cwe || 'CWE-561',
+            },
+          })),
+          ...deadMembers.map((m) => ({
+            ruleId: 'swynx/unused-member',
+            level: 'note',
+            message: {
+              text: `CWE-561: ${m.static ? 'Static ' : ''}${m.kind} "${m.owner}.${m.name}" is never referenced.`,
+            },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: {
+                    uri: m.file,
+                    uriBaseId: '%SRCROOT%',
+                  },
+                  region: {
+                    startLine: m.line || 1,
+                    ...(m.endLine ? { endLine: m.endLine } : {}),
+                  },
+                },
+              },
+            ],
+            taxa: [
+              {
+                id: '561',
+                guid: 'cwe-561',
+                toolComponent: { name: 'CWE' },
+              },
+            ],
+            properties: {
+              verdict: m.verdict || 'unreachable',
+              cwe: m.cwe || 'CWE-561',
+              evidence: m.evidence,
+            },
+          })),
+          ...unusedTypes.map((t) => ({
+            ruleId: 'swynx/unused-type',
+            level: 'note',
+            message: {
+              text: `CWE-561: ${t.kind} "${t.owner ? `${t.owner}.${t.name}` : t.name}" is never ${t.owner ? 'referenced' : 'imported'}.`,
+            },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: {
+                    uri: t.file,
+                    uriBaseId: '%SRCROOT%',
+                  },
+                  region: {
+                    startLine: t.line || 1,
+                    ...(t.endLine ? { endLine: t.endLine } : {}),
+                  },
+                },
+              },
+            ],
+            taxa: [
+              {
+                id: '561',
+                guid: 'cwe-561',
+                toolComponent: { name: 'CWE' },
+              },
+            ],
+            properties: {
+              verdict: t.verdict || 'unreachable',
+              cwe: t.cwe || 'CWE-561',
+              evidence: t.evidence,
+            },
+          })),
+          ...unusedDependencies.map((dep) => ({
+            ruleId: 'swynx/unused-dependency',
+            level: 'note',
+            message: {
+              text: dep.verdict === 'dead-code-only'
+                ? `CWE-1164: ${dep.declaredIn} entry "${dep.name}" is imported only by dead code.`
+                : `CWE-1164: ${dep.declaredIn} entry "${dep.name}" is never imported.`,
+            },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: {
+                    uri: dep.manifest,
+                    uriBaseId: '%SRCROOT%',
+                  },
+                  region: {
+                    startLine: dep.line || 1,
+                  },
+                },
+              },
+            ],
+            taxa: [
+              {
+                id: '1164',
+                guid: 'cwe-1164',
+                toolComponent: { name: 'CWE' },
+              },
+            ],
+            properties: {
+              verdict: dep.verdict,
+              cwe: dep.cwe || 'CWE-1164',
+              evidence: dep.evidence,
+            },
+          })),
+          ...missingDependencies.map((dep) => ({
+            ruleId: 'swynx/missing-dependency',
+            level: 'warning',
+            message: {
+              text: `"${dep.name}" is imported but not declared in ${dep.manifest}.`,
+            },
+            locations: dep.importedBy.map((imp) => ({
+              physicalLocation: {
+                artifactLocation: {
+                  uri: imp.file,
+                  uriBaseId: '%SRCROOT%',
+                },
+                region: {
+                  startLine: imp.line || 1,
+                },
+              },
+            })),
+            properties: {
+              verdict: dep.verdict,
+              manifest: dep.manifest,
+              deadCodeOnly: dep.deadCodeOnly,
+            },
+          })),
+          ...unusedEnvVars.map((v) => ({
+            ruleId: 'swynx/unused-env-var',
+            level: 'note',
+            message: {
+              text: `CWE-1164: Environment variable "${v.name}" is ${v.verdict === 'dead-code-only' ? 'read only by dead code' : 'never read'}. ${v.evidence?.summary || ''}`.trim(),
+            },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: {
+                    uri: v.file,
+                    uriBaseId: '%SRCROOT%',
+                  },
+                  region: {
+                    startLine: v.line || 1,
+                  },
+                },
+              },
+            ],
+            taxa: [
+              {
+                id: '1164',
+                guid: 'cwe-1164',
+                toolComponent: { name: 'CWE' },
+              },
+            ],
+            properties: {
+              verdict: v.verdict,
+              source: v.source,
+              cwe: v.cwe || 'CWE-1164',
+              evidence: v.evidence,
+            },
+          })),
+          ...undefinedEnvVars.map((v) => ({
+            ruleId: 'swynx/undefined-env-var',
+            level: 'warning',
+            message: {
+              text: `Environment variable "${v.name}" is read but no .env, compose, Helm or Kubernetes config defines it.`,
+            },
+            locations: v.readBy.map((r) => ({
+              physicalLocation: {
+                artifactLocation: {
+                  uri: r.file,
+                  uriBaseId: '%SRCROOT%',
                 },
-                fullDescription: {
-                  text: 'An exported symbol that is never imported by any other file in the project. The file itself is in use, but this export is dead weight.',
+                region: {
+                  startLine: r.line || 1,
                 },
-                defaultConfiguration: {
-                  level: 'note',
+              },
+            })),
+            properties: {
+              verdict: v.verdict,
+              deadCodeOnly: v.deadCodeOnly,
+            },
+          })),
+          ...unusedTranslationKeys.map((k) => ({
+            ruleId: 'swynx/unused-translation-key',
+            level: 'note',
+            message: {
+              text: `CWE-1164: Translation key "${k.key}"${k.locale ? ` (${k.locale})` : ''} is ${k.verdict === 'dead-code-only' ? 'used only by dead code' : 'never used'}. ${k.evidence?.summary || ''}`.trim(),
+            },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: {
+                    uri: k.file,
+                    uriBaseId: '%SRCROOT%',
+                  },
+                  region: {
+                    startLine: k.line || 1,
+                    ...(k.endLine ? { endLine: k.endLine } : {}),
+                  },
                 },
-                relationships: [
-                  {
-                    target: {
-                      id: '561',
-                      guid: 'cwe-561',
-                      toolComponent: { name: 'CWE' },
-                    },
-                    kinds: ['superset'],
+              },
+            ],
+            taxa: [
+              {
+                id: '1164',
+                guid: 'cwe-1164',
+                toolComponent: { name: 'CWE' },
+              },
+            ],
+            properties: {
+              verdict: k.verdict,
+              locale: k.locale,
+              cwe: k.cwe || 'CWE-1164',
+              evidence: k.evidence,
+            },
+          })),
+          ...missingTranslationKeys.map((k) => ({
+            ruleId: 'swynx/missing-translation',
+            level: 'warning',
+            message: {
+              text: `Translation key "${k.key}" is used but missing from ${k.file}${k.locale ? ` (${k.locale})` : ''}.`,
+            },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: {
+                    uri: k.file,
+                    uriBaseId: '%SRCROOT%',
+                  },
+                },
+              },
+            ],
+            properties: {
+              verdict: k.verdict,
+              locale: k.locale,
+              usedBy: k.usedBy,
+            },
+          })),
+          ...unusedPackages.map((pkg) => ({
+            ruleId: 'swynx/unused-package',
+            level: pkg.verdict === 'possibly-live' ? 'note' : 'warning',
+            message: {
+              text: `CWE-561: Workspace package "${pkg.name}" (${pkg.files} files) is not used by any app or package. ${pkg.evidence?.summary || ''}`.trim(),
+            },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: {
+                    uri: pkg.manifest,
+                    uriBaseId: '%SRCROOT%',
                   },
-                ],
-                helpUri: 'https://cwe.mitre.org/data/definitions/561.html',
-                properties: {
-                  tags: ['security', 'CWE-561', 'dead-code'],
                 },
               },
             ],
-          },
-        },
-        taxonomies: [
-          {
-            name: 'CWE',
-            version: '4.14',
-            informationUri: 'https://cwe.mitre.org/data/published/cwe_v4.14.pdf',
-            organization: 'MITRE',
-            shortDescription: { text: 'The MITRE Common Weakness Enumeration' },
             taxa: [
               {
                 id: '561',
                 guid: 'cwe-561',
-                name: 'Dead Code',
-                shortDescription: { text: 'The product contains dead code, which can never be executed.' },
-                helpUri: 'https://cwe.mitre.org/data/definitions/561.html',
+                toolComponent: { name: 'CWE' },
               },
             ],
-          },
-        ],
-        results: [
-          ...deadFiles.map((file) => {
-            const verdict = file.verdict || 'unreachable';
-            const confidence = file.evidence?.confidence;
-
-            let ruleId = 'swynx/unreachable-file';
-            let level = 'warning';
-
-            if (verdict === 'possibly-live') {
-              ruleId = 'swynx/possibly-live';
-              level = 'note';
-            } else if (confidence && confidence.score >= 0.85) {
-              level = 'warning';
-            } else if (confidence && confidence.score < 0.6) {
-              level = 'note';
-            }
-
-            const result = {
-              ruleId,
-              level,
-              message: {
-                text: verdict === 'possibly-live'
-                  ? `CWE-561: File may be loaded dynamically${confidence?.score != null ? ` (${Math.round(confidence.score * 100)}% confidence)` : ''}. Review required.`
-                  : `CWE-561: File is unreachable from all entry points${confidence?.score != null ? ` (${Math.round(confidence.score * 100)}% confidence)` : ''}.`,
-              },
-              locations: [
-                {
-                  physicalLocation: {
-                    artifactLocation: {
-                      uri: file.path,
-                      uriBaseId: '%SRCROOT%',
-                    },
+            properties: {
+              verdict: pkg.verdict || 'unreachable',
+              cwe: pkg.cwe || 'CWE-561',
+              evidence: pkg.evidence,
+            },
+          })),
+          ...unreachableFromPublicApi.map((mod) => ({
+            ruleId: 'swynx/unreachable-from-public-api',
+            level: 'note',
+            message: {
+              text: `CWE-561: ${mod.evidence?.summary || 'Not reachable from the public API'}.`,
+            },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: {
+                    uri: mod.file,
+                    uriBaseId: '%SRCROOT%',
                   },
                 },
-              ],
-              taxa: [
-                {
-                  id: '561',
-                  guid: 'cwe-561',
-                  toolComponent: { name: 'CWE' },
+              },
+            ],
+            taxa: [
+              {
+                id: '561',
+                guid: 'cwe-561',
+                toolComponent: { name: 'CWE' },
+              },
+            ],
+            properties: {
+              verdict: mod.verdict || 'unreachable-from-public-api',
+              cwe: mod.cwe || 'CWE-561',
+              evidence: mod.evidence,
+            },
+          })),
+          ...testOnlyFiles.map((file) => ({
+            ruleId: 'swynx/test-only-code',
+            level: 'warning',
+            message: {
+              text: `CWE-561: ${file.evidence?.summary || 'Only tests use this file'}.`,
+            },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: {
+                    uri: file.file,
+                    uriBaseId: '%SRCROOT%',
+                  },
                 },
-              ],
-            };
-
-            if (file.evidence || file.cwe) {
-              result.properties = {
-                verdict,
-                cwe: file.cwe || 'CWE-561',
-                evidence: file.evidence,
-              };
-            }
-
-            if (file.aiQualification && !file.aiQualification.error) {
-              const ai = file.aiQualification;
-              result.properties = { ...(result.properties || {}), aiQualification: ai };
-              if (ai.category === 'false-positive' || ai.category === 'likely-alive') {
-                result.level = 'note';
-              } else if (ai.category === 'confirmed-dead' && ai.confidence >= 0.9) {
-                result.level = 'error';
-              }
-            }
-
-            return result;
-          }),
-          ...deadFunctions.map((fn) => ({
-            ruleId: 'swynx/unreachable-function',
-            level: 'note',
+              },
+            ],
+            taxa: [
+              {
+                id: '561',
+                guid: 'cwe-561',
+                toolComponent: { name: 'CWE' },
+              },
+            ],
+            properties: {
+              verdict: file.verdict || 'test-only',
+              cwe: file.cwe || 'CWE-561',
+              evidence: file.evidence,
+            },
+          })),
+          ...testOnlyExports.map((exp) => ({
+            ruleId: 'swynx/test-only-code',
+            level: 'warning',
             message: {
-              text: `CWE-561: ${fn.language || 'Unknown'} function "${fn.name}" is ${fn.reason === 'unexported-never-called' ? 'unexported and' : 'private and'} never called.`,
+              text: `CWE-561: Export "${exp.name}" is used only by tests.`,
             },
             locations: [
               {
                 physicalLocation: {
                   artifactLocation: {
-                    uri: fn.file,
+                    uri: exp.file,
                     uriBaseId: '%SRCROOT%',
                   },
                   region: {
-                    startLine: fn.line || 1,
-                    ...(fn.endLine ? { endLine: fn.endLine } : {}),
+                    startLine: exp.line || 1,
                   },
                 },
               },
@@ -239,9 +1016,55 @@ export function report(results, options = {}) {
               },
             ],
             properties: {
-              verdict: fn.verdict || 'unreachable',
-              cwe: fn.cwe || 'CWE-561',
-              evidence: fn.evidence,
+              name: exp.name,
+              verdict: exp.verdict || 'test-only',
+              cwe: exp.cwe || 'CWE-561',
+              evidence: exp.evidence,
+            },
+          })),
+          ...undocumentedExports.map((sym) => ({
+            ruleId: 'swynx/undocumented-export',
+            level: 'note',
+            message: {
+              text: `Public export "${sym.exportedAs}" (${sym.entry}) has no doc comment.`,
+            },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: {
+                    uri: sym.file,
+                    uriBaseId: '%SRCROOT%',
+                  },
+                  region: {
+                    startLine: sym.line || 1,
+                  },
+                },
+              },
+            ],
+            properties: {
+              name: sym.name,
+              entry: sym.entry,
+            },
+          })),
+          ...missingPackageFiles.map((m) => ({
+            ruleId: 'swynx/missing-package-file',
+            level: 'warning',
+            message: {
+              text: `${m.manifest} ${m.field} lists "${m.target}", which does not exist.`,
+            },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: {
+                    uri: m.manifest,
+                    uriBaseId: '%SRCROOT%',
+                  },
+                },
+              },
+            ],
+            properties: {
+              field: m.field,
+              target: m.target,
             },
           })),
           ...unusedExports.flatMap((entry) =>
@@ -283,5 +1106,73 @@ export function report(results, options = {}) {
     ],
   };
 
+  // With a baseline, only new findings remain — mark them so code scanning UIs can tell
+  if (results.baseline) {
+    const run = sarif.runs[0];
+    for (const result of run.results) result.baselineState = 'new';
+    run.properties = { ...run.properties, baseline: results.baseline };
+  }
+
+  // Unparseable files and unconstrained dynamic imports are not findings, but the
+  // run should say its view of them is partial
+  const parseFailures = results.parseFailures || [];
+  const unconstrained = results.unconstrainedDynamicImports || [];
+  if (parseFailures.length > 0 || unconstrained.length > 0) {
+    sarif.runs[0].invocations = [
+      {
+        executionSuccessful: true,
+        toolExecutionNotifications: [
+          ...parseFailures.map((f) => ({
+            descriptor: { id: `swynx/parse-${f.reason}` },
+            level: 'warning',
+            message: {
+              text: `Could not parse ${f.file} (${f.reason}): ${f.message}. Its imports are treated as used.`,
+            },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: {
+                    uri: f.file,
+                    uriBaseId: '%SRCROOT%',
+                  },
+                },
+              },
+            ],
+          })),
+          ...unconstrained.map((d) => ({
+            descriptor: { id: 'swynx/unconstrained-dynamic-import' },
+            level: 'note',
+            message: {
+              text: `${d.kind === 'require' ? 'require' : 'import'}(${d.expression}) could load any file. Files only it loads may be reported as dead.`,
+            },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: {
+                    uri: d.file,
+                    uriBaseId: '%SRCROOT%',
+                  },
+                  region: { startLine: d.line || 1 },
+                },
+              },
+            ],
+          })),
+        ],
+      },
+    ];
+  }
+
+  if (results.memory) {
+    sarif.runs[0].properties = { ...sarif.runs[0].properties, memory: results.memory };
+  }
+
+  if (results.diffScope) {
+    sarif.runs[0].properties = { ...sarif.runs[0].properties, diffScope: results.diffScope };
+  }
+
+  if (results.packageScope) {
+    sarif.runs[0].properties = { ...sarif.runs[0].properties, packageScope: results.packageScope };
+  }
+
   return JSON.stringify(sarif, null, 2);
 }
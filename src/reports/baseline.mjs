@@ -0,0 +1,181 @@
+/**
+ * Findings Baseline
+ *
+ * Records the dead code findings present at a point in time so CI can
+ * fail only on newly introduced findings. Findings are keyed by the same
+ * stable IDs the action list uses (generateIssueId), so a baseline survives
+ * line shifts and re-ordering of the scan output.
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { generateIssueId } from './action-list.mjs';
+
+export const BASELINE_VERSION = 1;
+export const DEFAULT_BASELINE_FILE = '.swynx-baseline.json';
+
+// Unreachable code has no name; line numbers shift, so key it by its
+// function, why it is unreachable and the condition behind it
+const unreachableKey = (u) => `${u.file}:${u.function || ''}:${u.reason}:${u.evidence?.condition || ''}`;
+const typeName = (t) => (t.owner ? `${t.owner}.${t.name}` : t.name);
+
+/**
+ * Every finding list a baseline covers. `id` is the generateIssueId type,
+ * `key` what identifies a finding within it; `summary` names its count in
+ * the baseline document. extractFindings and applyBaseline both key findings
+ * through findingId, so a recorded finding always matches itself later.
+ */
+const FINDING_KINDS = [
+  { list: 'deadFiles', type: 'unused-file', summary: 'unusedFiles', id: 'dead-code', key: f => f.path, file: f => f.path, name: () => null },
+  { list: 'deadFunctions', type: 'unused-function', summary: 'unusedFunctions', id: 'dead-function', key: fn => `${fn.file}:${fn.name}` },
+  { list: 'unreachableCode', type: 'unreachable-code', summary: 'unreachableCode', id: 'unreachable-code', key: unreachableKey, name: u => u.function || null },
+  { list: 'deadMembers', type: 'unused-member', summary: 'unusedMembers', id: 'dead-member', key: m => `${m.file}:${m.owner}.${m.name}`, name: m => `${m.owner}.${m.name}` },
+  // unusedExports nests deadExports per file; applyBaseline flattens them to { file, name }
+  { list: 'unusedExports', type: 'unused-export', summary: 'unusedExports', id: 'dead-export', key: e => `${e.file}:${e.name}` },
+  { list: 'unusedTypes', type: 'unused-type', summary: 'unusedTypes', id: 'unused-type', key: t => `${t.file}:${typeName(t)}`, name: typeName },
+  { list: 'unusedSelectors', type: 'unused-selector', summary: 'unusedSelectors', id: 'unused-selector', key: s => `${s.file}:${s.selector}`, name: s => s.selector },
+  { list: 'unusedEnvVars', type: 'unused-env-var', summary: 'unusedEnvVars', id: 'unused-env-var', key: v => `${v.file}:${v.name}` },
+  // Keyed by name alone: the first file to read it can change
+  { list: 'undefinedEnvVars', type: 'undefined-env-var', summary: 'undefinedEnvVars', id: 'undefined-env-var', key: v => v.name },
+  { list: 'unusedTranslationKeys', type: 'unused-translation-key', summary: 'unusedTranslationKeys', id: 'unused-translation-key', key: k => `${k.file}:${k.locale}:${k.key}`, name: k => k.key },
+  { list: 'missingTranslationKeys', type: 'missing-translation', summary: 'missingTranslationKeys', id: 'missing-translation', key: k => `${k.file}:${k.locale}:${k.key}`, name: k => k.key },
+  { list: 'unusedDependencies', type: 'unused-dependency', summary: 'unusedDependencies', id: 'unused-dependency', key: d => `${d.manifest}:${d.name}`, file: d => d.manifest },
+  { list: 'missingDependencies', type: 'missing-dependency', summary: 'missingDependencies', id: 'missing-dependency', key: d => `${d.manifest}:${d.name}`, file: d => d.manifest },
+  { list: 'testOnlyFiles', type: 'test-only-file', summary: 'testOnlyFiles', id: 'test-only-file', key: f => f.file, name: () => null },
+  { list: 'testOnlyExports', type: 'test-only-export', summary: 'testOnlyExports', id: 'test-only-export', key: e => `${e.file}:${e.name}` }
+];
+
+/**
+ * Stable ID of one finding of a kind
+ */
+function findingId(kind, item) {
+  return generateIssueId(kind.id, kind.key(item));
+}
+
+/**
+ * The findings of a kind in results; unused exports are flattened to one per export
+ */
+function itemsOf(results, kind) {
+  if (kind.list === 'unusedExports') {
+    return (results.unusedExports || []).flatMap(entry => (entry.deadExports || []).map(exp => ({ file: entry.file, name: exp.name })));
+  }
+  return results[kind.list] || [];
+}
+
+/**
+ * Flatten reporter-shaped results into identifiable findings
+ * @param {Object} results - Output of toScanResult() (src/api/result.mjs)
+ * @returns {Array<{id: string, type: string, file: string, name?: string}>}
+ */
+export function extractFindings(results) {
+  const findings = [];
+  for (const kind of FINDING_KINDS) {
+    for (const item of itemsOf(results, kind)) {
+      const name = kind.name ? kind.name(item) : item.name;
+      findings.push({
+        id: findingId(kind, item),
+        type: kind.type,
+        file: kind.file ? kind.file(item) : item.file,
+        ...(name ? { name } : {})
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Build a baseline document from scan results
+ * @param {Object} results - Output of toScanResult() (src/api/result.mjs)
+ * @returns {Object} Baseline document, ready to serialise
+ */
+export function createBaseline(results) {
+  const seen = new Set();
+  const findings = extractFindings(results)
+    .filter(f => !seen.has(f.id) && seen.add(f.id))
+    .sort((a, b) => a.file.localeCompare(b.file) || a.type.localeCompare(b.type) || (a.name || '').localeCompare(b.name || ''));
+
+  return {
+    version: BASELINE_VERSION,
+    tool: 'swynx',
+    createdAt: new Date().toISOString(),
+    summary: Object.fromEntries(FINDING_KINDS.map(kind => [kind.summary, findings.filter(f => f.type === kind.type).length])),
+    findings
+  };
+}
+
+/**
+ * Write a baseline file (sorted, pretty-printed so diffs stay reviewable)
+ */
+export function writeBaseline(filePath, baseline) {
+  writeFileSync(filePath, JSON.stringify(baseline, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Read and validate a baseline file
+ * @throws {Error} When the file is missing, unparsable, or from an unknown version
+ */
+export function readBaseline(filePath) {
+  const baseline = JSON.parse(readFileSync(filePath, 'utf-8'));
+  if (baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.findings)) {
+    throw new Error(`Unsupported baseline format in ${filePath} (expected version ${BASELINE_VERSION})`);
+  }
+  return baseline;
+}
+
+/**
+ * Suppress findings already recorded in the baseline.
+ * Returns new results containing only findings not in the baseline, plus a
+ * `baseline` section listing what was suppressed and which baseline entries
+ * no longer occur (so the baseline can be tightened).
+ *
+ * @param {Object} results - Output of toScanResult() (src/api/result.mjs)
+ * @param {Object} baseline - Baseline document from readBaseline()
+ * @param {string} [source] - Baseline file path, for reporting
+ * @returns {Object} Filtered results
+ */
+export function applyBaseline(results, baseline, source = null) {
+  const known = new Set(baseline.findings.map(f => f.id));
+  const current = new Set();
+  let suppressed = 0;
+
+  const isNew = (id) => {
+    current.add(id);
+    if (known.has(id)) {
+      suppressed++;
+      return false;
+    }
+    return true;
+  };
+
+  const filtered = {};
+  let newFindings = 0;
+  for (const kind of FINDING_KINDS) {
+    if (kind.list === 'unusedExports') {
+      filtered.unusedExports = (results.unusedExports || []).map(entry => ({
+        ...entry,
+        deadExports: (entry.deadExports || []).filter(exp => isNew(findingId(kind, { file: entry.file, name: exp.name })))
+      })).filter(entry => entry.deadExports.length > 0);
+      newFindings += filtered.unusedExports.reduce((sum, e) => sum + e.deadExports.length, 0);
+    } else {
+      filtered[kind.list] = (results[kind.list] || []).filter(item => isNew(findingId(kind, item)));
+      newFindings += filtered[kind.list].length;
+    }
+  }
+
+  const resolved = baseline.findings.filter(f => !current.has(f.id));
+
+  // An island is only reported while all of its files still are
+  const reported = new Set(filtered.deadFiles.map(f => f.path));
+
+  return {
+    ...results,
+    ...filtered,
+    deadIslands: (results.deadIslands || []).filter(i => i.files.every(f => reported.has(f))),
+    baseline: {
+      file: source,
+      createdAt: baseline.createdAt || null,
+      suppressed,
+      newFindings,
+      resolved
+    }
+  };
+}
@@ -0,0 +1,275 @@
+/**
+ * Diff Scope
+ *
+ * Narrows a full scan to the findings a git range is responsible for, for
+ * pull-request gating. Reachability is always computed on the whole project;
+ * this only decides which findings to report:
+ *
+ * - findings in files changed in the range
+ * - findings in files that a changed file imported at the base ref
+ *   (e.g. an import was removed from a live file), or imports now
+ * - dead files only imported by other dead files that are in scope
+ *   (the rest of a chain orphaned by the change)
+ *
+ * Imports are matched on the edges the scan's reachability walk resolved
+ * (relative paths, tsconfig/vite aliases, workspace packages), so the scan
+ * must be run with `trace: true`.
+ */
+
+import { isGitRepo, resolveRef, getMergeBase, getChangedFiles, getFileAtRef } from '../fixer/git.mjs';
+import { buildReachableFiles } from '../scanner/analysers/deadcode.mjs';
+
+const JS_EXTENSIONS = /\.(m?[jt]sx?|c[jt]s|vue|svelte)$/;
+
+const IMPORT_PATTERNS = [
+  /\bimport\s+(?:[^'"`;]*?\s+from\s+)?['"]([^'"]+)['"]/g,
+  /\bexport\s+(?:\*|\{[^}]*\})\s*(?:as\s+\w+\s+)?from\s+['"]([^'"]+)['"]/g,
+  /\bimport\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+  /\brequire\s*\(\s*['"]([^'"]+)['"]\s*\)/g
+];
+
+/**
+ * Parse a --diff range ("base..head" or "base...head") or a --since ref
+ * @returns {{ base: string, head: string|null, label: string, symmetric: boolean }}
+ */
+export function parseRange({ since, diff } = {}) {
+  if (since) {
+    return { base: since, head: null, label: `${since}..working tree`, symmetric: false };
+  }
+  const symmetric = diff.includes('...');
+  const [base, head] = diff.split(symmetric ? '...' : '..');
+  if (!base) throw new Error(`Invalid --diff range "${diff}" (expected base..head)`);
+  return { base, head: head || 'HEAD', label: diff, symmetric };
+}
+
+/**
+ * Import specifiers in a source file at the base ref, which the scan never parsed
+ */
+function importSpecifiers(content, fromFile) {
+  const specifiers = new Set();
+  if (!content || !JS_EXTENSIONS.test(fromFile)) return specifiers;
+
+  for (const pattern of IMPORT_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(content)) !== null) specifiers.add(match[1]);
+  }
+  return specifiers;
+}
+
+/**
+ * What each changed (or deleted) file imported at `before`, resolved against
+ * the scanned files by the reachability walk itself: a one-step walk from the
+ * old versions over a graph where no other file imports anything
+ * @returns {Map<string, string>} Imported file → first changed file importing it
+ */
+function resolveImportsBefore(projectPath, before, changes, files) {
+  const oldFiles = [];
+  for (const change of changes) {
+    if (change.status === 'A') continue;
+    const oldPath = change.oldFile || change.file;
+    const specifiers = importSpecifiers(getFileAtRef(projectPath, before, oldPath), oldPath);
+    if (specifiers.size > 0) {
+      oldFiles.push({ file: { relativePath: oldPath }, imports: [...specifiers].map(module => ({ module })) });
+    }
+  }
+
+  const importedBefore = new Map();
+  if (oldFiles.length === 0) return importedBefore;
+
+  const roots = new Set(oldFiles.map(a => a.file.relativePath));
+  const graph = [...oldFiles, ...files.filter(f => !roots.has(f)).map(f => ({ file: { relativePath: f }, imports: [] }))];
+  const trace = { roots: new Map(), edges: [], unresolved: [] };
+  buildReachableFiles(roots, graph, projectPath, null, trace);
+  for (const edge of trace.edges) {
+    if (roots.has(edge.from) && edge.to !== edge.from && !importedBefore.has(edge.to)) importedBefore.set(edge.to, edge.from);
+  }
+  return importedBefore;
+}
+
+function withDiffEvidence(evidence, diffEvidence) {
+  return { ...(evidence || {}), diff: diffEvidence };
+}
+
+/**
+ * Filter reporter-shaped results down to findings touched by a git range.
+ *
+ * @param {Object} results - Output of toScanResult() (src/api/result.mjs)
+ * @param {string} projectPath - Absolute project root
+ * @param {Object} options - { since } or { diff }, and `trace`: the scan's reachabilityTrace
+ *   (scanDeadCode() with trace: true)
+ * @returns {Object} Filtered results with a `diffScope` summary section
+ * @throws {Error} If the project is not a git repo, a ref cannot be resolved or there is no trace
+ */
+export function applyDiffScope(results, projectPath, options) {
+  if (!isGitRepo(projectPath)) {
+    throw new Error(`${projectPath} is not a git repository`);
+  }
+
+  const { trace } = options;
+  if (!trace) {
+    throw new Error('Diff scope needs the reachability trace of the scan (scan with trace: true)');
+  }
+
+  const range = parseRange(options);
+  for (const ref of [range.base, range.head].filter(Boolean)) {
+    if (!resolveRef(projectPath, ref)) throw new Error(`Unknown git ref "${ref}"`);
+  }
+
+  // For base...head, "before" is the fork point, as in `git diff base...head`
+  const before = range.symmetric
+    ? (getMergeBase(projectPath, range.base, range.head) || range.base)
+    : range.base;
+
+  const changes = getChangedFiles(projectPath, before, range.head);
+  const changed = new Set(changes.filter(c => c.status !== 'D').map(c => c.file));
+
+  const importedBefore = resolveImportsBefore(projectPath, before, changes, trace.files);
+
+  // Resolved import edges of the current tree, live and dead
+  const importsOf = new Map();
+  const importersOf = new Map();
+  for (const edge of trace.edges) {
+    if (edge.from === edge.to) continue;
+    if (!importsOf.has(edge.from)) importsOf.set(edge.from, new Set());
+    importsOf.get(edge.from).add(edge.to);
+    if (!importersOf.has(edge.to)) importersOf.set(edge.to, new Set());
+    importersOf.get(edge.to).add(edge.from);
+  }
+
+  // Why a finding inside a file is in scope: the file changed, a changed
+  // file imports it, or a changed file imported it before the change
+  function fileReason(file) {
+    if (changed.has(file)) return { reason: 'changed-in-range' };
+    const importer = [...(importersOf.get(file) || [])].find(f => changed.has(f));
+    if (importer) return { reason: 'importer-changed', via: importer };
+    return importedBefore.has(file) ? { reason: 'import-removed', via: importedBefore.get(file) } : null;
+  }
+
+  function scopeByFile(findings) {
+    return findings
+      .map(finding => {
+        const diffEvidence = fileReason(finding.file);
+        return diffEvidence ? { ...finding, evidence: withDiffEvidence(finding.evidence, diffEvidence) } : null;
+      })
+      .filter(Boolean);
+  }
+
+  // Dead files: changed, de-imported by a change, or orphaned along with one
+  const deadFiles = results.deadFiles || [];
+  const deadByPath = new Map(deadFiles.map(f => [f.path, f]));
+  const inScope = new Map();
+  const queue = [];
+
+  for (const file of deadFiles) {
+    let diffEvidence = null;
+    if (changed.has(file.path)) {
+      diffEvidence = { reason: 'changed-in-range' };
+    } else if (importedBefore.has(file.path)) {
+      diffEvidence = { reason: 'import-removed', via: importedBefore.get(file.path) };
+    }
+    if (diffEvidence) {
+      inScope.set(file.path, diffEvidence);
+      queue.push(file.path);
+    }
+  }
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const imported of importsOf.get(current) || []) {
+      const target = deadByPath.get(imported);
+      if (target && !inScope.has(target.path)) {
+        inScope.set(target.path, { reason: 'orphaned-by-change', via: current });
+        queue.push(target.path);
+      }
+    }
+  }
+
+  const scopedFiles = deadFiles
+    .filter(f => inScope.has(f.path))
+    .map(f => ({ ...f, evidence: withDiffEvidence(f.evidence, inScope.get(f.path)) }));
+
+  const scopedFunctions = scopeByFile(results.deadFunctions || []);
+
+  const scopedUnreachable = (results.unreachableCode || [])
+    .filter(u => changed.has(u.file))
+    .map(u => ({ ...u, evidence: withDiffEvidence(u.evidence, { reason: 'changed-in-range' }) }));
+
+  const scopedMembers = scopeByFile(results.deadMembers || []);
+
+  const scopedTypes = scopeByFile(results.unusedTypes || []);
+
+  const scopedSelectors = (results.unusedSelectors || [])
+    .filter(s => changed.has(s.file))
+    .map(s => ({ ...s, evidence: withDiffEvidence(s.evidence, { reason: 'changed-in-range' }) }));
+
+  // Dependencies: the package.json changed, or an importing file is in scope
+  const touchesImporter = (dep) => (dep.importedBy || []).some(i => changed.has(i.file) || inScope.has(i.file));
+  const scopedDependencies = (results.unusedDependencies || [])
+    .filter(d => changed.has(d.manifest) || touchesImporter(d));
+  const scopedMissing = (results.missingDependencies || [])
+    .filter(touchesImporter);
+
+  // Environment variables: the defining config changed, or a reading file is in scope
+  const touchesReader = (v) => (v.readBy || []).some(r => changed.has(r.file) || inScope.has(r.file));
+  const scopedEnvVars = (results.unusedEnvVars || [])
+    .filter(v => changed.has(v.file) || touchesReader(v));
+  const scopedUndefinedEnv = (results.undefinedEnvVars || [])
+    .filter(touchesReader);
+
+  // Translation keys: the catalog changed, or a file that looks the key up is in scope
+  const touchesUser = (k) => (k.usedBy || []).some(u => changed.has(u.file) || inScope.has(u.file));
+  const scopedTranslationKeys = (results.unusedTranslationKeys || [])
+    .filter(k => changed.has(k.file) || touchesUser(k));
+  const scopedMissingKeys = (results.missingTranslationKeys || [])
+    .filter(k => changed.has(k.file) || touchesUser(k));
+
+  const scopedExports = scopeByFile(results.unusedExports || []);
+
+  // Test-only code: the production file changed
+  const scopedTestOnlyFiles = (results.testOnlyFiles || []).filter(f => changed.has(f.file));
+  const scopedTestOnlyExports = (results.testOnlyExports || []).filter(e => changed.has(e.file));
+
+  const countExports = (list) => list.reduce((sum, e) => sum + (e.deadExports || []).length, 0);
+  const totalBefore = deadFiles.length + (results.deadFunctions || []).length + (results.unreachableCode || []).length +
+    (results.deadMembers || []).length + (results.unusedSelectors || []).length +
+    (results.unusedTypes || []).length + (results.unusedDependencies || []).length +
+    (results.missingDependencies || []).length + (results.unusedEnvVars || []).length + (results.undefinedEnvVars || []).length +
+    (results.unusedTranslationKeys || []).length + (results.missingTranslationKeys || []).length +
+    countExports(results.unusedExports || []);
+  const totalAfter = scopedFiles.length + scopedFunctions.length + scopedUnreachable.length + scopedMembers.length + scopedTypes.length +
+    scopedSelectors.length + scopedDependencies.length + scopedMissing.length + scopedEnvVars.length + scopedUndefinedEnv.length +
+    scopedTranslationKeys.length + scopedMissingKeys.length + countExports(scopedExports);
+
+  // An island is only reported while all of its files still are
+  const reported = new Set(scopedFiles.map(f => f.path));
+
+  return {
+    ...results,
+    deadFiles: scopedFiles,
+    deadIslands: (results.deadIslands || []).filter(i => i.files.every(f => reported.has(f))),
+    deadFunctions: scopedFunctions,
+    unreachableCode: scopedUnreachable,
+    deadMembers: scopedMembers,
+    unusedExports: scopedExports,
+    unusedTypes: scopedTypes,
+    unusedSelectors: scopedSelectors,
+    unusedDependencies: scopedDependencies,
+    missingDependencies: scopedMissing,
+    unusedEnvVars: scopedEnvVars,
+    undefinedEnvVars: scopedUndefinedEnv,
+    unusedTranslationKeys: scopedTranslationKeys,
+    missingTranslationKeys: scopedMissingKeys,
+    testOnlyFiles: scopedTestOnlyFiles,
+    testOnlyExports: scopedTestOnlyExports,
+    diffScope: {
+      range: range.label,
+      base: before,
+      head: range.head,
+      changedFiles: changes.length,
+      totalFindings: totalBefore,
+      reportedFindings: totalAfter,
+      outOfScope: totalBefore - totalAfter
+    }
+  };
+}
@@ -0,0 +1,397 @@
+/**
+ * Impact
+ *
+ * Simulates deleting a file, or one export of a file, on the import graph a
+ * scan records with `trace: true` and `keepParsed: true`, and re-runs
+ * reachability in memory to list what the deletion would leave dead:
+ *
+ * - files no entry point reaches any more, in the order they fall away
+ * - exports of files that stay live whose last importer goes with it
+ * - dependencies that only the deleted code imported
+ *
+ * Live files that import the deleted code are listed as needing an edit; the
+ * simulation assumes those imports are removed along with it.
+ */
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { dependencyContext } from '../scanner/analysers/deadcode.mjs';
+import { findDependencyIssues } from '../scanner/analysers/dependencies.mjs';
+import { matchFile, toRelative } from './why.mjs';
+
+const IDENTIFIER_RE = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Split a target into a file and an optional export name:
+ * `src/a.js`, `src/a.js#name` or `src/a.js:name`
+ */
+export function parseTarget(target) {
+  const hash = target.lastIndexOf('#');
+  if (hash > 0) {
+    return { file: target.slice(0, hash), exportName: target.slice(hash + 1) };
+  }
+  // Past index 1 so a Windows drive letter is not read as an export
+  const colon = target.lastIndexOf(':');
+  if (colon > 1 && IDENTIFIER_RE.test(target.slice(colon + 1))) {
+    return { file: target.slice(0, colon), exportName: target.slice(colon + 1) };
+  }
+  return { file: target, exportName: null };
+}
+
+/**
+ * Name importers use for an export: 'default' for default exports
+ */
+function exportKey(exp) {
+  return exp.isDefault ? 'default' : exp.name;
+}
+
+/**
+ * Whether an import edge uses an export. Edges without names (require,
+ * re-exports, non-JS rules) and namespace imports use all of them.
+ */
+function usesExport(edge, key) {
+  return !edge.names || edge.names.includes('*') || edge.names.includes(key);
+}
+
+function readLines(projectPath, file) {
+  try {
+    return readFileSync(join(projectPath, file), 'utf-8').split('\n');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lines and bytes of a line range (1-based, inclusive)
+ */
+function measure(lines, line, endLine) {
+  if (!lines || !line || !endLine) return { lines: 0, bytes: 0 };
+  const slice = lines.slice(line - 1, endLine);
+  return { lines: slice.length, bytes: slice.reduce((n, l) => n + Buffer.byteLength(l) + 1, 0) };
+}
+
+function countIdentifier(text, name) {
+  const escaped = name.replace(/[$]/g, '\\$');
+  return (text.match(new RegExp(`(?<![\\w$.])${escaped}(?![\\w$])`, 'g')) || []).length;
+}
+
+/**
+ * Source of a file with one line range and its import statements blanked out
+ */
+function textOutside(lines, line, endLine) {
+  return lines
+    .map((l, i) => (i + 1 >= line && i + 1 <= endLine ? '' : l))
+    .join('\n')
+    .replace(/^\s*import\s[\s\S]*?from\s*['"][^'"]+['"];?/gm, '');
+}
+
+/**
+ * Breadth-first walk over live edges, never entering removed files or
+ * crossing dropped edges
+ */
+function reach(starts, outgoing, removed, dropped) {
+  const seen = new Set(starts);
+  const queue = [...seen];
+  for (let i = 0; i < queue.length; i++) {
+    for (const edge of outgoing.get(queue[i]) || []) {
+      if (dropped.has(edge) || removed.has(edge.to) || seen.has(edge.to)) continue;
+      seen.add(edge.to);
+      queue.push(edge.to);
+    }
+  }
+  return seen;
+}
+
+/**
+ * Simulate deleting a file or an export and list what would newly be dead.
+ *
+ * @param {Object} scanResult - scanDeadCode() result, scanned with trace: true and keepParsed: true
+ * @param {string} target - File path (absolute, or relative to the project root), optionally
+ *   followed by `#export` or `:export`
+ * @param {string} projectPath - Project root
+ * @param {Object} [config] - Config the scan ran with (for dependency checks)
+ * @returns {Object} { target, file, status, ... } where status is one of
+ *   'ok' (removed, brokenImporters, files, exports, dependencies, totals),
+ *   'dead', 'not-scanned', 'ambiguous' (candidates) or 'export-not-found' (exports)
+ */
+export function simulateRemoval(scanResult, target, projectPath, config = {}) {
+  const trace = scanResult.reachabilityTrace;
+  if (!trace || !scanResult.parsed) {
+    throw new Error('Scan result has no reachability trace or parse results (scan with trace: true, keepParsed: true)');
+  }
+
+  const { file: targetFile, exportName } = parseTarget(target);
+  const wanted = toRelative(targetFile, projectPath);
+  const { file, candidates } = matchFile(wanted, trace.files);
+  if (!file) {
+    return candidates?.length
+      ? { target, file: wanted, status: 'ambiguous', candidates }
+      : { target, file: wanted, status: 'not-scanned' };
+  }
+
+  const deadSet = new Set(scanResult.deadFiles.map(f => f.file));
+  if (deadSet.has(file)) {
+    return { target, file, exportName, status: 'dead' };
+  }
+
+  const { jsAnalysis = [], otherLangAnalysis = [] } = scanResult.parsed;
+  const analyses = new Map([...jsAnalysis, ...otherLangAnalysis].map(a => [a.file?.relativePath || a.file, a]));
+  const live = trace.files.filter(f => !deadSet.has(f));
+  const liveSet = new Set(live);
+
+  const outgoing = new Map();
+  const incoming = new Map();
+  for (const edge of trace.edges) {
+    if (edge.dead || !liveSet.has(edge.from)) continue;
+    if (!outgoing.has(edge.from)) outgoing.set(edge.from, []);
+    outgoing.get(edge.from).push(edge);
+    if (!incoming.has(edge.to)) incoming.set(edge.to, []);
+    incoming.get(edge.to).push(edge);
+  }
+
+  const rootFiles = new Set(trace.roots.map(r => r.file));
+  // Live files the walk never reached stay live whatever is deleted
+  const reachedBefore = reach(rootFiles, outgoing, new Set(), new Set());
+  const pinned = live.filter(f => !reachedBefore.has(f));
+
+  const removed = new Set();
+  const dropped = new Set();
+  const droppedImports = new Set();
+  let removedCode;
+  let brokenImporters;
+
+  if (!exportName) {
+    removed.add(file);
+    const analysis = analyses.get(file);
+    removedCode = { kind: 'file', file, lines: analysis?.lines || 0, bytes: analysis?.size || 0 };
+    brokenImporters = (incoming.get(file) || [])
+      .filter(e => e.from !== file)
+      .map(({ from, specifier, line }) => ({ file: from, specifier, line }));
+  } else {
+    const analysis = analyses.get(file);
+    const exports = (analysis?.exports || []).filter(e => e.name && e.name !== '*');
+    const exp = exports.find(e => e.name === exportName || (exportName === 'default' && e.isDefault));
+    if (!exp) {
+      return { target, file, exportName, status: 'export-not-found', exports: exports.map(exportKey) };
+    }
+    const key = exportKey(exp);
+    const lines = readLines(projectPath, file);
+    const endLine = exp.endLine || exp.line;
+    removedCode = { kind: 'export', file, name: key, line: exp.line, ...measure(lines, exp.line, endLine) };
+
+    brokenImporters = [];
+    for (const edge of incoming.get(file) || []) {
+      if (edge.from === file || !usesExport(edge, key)) continue;
+      // Named imports of nothing but this export go away with it
+      const certain = !!edge.names && !edge.names.includes('*');
+      if (certain && edge.names.length > 0 && edge.names.every(n => n === key)) dropped.add(edge);
+      brokenImporters.push({ file: edge.from, specifier: edge.specifier, line: edge.line, ...(!certain && { certain }) });
+    }
+
+    // Imports of the file that only the export's own code refers to
+    const outside = lines && textOutside(lines, exp.line, endLine);
+    removedCode.usedInternally = !!outside && countIdentifier(outside, exp.name) > 0;
+    if (outside && !removedCode.usedInternally) {
+      const inside = lines.slice(exp.line - 1, endLine).join('\n');
+      for (const imp of analysis.imports || []) {
+        if (imp.type !== 'esm' || !imp.specifiers?.length) continue;
+        const locals = imp.specifiers.map(s => s.localName || s.name).filter(Boolean);
+        const onlyInside = locals.every(n => countIdentifier(outside, n) === 0)
+          && locals.some(n => countIdentifier(inside, n) > 0);
+        if (!onlyInside) continue;
+        droppedImports.add(imp);
+        for (const edge of outgoing.get(file) || []) {
+          if (edge.specifier === imp.module && edge.line === imp.line) dropped.add(edge);
+        }
+      }
+    }
+  }
+
+  const starts = [...rootFiles, ...pinned].filter(f => !removed.has(f));
+  const reachedAfter = reach(starts, outgoing, removed, dropped);
+  const newlyDead = new Set(live.filter(f => !reachedAfter.has(f) && !removed.has(f)));
+
+  // Order of falling away: distance from the deleted code
+  const depth = new Map([...removed].map(f => [f, 0]));
+  const importedBy = new Map();
+  const queue = [...removed];
+  for (const edge of dropped) {
+    if (!newlyDead.has(edge.to)) continue;
+    if (!importedBy.has(edge.to)) importedBy.set(edge.to, new Set());
+    importedBy.get(edge.to).add(edge.from);
+    if (!depth.has(edge.to)) {
+      depth.set(edge.to, 1);
+      queue.push(edge.to);
+    }
+  }
+  for (let i = 0; i < queue.length; i++) {
+    for (const edge of outgoing.get(queue[i]) || []) {
+      if (!newlyDead.has(edge.to)) continue;
+      if (!importedBy.has(edge.to)) importedBy.set(edge.to, new Set());
+      importedBy.get(edge.to).add(edge.from);
+      if (!depth.has(edge.to)) {
+        depth.set(edge.to, depth.get(queue[i]) + 1);
+        queue.push(edge.to);
+      }
+    }
+  }
+
+  const files = [...newlyDead]
+    .map(f => ({
+      file: f,
+      depth: depth.get(f) || 1,
+      importedBy: [...(importedBy.get(f) || [])].sort(),
+      lines: analyses.get(f)?.lines || 0,
+      bytes: analyses.get(f)?.size || 0
+    }))
+    .sort((a, b) => a.depth - b.depth || a.file.localeCompare(b.file));
+
+  // Exports of surviving files that lose their last importer
+  const alreadyUnused = new Set();
+  for (const entry of scanResult.partiallyDeadFiles || []) {
+    for (const exp of entry.exports || []) {
+      if (exp.status === 'dead') alreadyUnused.add(`${entry.file}\0${exp.name}`);
+    }
+  }
+  for (const type of scanResult.unusedTypes || []) alreadyUnused.add(`${type.file}\0${type.name}`);
+
+  const exports = [];
+  for (const f of reachedAfter) {
+    if (rootFiles.has(f)) continue;
+    const importers = (incoming.get(f) || []).filter(e => e.from !== f);
+    if (importers.length === 0) continue;
+    const stillImporting = importers.filter(e => reachedAfter.has(e.from) && !dropped.has(e));
+    let fileLines;
+    for (const exp of analyses.get(f)?.exports || []) {
+      if (!exp.name || exp.name === '*' || alreadyUnused.has(`${f}\0${exp.name}`)) continue;
+      const key = exportKey(exp);
+      if (f === file && key === removedCode.name) continue;
+      if (!importers.some(e => usesExport(e, key)) || stillImporting.some(e => usesExport(e, key))) continue;
+      fileLines ??= readLines(projectPath, f);
+      exports.push({ file: f, name: key, line: exp.line, ...measure(fileLines, exp.line, exp.endLine) });
+    }
+  }
+  exports.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+
+  // Dependencies only the deleted and newly dead code imported
+  let packageJson = {};
+  try {
+    packageJson = JSON.parse(readFileSync(join(projectPath, 'package.json'), 'utf-8'));
+  } catch {
+    // No root manifest: workspace manifests are still checked
+  }
+  const remaining = jsAnalysis
+    .filter(a => !removed.has(a.file?.relativePath))
+    .map(a => (a.file?.relativePath === file && droppedImports.size > 0
+      ? { ...a, imports: a.imports.filter(imp => !droppedImports.has(imp)) }
+      : a));
+  const { unusedDependencies } = findDependencyIssues(projectPath, remaining, {
+    ...dependencyContext(projectPath, packageJson, config),
+    deadFiles: new Set([...deadSet, ...newlyDead])
+  });
+  const unusedBefore = new Set((scanResult.unusedDependencies || []).map(d => `${d.manifest}\0${d.name}`));
+  const dependencies = unusedDependencies
+    .filter(d => !unusedBefore.has(`${d.manifest}\0${d.name}`))
+    .map(({ name, manifest, declaredIn, verdict }) => ({ name, manifest, declaredIn, verdict }));
+
+  const totals = {
+    files: files.length,
+    exports: exports.length,
+    dependencies: dependencies.length,
+    lines: removedCode.lines + files.reduce((n, f) => n + f.lines, 0) + exports.reduce((n, e) => n + e.lines, 0),
+    bytes: removedCode.bytes + files.reduce((n, f) => n + f.bytes, 0) + exports.reduce((n, e) => n + e.bytes, 0)
+  };
+
+  return { target, file, exportName, status: 'ok', removed: removedCode, brokenImporters, files, exports, dependencies, totals };
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function location(file, line) {
+  return line ? `${file}:${line}` : file;
+}
+
+/**
+ * Render an impact analysis as plain text
+ */
+export function formatImpact(impact, { noColor = false } = {}) {
+  const c = noColor
+    ? { bold: '', dim: '', green: '', red: '', yellow: '', reset: '' }
+    : { bold: '\x1b[1m', dim: '\x1b[2m', green: '\x1b[32m', red: '\x1b[31m', yellow: '\x1b[33m', reset: '\x1b[0m' };
+  const lines = [];
+  const { file, status } = impact;
+
+  if (status === 'not-scanned') {
+    lines.push(`${c.yellow}${file}${c.reset} was not part of the scan (excluded, ignored or not a source file)`);
+    return lines.join('\n');
+  }
+  if (status === 'ambiguous') {
+    lines.push(`${c.yellow}${file}${c.reset} matches more than one file:`);
+    for (const candidate of impact.candidates) lines.push(`  ${candidate}`);
+    return lines.join('\n');
+  }
+  if (status === 'dead') {
+    lines.push(`${c.red}${file}${c.reset} is already dead: deleting it leaves nothing else dead (see swynx why ${file})`);
+    return lines.join('\n');
+  }
+  if (status === 'export-not-found') {
+    lines.push(`${c.yellow}${file}${c.reset} has no export named ${c.bold}${impact.exportName}${c.reset}`);
+    if (impact.exports.length > 0) lines.push(`  ${c.dim}Exports: ${impact.exports.join(', ')}${c.reset}`);
+    return lines.join('\n');
+  }
+
+  const { removed, totals } = impact;
+  const subject = removed.kind === 'export' ? `${removed.name} from ${file}` : file;
+  lines.push(`${c.bold}Deleting ${subject}${c.reset} ${c.dim}(${removed.lines} lines, ${formatBytes(removed.bytes)})${c.reset}`);
+  if (removed.usedInternally) {
+    lines.push(`  ${c.yellow}${removed.name} is also used inside ${file}; only its export goes${c.reset}`);
+  }
+  lines.push('');
+
+  if (impact.brokenImporters.length > 0) {
+    lines.push(`  ${c.bold}Imports to remove:${c.reset}`);
+    for (const imp of impact.brokenImporters) {
+      const maybe = imp.certain === false ? `  ${c.dim}(may use it)${c.reset}` : '';
+      lines.push(`    ${location(imp.file, imp.line)}  ${c.dim}'${imp.specifier}'${c.reset}${maybe}`);
+    }
+    lines.push('');
+  }
+
+  if (impact.files.length > 0) {
+    lines.push(`  ${c.bold}Files that become dead (delete in this order):${c.reset}`);
+    for (const f of impact.files) {
+      lines.push(`    ${c.red}${f.file}${c.reset}  ${c.dim}${f.lines} lines, ${formatBytes(f.bytes)}${f.importedBy.length ? ` — imported by ${f.importedBy.join(', ')}` : ''}${c.reset}`);
+    }
+    lines.push('');
+  }
+
+  if (impact.exports.length > 0) {
+    lines.push(`  ${c.bold}Exports that lose their last importer:${c.reset}`);
+    for (const exp of impact.exports) {
+      lines.push(`    ${location(exp.file, exp.line)}  ${c.red}${exp.name}${c.reset}`);
+    }
+    lines.push('');
+  }
+
+  if (impact.dependencies.length > 0) {
+    lines.push(`  ${c.bold}Dependencies that become unused:${c.reset}`);
+    for (const dep of impact.dependencies) {
+      lines.push(`    ${c.red}${dep.name}${c.reset}  ${c.dim}${dep.declaredIn} in ${dep.manifest}${c.reset}`);
+    }
+    lines.push('');
+  }
+
+  if (totals.files + totals.exports + totals.dependencies === 0) {
+    lines.push(`  ${c.green}Nothing else becomes dead.${c.reset}`);
+    lines.push('');
+  }
+
+  lines.push(`  ${c.bold}Total:${c.reset} ${totals.lines} lines, ${formatBytes(totals.bytes)} — ${totals.files} file(s), ${totals.exports} export(s), ${totals.dependencies} dependenc${totals.dependencies === 1 ? 'y' : 'ies'}`);
+  return lines.join('\n');
+}
+
+export default { simulateRemoval, formatImpact, parseTarget };
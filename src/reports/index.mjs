@@ -6,6 +6,7 @@
 
 import { generateActionList, extractIssues, generateIssueId } from './action-list.mjs';
 import { generateDiff, generateProgressReport } from './diff.mjs';
+import { createBaseline, readBaseline, writeBaseline, applyBaseline } from './baseline.mjs';
 import { renderActionListMarkdown, renderProgressMarkdown } from './renderers/markdown.mjs';
 import { renderActionListCSV, renderProgressCSV } from './renderers/csv.mjs';
 import { renderLLMPrompt } from './renderers/llm.mjs';
@@ -119,6 +120,10 @@ export {
   generateIssueId,
   generateDiff,
   generateProgressReport,
+  createBaseline,
+  readBaseline,
+  writeBaseline,
+  applyBaseline,
   renderActionListMarkdown,
   renderProgressMarkdown,
   renderActionListCSV,
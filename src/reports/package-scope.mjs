@@ -0,0 +1,93 @@
+/**
+ * Package Scope
+ *
+ * Narrows a monorepo scan to one workspace package. Reachability is always
+ * computed on the whole repository (another package's imports are what keep
+ * this one's exports alive); this only decides which findings to report:
+ * those in files under the package directory, its own package.json
+ * dependency findings and, if it is unused, the package itself.
+ */
+
+/**
+ * Find a workspace package by name or directory
+ * @param {Object} results - Output of toScanResult() (src/api/result.mjs)
+ * @param {string} name - Package name (@scope/pkg) or directory (packages/pkg)
+ * @returns {Object} Workspace package entry from results.workspace
+ * @throws {Error} If the project is not a monorepo or no package matches
+ */
+export function findPackage(results, name) {
+  const packages = results.workspace?.packages || [];
+  if (packages.length === 0) {
+    throw new Error('No workspace packages found (npm/yarn/pnpm workspaces, Lerna or Nx)');
+  }
+  const dir = name.replace(/^\.\//, '').replace(/\/+$/, '');
+  const pkg = packages.find(p => p.name === name) || packages.find(p => p.dir === dir);
+  if (!pkg) {
+    throw new Error(`No workspace package "${name}" (found: ${packages.map(p => p.name).join(', ')})`);
+  }
+  return pkg;
+}
+
+/**
+ * Filter reporter-shaped results down to the findings of one workspace package.
+ *
+ * @param {Object} results - Output of toScanResult() (src/api/result.mjs)
+ * @param {string} name - Package name or directory
+ * @returns {Object} Filtered results with a `packageScope` summary section
+ * @throws {Error} If the project is not a monorepo or no package matches
+ */
+export function applyPackageScope(results, name) {
+  const pkg = findPackage(results, name);
+  const inPackage = (file) => typeof file === 'string' && file.startsWith(pkg.dir + '/');
+
+  const deadFiles = (results.deadFiles || []).filter(f => inPackage(f.path));
+  const deadFunctions = (results.deadFunctions || []).filter(fn => inPackage(fn.file));
+  const unreachableCode = (results.unreachableCode || []).filter(u => inPackage(u.file));
+  const deadMembers = (results.deadMembers || []).filter(m => inPackage(m.file));
+  const unusedTypes = (results.unusedTypes || []).filter(t => inPackage(t.file));
+  const unusedSelectors = (results.unusedSelectors || []).filter(s => inPackage(s.file));
+  const unusedExports = (results.unusedExports || []).filter(e => inPackage(e.file));
+  const unusedDependencies = (results.unusedDependencies || []).filter(d => d.manifest === pkg.manifest);
+  const missingDependencies = (results.missingDependencies || []).filter(d => d.manifest === pkg.manifest);
+  const unusedPackages = (results.unusedPackages || []).filter(p => p.dir === pkg.dir);
+  const unusedEnvVars = (results.unusedEnvVars || []).filter(v => inPackage(v.file));
+  const undefinedEnvVars = (results.undefinedEnvVars || []).filter(v => v.readBy.some(r => inPackage(r.file)));
+  const unusedTranslationKeys = (results.unusedTranslationKeys || []).filter(k => inPackage(k.file));
+  const missingTranslationKeys = (results.missingTranslationKeys || []).filter(k => inPackage(k.file));
+
+  const countExports = (list) => list.reduce((sum, e) => sum + (e.deadExports || []).length, 0);
+  const count = (r) => (r.deadFiles || []).length + (r.deadFunctions || []).length + (r.unreachableCode || []).length +
+    (r.deadMembers || []).length + (r.unusedSelectors || []).length +
+    (r.unusedTypes || []).length + (r.unusedDependencies || []).length + (r.missingDependencies || []).length +
+    (r.unusedEnvVars || []).length + (r.undefinedEnvVars || []).length +
+    (r.unusedTranslationKeys || []).length + (r.missingTranslationKeys || []).length +
+    countExports(r.unusedExports || []) + (r.unusedPackages || []).length;
+  const totalBefore = count(results);
+  const scoped = { deadFiles, deadFunctions, unreachableCode, deadMembers, unusedTypes, unusedSelectors, unusedExports, unusedDependencies, missingDependencies, unusedEnvVars, undefinedEnvVars, unusedTranslationKeys, missingTranslationKeys, unusedPackages };
+  const totalAfter = count(scoped);
+
+  return {
+    ...results,
+    ...scoped,
+    totalFiles: pkg.files,
+    reachableFiles: pkg.files - pkg.deadFiles,
+    deadRate: pkg.deadRate || '0.00%',
+    totalDeadBytes: pkg.deadBytes || 0,
+    deadIslands: (results.deadIslands || []).filter(i => i.files.every(inPackage)),
+    dynamicImports: (results.dynamicImports || []).filter(d => inPackage(d.file)),
+    unconstrainedDynamicImports: (results.unconstrainedDynamicImports || []).filter(d => inPackage(d.file)),
+    parseFailures: (results.parseFailures || []).filter(f => inPackage(f.file)),
+    unreachableFromPublicApi: (results.unreachableFromPublicApi || []).filter(m => inPackage(m.file)),
+    undocumentedExports: (results.undocumentedExports || []).filter(u => inPackage(u.file)),
+    missingPackageFiles: (results.missingPackageFiles || []).filter(m => m.manifest === pkg.manifest),
+    testOnlyFiles: (results.testOnlyFiles || []).filter(f => inPackage(f.file)),
+    testOnlyExports: (results.testOnlyExports || []).filter(e => inPackage(e.file)),
+    packageScope: {
+      name: pkg.name,
+      dir: pkg.dir,
+      totalFindings: totalBefore,
+      reportedFindings: totalAfter,
+      outOfScope: totalBefore - totalAfter
+    }
+  };
+}
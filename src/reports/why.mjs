@@ -0,0 +1,240 @@
+/**
+ * Why
+ *
+ * Explains a single file's verdict from the reachability trace a scan records
+ * with `trace: true` (see buildReachableFiles):
+ *
+ * - live files: the shortest import chain from an entry point, and the rule
+ *   that made that entry point a root
+ * - dead files: the dead files that import it, and the nearest live files
+ *   with an import specifier that looks meant for it but did not resolve
+ */
+
+import { basename, dirname, extname, posix, relative, resolve } from 'path';
+
+const MAX_NEAR_MISSES = 5;
+
+/**
+ * Normalise a CLI path argument to a project-relative path with forward slashes
+ */
+export function toRelative(target, projectPath) {
+  const rel = relative(projectPath, resolve(projectPath, target));
+  return rel.split('\\').join('/');
+}
+
+/**
+ * Find the scanned file a target refers to: exact path, then the same path
+ * with any extension, then a unique path suffix
+ */
+export function matchFile(target, files) {
+  if (files.includes(target)) return { file: target };
+
+  const stripped = target.replace(/\.[^/.]+$/, '');
+  const noExt = files.filter(f => f.replace(/\.[^/.]+$/, '') === stripped);
+  if (noExt.length === 1) return { file: noExt[0] };
+
+  const suffix = files.filter(f => f.endsWith('/' + target));
+  if (suffix.length === 1) return { file: suffix[0] };
+
+  const candidates = noExt.length > 1 ? noExt : suffix;
+  return { file: null, candidates };
+}
+
+/**
+ * Module name an import specifier or file path refers to: last path
+ * segment without extension, index files collapsed to their directory
+ */
+function stem(path) {
+  let name = basename(path, extname(path));
+  if (name === 'index' || name === '__init__' || name === 'mod') {
+    name = basename(dirname(path));
+  }
+  return name.toLowerCase().replace(/[-_.]/g, '');
+}
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Number of leading directory segments two paths share
+ */
+function sharedDepth(a, b) {
+  const as = a.split('/');
+  const bs = b.split('/');
+  let n = 0;
+  while (n < as.length && n < bs.length && as[n] === bs[n]) n++;
+  return n;
+}
+
+/**
+ * Shortest chain from any root to the target over live edges (multi-source BFS)
+ */
+function shortestChain(target, trace) {
+  const rootReasons = new Map(trace.roots.map(r => [r.file, r.reason]));
+  if (rootReasons.has(target)) {
+    return { root: target, reason: rootReasons.get(target), steps: [] };
+  }
+
+  const outgoing = new Map();
+  for (const edge of trace.edges) {
+    if (edge.dead) continue;
+    if (!outgoing.has(edge.from)) outgoing.set(edge.from, []);
+    outgoing.get(edge.from).push(edge);
+  }
+
+  const via = new Map();
+  const queue = [...rootReasons.keys()];
+  const seen = new Set(queue);
+  for (let i = 0; i < queue.length; i++) {
+    const current = queue[i];
+    for (const edge of outgoing.get(current) || []) {
+      if (seen.has(edge.to)) continue;
+      seen.add(edge.to);
+      via.set(edge.to, edge);
+      if (edge.to === target) {
+        const steps = [];
+        for (let e = edge; e; e = via.get(e.from)) steps.unshift(e);
+        return { root: steps[0].from, reason: rootReasons.get(steps[0].from), steps };
+      }
+      queue.push(edge.to);
+    }
+  }
+  return null;
+}
+
+/**
+ * Unresolved specifiers in live files that look like they were meant to
+ * import the target, closest directories first
+ */
+function nearMisses(target, trace, deadSet) {
+  const targetStem = stem(target);
+  const targetDir = posix.dirname(target);
+  const misses = [];
+
+  for (const miss of trace.unresolved) {
+    if (deadSet.has(miss.from)) continue;
+    const specStem = stem(miss.specifier);
+    const distance = specStem === targetStem ? 0 : levenshtein(specStem, targetStem);
+    if (distance > 2 || (distance > 0 && targetStem.length < 4)) continue;
+
+    // Where a relative specifier points, otherwise the importing file's directory
+    const pointsAt = miss.specifier.startsWith('.')
+      ? posix.join(posix.dirname(miss.from), posix.dirname(miss.specifier))
+      : posix.dirname(miss.from);
+    misses.push({ ...miss, distance, depth: sharedDepth(pointsAt, targetDir) });
+  }
+
+  misses.sort((a, b) => a.distance - b.distance || b.depth - a.depth || a.from.localeCompare(b.from));
+  return misses.slice(0, MAX_NEAR_MISSES).map(({ from, specifier, line, distance }) => ({ from, specifier, line, distance }));
+}
+
+/**
+ * Explain why a file is live or dead.
+ *
+ * @param {Object} scanResult - scanDeadCode() result, scanned with trace: true
+ * @param {string} target - File path (absolute, or relative to the project root)
+ * @param {string} projectPath - Project root
+ * @returns {Object} { file, status, ... } where status is one of
+ *   'live' (root, reason, steps), 'dead' (importers, nearMisses),
+ *   'live-outside-graph', 'not-scanned' or 'ambiguous' (candidates)
+ */
+export function explainFile(scanResult, target, projectPath) {
+  const trace = scanResult.reachabilityTrace;
+  if (!trace) {
+    throw new Error('Scan result has no reachability trace (scan with trace: true)');
+  }
+
+  const wanted = toRelative(target, projectPath);
+  const { file, candidates } = matchFile(wanted, trace.files);
+  if (!file) {
+    return candidates?.length
+      ? { file: wanted, status: 'ambiguous', candidates }
+      : { file: wanted, status: 'not-scanned' };
+  }
+
+  const deadSet = new Set(scanResult.deadFiles.map(f => f.file));
+  if (deadSet.has(file)) {
+    const importers = trace.edges
+      .filter(e => e.dead && e.to === file)
+      .map(({ from, specifier, line }) => ({ from, specifier, line }));
+    return { file, status: 'dead', importers, nearMisses: nearMisses(file, trace, deadSet) };
+  }
+
+  const chain = shortestChain(file, trace);
+  if (chain) return { file, status: 'live', ...chain };
+
+  // Kept by a rule outside the import graph (dynamic loading, generated code,
+  // framework conventions applied after the walk)
+  const dynamic = scanResult.skippedDynamic?.find(s => (s.file?.relativePath || s.file) === file);
+  const generated = scanResult.excludedGenerated?.find(s => (s.file?.relativePath || s.file) === file);
+  const reason = dynamic ? `matched a dynamic loading pattern${dynamic.pattern ? ` (${dynamic.pattern})` : ''}`
+    : generated ? 'excluded as generated code'
+    : 'kept live by a rule outside the import graph';
+  return { file, status: 'live-outside-graph', reason };
+}
+
+function location(file, line) {
+  return line ? `${file}:${line}` : file;
+}
+
+/**
+ * Render an explanation as plain text
+ */
+export function formatExplanation(explanation, { noColor = false } = {}) {
+  const c = noColor
+    ? { bold: '', dim: '', green: '', red: '', yellow: '', reset: '' }
+    : { bold: '\x1b[1m', dim: '\x1b[2m', green: '\x1b[32m', red: '\x1b[31m', yellow: '\x1b[33m', reset: '\x1b[0m' };
+  const lines = [];
+  const { file, status } = explanation;
+
+  if (status === 'not-scanned') {
+    lines.push(`${c.yellow}${file}${c.reset} was not part of the scan (excluded, ignored or not a source file)`);
+  } else if (status === 'ambiguous') {
+    lines.push(`${c.yellow}${file}${c.reset} matches more than one file:`);
+    for (const candidate of explanation.candidates) lines.push(`  ${candidate}`);
+  } else if (status === 'live') {
+    lines.push(`${c.green}${c.bold}${file}${c.reset} is ${c.green}live${c.reset}`);
+    lines.push('');
+    lines.push(`  ${c.bold}${explanation.root}${c.reset}  ${c.dim}entry point: ${explanation.reason}${c.reset}`);
+    for (const step of explanation.steps) {
+      const how = [step.specifier && `'${step.specifier}'`, step.rule].filter(Boolean).join(', ');
+      lines.push(`    ${c.dim}→ ${how} at ${location(step.from, step.line)}${c.reset}`);
+      lines.push(`  ${step.to}`);
+    }
+  } else if (status === 'live-outside-graph') {
+    lines.push(`${c.green}${c.bold}${file}${c.reset} is ${c.green}not dead${c.reset}: ${explanation.reason}`);
+  } else {
+    lines.push(`${c.red}${c.bold}${file}${c.reset} is ${c.red}dead${c.reset}: no entry point reaches it`);
+    lines.push('');
+    if (explanation.importers.length > 0) {
+      lines.push(`  ${c.bold}Imported only by dead files:${c.reset}`);
+      for (const imp of explanation.importers) {
+        lines.push(`    ${location(imp.from, imp.line)}  ${c.dim}'${imp.specifier}'${c.reset}`);
+      }
+    } else {
+      lines.push(`  ${c.dim}Nothing imports it.${c.reset}`);
+    }
+    lines.push('');
+    if (explanation.nearMisses.length > 0) {
+      lines.push(`  ${c.bold}Live files with an import that did not resolve:${c.reset}`);
+      for (const miss of explanation.nearMisses) {
+        lines.push(`    ${location(miss.from, miss.line)}  ${c.yellow}'${miss.specifier}'${c.reset}`);
+      }
+    } else {
+      lines.push(`  ${c.dim}No live file has an unresolved import that looks meant for it.${c.reset}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+export default { explainFile, formatExplanation };
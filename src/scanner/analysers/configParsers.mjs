@@ -2,7 +2,7 @@
 // CI/CD and Bundler configuration parsers for entry point detection
 
 import { readFileSync, existsSync } from 'fs';
-import { join, dirname, basename, relative } from 'path';
+import { join, dirname, basename, relative, posix } from 'path';
 import { globSync } from 'glob';
 
 /**
@@ -959,6 +959,201 @@ export function parseAngularConfig(projectPath) {
   return { entries: [...new Set(entries)] };
 }
 
+const ENV_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// Keys that hold environment variables in compose files, Helm values and pod specs
+const ENV_BLOCK_RE = /^(\s*)(?:-\s+)?(env|environment|extraEnv|extraEnvVars|envVars)\s*:\s*(?:#.*)?$/;
+const INTERPOLATION_RE = /\$\{([A-Za-z_][A-Za-z0-9_]*)|\$([A-Za-z_][A-Za-z0-9_]*)|\benv\(\s*["']([A-Za-z_][A-Za-z0-9_]*)["']\s*\)/g;
+
+/**
+ * Names under an `env:`/`environment:` key: a list of `- name: X` (pod
+ * spec), `- X=value` (compose) or a `X: value` map
+ */
+function envBlockNames(lines, start, indent) {
+  const names = [];
+  let childIndent = null;
+  for (let i = start + 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (/^\s*(#|$)/.test(line)) continue;
+    const lineIndent = line.match(/^\s*/)[0].length;
+    // Pod specs often list `- name:` items at the same indent as `env:`
+    if (lineIndent < indent || (lineIndent === indent && !/^\s*-/.test(line))) break;
+    if (childIndent === null) childIndent = lineIndent;
+    if (lineIndent !== childIndent) continue;
+    const item = line.match(/^\s*-\s+(?:name\s*:\s*)?["']?([A-Za-z_][A-Za-z0-9_]*)["']?\s*(?:=|:|$)/);
+    const key = line.match(/^\s*["']?([A-Za-z_][A-Za-z0-9_]*)["']?\s*:/);
+    const isNameItem = /^\s*-\s+name\s*:/.test(line);
+    const isComposeItem = /^\s*-\s+["']?[A-Za-z_][A-Za-z0-9_]*["']?\s*(=|$)/.test(line);
+    if (item && (isNameItem || isComposeItem)) names.push({ name: item[1], line: i + 1 });
+    else if (key && !/^\s*-/.test(line)) names.push({ name: key[1], line: i + 1 });
+  }
+  return names;
+}
+
+/**
+ * Line ranges of compose services that only run an image (no `build:`)
+ */
+function composeImages(lines) {
+  const services = [];
+  const top = lines.findIndex(l => /^services\s*:/.test(l));
+  if (top === -1) return services;
+  let current = null;
+  for (let i = top + 1; i < lines.length; i++) {
+    if (/^\S/.test(lines[i]) && !/^#/.test(lines[i])) break;
+    if (/^ {2}["']?[\w.-]+["']?\s*:/.test(lines[i])) {
+      current = { start: i, end: lines.length, image: null, build: false };
+      if (services.length > 0) services[services.length - 1].end = i;
+      services.push(current);
+    } else if (current) {
+      const image = lines[i].match(/^\s+image\s*:\s*["']?([^"'\s#]+)/);
+      if (image) current.image = image[1];
+      if (/^\s+build\s*:/.test(lines[i])) current.build = true;
+    }
+  }
+  return services.filter(s => s.image && !s.build);
+}
+
+/**
+ * Keys under `data:`/`stringData:` of Kubernetes ConfigMap and Secret documents
+ */
+function configMapNames(lines) {
+  const names = [];
+  let docStart = 0;
+  const docs = [];
+  lines.forEach((line, i) => {
+    if (/^---/.test(line)) {
+      docs.push([docStart, i]);
+      docStart = i + 1;
+    }
+  });
+  docs.push([docStart, lines.length]);
+  for (const [from, to] of docs) {
+    const kind = lines.slice(from, to).find(l => /^kind\s*:/.test(l))?.match(/^kind\s*:\s*(\w+)/)?.[1];
+    if (kind !== 'ConfigMap' && kind !== 'Secret') continue;
+    for (let i = from; i < to; i++) {
+      if (!/^(data|stringData)\s*:\s*$/.test(lines[i])) continue;
+      for (let j = i + 1; j < to; j++) {
+        if (/^\S/.test(lines[j])) break;
+        const key = lines[j].match(/^ {1,4}["']?([A-Z_][A-Z0-9_]*)["']?\s*:/);
+        if (key) names.push({ name: key[1], line: j + 1, source: kind === 'Secret' ? 'secret' : 'configmap' });
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * Discover where environment variables are defined: .env files (including
+ * .env.example templates), docker-compose `environment:`, Helm values and
+ * Kubernetes pod specs, ConfigMaps and Secrets. Also collects the names
+ * configs, shell scripts and package.json scripts interpolate (`${X}`,
+ * `$X`, Prisma `env("X")`), which count as reads.
+ * @param {string} projectPath - Project root path
+ * @param {Object} [options]
+ * @param {string[]} [options.ignore] - Glob patterns to skip
+ * @returns {{ definitions: Array<{ name, file, line, source, image? }>, references: Array<{ name, file, line }> }}
+ *   image is set for compose variables of a service that only runs a third-party image
+ */
+export function parseEnvConfig(projectPath, { ignore = [] } = {}) {
+  const definitions = [];
+  const references = [];
+  const skip = [...new Set(['**/node_modules/**', '**/.git/**', ...ignore])];
+  const find = (pattern) => {
+    try {
+      return globSync(pattern, { cwd: projectPath, nodir: true, dot: true, ignore: skip }).map(f => f.split('\\').join('/')).sort();
+    } catch {
+      return [];
+    }
+  };
+  const read = (file) => {
+    try {
+      return readFileSync(join(projectPath, file), 'utf-8');
+    } catch {
+      return null;
+    }
+  };
+  const interpolated = (file, text) => {
+    text.split('\n').forEach((line, i) => {
+      if (/^\s*#/.test(line)) return;
+      for (const match of line.matchAll(INTERPOLATION_RE)) {
+        references.push({ name: match[1] || match[2] || match[3], file, line: i + 1 });
+      }
+    });
+  };
+
+  // .env, .env.local, .env.production, .env.example ...
+  const envFiles = new Set(find('**/.env{,.*}').filter(f => !/\.(js|mjs|cjs|ts|json)$/.test(f)));
+
+  // docker-compose: environment blocks, and the env_file entries they load
+  for (const file of find('**/{docker-compose,compose}{,.*}.{yml,yaml}')) {
+    const text = read(file);
+    if (text === null) continue;
+    const lines = text.split('\n');
+    // A service with no build: runs a third-party image, which reads its own variables
+    const images = composeImages(lines);
+    lines.forEach((line, i) => {
+      const block = line.match(ENV_BLOCK_RE);
+      if (block && block[2] === 'environment') {
+        const image = images.find(s => i >= s.start && i < s.end)?.image;
+        for (const def of envBlockNames(lines, i, block[1].length)) {
+          definitions.push({ ...def, file, source: 'compose', ...(image && { image }) });
+        }
+      }
+      const envFile = line.match(/^\s*(?:-\s+|env_file\s*:\s*)["']?([^"'\s#:]*\.?env[^"'\s#:]*)["']?\s*$/);
+      if (envFile) envFiles.add(posix.normalize(posix.join(posix.dirname(file), envFile[1])));
+    });
+    interpolated(file, text);
+  }
+
+  for (const file of [...envFiles].sort()) {
+    const text = read(file);
+    if (text === null) continue;
+    text.split('\n').forEach((line, i) => {
+      const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=/);
+      if (match) definitions.push({ name: match[1], file, line: i + 1, source: 'dotenv' });
+    });
+    interpolated(file, text.replace(/^[^=\n]*=/gm, ''));
+  }
+
+  // Helm values, pod specs in chart templates and manifests, ConfigMaps and Secrets
+  const charts = find('**/Chart.yaml').map(f => posix.dirname(f));
+  const inChart = (file) => charts.some(dir => dir === '.' || file === dir || file.startsWith(dir + '/'));
+  for (const file of find('**/*.{yml,yaml}')) {
+    if (/(^|\/)(docker-compose|compose)(\.[^/]*)?\.ya?ml$/.test(file)) continue;
+    const text = read(file);
+    if (text === null) continue;
+    const lines = text.split('\n');
+    const isValues = inChart(file) && /(^|\/)values[^/]*\.ya?ml$/.test(file);
+    const isManifest = /^kind\s*:/m.test(text) || (inChart(file) && /(^|\/)templates\//.test(file));
+    if (isValues || isManifest) {
+      lines.forEach((line, i) => {
+        const block = line.match(ENV_BLOCK_RE);
+        if (!block || (isManifest && block[2] !== 'env')) return;
+        for (const def of envBlockNames(lines, i, block[1].length)) {
+          if (ENV_NAME_RE.test(def.name)) definitions.push({ ...def, file, source: isValues ? 'helm' : 'k8s' });
+        }
+      });
+      for (const def of configMapNames(lines)) definitions.push({ ...def, file });
+    }
+    interpolated(file, text);
+  }
+
+  // Shell scripts, Dockerfiles, Makefiles, Prisma schemas and package.json scripts read variables too
+  for (const file of find('**/{*.sh,*.bash,Dockerfile*,*.dockerfile,Makefile,*.mk,Procfile,*.prisma}')) {
+    const text = read(file);
+    if (text !== null) interpolated(file, text);
+  }
+  for (const file of find('**/package.json')) {
+    try {
+      const scripts = JSON.parse(read(file) || '{}').scripts || {};
+      interpolated(file, Object.values(scripts).filter(v => typeof v === 'string').join('\n'));
+    } catch {
+      // Ignore unparsable manifests
+    }
+  }
+
+  return { definitions, references };
+}
+
 /**
  * Collect all entry points from bundler and CI/CD configs
  * @param {string} projectPath - Project root path
@@ -1081,6 +1276,7 @@ export default {
   parseNextjsConfig,
   parseCypressConfig,
   parseJestConfig,
+  parseEnvConfig,
   collectConfigEntryPoints,
   isConfigEntry
 };
@@ -5,12 +5,18 @@ import { parse } from '@babel/parser';
 import _traverse from '@babel/traverse';
 import { readFileSync, existsSync, readdirSync, statSync } from 'fs';
 import { execSync } from 'child_process';
-import { relative, dirname, basename, join, resolve, normalize } from 'path';
+import { relative, dirname, basename, join, resolve, normalize, posix } from 'path';
 import { globSync } from 'glob';
 import { getConfigDirsFromBuildSystems } from './buildSystems.mjs';
 import { isGeneratedFile, filterGeneratedFiles } from './generatedCode.mjs';
 import { collectConfigEntryPoints, isConfigEntry } from './configParsers.mjs';
 import { createEntryPointDetector } from './entryPointDetector.mjs';
+import { findDependencyIssues } from './dependencies.mjs';
+import { detectWorkspaces, resetWorkspaceCache, packageLocator, sourceCandidates, entryCandidates, exportPatterns } from './workspaces.mjs';
+import { fileIndex, libraryPackages, publicSurface, findUndocumentedExports } from './library.mjs';
+import { evaluateCondition, envNames, flagNames, UNKNOWN } from '../parsers/control-flow.mjs';
+import { loadFlags, importsOnlyIn } from './flags.mjs';
+import { checkpoint } from '../cancel.mjs';
 
 // Cache for nested package.json discoveries
 let _nestedPackageCache = null;
@@ -21,6 +27,20 @@ let _dependedPackagesCache = null;
 let _pathAliasesCache = null;
 let _pathAliasesCacheProjectPath = null;
 
+/**
+ * Forget the nested package.json, path alias and workspace caches, which are
+ * keyed by project path only. Watch mode calls this before re-analysing after
+ * a package.json, tsconfig or swynx config edit.
+ */
+export function resetProjectCaches() {
+  _nestedPackageCache = null;
+  _nestedPackageCacheProjectPath = null;
+  _dependedPackagesCache = null;
+  _pathAliasesCache = null;
+  _pathAliasesCacheProjectPath = null;
+  resetWorkspaceCache();
+}
+
 /**
  * Find all nested package.json files in a project (for monorepo support)
  * Returns a map of package directory -> package.json contents
@@ -672,6 +692,11 @@ function extractPathAliases(projectPath) {
     }
   }
 
+  // 10. Declared workspace packages (including Nx projects and negated globs)
+  for (const pkg of detectWorkspaces(projectPath).packages) {
+    workspaceDirs.add(pkg.dir);
+  }
+
   // Add all discovered workspace directories
   for (const wsDir of workspaceDirs) {
     configDirs.push({ dir: wsDir, prefix: `${wsDir}/` });
@@ -736,7 +761,9 @@ function extractPathAliases(projectPath) {
           workspacePackages.set(pkgJson.name, {
             dir: wsDir,
             entryPoint: entryPoint,
-            exportsMap: exportsMap
+            entryCandidates: entryCandidates(pkgJson),
+            exportsMap: exportsMap,
+            exportPatterns: exportPatterns(pkgJson)
           });
         }
       } catch {
@@ -3107,8 +3134,9 @@ function isEntryPoint(filePath, packageJson = {}, projectPath = null, htmlEntryP
   }
 
   // Check against patterns
-  if (ENTRY_POINT_PATTERNS.some(p => p.test(filePath))) {
-    return { isEntry: true, reason: 'Matches entry point pattern' };
+  const entryPattern = ENTRY_POINT_PATTERNS.find(p => p.test(filePath));
+  if (entryPattern) {
+    return { isEntry: true, reason: `Matches entry point pattern ${entryPattern}` };
   }
 
   // Check for DI-decorated classes (@Service, @Injectable, etc.)
@@ -3968,10 +3996,32 @@ function isJavaScript(path) {
   return /\.([mc]?[jt]s|[jt]sx)$/.test(path);
 }
 
+// Test files, test-runner setup and test helper directories, in every language
+// the scanner reads. Entry points matching these are test entry points
+const TEST_FILE_RE = new RegExp([
+  /\.(?:test|spec|e2e|bench|benchmark|test-d)(?:[.-]\w+)*\.[mc]?[jt]sx?$/,
+  /[-_](?:test|spec)\.[mc]?[jt]sx?$/,
+  /(?:^|\/)(?:tests?|__tests__|__mocks__|__fixtures__|__testfixtures__|spec|e2e|cypress|playwright|test-utils?)\//,
+  /(?:^|\/)(?:test-utils|tests?)\.[mc]?[jt]sx?$/,
+  /(?:^|\/)(?:vitest|jest|playwright|cypress|karma)[.-](?:config|setup)[^/]*\.[mc]?[jt]sx?$/,
+  /(?:^|\/)setup(?:Vitest|Jest|Tests?)\.[mc]?[jt]sx?$/,
+  /(?:^|\/)(?:test_[^/]+|[^/]+_test|conftest)\.py$/,
+  /_test\.go$/,
+  /(?:^|\/)src\/test\//,
+  /(?:Tests?|Spec)\.(?:java|kt|cs)$/
+].map(re => re.source).join('|'));
+
+/**
+ * Check if a file is a test file (or test setup/helper) rather than production code
+ */
+function isTestFile(path) {
+  return TEST_FILE_RE.test(path);
+}
+
 /**
  * Check if file is a code file (any supported language)
  */
-function isCodeFile(path) {
+export function isCodeFile(path) {
   return /\.([mc]?[jt]s|[jt]sx|py|pyi|java|kt|kts|cs|go|rs|php|rb|swift|dart|scala|sc|ex|exs|hs|lhs|fs|ml|mli|jl|zig|nim|erl|hrl|cr|v|pl|pm|clj|cljs|cljc|vb)$/.test(path);
 }
 
@@ -3983,8 +4033,18 @@ function isCodeFile(path) {
  * @param {Array} jsAnalysis - Parsed file analysis results
  * @param {string} projectPath - Project root path
  * @param {Map<string, Set<string>>} additionalRefs - Optional map of additional file->files references (e.g., C# class refs)
+ * @param {Object} [trace] - When given, filled with { roots, edges, unresolved } for `swynx why`:
+ *   roots maps each walk start to { entry } or { reason }, edges holds every followed
+ *   edge (plus `dead: true` import edges between unreachable files), unresolved holds
+ *   import specifiers of reachable files that matched no file
+ * @param {Set<string>} [publicEntries] - Library mode: public API entry files, whose every
+ *   export counts as consumed by code outside the project
+ * @returns {Object} { reachable, exportUsageMap, goFilesByDir, deadEdges, dynamicImports, packageEdges } where
+ *   deadEdges holds the import edges between files the walk never reached, dynamicImports
+ *   the computed import()/require() paths of reached files ({ resolved, unconstrained }) and
+ *   packageEdges the first followed edge between each pair of workspace packages
  */
-function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, additionalRefs = null) {
+export function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, additionalRefs = null, trace = null, publicEntries = null) {
   const reachable = new Set();
   const visited = new Set();
   const _sortedAliasCache = new WeakMap();  // Cache sorted alias arrays per alias Map
@@ -4051,12 +4111,17 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
   const fileImports = new Map();
   // Build a map from file path to its metadata (for Java package lookups)
   const fileMetadata = new Map();
+  // Computed import()/require() paths, as globs (see the JS parser)
+  const fileDynamicImports = new Map();
   for (const file of jsAnalysis) {
     const filePath = file.file?.relativePath || file.file;
     fileImports.set(filePath, file.imports || []);
     if (file.metadata) {
       fileMetadata.set(filePath, file.metadata);
     }
+    if (file.dynamicImports?.length) {
+      fileDynamicImports.set(filePath, file.dynamicImports);
+    }
   }
 
   // Build a map from file path to its exports (for re-export chain following)
@@ -4110,7 +4175,8 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
       }
       let usages = fileUsage.get(key);
       if (!usages) { usages = []; fileUsage.set(key, usages); }
-      usages.push({ importerFile, importType });
+      // `import type` consumes the export's type only
+      usages.push(spec.typeOnly ? { importerFile, importType, typeOnly: true } : { importerFile, importType });
     }
   }
 
@@ -4195,6 +4261,11 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
     filePathsNoExt.get(noExt).push(filePath);
   }
 
+  // First workspace package path (built path mapped back to source) that exists
+  const firstExistingPath = (dir, relPaths) => relPaths
+    .map(rel => `${dir}/${rel}`)
+    .find(p => fileImports.has(p) || filePathsNoExt.has(p) || filePathsNoExt.has(p + '/index'));
+
   // Build indexes for O(1) lookups (replaces O(n) scans)
 
   // A2: Go same-package linking index: Map<dir, string[]> of .go files per directory
@@ -4237,6 +4308,9 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
         const matches = matchGlobPattern(imp.module, allFilePaths, fileDir);
         for (const match of matches) {
           reachable.add(match);
+          if (trace && !trace.roots.has(match)) {
+            trace.roots.set(match, { reason: `Matched by glob '${imp.module}' in ${file.file?.relativePath}` });
+          }
         }
       }
     }
@@ -4264,6 +4338,9 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
           for (const otherFile of siblings) {
             if (otherFile !== filePath) {
               reachable.add(otherFile);
+              if (trace && !trace.roots.has(otherFile)) {
+                trace.roots.set(otherFile, { reason: `Loaded by directory scan in ${filePath}` });
+              }
             }
           }
         }
@@ -4805,6 +4882,19 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
                 exportMatched = true;
               }
             }
+            if (!exportMatched) {
+              // Wildcard subpath exports: "./components/*" -> "./dist/components/*.js"
+              for (const { prefix, suffix, targets } of workspacePkg.exportPatterns || []) {
+                if (!subPath.startsWith(prefix) || !subPath.endsWith(suffix) || subPath.length < prefix.length + suffix.length) continue;
+                const star = subPath.slice(prefix.length, subPath.length - suffix.length);
+                const match = firstExistingPath(workspacePkg.dir, targets.flatMap(t => sourceCandidates(t.split('*').join(star))));
+                if (match) {
+                  resolved = match;
+                  exportMatched = true;
+                  break;
+                }
+              }
+            }
             if (!exportMatched) {
               // Fallback: try direct path with and without src/ prefix
               // Import like '@calcom/web/modules/foo' -> apps/web/modules/foo
@@ -4820,8 +4910,10 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
               }
             }
           } else {
-            // Import like '@n8n/rest-api-client' -> packages/.../src/index
-            resolved = `${workspacePkg.dir}/${workspacePkg.entryPoint}`;
+            // Import like '@n8n/rest-api-client' -> packages/.../src/index, through
+            // the package's exports/source/module/main, whichever exists first
+            resolved = firstExistingPath(workspacePkg.dir, workspacePkg.entryCandidates || []) ||
+              `${workspacePkg.dir}/${workspacePkg.entryPoint}`;
           }
         } else {
           // Before treating as external, check if baseUrl can resolve it
@@ -4900,13 +4992,85 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
     return matches;
   }
 
+  // Files a computed import()/require() glob can load, or null when nothing
+  // anchors it (no static directory to match against). Package patterns
+  // ('plugin-*') load no project file.
+  const DYNAMIC_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.mts', '.cts', '.vue', '.svelte'];
+  function matchDynamicImport(fromFile, pattern) {
+    if (!pattern || pattern.startsWith('*')) return null;
+
+    let resolved = null;
+    if (pattern.startsWith('./') || pattern.startsWith('../')) {
+      resolved = posix.normalize(posix.join(dirname(fromFile), pattern));
+    } else if (pattern.startsWith('/')) {
+      resolved = pattern.slice(1);
+    } else {
+      for (const [alias, target] of getAliasesForFile(fromFile)) {
+        const aliasNoSlash = alias.replace(/\/$/, '');
+        if (pattern.startsWith(aliasNoSlash + '/')) {
+          resolved = posix.normalize(target.replace(/\/$/, '') + pattern.slice(aliasNoSlash.length));
+          break;
+        }
+      }
+      if (resolved === null) return [];
+    }
+    if (resolved.startsWith('*') || resolved.startsWith('../')) return null;
+
+    // The computed part may leave off the extension or name a directory;
+    // TypeScript sources are imported with their emitted .js extension
+    const candidates = [resolved];
+    const lastSegment = resolved.slice(resolved.lastIndexOf('/') + 1);
+    if (!/\.[\w]+$/.test(lastSegment)) {
+      candidates.push(...DYNAMIC_EXTENSIONS.map(ext => resolved + ext), ...DYNAMIC_EXTENSIONS.map(ext => resolved + '/index' + ext));
+    } else if (/\.[mc]?jsx?$/.test(lastSegment)) {
+      const stem = resolved.replace(/\.([mc]?)js(x?)$/, '');
+      candidates.push(stem + '.ts', stem + '.tsx', stem + '.mts', stem + '.cts');
+    }
+
+    const regexes = candidates.map(c => new RegExp('^' + c.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*') + '$'));
+    return allFilePaths.filter(fp => fp !== fromFile && regexes.some(re => re.test(fp))).sort();
+  }
+
+  // Export names an ES import consumes, recorded on trace edges; undefined
+  // means every export (CommonJS, dynamic import, other languages)
+  function importedNames(imp) {
+    if (imp.type !== 'esm' || !imp.specifiers) return undefined;
+    return imp.specifiers.map(s => s.type === 'default' ? 'default' : s.type === 'namespace' ? '*' : s.name);
+  }
+
+  // Computed import()/require() paths met while walking: globs that matched
+  // files, and expressions nothing could anchor
+  const dynamicImports = { resolved: [], unconstrained: [] };
+
+  // First edge seen between each pair of workspace packages ('' is the code
+  // outside any package), keyed "fromDir\0toDir"
+  const workspaces = detectWorkspaces(projectPath).packages;
+  const packageOf = workspaces.length > 0 ? packageLocator(workspaces) : null;
+  const packageEdges = new Map();
+
   // BFS to find all reachable files
-  function walkFromFile(startFile) {
+  function walkFile(startFile) {
     const queue = [startFile];
     let qi = 0;
+    let current;
+
+    // Queue a file reached from `current`. With a trace, every edge is kept
+    // (not only the first one to a file) so the shortest chain can be found
+    function follow(file, via) {
+      if (trace) trace.edges.push({ from: current, to: file, ...via });
+      if (packageOf) {
+        const fromDir = packageOf(current)?.dir ?? '';
+        const toDir = packageOf(file)?.dir ?? '';
+        const key = `${fromDir}\0${toDir}`;
+        if (fromDir !== toDir && !packageEdges.has(key)) {
+          packageEdges.set(key, { from: current, to: file, fromPackage: fromDir, toPackage: toDir, line: via?.line });
+        }
+      }
+      if (!visited.has(file)) queue.push(file);
+    }
 
     while (qi < queue.length) {
-      const current = queue[qi++];
+      current = queue[qi++];
 
       if (visited.has(current)) continue;
       visited.add(current);
@@ -4921,8 +5085,8 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
         const sameDir = goFilesByDir.get(currentDir);
         if (sameDir) {
           for (const filePath of sameDir) {
-            if (!visited.has(filePath) && !deadGoPattern.test(filePath)) {
-              queue.push(filePath);
+            if (!deadGoPattern.test(filePath)) {
+              follow(filePath, { rule: 'same Go package' });
             }
           }
         }
@@ -4940,8 +5104,8 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
           if (pkgFiles) {
             const deadJavaPattern = /(^|\/)(dead[-_]?|deprecated[-_]?|legacy[-_]?|old[-_]?|unused[-_]?)[^/]*\.(java|kt)$|\/(Dead|Deprecated|Legacy|Old|Unused)[A-Z][^/]*\.(java|kt)$/;
             for (const filePath of pkgFiles) {
-              if (!visited.has(filePath) && !deadJavaPattern.test(filePath)) {
-                queue.push(filePath);
+              if (!deadJavaPattern.test(filePath)) {
+                follow(filePath, { rule: 'same Java/Kotlin package' });
               }
             }
           }
@@ -4958,10 +5122,11 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
         // Let resolveImport handle all imports - it knows about path aliases
         // and returns empty array for npm packages
         const resolvedFiles = resolveImport(current, module);
+        if (trace && resolvedFiles.length === 0) {
+          trace.unresolved.push({ from: current, specifier: module, line: imp.line });
+        }
         for (const resolved of resolvedFiles) {
-          if (!visited.has(resolved)) {
-            queue.push(resolved);
-          }
+          follow(resolved, { specifier: module, line: imp.line, names: importedNames(imp) });
           // Record per-export usage
           if (imp.type === 'esm' && imp.specifiers) {
             recordExportUsage(resolved, current, imp.specifiers, 'esm');
@@ -4993,9 +5158,7 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
           const submodulePath = module + '.' + imp.name;
           const subResolved = resolveImport(current, submodulePath);
           for (const resolved of subResolved) {
-            if (!visited.has(resolved)) {
-              queue.push(resolved);
-            }
+            follow(resolved, { specifier: submodulePath, line: imp.line });
             // Python submodule resolution: the import resolved to a file, mark all exports used
             recordExportUsage(resolved, current, null, 'from-submodule');
           }
@@ -5009,9 +5172,7 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
           // This is a re-export - follow the source module
           const resolvedSources = resolveImport(current, exp.sourceModule);
           for (const source of resolvedSources) {
-            if (!visited.has(source)) {
-              queue.push(source);
-            }
+            follow(source, { specifier: exp.sourceModule, line: exp.line, rule: 're-export' });
           }
         }
       }
@@ -5033,16 +5194,16 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
         if (mod.pathOverride) {
           const overridePath = join(currentDir, mod.pathOverride);
           const normalizedOverride = overridePath.replace(/\\/g, '/');
-          if (fileImports.has(normalizedOverride) && !visited.has(normalizedOverride)) {
-            queue.push(normalizedOverride);
+          if (fileImports.has(normalizedOverride)) {
+            follow(normalizedOverride, { rule: `mod with #[path = "${mod.pathOverride}"]` });
           }
           // Also try relative to Rust 2018 parent module dir
           const currentBase = basename(current);
           if (currentBase.endsWith('.rs') && currentBase !== 'mod.rs' && currentBase !== 'lib.rs' && currentBase !== 'main.rs') {
             const parentModDir = join(currentDir, currentBase.replace(/\.rs$/, ''));
             const altPath = join(parentModDir, mod.pathOverride).replace(/\\/g, '/');
-            if (fileImports.has(altPath) && !visited.has(altPath)) {
-              queue.push(altPath);
+            if (fileImports.has(altPath)) {
+              follow(altPath, { rule: `mod with #[path = "${mod.pathOverride}"]` });
             }
           }
           continue;
@@ -5071,8 +5232,8 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
 
         for (const candidate of modCandidates) {
           const normalizedCandidate = candidate.replace(/\\/g, '/');
-          if (fileImports.has(normalizedCandidate) && !visited.has(normalizedCandidate)) {
-            queue.push(normalizedCandidate);
+          if (fileImports.has(normalizedCandidate)) {
+            follow(normalizedCandidate, { rule: `mod ${mod.name}` });
           }
         }
       }
@@ -5128,8 +5289,8 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
                   ];
                   for (const c of nestedCandidates) {
                     const nc = c.replace(/\\/g, '/');
-                    if (fileImports.has(nc) && !visited.has(nc)) {
-                      queue.push(nc);
+                    if (fileImports.has(nc)) {
+                      follow(nc, { rule: `mod ${modName}` });
                     }
                   }
                 }
@@ -5157,15 +5318,15 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
             const dirFiles = dirIndex ? dirIndex.get(targetDir) : null;
             if (dirFiles) {
               for (const f of dirFiles) {
-                if (f.endsWith('.rs') && !visited.has(f)) {
-                  queue.push(f);
+                if (f.endsWith('.rs')) {
+                  follow(f, { rule: 'automod::dir!' });
                 }
               }
             } else {
               // Fallback: scan all known file paths in that directory
               for (const filePath of fileImports.keys()) {
-                if (filePath.endsWith('.rs') && dirname(filePath) === targetDir && !visited.has(filePath)) {
-                  queue.push(filePath);
+                if (filePath.endsWith('.rs') && dirname(filePath) === targetDir) {
+                  follow(filePath, { rule: 'automod::dir!' });
                 }
               }
             }
@@ -5183,8 +5344,8 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
             const dirFiles = dirIndex ? dirIndex.get(targetDir) : null;
             if (dirFiles) {
               for (const f of dirFiles) {
-                if (f.endsWith('.rs') && !visited.has(f)) {
-                  queue.push(f);
+                if (f.endsWith('.rs')) {
+                  follow(f, { rule: 'directory-scanning macro' });
                 }
               }
             }
@@ -5201,8 +5362,8 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
               `${currentDir}/${modName}/mod.rs`
             ];
             for (const c of candidates) {
-              if (!visited.has(c) && (dirIndex?.get(dirname(c))?.has(c) || fileImports.has(c))) {
-                queue.push(c);
+              if (dirIndex?.get(dirname(c))?.has(c) || fileImports.has(c)) {
+                follow(c, { rule: `mod r#${modName}` });
               }
             }
           }
@@ -5227,8 +5388,8 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
               else if (p !== '.') normalParts.push(p);
             }
             const finalPath = normalParts.join('/');
-            if (!visited.has(finalPath) && (dirIndex?.get(dirname(finalPath))?.has(finalPath) || fileImports.has(finalPath))) {
-              queue.push(finalPath);
+            if (dirIndex?.get(dirname(finalPath))?.has(finalPath) || fileImports.has(finalPath)) {
+              follow(finalPath, { specifier: inclPath, rule: 'include!()' });
             }
           }
         } catch { /* skip read errors */ }
@@ -5249,9 +5410,7 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
               const dottedPath = pyMatch[1];
               const resolved = resolveImport(current, dottedPath);
               for (const r of resolved) {
-                if (!visited.has(r)) {
-                  queue.push(r);
-                }
+                follow(r, { specifier: dottedPath, rule: '__getattr__ lazy import' });
               }
             }
             // When __init__.py has __getattr__, ALL sibling .py modules are reachable
@@ -5261,8 +5420,8 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
             const siblingFiles = dirIndex ? dirIndex.get(pkgDir) : null;
             if (siblingFiles) {
               for (const f of siblingFiles) {
-                if (f.endsWith('.py') && !f.endsWith('__init__.py') && !visited.has(f)) {
-                  queue.push(f);
+                if (f.endsWith('.py') && !f.endsWith('__init__.py')) {
+                  follow(f, { rule: 'package with __getattr__' });
                 }
               }
             }
@@ -5272,8 +5431,8 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
               for (const [dir, files] of dirIndex) {
                 if (dir.startsWith(pkgDir + '/') && dir !== pkgDir) {
                   for (const f of files) {
-                    if (f.endsWith('__init__.py') && !visited.has(f)) {
-                      queue.push(f);
+                    if (f.endsWith('__init__.py')) {
+                      follow(f, { rule: 'package with __getattr__' });
                     }
                   }
                 }
@@ -5295,9 +5454,7 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
               const dottedPath = pyMatch[1];
               const resolved = resolveImport(current, dottedPath);
               for (const r of resolved) {
-                if (!visited.has(r)) {
-                  queue.push(r);
-                }
+                follow(r, { specifier: dottedPath, rule: 'import_module()' });
               }
             }
           }
@@ -5322,9 +5479,7 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
               if (importPath.startsWith('.')) {
                 const resolved = resolveImport(current, importPath);
                 for (const r of resolved) {
-                  if (!visited.has(r)) {
-                    queue.push(r);
-                  }
+                  follow(r, { specifier: importPath, rule: 'Svelte <script> import' });
                 }
               }
             }
@@ -5347,9 +5502,7 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
               if (importPath.startsWith('.')) {
                 const resolved = resolveImport(current, importPath);
                 for (const r of resolved) {
-                  if (!visited.has(r)) {
-                    queue.push(r);
-                  }
+                  follow(r, { specifier: importPath, rule: 'Vue <script> import' });
                 }
               }
             }
@@ -5362,12 +5515,24 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
         const refs = additionalRefs.get(current);
         if (refs) {
           for (const refFile of refs) {
-            if (!visited.has(refFile)) {
-              queue.push(refFile);
-            }
+            follow(refFile, { rule: 'C# type reference' });
           }
         }
       }
+
+      // Follow computed import()/require() paths to every file their glob matches
+      for (const dyn of fileDynamicImports.get(current) || []) {
+        const matches = matchDynamicImport(current, dyn.pattern);
+        if (matches === null) {
+          dynamicImports.unconstrained.push({ file: current, line: dyn.line, expression: dyn.expression, kind: dyn.kind });
+          continue;
+        }
+        if (matches.length === 0) continue;
+        dynamicImports.resolved.push({ file: current, line: dyn.line, expression: dyn.expression, pattern: dyn.pattern, matches });
+        for (const match of matches) {
+          follow(match, { specifier: dyn.pattern, line: dyn.line, rule: 'dynamic import pattern' });
+        }
+      }
     }
   }
 
@@ -5375,6 +5540,11 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
   // Build a Set of all known file paths for exact matching
   const allFilePathSet = new Set(allFilePaths);
   for (const entryPoint of entryPointFiles) {
+    const walkFromFile = trace ? (fp) => {
+      if (!trace.roots.has(fp)) trace.roots.set(fp, { entry: entryPoint });
+      walkFile(fp);
+    } : walkFile;
+
     // 1. Exact path match
     if (allFilePathSet.has(entryPoint)) {
       walkFromFile(entryPoint);
@@ -5420,10 +5590,33 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
   // These were added to reachable but not walked (their transitive imports need following)
   for (const file of reachable) {
     if (!visited.has(file)) {
-      walkFromFile(file);
+      walkFile(file);
     }
   }
 
+  // Imports between unreachable files aren't walked; record them so dead
+  // files can be grouped into islands and a dead file's importers shown
+  const deadEdges = [];
+  for (const [filePath, imports] of fileImports) {
+    if (visited.has(filePath)) continue;
+    for (const imp of imports) {
+      const module = imp.module || imp;
+      if (typeof module !== 'string') continue;
+      for (const resolved of resolveImport(filePath, module)) {
+        deadEdges.push({ from: filePath, to: resolved, specifier: module, line: imp.line });
+        if (trace) {
+          trace.edges.push({ from: filePath, to: resolved, specifier: module, line: imp.line, names: importedNames(imp), dead: true });
+        }
+      }
+    }
+  }
+
+  // Library mode: downstream users may import anything a public entry exports
+  for (const file of publicEntries || []) {
+    if (!exportUsageMap.has(file)) exportUsageMap.set(file, new Map());
+    exportUsageMap.get(file).set('__ALL__', [{ importerFile: '(public API)', importType: 'esm' }]);
+  }
+
   // Propagate export usage through re-export chains
   // e.g., if barrel.ts re-exports { foo } from './source.ts' and foo is consumed from barrel,
   // then foo should be marked as consumed in source.ts too
@@ -5485,7 +5678,7 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
     if (!changed) break;
   }
 
-  return { reachable, exportUsageMap, goFilesByDir };
+  return { reachable, exportUsageMap, goFilesByDir, deadEdges, dynamicImports, packageEdges: [...packageEdges.values()] };
 }
 
 /**
@@ -5496,8 +5689,9 @@ function buildReachableFiles(entryPointFiles, jsAnalysis, projectPath = null, ad
  * @param {Object} packageJson - Parsed package.json
  * @param {Object} config - Configuration options (including deadCode.dynamicPatterns)
  * @param {Function} onProgress - Progress callback
+ * @param {AbortSignal} [signal] - Checked before each git-history lookup and the dependency pass
  */
-export async function findDeadCode(jsAnalysis, importGraph, projectPath = null, packageJson = {}, config = {}, onProgress = () => {}) {
+export async function findDeadCode(jsAnalysis, importGraph, projectPath = null, packageJson = {}, config = {}, onProgress = () => {}, signal = null) {
   // Handle backwards compatibility: if config is a function, it's the old onProgress param
   if (typeof config === 'function') {
     onProgress = config;
@@ -5508,9 +5702,9 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
   const dynamicPatterns = config.dynamicPatterns || config.deadCode?.dynamicPatterns || [];
   setDynamicPatterns(dynamicPatterns);
 
-  // Set up DI patterns from config
+  // Set up DI patterns — config entries extend the built-in lists below
   // Includes NestJS, TypeORM, Angular, InversifyJS, Spring, and common DI frameworks
-  const diDecorators = config.diDecorators || config.deadCode?.diDecorators || [
+  const builtinDIDecorators = [
     // NestJS and common DI frameworks - decorated classes are container-managed
     // @Controller marks HTTP endpoints, @Module defines DI containers,
     // @Resolver for GraphQL endpoints
@@ -5543,7 +5737,7 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
     // Celery
     'task', 'shared_task'
   ];
-  const diContainerPatterns = config.diContainerPatterns || config.deadCode?.diContainerPatterns || [
+  const builtinDIContainerPatterns = [
     'Container\\.get\\s*[<(]', 'Container\\.resolve\\s*[<(]',
     'container\\.resolve\\s*[<(]', 'moduleRef\\.get\\s*[<(]',
     'injector\\.get\\s*[<(]',
@@ -5559,6 +5753,14 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
     'AddSingleton\\s*<\\s*[A-Z]\\w*\\s*,\\s*',
     'AddTransient\\s*<\\s*[A-Z]\\w*\\s*,\\s*'
   ];
+  const diDecorators = [...new Set([
+    ...builtinDIDecorators,
+    ...(config.diDecorators || config.deadCode?.diDecorators || [])
+  ])];
+  const diContainerPatterns = [...new Set([
+    ...builtinDIContainerPatterns,
+    ...(config.diContainerPatterns || config.deadCode?.diContainerPatterns || [])
+  ])];
   setDIPatterns(diDecorators, diContainerPatterns);
 
   // Detect frameworks from package.json for framework-specific entry points
@@ -5717,8 +5919,10 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
   }
 
   // Set up dynamic package.json fields from config
-  const dynamicPackageFields = config.dynamicPackageFields || config.deadCode?.dynamicPackageFields ||
-    ['nodes', 'plugins', 'credentials', 'extensions', 'adapters', 'connectors'];
+  const dynamicPackageFields = [...new Set([
+    'nodes', 'plugins', 'credentials', 'extensions', 'adapters', 'connectors',
+    ...(config.dynamicPackageFields || config.deadCode?.dynamicPackageFields || [])
+  ])];
   setDynamicPackageFields(dynamicPackageFields);
 
   // Filter out generated code files
@@ -5751,6 +5955,22 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
     fullyDeadFiles: [],
     partiallyDeadFiles: [],
     deadFunctions: [],
+    unreachableCode: [],  // Statements inside live functions that can never run
+    deadMembers: [],  // Unreferenced class members and object methods in live files
+    unusedTypes: [],  // Type-level exports (interfaces, types, const enums) and enum members
+    unusedDependencies: [],  // Declared packages never imported, or imported only by dead files
+    missingDependencies: [],  // Imported packages no package.json declares
+    deadIslands: [],  // Fully dead files grouped by the imports between them
+    dynamicImports: [],  // Computed import()/require() paths and the files their glob matched
+    unconstrainedDynamicImports: [],  // Computed paths with nothing static to match files against
+    workspace: null,  // Monorepo packages with per-package totals (null outside a monorepo)
+    unusedPackages: [],  // Workspace packages no app or root code reaches
+    testOnlyFiles: [],  // Production files only test entry points reach
+    testOnlyExports: [],  // Exports of production files that only tests import
+    library: null,  // Library mode: public entry files of each published package
+    unreachableFromPublicApi: [],  // Live library modules the public API never reaches
+    undocumentedExports: [],  // Public API symbols with no doc comment
+    missingPackageFiles: [],  // package.json files/exports/main/types paths that do not exist
     skippedDynamic: [],  // Files skipped due to dynamic loading patterns
     excludedGenerated: excludedGeneratedFiles,  // Files excluded as generated code
     entryPoints: [],
@@ -5760,6 +5980,21 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
       totalLiveExports: 0,
       totalDeadFunctions: 0,
       totalDeadFunctionBytes: 0,
+      totalUnreachableCode: 0,
+      totalUnreachableCodeBytes: 0,
+      totalDeadMembers: 0,
+      totalUnusedTypes: 0,
+      totalDeadMemberBytes: 0,
+      totalUnusedDependencies: 0,
+      totalMissingDependencies: 0,
+      totalDeadIslands: 0,
+      totalUnconstrainedDynamicImports: 0,
+      totalUnusedPackages: 0,
+      totalTestOnlyFiles: 0,
+      totalTestOnlyExports: 0,
+      totalUnreachableFromPublicApi: 0,
+      totalUndocumentedExports: 0,
+      totalMissingPackageFiles: 0,
       filesAnalysed: 0,
       filesWithDeadCode: 0,
       dynamicPatternCount: dynamicPatterns.length,
@@ -6377,7 +6612,178 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
   // Pass projectPath to resolve path aliases like @/ -> src/
   // Note: Use the full analysis (jsAnalysis) for reachability - we need full import graph
   // Also pass C# file references (class instantiation, extension methods) for .NET projects
-  const { reachable: reachableFiles, exportUsageMap, goFilesByDir } = buildReachableFiles(entryPointFiles, jsAnalysis, projectPath, csharpFileRefs);
+  // Library mode: a published package promises only its public API (export
+  // conditions, main/module, types and .d.ts rollups). Everything its entry
+  // files export is consumed downstream, and a second walk from those files
+  // alone finds the modules the API never reaches
+  let library = null;
+  if ((config.library === true || config.deadCode?.library === true) && projectPath) {
+    const index = fileIndex(jsAnalysis.map(f => f.file?.relativePath || f.file));
+    const packages = libraryPackages(projectPath, packageJson, detectWorkspaces(projectPath).packages)
+      .map(pkg => ({ ...pkg, ...publicSurface(pkg, index, projectPath) }));
+    const surface = new Set(packages.flatMap(pkg => pkg.entries.map(e => e.file)));
+    const workspacePackageOf = packageLocator(detectWorkspaces(projectPath).packages);
+    const byDir = new Map(packages.map(pkg => [pkg.dir, pkg]));
+    for (const pkg of packages) {
+      for (const entry of pkg.entries) {
+        if (entryPointFiles.has(entry.file)) continue;
+        entryPointFiles.add(entry.file);
+        results.entryPoints.push({ file: entry.file, reason: `Public API: ${pkg.name} ${entry.field}`, isDynamic: false });
+      }
+    }
+    library = {
+      index,
+      packages,
+      surface,
+      publicReachable: new Set(),
+      packageOf: (file) => byDir.get(workspacePackageOf(file)?.dir ?? '') || null
+    };
+  }
+
+  const trace = config.traceReachability ? { roots: new Map(), edges: [], unresolved: [] } : null;
+  const { reachable: reachableFiles, exportUsageMap, goFilesByDir, deadEdges, dynamicImports, packageEdges } = buildReachableFiles(entryPointFiles, jsAnalysis, projectPath, csharpFileRefs, trace, library?.surface);
+  if (library?.surface.size > 0) {
+    library.publicReachable = buildReachableFiles(library.surface, jsAnalysis, projectPath, csharpFileRefs).reachable;
+  }
+
+  // Stale feature flags: a branch a configured flag never takes is dead, and
+  // so is every import only that branch uses. Walk again without those
+  // edges; files that drop out are only reachable through a stale flag
+  const envValues = { ...(config.env || {}), ...(config.deadCode?.env || {}) };
+  const flags = projectPath ? loadFlags(projectPath, config) : null;
+  const branchValues = { env: envValues, flags: flags?.values };
+  const staleFlagsOf = (tree) => (flags
+    ? [...flagNames(tree), ...envNames(tree).filter(name => !Object.prototype.hasOwnProperty.call(envValues, name))]
+        .filter(name => Object.prototype.hasOwnProperty.call(flags.values, name))
+    : []);
+  const describeFlags = (values) => {
+    const names = Object.entries(values).map(([name, value]) => `flag "${name}" (${value === true ? 'always on' : value === false ? 'always off' : `always ${JSON.stringify(value)}`}${flags.sources[name] ? `, ${flags.sources[name]}` : ''})`);
+    return names.join(' and ');
+  };
+  const staleFlagFiles = new Map();
+  if (flags) {
+    const pruned = new Map();
+    for (const file of jsAnalysis) {
+      if (!file.conditions) continue;
+      const filePath = file.file?.relativePath || file.file;
+      if (!reachableFiles.has(filePath)) continue;
+      const ranges = [];
+      for (const branch of file.conditions) {
+        const names = staleFlagsOf(branch.test);
+        if (names.length === 0) continue;
+        const value = evaluateCondition(branch.test, branchValues);
+        const dead = value === UNKNOWN ? null : (value ? branch.alternate : branch.consequent);
+        if (dead) ranges.push({ ...dead, causeLine: branch.line, flags: names });
+      }
+      if (ranges.length === 0) continue;
+      let content = file.content || '';
+      if (!content) {
+        try { content = readFileSync(join(projectPath, filePath), 'utf-8'); } catch { continue; }
+      }
+      const dropped = importsOnlyIn(file.imports || [], ranges, content);
+      if (dropped.size > 0) pruned.set(filePath, { dropped, ranges });
+    }
+    if (pruned.size > 0) {
+      const withoutStaleBranches = jsAnalysis.map(file => {
+        const entry = pruned.get(file.file?.relativePath || file.file);
+        return entry ? { ...file, imports: file.imports.filter(imp => !entry.dropped.has(imp)) } : file;
+      });
+      const stillReachable = buildReachableFiles(entryPointFiles, withoutStaleBranches, projectPath, csharpFileRefs, null, library?.surface).reachable;
+      const lost = new Set([...reachableFiles].filter(f => !stillReachable.has(f) && isCodeFile(f) && !entryPointFiles.has(f)));
+      if (lost.size > 0) {
+        // Which branch each lost file hangs off: walk the resolved import
+        // edges from the dropped imports, staying inside the lost files
+        const flagTrace = { roots: new Map(), edges: [], unresolved: [] };
+        buildReachableFiles(new Set(pruned.keys()), jsAnalysis, projectPath, csharpFileRefs, flagTrace);
+        const edgesFrom = new Map();
+        for (const edge of flagTrace.edges) {
+          if (!lost.has(edge.to)) continue;
+          if (!edgesFrom.has(edge.from)) edgesFrom.set(edge.from, []);
+          edgesFrom.get(edge.from).push(edge);
+        }
+        for (const [file, { dropped, ranges }] of pruned) {
+          for (const range of ranges) {
+            const lines = new Set([...dropped].filter(([, users]) => users.includes(range)).map(([imp]) => imp.line));
+            const queue = (edgesFrom.get(file) || []).filter(e => lines.has(e.line)).map(e => e.to);
+            const branch = { file, line: range.causeLine, flags: Object.fromEntries(range.flags.map(name => [name, flags.values[name]])) };
+            const seen = new Set();
+            while (queue.length > 0) {
+              const current = queue.shift();
+              if (seen.has(current)) continue;
+              seen.add(current);
+              if (!staleFlagFiles.has(current)) staleFlagFiles.set(current, []);
+              staleFlagFiles.get(current).push(branch);
+              for (const edge of edgesFrom.get(current) || []) queue.push(edge.to);
+            }
+          }
+        }
+        for (const filePath of lost) {
+          if (!staleFlagFiles.has(filePath)) continue;
+          reachableFiles.delete(filePath);
+        }
+        // Imports between the files that drop out group them into one dead island
+        for (const edge of flagTrace.edges) {
+          if (staleFlagFiles.has(edge.from) && staleFlagFiles.has(edge.to)) {
+            deadEdges.push({ from: edge.from, to: edge.to, specifier: edge.specifier, line: edge.line });
+          }
+        }
+      }
+    }
+  }
+
+  // Test-only code: walk again from the production entry points alone. Files
+  // only the test entry points reach are live because of the tests, not the product
+  let testOnly = null;
+  const maxTestOnlyCode = config.maxTestOnlyCode ?? config.deadCode?.maxTestOnlyCode;
+  if (config.testOnlyCode === true || config.deadCode?.testOnlyCode === true || typeof maxTestOnlyCode === 'number') {
+    const productionEntries = new Set([...entryPointFiles].filter(f => !isTestFile(f)));
+    const productionReachable = buildReachableFiles(productionEntries, jsAnalysis, projectPath, csharpFileRefs, null, library?.surface).reachable;
+    const files = new Set([...reachableFiles].filter(f => !productionReachable.has(f) && !isTestFile(f) && isCodeFile(f)));
+    testOnly = {
+      productionEntries: productionEntries.size,
+      files,
+      exports: [],
+      isTestUse: (file) => isTestFile(file) || files.has(file)
+    };
+  }
+  results.dynamicImports = dynamicImports.resolved.map(d => ({
+    ...d,
+    evidence: `dynamic import pattern at ${d.file}:${d.line}`
+  }));
+  results.unconstrainedDynamicImports = dynamicImports.unconstrained;
+  results.summary.totalUnconstrainedDynamicImports = dynamicImports.unconstrained.length;
+
+  if (trace) {
+    // Name the rule behind each entry point so `swynx why` can say why a root is live
+    const entryReasons = new Map();
+    const sources = [
+      [scriptEntryPoints, 'package.json main/bin/scripts'],
+      [scriptGlobEntryPoints, 'package.json script glob'],
+      [nestedScriptEntryPoints, 'nested package.json scripts'],
+      [htmlEntryPoints, 'HTML <script> tag'],
+      [viteReplacementEntryPoints, 'Vite replacement plugin'],
+      [configEntryPoints, 'bundler/CI config'],
+      [gruntConcatEntries, 'Gruntfile/Gulpfile concat'],
+      [tsconfigFileEntries, 'tsconfig files/include']
+    ];
+    for (const [entries, reason] of sources) {
+      for (const entry of entries) {
+        if (!entryReasons.has(entry)) entryReasons.set(entry, reason);
+      }
+    }
+    for (const ep of results.entryPoints) {
+      if (!entryReasons.has(ep.file)) entryReasons.set(ep.file, ep.reason);
+    }
+    results.reachabilityTrace = {
+      files: jsAnalysis.map(f => f.file?.relativePath || f.file),
+      roots: [...trace.roots].map(([file, root]) => ({
+        file,
+        reason: root.reason || entryReasons.get(root.entry) || 'Entry point'
+      })),
+      edges: trace.edges,
+      unresolved: trace.unresolved
+    };
+  }
 
   // Use analysisFiles for dead code analysis (excludes generated files)
   const total = analysisFiles.length;
@@ -6431,7 +6837,9 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
     if (!content) continue;
 
     // A8: Skip git history when there are many dead files (>200) to avoid thousands of subprocess forks
-    // Only fetch git history for the first 200 dead files (sorted by size later)
+    // Only fetch git history for the first 200 dead files (sorted by size later).
+    // Each lookup blocks on git, so check for cancellation before it
+    await checkpoint(signal, 'analyse');
     const gitHistory = results.fullyDeadFiles.length < 200
       ? getFileGitHistory(filePath, projectPath)
       : { available: false, reason: 'Skipped for performance (>200 dead files)' };
@@ -6445,6 +6853,13 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
     const fullyDeadConfidence = 'safe-to-remove';
     const dynamicMatch = filePath.match(dynamicRiskRe);
     const confidence = computeConfidence(entryPointCount, hasDynamicRisk, DETECTED_FRAMEWORKS.size);
+    const staleBranches = staleFlagFiles.get(filePath);
+    const staleFlag = staleBranches ? {
+      branches: staleBranches.map(({ file, line, flags: values }) => ({ file, line, flags: values })),
+      summary: staleBranches.length === 1
+        ? `Only reachable through the branch at ${staleBranches[0].file}:${staleBranches[0].line}, which ${describeFlags(staleBranches[0].flags)} never takes`
+        : `Only reachable through branches stale flags never take: ${staleBranches.slice(0, 3).map(b => `${b.file}:${b.line} (${describeFlags(b.flags)})`).join(', ')}${staleBranches.length > 3 ? `, +${staleBranches.length - 3} more` : ''}`
+    } : null;
 
     // Extract source lines for each export
     const contentLines = content.split('\n');
@@ -6466,7 +6881,7 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
       status: 'fully-dead',
       verdict: hasDynamicRisk ? 'possibly-live' : 'unreachable',
       cwe: 'CWE-561',
-      reason: 'not-reachable-from-entry-points',
+      reason: staleFlag ? 'only-reachable-through-stale-flag' : 'not-reachable-from-entry-points',
       exports: exportsWithSource,
       gitHistory,
       costImpact: cost,
@@ -6478,8 +6893,9 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
         },
         reachability: {
           method: 'bfs-import-graph',
-          result: 'no-path-found'
+          result: staleFlag ? 'only-through-stale-flag' : 'no-path-found'
         },
+        ...(staleFlag && { staleFlag }),
         dynamicCheck: {
           matchedPattern: dynamicMatch ? dynamicMatch[0] : null,
           frameworksDetected: [...DETECTED_FRAMEWORKS]
@@ -6514,15 +6930,16 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
   // never referenced anywhere else in the package.  Methods are excluded
   // (interface satisfaction is unsolvable without full type analysis).
 
-  // Build a map from file path to its parsed functions (content was freed at A10, but
-  // function metadata is small and still in jsAnalysis objects)
-  const fileFunctions = new Map();
+  // Map file paths to their parse results (content was freed at A10, but function
+  // metadata is small and still in jsAnalysis objects); also the export lookup for
+  // dead export detection below. Functions are read through the result when needed
+  // rather than collected here: --low-memory results load them from the spill per
+  // file, and a map of them would hold every file's at once.
+  const analysisByPath = new Map();
   for (const file of jsAnalysis) {
-    const filePath = file.file?.relativePath || file.file;
-    if (file.functions && file.functions.length > 0) {
-      fileFunctions.set(filePath, file.functions);
-    }
+    analysisByPath.set(file.file?.relativePath || file.file, file);
   }
+  const functionsOf = (filePath) => analysisByPath.get(filePath)?.functions;
 
   // Generated Go files — functions in these are machine-authored, not actionable dead code
   const goGeneratedRe = /(?:\.pb\.go$|\.pb\.gw\.go$|\/zz_generated[^/]*\.go$|_generated\.go$|\.gen\.go$|\.generated\.go$|\/mock_[^/]*\.go$|_mock\.go$|\/fake_[^/]*\.go$)/;
@@ -6540,7 +6957,7 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
     // Collect candidate unexported functions from reachable non-test files
     const candidates = [];  // { name, file, line, endLine, lineCount }
     for (const fp of reachableGoFiles) {
-      const funcs = fileFunctions.get(fp);
+      const funcs = functionsOf(fp);
       if (!funcs) continue;
       for (const fn of funcs) {
         // Skip: exported, methods/receivers, init(), main(), underscore, single-char, swagger stubs
@@ -6669,7 +7086,7 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
     if (!reachableFiles.has(filePath)) continue;
     if (javaTestResourceRe.test(filePath)) continue;
 
-    const funcs = fileFunctions.get(filePath);
+    const funcs = functionsOf(filePath);
     if (!funcs || funcs.length === 0) continue;
 
     // Collect private method candidates
@@ -6837,7 +7254,7 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
       if (!reachableFiles.has(filePath)) continue;
       if (/(?:(?:^|\/)tests?\/|_test\.py$|test_[^/]*\.py$|\/conftest\.py$|\/fixtures?\/)/.test(filePath)) continue;
 
-      const fns = fileFunctions.get(filePath);
+      const fns = functionsOf(filePath);
       if (!fns || fns.length === 0) continue;
 
       for (const fn of fns) {
@@ -7024,7 +7441,7 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
     if (/(?:\/[Tt]ests?\/|\.Tests?\.|Test\.cs$|Tests\.cs$|\.test\.cs$)/i.test(filePath)) continue;
     if (/(?:\.g\.cs$|\.generated\.cs$|\.designer\.cs$|\/obj\/)/i.test(filePath)) continue;
 
-    const fns = fileFunctions.get(filePath);
+    const fns = functionsOf(filePath);
     if (!fns || fns.length === 0) continue;
 
     const csCandidates = [];
@@ -7534,15 +7951,94 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
     }
   }
 
-  // Per-export dead export detection for reachable JS/TS/Python files
-  const jstspyRegex = /\.([mc]?[jt]s|[jt]sx|py|pyi)$/;
-  // Build a quick lookup from jsAnalysis for exports by file path
-  const analysisByPath = new Map();
-  for (const file of jsAnalysis) {
-    const fp = file.file?.relativePath || file.file;
-    analysisByPath.set(fp, file);
+  // ── Unreachable statements inside live files ──────────────────────────
+  // The parser walks each function's statements: code after return/throw/
+  // break/continue or a loop that never exits, branches behind constant
+  // conditions and switch cases an earlier case shadows. Branches on
+  // environment reads are folded here with the values in deadCode.env.
+  if (config.unreachableCode !== false && config.deadCode?.unreachableCode !== false) {
+    const describe = (u) => {
+      switch (u.reason) {
+        case 'stale-flag':
+          return `\`${u.condition}\` at line ${u.causeLine} is always ${u.always ? 'true' : 'false'}: ${describeFlags(u.flags)}`;
+        case 'constant-condition':
+          return `\`${u.condition}\` at line ${u.causeLine} is always ${u.always ? 'true' : 'false'}`;
+        case 'shadowed-case':
+          return `case ${u.condition} is already matched by the case at line ${u.causeLine}`;
+        case 'after-infinite-loop':
+          return `Follows the loop at line ${u.causeLine}, which never exits`;
+        case 'after-branches':
+          return `Every path through the statement at line ${u.causeLine} leaves the block`;
+        default:
+          return `Follows the ${u.reason.replace(/^after-/, '')} at line ${u.causeLine}`;
+      }
+    };
+    const addUnreachable = (filePath, u, env = null) => {
+      const summary = describe(u);
+      const suffix = env && Object.keys(env).length > 0 ? ' (deadCode.env)' : '';
+      results.unreachableCode.push({
+        file: filePath,
+        function: u.function,
+        line: u.line,
+        endLine: u.endLine,
+        lineCount: u.endLine - u.line + 1,
+        sizeBytes: u.size || 0,
+        language: /\.[mc]?tsx?$/.test(filePath) ? 'typescript' : 'javascript',
+        reason: u.reason,
+        verdict: 'unreachable',
+        cwe: 'CWE-561',
+        evidence: {
+          cwe: 'CWE-561',
+          causeLine: u.causeLine,
+          ...(u.condition ? { condition: u.condition } : {}),
+          ...(env && Object.keys(env).length > 0 ? { env } : {}),
+          ...(u.flags ? { flags: u.flags } : {}),
+          summary: summary + suffix
+        }
+      });
+      results.summary.totalUnreachableCode++;
+      results.summary.totalUnreachableCodeBytes += u.size || 0;
+    };
+
+    for (const file of analysisFiles) {
+      const filePath = file.file?.relativePath || file.file;
+      if (!file.unreachable && !file.conditions) continue;
+      if (!reachableFiles.has(filePath) || jsCandidateExcludeRe.test(filePath)) continue;
+      const found = (file.unreachable || []).map(u => ({ u }));
+      for (const branch of file.conditions || []) {
+        const value = evaluateCondition(branch.test, branchValues);
+        if (value === UNKNOWN) continue;
+        const dead = value ? branch.alternate : branch.consequent;
+        if (!dead) continue;
+        const stale = staleFlagsOf(branch.test);
+        const env = Object.fromEntries(envNames(branch.test).filter(name => Object.prototype.hasOwnProperty.call(envValues, name)).map(name => [name, envValues[name]]));
+        found.push({
+          u: {
+            ...dead,
+            reason: stale.length > 0 ? 'stale-flag' : 'constant-condition',
+            causeLine: branch.line,
+            function: branch.function,
+            condition: branch.condition,
+            always: Boolean(value),
+            ...(stale.length > 0 && { flags: Object.fromEntries(stale.map(name => [name, flags.values[name]])) })
+          },
+          env
+        });
+      }
+      // A branch inside code already reported (a flag ternary in a dead if) is not reported again
+      found.sort((a, b) => a.u.line - b.u.line || b.u.endLine - a.u.endLine);
+      const outer = [];
+      for (const f of found) {
+        if (outer.some(o => o.u.line <= f.u.line && o.u.endLine >= f.u.endLine)) continue;
+        outer.push(f);
+        addUnreachable(filePath, f.u, f.env);
+      }
+    }
+    results.unreachableCode.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
   }
 
+  // Per-export dead export detection for reachable JS/TS/Python files
+  const jstspyRegex = /\.([mc]?[jt]s|[jt]sx|py|pyi)$/;
   // Publishable-package gate: in a library package, exports with no internal
   // importers are usually PUBLIC API consumed by downstream users, not dead
   // code. Only analyse exports in private (non-published) packages.
@@ -7579,6 +8075,7 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
   const exportSkipFileRe = /\.(?:stories|story|spec|test|cy)\.[mc]?[jt]sx?$|(?:^|\/)(?:tests?|__tests__|__mocks__|spec|e2e|cypress|playwright)\//;
 
   const pendingPartials = [];
+  const enumCandidates = [];  // live exported enums, checked member by member below
   for (const file of analysisFiles) {
     const filePath = file.file?.relativePath || file.file;
 
@@ -7588,8 +8085,10 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
     if (!reachableFiles.has(filePath)) continue;
     // Skip entry points — their exports are the public API
     if (entryPointFiles.has(filePath)) continue;
-    // Skip files in publishable packages — their exports may be public API
-    if (/\.[mc]?[jt]sx?$/.test(filePath) && isInPublishablePackage(filePath)) continue;
+    // Skip files in publishable packages — their exports may be public API.
+    // Library mode knows the public API: only its entry files are exempt
+    if (library?.surface.has(filePath)) continue;
+    if (/\.[mc]?[jt]sx?$/.test(filePath) && isInPublishablePackage(filePath) && !library?.packageOf(filePath)) continue;
     // Skip test/story files — their exports are consumed by tooling, not imports
     if (exportSkipFileRe.test(filePath)) continue;
 
@@ -7610,6 +8109,10 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
     // Check each export
     const liveExports = [];
     const deadExports = [];
+    // Type-level exports (interfaces, type aliases, const enums, ambient
+    // declarations) are tracked apart from runtime exports
+    const liveTypes = [];
+    const deadTypes = [];
     const onlySideEffects = usage.size === 1 && usage.has('__SIDE_EFFECT__');
 
     // If only side-effect imports, skip — likely CSS/polyfill/setup file
@@ -7625,7 +8128,27 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
       if (frameworkExportNames.has(exportName)) continue;
       const importers = usage.get(exportName);
 
+      if (exp.typeOnly) {
+        // `import type` counts as consumption of a type
+        (importers?.length ? liveTypes : deadTypes).push({
+          name: exportName,
+          kind: exp.type === 'reexport' ? 'type' : exp.type,
+          line: exp.line || 0,
+          endLine: exp.endLine || exp.line || 0
+        });
+        if (importers?.length && exp.members?.length) {
+          enumCandidates.push({ filePath, enumName: exportName, exp });
+        }
+        continue;
+      }
+      if (exp.type === 'enum' && importers?.length && exp.members?.length) {
+        enumCandidates.push({ filePath, enumName: exportName, exp });
+      }
+
       if (importers && importers.length > 0) {
+        if (testOnly && !testOnly.files.has(filePath) && importers.every(u => testOnly.isTestUse(u.importerFile))) {
+          testOnly.exports.push({ filePath, exp, importers });
+        }
         liveExports.push({
           name: exportName,
           type: exp.type || 'unknown',
@@ -7648,10 +8171,19 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
 
     // Only report files with BOTH live and dead exports
     // If all exports appear dead, it's suspicious (likely FP — framework magic, reflection, etc.)
-    if (deadExports.length === 0 || liveExports.length === 0) continue;
+    // Types follow the same rule, counting live exports of either kind
+    const reportExports = deadExports.length > 0 && liveExports.length > 0;
+    const reportTypes = deadTypes.length > 0 && liveExports.length + liveTypes.length > 0;
+    if (!reportExports && !reportTypes) continue;
 
     // Defer reporting until the project-wide occurrence veto below has run
-    pendingPartials.push({ file, filePath, liveExports, deadExports });
+    pendingPartials.push({
+      file,
+      filePath,
+      liveExports,
+      deadExports: reportExports ? deadExports : [],
+      deadTypes: reportTypes ? deadTypes : []
+    });
   }
 
   // Project-wide occurrence veto: import tracking misses consumption via
@@ -7661,7 +8193,7 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
   if (pendingPartials.length > 0) {
     const vetoCandidates = [];
     for (const p of pendingPartials) {
-      for (const exp of p.deadExports) {
+      for (const exp of [...p.deadExports, ...p.deadTypes]) {
         exp._vetoed = exp.name === 'default';  // 'default' matches everywhere; always unverifiable
         if (!exp._vetoed) {
           vetoCandidates.push({
@@ -7695,6 +8227,24 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
     const { file, filePath, liveExports } = pending;
     const deadExports = pending.deadExports.filter(e => !e._vetoed);
     for (const e of pending.deadExports) delete e._vetoed;
+
+    for (const type of pending.deadTypes) {
+      if (type._vetoed) continue;
+      results.unusedTypes.push({
+        name: type.name,
+        kind: type.kind,
+        file: filePath,
+        line: type.line,
+        endLine: type.endLine,
+        language: 'typescript',
+        reason: 'type-never-imported',
+        verdict: 'unused-type',
+        cwe: 'CWE-561',
+        evidence: { cwe: 'CWE-561', scope: 'type', method: 'per-export-import-tracking', typeOnlyImportsCount: true }
+      });
+      results.summary.totalUnusedTypes++;
+    }
+
     if (deadExports.length === 0) continue;
 
     // Read source lines for exports (content was freed at A10, re-read from disk)
@@ -7779,14 +8329,671 @@ export async function findDeadCode(jsAnalysis, importGraph, projectPath = null,
     results.summary.totalLiveExports += liveExports.length;
   }
 
+  // Enum members of live exported enums that are never referenced. Members
+  // reached through the enum object itself (Object.values(E), E[key], `in E`)
+  // can't be told apart, so such enums are left alone.
+  if (enumCandidates.length > 0) {
+    const pendingMembers = [];
+    for (const cand of enumCandidates) {
+      let content;
+      try { content = readFileSync(join(projectPath, cand.filePath), 'utf-8'); } catch { continue; }
+      const lines = content.split('\n');
+      const { line, endLine } = cand.exp;
+      const outside = lines.filter((_, i) => i < line - 1 || i > endLine - 1).join('\n');
+      for (const member of cand.exp.members) {
+        // Quoted non-identifier members ('foo-bar') can only be reached by string
+        if (!/^[A-Za-z_$][\w$]*$/.test(member.name)) continue;
+        const escaped = member.name.replace(/\$/g, '\\$');
+        if (new RegExp(`(?<![\\w$])${escaped}(?![\\w$])`).test(outside)) continue;
+        pendingMembers.push({ cand, member });
+      }
+    }
+
+    const dynamicEnums = new Set();
+    let pending = pendingMembers;
+    const enumNames = [...new Set(pending.map(p => p.cand.enumName))];
+    for (const fp of jsAllFiles) {
+      if (pending.length === 0) break;
+      let otherContent;
+      try { otherContent = readFileSync(join(projectPath, fp), 'utf-8'); } catch { continue; }
+      if (otherContent.length > 2_000_000) continue;
+      for (const name of enumNames) {
+        const escaped = name.replace(/\$/g, '\\$');
+        if (new RegExp(`Object\\.(?:keys|values|entries)\\(\\s*${escaped}\\b|(?<![\\w$.])${escaped}\\s*\\[\\s*(?!['"\\d])|\\bin\\s+${escaped}\\b`).test(otherContent)) {
+          dynamicEnums.add(name);
+        }
+      }
+      const identifiers = new Set(otherContent.match(/[A-Za-z_$][\w$]*/g));
+      pending = pending.filter(p => p.cand.filePath === fp || !identifiers.has(p.member.name));
+    }
+
+    for (const { cand, member } of pending) {
+      if (dynamicEnums.has(cand.enumName)) continue;
+      results.unusedTypes.push({
+        name: member.name,
+        owner: cand.enumName,
+        kind: 'enum-member',
+        file: cand.filePath,
+        line: member.line,
+        endLine: member.line,
+        language: 'typescript',
+        reason: 'enum-member-never-referenced',
+        verdict: 'unused-type',
+        cwe: 'CWE-561',
+        evidence: { cwe: 'CWE-561', scope: 'enum-member', owner: cand.enumName, searchedFiles: jsAllFiles.length, method: 'project-wide-identifier-search' }
+      });
+      results.summary.totalUnusedTypes++;
+    }
+  }
+
+  // ── JavaScript/TypeScript dead class members and object methods ───────
+  // Public/protected/static members, accessors and fields of live classes,
+  // and methods of module-local object literals, that are never referenced.
+  // Unlike private members these can be reached from any file, so a name only
+  // counts as dead when it appears nowhere else in the project (strings
+  // included). Classes are skipped where something outside the project can
+  // call members by convention: decorated (framework-managed) classes,
+  // subclasses of classes not declared in the project, and classes that
+  // implement an interface. Overrides and interface members declare the same
+  // name elsewhere, so they are always treated as used.
+  const memberHookNames = new Set([
+    'constructor', 'toString', 'toJSON', 'valueOf', 'toLocaleString', 'inspect',
+    'then', 'catch', 'finally', 'next', 'return', 'throw', 'handleEvent',
+    'dispose', 'asyncDispose',
+    // Framework lifecycle hooks on plain (undecorated) classes
+    'ngOnInit', 'ngOnChanges', 'ngOnDestroy', 'ngAfterViewInit', 'ngAfterContentInit', 'ngDoCheck',
+    'onModuleInit', 'onModuleDestroy', 'onApplicationBootstrap', 'onApplicationShutdown', 'beforeApplicationShutdown',
+    'connectedCallback', 'disconnectedCallback', 'adoptedCallback', 'attributeChangedCallback',
+    'observedAttributes', 'formAssociatedCallback',
+    'render', 'componentDidMount', 'componentDidUpdate', 'componentWillUnmount', 'shouldComponentUpdate',
+    'getDerivedStateFromProps', 'getSnapshotBeforeUpdate', 'componentDidCatch', 'getDerivedStateFromError',
+    'defaultProps', 'propTypes', 'contextType', 'displayName'
+  ]);
+
+  const classesByName = new Map();
+  for (const file of analysisFiles) {
+    for (const cls of file.classes || []) {
+      if (!cls.name) continue;
+      if (!classesByName.has(cls.name)) classesByName.set(cls.name, []);
+      classesByName.get(cls.name).push(cls);
+    }
+  }
+  // A class whose ancestry leaves the project can have members called by its base
+  function extendsExternal(cls, seen = new Set()) {
+    if (!cls.superClass) return false;
+    const parents = classesByName.get(cls.superClass);
+    if (!parents || seen.has(cls.superClass)) return true;
+    seen.add(cls.superClass);
+    return parents.some(parent => extendsExternal(parent, seen));
+  }
+
+  const memberCandidates = [];  // need a project-wide search before reporting
+  for (const file of analysisFiles) {
+    const filePath = file.file?.relativePath || file.file;
+    if (!jsFnRegex.test(filePath)) continue;
+    if (!reachableFiles.has(filePath)) continue;
+    if (jsCandidateExcludeRe.test(filePath)) continue;
+    if (file.parseMethod && file.parseMethod !== 'babel-ast') continue;
+    // Members of a published package's classes are public API
+    if (isInPublishablePackage(filePath)) continue;
+
+    const classes = (file.classes || []).filter(cls =>
+      cls.methods && !cls.decorators?.length && !cls.implements?.length && !extendsExternal(cls));
+    const objectFns = (file.functions || []).filter(fn =>
+      fn.objectName && (fn.isObjectMethod || fn.isObjectProperty));
+    if (classes.length === 0 && objectFns.length === 0) continue;
+
+    let content;
+    try { content = readFileSync(join(projectPath, filePath), 'utf-8'); } catch { continue; }
+    const lines = content.split('\n');
+    if (lines.length > 0 && content.length / lines.length > 300) continue;
+    if (jsGeneratedRe.test(content.slice(0, 1500))) continue;
+    if (jsEscapeHatchRe.test(content)) continue;
+    if (/this\s*\[\s*[^'"`\]]/.test(content) || /this\s*\[\s*`[^`]*\$\{/.test(content)) continue;
+
+    const isTs = /\.[mc]?tsx?$/.test(filePath);
+    const fileExportNames = new Set((file.exports || []).map(e => e.name || 'default'));
+    const usage = exportUsageMap.get(filePath);
+    const nameRe = (name) => new RegExp(`(?<![\\w$#])${name.replace(/\$/g, '\\$')}(?![\\w$])`, 'g');
+    const textOutside = (spans) => lines.filter((_, i) => !spans.some(([s, e]) => i >= s - 1 && i <= e - 1)).join('\n');
+
+    // Class is live if used in its own file, or exported and imported (or an entry point)
+    const isLiveClass = (cls) => {
+      if (nameRe(cls.name).test(textOutside([[cls.line, cls.endLine]]))) return true;
+      if (!fileExportNames.has(cls.name) && !(cls.exported && fileExportNames.has('default'))) return false;
+      if (entryPointFiles.has(filePath) || !usage) return true;
+      return usage.has('__ALL__') || usage.has('*') || usage.has(cls.name) || usage.has('default');
+    };
+
+    const owners = [];
+    for (const cls of classes) {
+      if (!isLiveClass(cls)) continue;
+      const members = [
+        ...cls.methods
+          .filter(m => m.kind !== 'constructor' && !m.computed && !m.decorators?.length)
+          // Private methods are covered by the dead function pass above
+          .filter(m => !(m.kind === 'method' && (m.isPrivateName || m.name.startsWith('#') || m.accessibility === 'private')))
+          .map(m => ({
+            name: m.name, line: m.line, endLine: m.endLine, static: m.static || false,
+            kind: m.kind === 'get' ? 'getter' : m.kind === 'set' ? 'setter' : m.type === 'method' ? 'method' : 'property'
+          })),
+        ...(cls.properties || [])
+          .filter(p => p.name !== 'unknown' && !p.declare && !p.computed && !p.decorators)
+          .map(p => ({ name: p.name, line: p.line, endLine: p.endLine || p.line, static: p.static, kind: 'property' }))
+      ];
+      owners.push({ owner: cls.name, scope: 'class-member', members });
+    }
+
+    // Object literals bound to a local, non-exported name and only ever used
+    // via member access (`obj.fn()`) — passing the object on could let its
+    // methods be called by name elsewhere
+    const byObject = new Map();
+    for (const fn of objectFns) {
+      if (fn.computed || !fn.name || fn.name === 'anonymous') continue;
+      if (!byObject.has(fn.objectName)) byObject.set(fn.objectName, []);
+      byObject.get(fn.objectName).push({
+        name: fn.name, line: fn.line, endLine: fn.endLine, static: false,
+        kind: fn.kind === 'get' ? 'getter' : fn.kind === 'set' ? 'setter' : 'method'
+      });
+    }
+    for (const [objectName, members] of byObject) {
+      if (fileExportNames.has(objectName)) continue;
+      const escaped = objectName.replace(/\$/g, '\\$');
+      const refRe = new RegExp(`(?<![\\w$.])(?:(const|let|var)\\s+)?${escaped}(?![\\w$])(\\s*\\??\\.)?`, 'g');
+      const bareUses = [...content.matchAll(refRe)].filter(m => !m[1] && !m[2]);
+      if (bareUses.length > 0) continue;
+      owners.push({ owner: objectName, scope: 'object-member', members });
+    }
+
+    for (const { owner, scope, members } of owners) {
+      for (const member of members) {
+        if (!member.line || !member.endLine || member.endLine < member.line) continue;
+        const bareName = member.name.replace(/^#/, '');
+        if (bareName.length <= 1 || memberHookNames.has(bareName)) continue;
+
+        // Strip every declaration of the name in this owner (getter/setter pairs)
+        const spans = members.filter(m => m.name === member.name).map(m => [m.line, m.endLine]);
+        const escaped = bareName.replace(/\$/g, '\\$');
+        const re = member.name.startsWith('#')
+          ? new RegExp(`#${escaped}(?![\\w$])`)
+          : new RegExp(`(?<![\\w$#])${escaped}(?![\\w$])`);
+        if (re.test(textOutside(spans))) continue;
+
+        const endIdx = Math.min(member.endLine, lines.length);
+        const sizeBytes = lines.slice(member.line - 1, endIdx).join('\n').length;
+        const record = {
+          name: member.name,
+          owner,
+          kind: member.kind,
+          static: member.static,
+          file: filePath,
+          line: member.line,
+          endLine: member.endLine,
+          lineCount: member.endLine - member.line + 1,
+          sizeBytes,
+          language: isTs ? 'typescript' : 'javascript',
+          reason: 'member-never-referenced',
+          verdict: 'unreachable',
+          cwe: 'CWE-561',
+          evidence: { cwe: 'CWE-561', scope, owner, searchedFiles: 1, method: 'project-wide-identifier-search' }
+        };
+
+        // #private members and members of module-local objects can't be named
+        // from another file
+        if (member.name.startsWith('#') || scope === 'object-member') {
+          results.deadMembers.push(record);
+          results.summary.totalDeadMembers++;
+          results.summary.totalDeadMemberBytes += sizeBytes;
+        } else {
+          memberCandidates.push({ record, bareName });
+        }
+      }
+    }
+  }
+
+  // Project-wide confirmation: one pass, identifiers of each file tokenised once
+  if (memberCandidates.length > 0) {
+    let pending = memberCandidates;
+    for (const fp of jsAllFiles) {
+      if (pending.length === 0) break;
+      let otherContent;
+      try { otherContent = readFileSync(join(projectPath, fp), 'utf-8'); } catch { continue; }
+      if (otherContent.length > 2_000_000) continue;
+      const identifiers = new Set(otherContent.match(/[A-Za-z_$][\w$]*/g));
+      pending = pending.filter(c => c.record.file === fp || !identifiers.has(c.bareName));
+    }
+    for (const { record } of pending) {
+      record.evidence.searchedFiles = jsAllFiles.length;
+      results.deadMembers.push(record);
+      results.summary.totalDeadMembers++;
+      results.summary.totalDeadMemberBytes += record.sizeBytes;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // UNUSED AND MISSING DEPENDENCIES (per package.json)
+  // ═══════════════════════════════════════════════════════════════════════════
+  if (projectPath) {
+    await checkpoint(signal, 'analyse');
+    const { unusedDependencies, missingDependencies } = findDependencyIssues(projectPath, jsAnalysis, {
+      ...dependencyContext(projectPath, packageJson, config),
+      deadFiles: new Set(results.fullyDeadFiles.map(f => f.file))
+    });
+    results.unusedDependencies = unusedDependencies;
+    results.missingDependencies = missingDependencies;
+    results.summary.totalUnusedDependencies = unusedDependencies.length;
+    results.summary.totalMissingDependencies = missingDependencies.length;
+  }
+
   // Sort fully dead by impact (size)
   results.fullyDeadFiles.sort((a, b) => (b.sizeBytes || 0) - (a.sizeBytes || 0));
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DEAD ISLANDS (connected components of the dead import graph)
+  // ═══════════════════════════════════════════════════════════════════════════
+  results.deadIslands = groupDeadIslands(results.fullyDeadFiles, deadEdges);
+  results.summary.totalDeadIslands = results.deadIslands.filter(i => i.fileCount > 1).length;
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // TEST-ONLY CODE (live only because tests import it)
+  // ═══════════════════════════════════════════════════════════════════════════
+  if (testOnly) {
+    const testImportersOf = (filePath) => [...new Set([...(exportUsageMap.get(filePath)?.values() || [])]
+      .flat()
+      .map(u => u.importerFile)
+      .filter(f => f && f !== filePath))].sort();
+
+    for (const file of analysisFiles) {
+      const filePath = file.file?.relativePath || file.file;
+      if (!testOnly.files.has(filePath)) continue;
+      const importers = testImportersOf(filePath);
+      results.testOnlyFiles.push({
+        file: filePath,
+        sizeBytes: file.size || 0,
+        lineCount: file.lines || 0,
+        verdict: 'test-only',
+        cwe: 'CWE-561',
+        evidence: {
+          cwe: 'CWE-561',
+          importedBy: importers,
+          productionEntryPoints: testOnly.productionEntries,
+          summary: `Not reachable from the ${testOnly.productionEntries} production entry point${testOnly.productionEntries !== 1 ? 's' : ''}; only tests load it${importers.length > 0 ? ` (imported by ${importers.slice(0, 3).join(', ')}${importers.length > 3 ? `, +${importers.length - 3} more` : ''})` : ''}`
+        }
+      });
+    }
+
+    // Same occurrence veto as unused exports: a name used anywhere in
+    // production code (string registration, property access) is not test-only
+    let unvetoed = testOnly.exports
+      .filter(c => c.exp.name && c.exp.name !== 'default')
+      .map(c => ({ ...c, re: new RegExp(`(?<![\\w$#])${c.exp.name.replace(/\$/g, '\\$')}(?![\\w$])`) }));
+    for (const otherFile of analysisFiles) {
+      if (unvetoed.length === 0) break;
+      const otherPath = otherFile.file?.relativePath || otherFile.file;
+      if (testOnly.isTestUse(otherPath)) continue;
+      let otherContent;
+      try { otherContent = readFileSync(join(projectPath, otherPath), 'utf-8'); } catch { continue; }
+      if (otherContent.length > 2_000_000) continue;
+      unvetoed = unvetoed.filter(c => c.filePath === otherPath || !c.re.test(otherContent));
+    }
+    for (const { filePath, exp, importers } of unvetoed) {
+      const importedBy = [...new Set(importers.map(u => u.importerFile))].sort();
+      results.testOnlyExports.push({
+        file: filePath,
+        name: exp.name,
+        type: exp.type || 'unknown',
+        line: exp.line || 0,
+        verdict: 'test-only',
+        cwe: 'CWE-561',
+        evidence: {
+          cwe: 'CWE-561',
+          importedBy,
+          summary: `Imported only by tests (${importedBy.slice(0, 3).join(', ')}${importedBy.length > 3 ? `, +${importedBy.length - 3} more` : ''})`
+        }
+      });
+    }
+
+    results.testOnlyFiles.sort((a, b) => b.sizeBytes - a.sizeBytes);
+    results.testOnlyExports.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+    results.summary.totalTestOnlyFiles = results.testOnlyFiles.length;
+    results.summary.totalTestOnlyExports = results.testOnlyExports.length;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // WORKSPACE PACKAGES (per-package totals, packages nothing uses)
+  // ═══════════════════════════════════════════════════════════════════════════
+  const workspace = detectWorkspaces(projectPath);
+  if (workspace.packages.length > 0) {
+    const { packages, unusedPackages } = summariseWorkspace(workspace.packages, jsAnalysis, results, packageEdges);
+    results.workspace = { tools: workspace.tools, packages };
+    results.unusedPackages = unusedPackages;
+    results.summary.totalUnusedPackages = unusedPackages.length;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // LIBRARY MODE (public API of published packages)
+  // ═══════════════════════════════════════════════════════════════════════════
+  if (library) {
+    const declarationRe = /\.d\.[mc]?ts$/;
+    const packageTag = (pkg) => pkg.dir ? { packageName: pkg.name } : {};
+    const relativeTo = (pkg, file) => pkg.dir ? file.slice(pkg.dir.length + 1) : file;
+    // Internal modules live beside the entry files: under the same top-level
+    // directories of the package (src/, lib/), or anywhere if an entry sits at its root
+    const sourceRoots = new Map(library.packages.map(pkg => [pkg.dir, new Set(pkg.entries
+      .filter(e => !declarationRe.test(e.file))
+      .map(e => relativeTo(pkg, e.file).split('/'))
+      .map(parts => parts.length > 1 ? parts[0] : ''))]));
+
+    for (const file of analysisFiles) {
+      const filePath = file.file?.relativePath || file.file;
+      if (!/\.[mc]?[jt]sx?$/.test(filePath) || declarationRe.test(filePath)) continue;
+      if (!reachableFiles.has(filePath) || library.publicReachable.has(filePath)) continue;
+      if (entryPointFiles.has(filePath) || exportSkipFileRe.test(filePath)) continue;
+      const pkg = library.packageOf(filePath);
+      const roots = pkg && sourceRoots.get(pkg.dir);
+      if (!roots || !(roots.has('') || roots.has(relativeTo(pkg, filePath).split('/')[0]))) continue;
+      const subpaths = [...new Set(pkg.entries.map(e => e.subpath))];
+      results.unreachableFromPublicApi.push({
+        file: filePath,
+        ...packageTag(pkg),
+        sizeBytes: file.size || 0,
+        lineCount: file.lines || 0,
+        verdict: 'unreachable-from-public-api',
+        cwe: 'CWE-561',
+        evidence: {
+          cwe: 'CWE-561',
+          entries: pkg.entries.map(e => e.file),
+          summary: `Not reachable from the public API of ${pkg.name} (${subpaths.join(', ') || 'no entry files found'}); only entry points outside it, such as tests or scripts, keep it live`
+        }
+      });
+    }
+
+    for (const pkg of library.packages) {
+      for (const symbol of findUndocumentedExports(pkg.entries, analysisByPath, library.index, projectPath)) {
+        results.undocumentedExports.push({ ...symbol, ...packageTag(pkg) });
+      }
+      results.missingPackageFiles.push(...pkg.missing.map(m => ({ ...m, ...packageTag(pkg) })));
+    }
+
+    results.library = {
+      packages: library.packages.map(pkg => ({
+        name: pkg.name,
+        dir: pkg.dir,
+        manifest: pkg.manifest,
+        entries: pkg.entries
+      }))
+    };
+    results.unreachableFromPublicApi.sort((a, b) => b.sizeBytes - a.sizeBytes);
+    results.summary.totalUnreachableFromPublicApi = results.unreachableFromPublicApi.length;
+    results.summary.totalUndocumentedExports = results.undocumentedExports.length;
+    results.summary.totalMissingPackageFiles = results.missingPackageFiles.length;
+  }
+
   // Sort partially dead by number of dead exports (most first)
   results.partiallyDeadFiles.sort((a, b) => (b.deadExports?.length || 0) - (a.deadExports?.length || 0));
 
   return results;
 }
 
+/**
+ * Per-package totals for a monorepo, and the workspace packages nothing uses.
+ * Every finding in a package is tagged with its packageName. A package is
+ * used when imports reach it from code outside any package, from an app
+ * (bin, start/dev script, Nx application, framework config) or from a
+ * package at the top of the workspace graph (nothing uses it, but it uses
+ * other packages); the rest are unused.
+ * @param {Array} workspaces - Packages from detectWorkspaces
+ * @param {Array} jsAnalysis - Parsed files
+ * @param {Object} results - findDeadCode results so far
+ * @param {Array} packageEdges - First followed edge between each pair of packages
+ * @returns {{ packages: Array, unusedPackages: Array }}
+ */
+function summariseWorkspace(workspaces, jsAnalysis, results, packageEdges) {
+  const packageOf = packageLocator(workspaces);
+  const stats = new Map(workspaces.map(p => [p.dir, {
+    name: p.name,
+    dir: p.dir,
+    manifest: p.manifest,
+    files: 0,
+    sizeBytes: 0,
+    sizeFormatted: '0 B',
+    lineCount: 0,
+    deadFiles: 0,
+    deadBytes: 0,
+    deadRate: '0.00%',
+    deadFunctions: 0,
+    deadMembers: 0,
+    unusedExports: 0,
+    unusedTypes: 0,
+    unusedDependencies: 0,
+    unused: false
+  }]));
+
+  for (const file of jsAnalysis) {
+    const pkg = packageOf(file.file?.relativePath || file.file);
+    if (!pkg) continue;
+    const s = stats.get(pkg.dir);
+    s.files++;
+    s.sizeBytes += file.size || 0;
+    s.lineCount += file.lines || 0;
+  }
+
+  const tag = (findings, count) => {
+    for (const finding of findings || []) {
+      const pkg = packageOf(finding.file);
+      if (!pkg) continue;
+      finding.packageName = pkg.name;
+      count(stats.get(pkg.dir), finding);
+    }
+  };
+  tag(results.fullyDeadFiles, (s, f) => { s.deadFiles++; s.deadBytes += f.sizeBytes || 0; });
+  tag(results.partiallyDeadFiles, (s, f) => { s.unusedExports += (f.exports || []).filter(e => e.status === 'dead').length; });
+  tag(results.deadFunctions, (s) => { s.deadFunctions++; });
+  tag(results.deadMembers, (s) => { s.deadMembers++; });
+  tag(results.unusedTypes, (s) => { s.unusedTypes++; });
+  tag(results.unreachableCode, () => {});
+  tag(results.testOnlyFiles, () => {});
+  tag(results.testOnlyExports, () => {});
+  const byManifest = new Map([...stats.values()].map(s => [s.manifest, s]));
+  for (const dep of results.unusedDependencies || []) {
+    const s = byManifest.get(dep.manifest);
+    if (s) s.unusedDependencies++;
+  }
+  for (const s of stats.values()) {
+    s.sizeFormatted = formatBytes(s.sizeBytes);
+    if (s.files > 0) s.deadRate = `${((s.deadFiles / s.files) * 100).toFixed(2)}%`;
+  }
+
+  // Package graph: followed imports between packages, and declared dependencies
+  const byName = new Map(workspaces.map(p => [p.name, p]));
+  const importsOf = new Map();
+  const importersOf = new Map();
+  for (const edge of packageEdges || []) {
+    if (!edge.toPackage) continue;
+    if (!importsOf.has(edge.fromPackage)) importsOf.set(edge.fromPackage, new Set());
+    importsOf.get(edge.fromPackage).add(edge.toPackage);
+    if (!importersOf.has(edge.toPackage)) importersOf.set(edge.toPackage, []);
+    importersOf.get(edge.toPackage).push(edge);
+  }
+  const declaredBy = new Map();
+  for (const pkg of workspaces) {
+    for (const dep of pkg.dependencies) {
+      const target = byName.get(dep);
+      if (!target || target === pkg) continue;
+      if (!declaredBy.has(target.dir)) declaredBy.set(target.dir, []);
+      declaredBy.get(target.dir).push(pkg.name);
+    }
+  }
+  const usesWorkspace = (pkg) => importsOf.has(pkg.dir) ||
+    [...pkg.dependencies].some(dep => byName.has(dep) && byName.get(dep) !== pkg);
+
+  const roots = ['', ...workspaces
+    .filter(p => p.app || (!importersOf.has(p.dir) && !declaredBy.has(p.dir) && usesWorkspace(p)))
+    .map(p => p.dir)];
+  const used = new Set(roots);
+  const queue = [...roots];
+  while (queue.length > 0) {
+    for (const next of importsOf.get(queue.shift()) || []) {
+      if (!used.has(next)) {
+        used.add(next);
+        queue.push(next);
+      }
+    }
+  }
+
+  const unusedPackages = [];
+  for (const pkg of workspaces) {
+    if (used.has(pkg.dir)) continue;
+    const s = stats.get(pkg.dir);
+    s.unused = true;
+    const importedBy = (importersOf.get(pkg.dir) || []).map(e => ({ file: e.from, line: e.line || 0 }));
+    const declared = declaredBy.get(pkg.dir) || [];
+    const reasons = [];
+    if (importedBy.length > 0) {
+      reasons.push(`Only imported by unused packages (${[...new Set(importedBy.map(i => packageOf(i.file)?.name || i.file))].join(', ')})`);
+    } else if (declared.length > 0) {
+      reasons.push(`Listed as a dependency of ${declared.join(', ')}, but never imported`);
+    } else {
+      reasons.push('No other package imports it, and it is not an app');
+    }
+    if (pkg.publishable) reasons.push('it is publishable, so code outside this repository may still use it');
+    unusedPackages.push({
+      name: pkg.name,
+      dir: pkg.dir,
+      manifest: pkg.manifest,
+      files: s.files,
+      sizeBytes: s.sizeBytes,
+      sizeFormatted: s.sizeFormatted,
+      lineCount: s.lineCount,
+      verdict: pkg.publishable ? 'possibly-live' : 'unreachable',
+      cwe: 'CWE-561',
+      evidence: {
+        cwe: 'CWE-561',
+        importedBy,
+        declaredBy: declared,
+        publishable: pkg.publishable,
+        summary: reasons.join('; ')
+      }
+    });
+  }
+  unusedPackages.sort((a, b) => b.sizeBytes - a.sizeBytes);
+
+  return { packages: [...stats.values()].sort((a, b) => a.dir.localeCompare(b.dir)), unusedPackages };
+}
+
+/**
+ * Group fully dead files into islands: connected components of the imports
+ * between them, ignoring direction. Each file is tagged with its island id.
+ * Islands are named by their common directory and root files (those no
+ * other file of the island imports) and ordered largest first.
+ * @param {Array} deadFiles - results.fullyDeadFiles
+ * @param {Array} deadEdges - Import edges between unreachable files
+ * @returns {Array} Islands, singletons included
+ */
+function groupDeadIslands(deadFiles, deadEdges) {
+  const byPath = new Map(deadFiles.map(f => [f.file, f]));
+  const parent = new Map(deadFiles.map(f => [f.file, f.file]));
+  const find = (x) => {
+    while (parent.get(x) !== x) {
+      parent.set(x, parent.get(parent.get(x)));
+      x = parent.get(x);
+    }
+    return x;
+  };
+
+  const internalEdges = [];
+  for (const edge of deadEdges || []) {
+    if (edge.from === edge.to || !byPath.has(edge.from) || !byPath.has(edge.to)) continue;
+    internalEdges.push(edge);
+    const a = find(edge.from);
+    const b = find(edge.to);
+    if (a !== b) parent.set(a, b);
+  }
+
+  const components = new Map();
+  for (const f of deadFiles) {
+    const root = find(f.file);
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(f);
+  }
+
+  const islands = [...components.values()].map(files => {
+    const paths = files.map(f => f.file).sort();
+    const members = new Set(paths);
+    const edges = internalEdges.filter(e => members.has(e.from));
+    const imported = new Set(edges.map(e => e.to));
+    const roots = paths.filter(p => !imported.has(p));
+
+    const dirs = paths.map(p => p.split('/').slice(0, -1));
+    let common = dirs[0];
+    for (const dir of dirs.slice(1)) {
+      let n = 0;
+      while (n < common.length && n < dir.length && common[n] === dir[n]) n++;
+      common = common.slice(0, n);
+    }
+    const directory = common.join('/') || '.';
+
+    const rootNames = roots.map(r => r.slice(directory === '.' ? 0 : directory.length + 1));
+    const shown = rootNames.slice(0, 3).join(', ') + (rootNames.length > 3 ? ` +${rootNames.length - 3} more` : '');
+    const name = paths.length === 1 ? paths[0] : `${directory} (${shown || 'import cycle'})`;
+
+    const verdicts = {};
+    for (const f of files) verdicts[f.verdict] = (verdicts[f.verdict] || 0) + 1;
+    const scores = files.map(f => f.evidence?.confidence?.score).filter(s => s !== undefined);
+    const sizeBytes = files.reduce((sum, f) => sum + (f.sizeBytes || 0), 0);
+    const lineCount = files.reduce((sum, f) => sum + (f.lineCount || 0), 0);
+
+    return {
+      name,
+      directory,
+      roots,
+      files: paths,
+      fileCount: paths.length,
+      sizeBytes,
+      sizeFormatted: formatBytes(sizeBytes),
+      lineCount,
+      verdict: verdicts['possibly-live'] ? 'possibly-live' : 'unreachable',
+      cwe: 'CWE-561',
+      evidence: {
+        cwe: 'CWE-561',
+        internalImports: edges.length,
+        liveImporters: 0,
+        verdicts,
+        ...(scores.length > 0 && { minConfidence: Math.min(...scores) }),
+        summary: paths.length === 1
+          ? 'Imports no other dead file and is imported by none'
+          : `${paths.length} files joined by ${edges.length} import${edges.length === 1 ? '' : 's'}; no live file imports any of them`
+      }
+    };
+  });
+
+  islands.sort((a, b) => b.sizeBytes - a.sizeBytes || b.fileCount - a.fileCount || a.name.localeCompare(b.name));
+  islands.forEach((island, i) => {
+    island.id = `island-${i + 1}`;
+    for (const path of island.files) byPath.get(path).island = island.id;
+  });
+  return islands.map(({ id, ...island }) => ({ id, ...island }));
+}
+
+/**
+ * Package.json files, path aliases and ignore list that findDependencyIssues
+ * checks a project's imports against
+ * @param {string} projectPath - Project root
+ * @param {Object} [packageJson] - Root package.json contents
+ * @param {Object} [config] - Merged swynx config (or its deadCode section)
+ * @returns {{ packages: Map<string, Object>, aliases: string[], ignore: string[] }}
+ */
+export function dependencyContext(projectPath, packageJson = {}, config = {}) {
+  const packages = new Map(findNestedPackageJsons(projectPath));
+  if (existsSync(join(projectPath, 'package.json'))) packages.set('', packageJson);
+  const { aliases, packageAliases } = extractPathAliases(projectPath);
+  return {
+    packages,
+    aliases: [...aliases.keys(), ...[...packageAliases.values()].flatMap(m => [...m.keys()])],
+    ignore: config.ignoreDependencies || config.deadCode?.ignoreDependencies || []
+  };
+}
+
 /**
  * Calculate total dead code size (for backwards compatibility)
  */
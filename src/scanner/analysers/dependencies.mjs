@@ -2,7 +2,8 @@
 // Full-depth dependency analysis with evidence-backed data
 
 import { readFileSync, existsSync, statSync, readdirSync } from 'fs';
-import { join, dirname } from 'path';
+import { join, dirname, posix } from 'path';
+import { isBuiltin } from 'module';
 import { execSync } from 'child_process';
 import { fileURLToPath } from 'url';
 
@@ -798,4 +799,310 @@ export function checkHeavyDependencies(dependencies) {
   return heavy;
 }
 
-export default { analyseDependencies, checkHeavyDependencies, enrichUnusedDependency };
+// ═══════════════════════════════════════════════════════════════════════════
+// Declared vs imported dependencies (dead code scan)
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Import types whose specifier is a file pattern, not a module
+const PATTERN_IMPORT_TYPES = new Set(['glob-sync', 'import-meta-glob', 'require-context']);
+
+// Tool configs that name packages without importing them (plugins, presets, parsers, extends)
+const TOOL_CONFIG_RE = /^(\.[\w-]+rc(\.(json|ya?ml|[cm]?js|ts))?|[\w.-]+\.config\.([cm]?[jt]s|json)|babel\.config\.json|tsconfig(\.[\w-]+)?\.json|jsconfig\.json)$/;
+
+// CLIs whose name differs from their package, for packages not installed locally
+const KNOWN_BINS = {
+  typescript: ['tsc', 'tsserver'],
+  '@biomejs/biome': ['biome'],
+  '@playwright/test': ['playwright'],
+  '@angular/cli': ['ng'],
+  '@nestjs/cli': ['nest'],
+  '@changesets/cli': ['changeset'],
+  '@commitlint/cli': ['commitlint'],
+  '@vue/cli-service': ['vue-cli-service'],
+  'npm-run-all': ['run-s', 'run-p'],
+  'npm-run-all2': ['run-s', 'run-p'],
+  'webpack-cli': ['webpack'],
+};
+
+/**
+ * npm package an import specifier refers to, or null for relative paths,
+ * subpath imports, URL-style specifiers (node:, npm:, virtual:) and aliases
+ * that cannot be package names
+ */
+function packageNameOf(specifier) {
+  if (typeof specifier !== 'string' || /^[./#~]/.test(specifier)) return null;
+  if (specifier.includes(':') || /[*${}\s\\]/.test(specifier)) return null;
+  const parts = specifier.split('/');
+  const name = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+  return /^(@[a-z0-9][a-z0-9._-]*\/)?[a-z0-9][a-z0-9._-]*$/.test(name) ? name : null;
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Names a tool config uses for a package: its own name, plus the short
+ * forms ESLint and Babel accept for plugins, configs and presets
+ */
+function configNames(name) {
+  const names = [name];
+  let m;
+  if ((m = name.match(/^eslint-(?:plugin|config)-(.+)$/))) names.push(m[1]);
+  else if ((m = name.match(/^(@[^/]+)\/eslint-(?:plugin|config)$/))) names.push(m[1]);
+  else if ((m = name.match(/^(@[^/]+)\/eslint-(?:plugin|config)-(.+)$/))) names.push(`${m[1]}/${m[2]}`);
+  else if ((m = name.match(/^babel-(?:plugin|preset)-(.+)$/))) names.push(m[1]);
+  else if ((m = name.match(/^@babel\/(?:plugin|preset)-(.+)$/))) names.push(`@babel/${m[1]}`);
+  return names;
+}
+
+/**
+ * Executables a package installs: from its installed package.json when
+ * present, otherwise KNOWN_BINS and its unscoped name
+ */
+function binNames(name, searchDirs) {
+  const bins = new Set([name.split('/').pop(), ...(KNOWN_BINS[name] || [])]);
+  for (const dir of searchDirs) {
+    try {
+      const pkg = JSON.parse(readFileSync(join(dir, 'node_modules', name, 'package.json'), 'utf-8'));
+      if (typeof pkg.bin === 'string') bins.add(name.split('/').pop());
+      else for (const bin of Object.keys(pkg.bin || {})) bins.add(bin);
+      break;
+    } catch {
+      // Not installed here
+    }
+  }
+  return [...bins];
+}
+
+/**
+ * Text of the tool configs in a package directory, plus the package.json
+ * itself without its name and dependency lists (eslintConfig, jest,
+ * prettier, lint-staged and similar keys name packages)
+ */
+function readToolConfigs(absDir, pkg) {
+  const { name, dependencies, devDependencies, peerDependencies, optionalDependencies, ...rest } = pkg;
+  const texts = [JSON.stringify(rest)];
+  try {
+    for (const entry of readdirSync(absDir, { withFileTypes: true })) {
+      if (!entry.isFile() || !TOOL_CONFIG_RE.test(entry.name)) continue;
+      try {
+        const path = join(absDir, entry.name);
+        if (statSync(path).size < 256 * 1024) texts.push(readFileSync(path, 'utf-8'));
+      } catch {
+        // Unreadable config
+      }
+    }
+  } catch {
+    // Missing directory
+  }
+  return texts.join('\n');
+}
+
+/**
+ * Line of a dependency entry in a package.json, counted from 1
+ */
+function manifestLine(manifestText, field, name) {
+  const lines = manifestText.split('\n');
+  const start = lines.findIndex(l => l.includes(`"${field}"`));
+  if (start < 0) return 1;
+  const entry = new RegExp(`^\\s*"${escapeRegex(name)}"\\s*:`);
+  for (let i = start + 1; i < lines.length; i++) {
+    if (entry.test(lines[i])) return i + 1;
+    if (/^\s*}/.test(lines[i])) break;
+  }
+  return start + 1;
+}
+
+/**
+ * Check each package.json in a project against the imports of the files it
+ * owns (the files under its directory, minus nested packages). Works from
+ * parse results only — no git or grep — so it is cheap enough for every scan:
+ *
+ * - unused: a dependency or devDependency that no file imports, no script
+ *   runs and no tool config names
+ * - used only by dead code: imported, but only from files the scan found dead
+ * - missing: imported, but declared neither by the owning package nor by a
+ *   package.json above it (where hoisting would resolve it)
+ *
+ * peerDependencies and optionalDependencies are never reported unused.
+ *
+ * @param {string} projectPath - Project root
+ * @param {Array} jsAnalysis - Parse results (files other than JS/TS/Vue/Svelte/Astro are skipped)
+ * @param {Object} context
+ * @param {Map<string, Object>} context.packages - Package directory ('' for the root) -> package.json
+ * @param {Set<string>} context.deadFiles - Files the scan reported dead
+ * @param {string[]} [context.aliases] - Import prefixes resolved to local files (tsconfig paths, bundler aliases)
+ * @param {string[]} [context.ignore] - Package names never reported
+ * @returns {{ unusedDependencies: Array, missingDependencies: Array }}
+ */
+export function findDependencyIssues(projectPath, jsAnalysis, { packages, deadFiles, aliases = [], ignore = [] }) {
+  const unusedDependencies = [];
+  const missingDependencies = [];
+  const ignored = new Set(ignore);
+
+  // Deepest package first, so a file belongs to its nearest package.json
+  const dirs = [...packages.keys()].sort((a, b) => b.length - a.length);
+  const ownerOf = (file) => dirs.find(d => d === '' || file.startsWith(d + '/')) ?? null;
+  const chainOf = (dir) => dirs.filter(d => d === '' || d === dir || dir.startsWith(d + '/'));
+
+  const declared = new Map();
+  for (const [dir, pkg] of packages) {
+    const names = new Set();
+    for (const field of ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies']) {
+      for (const name of Object.keys(pkg[field] || {})) names.add(name);
+    }
+    declared.set(dir, names);
+  }
+  const workspaceNames = new Set([...packages.values()].map(pkg => pkg.name).filter(Boolean));
+  const isAliased = (spec) => aliases.some(a => spec.startsWith(a) || spec === a.replace(/\/$/, ''));
+
+  // Bare specifiers that name a directory or file of the package (baseUrl imports)
+  const localCache = new Map();
+  const isLocal = (dir, name) => {
+    const key = `${dir}\0${name}`;
+    if (!localCache.has(key)) {
+      const base = join(projectPath, dir);
+      localCache.set(key, ['', 'src'].some(sub =>
+        ['', '.ts', '.tsx', '.js', '.jsx', '.mjs'].some(ext => existsSync(join(base, sub, name + ext)))));
+    }
+    return localCache.get(key);
+  };
+
+  // dir -> name -> [{ file, line }] for declared packages; dir -> name -> importers for missing ones
+  const usage = new Map(dirs.map(d => [d, new Map()]));
+  const missing = new Map(dirs.map(d => [d, new Map()]));
+  const ownedFiles = new Map(dirs.map(d => [d, 0]));
+  const importedAnywhere = new Set();
+  let hasTypeScript = false;
+  let usesBuiltins = false;
+
+  for (const file of jsAnalysis) {
+    const path = file.file?.relativePath || file.file;
+    if (typeof path !== 'string' || !/\.([mc]?[jt]sx?|vue|svelte|astro)$/.test(path)) continue;
+    if (/\.[mc]?tsx?$/.test(path)) hasTypeScript = true;
+    const owner = ownerOf(path);
+    if (owner === null) continue;
+    ownedFiles.set(owner, ownedFiles.get(owner) + 1);
+
+    const specifiers = [
+      ...(file.imports || []).filter(imp => !PATTERN_IMPORT_TYPES.has(imp.type)).map(imp => ({ spec: imp.module, line: imp.line })),
+      ...(file.exports || []).filter(exp => exp.source).map(exp => ({ spec: exp.source, line: exp.line }))
+    ];
+    for (const { spec, line } of specifiers) {
+      if (typeof spec !== 'string') continue;
+      if (spec.startsWith('node:') || isBuiltin(spec)) {
+        usesBuiltins = true;
+        continue;
+      }
+      const name = packageNameOf(spec);
+      if (!name) continue;
+      importedAnywhere.add(name);
+
+      const declaringDir = chainOf(owner).find(d => declared.get(d).has(name));
+      const bucket = declaringDir !== undefined ? usage.get(declaringDir) : missing.get(owner);
+      if (declaringDir === undefined &&
+        (ignored.has(name) || workspaceNames.has(name) || isAliased(spec) || isLocal(owner, name.split('/')[0]))) {
+        continue;
+      }
+      if (!bucket.has(name)) bucket.set(name, []);
+      const importers = bucket.get(name);
+      if (!importers.some(i => i.file === path && i.line === (line || 1))) {
+        importers.push({ file: path, line: line || 1 });
+      }
+    }
+  }
+
+  // Scripts of every package run from the same install, so any of them counts
+  const scriptText = [...packages.values()]
+    .flatMap(pkg => Object.values(pkg.scripts || {}))
+    .filter(s => typeof s === 'string')
+    .join('\n');
+  const rootConfigs = packages.has('') ? readToolConfigs(projectPath, packages.get('')) : '';
+  const allDeclared = new Set([...declared.values()].flatMap(names => [...names]));
+
+  for (const dir of dirs) {
+    const pkg = packages.get(dir);
+    const manifest = dir ? posix.join(dir, 'package.json') : 'package.json';
+    let manifestText = '';
+    try { manifestText = readFileSync(join(projectPath, manifest), 'utf-8'); } catch { /* synthetic package */ }
+
+    // Packages with no scanned JS/TS in or below them (excluded, or another language) are not judged
+    const searchedFiles = dirs.filter(d => chainOf(d).includes(dir)).reduce((sum, d) => sum + ownedFiles.get(d), 0);
+    if (searchedFiles > 0) {
+      const configText = dir ? `${readToolConfigs(join(projectPath, dir), pkg)}\n${rootConfigs}` : rootConfigs;
+      const peers = new Set(Object.keys(pkg.peerDependencies || {}));
+      const hasTsconfig = /"compilerOptions"/.test(configText);
+
+      const mentioned = (name) => configNames(name).some(n =>
+        new RegExp(`(^|["'\`/:])${escapeRegex(n)}(["'\`/]|$)`, 'm').test(configText));
+      const runByScript = (name) => binNames(name, [join(projectPath, dir), projectPath]).some(bin =>
+        new RegExp(`(^|[\\s;&|("'=/])${escapeRegex(bin)}($|[\\s;&|)"'])`, 'm').test(scriptText));
+      const typesUsed = (name) => {
+        const base = name.slice('@types/'.length);
+        const target = base.includes('__') ? `@${base.replace('__', '/')}` : base;
+        return importedAnywhere.has(target) || allDeclared.has(target) || mentioned(base) ||
+          (target === 'node' && (usesBuiltins || hasTsconfig));
+      };
+
+      for (const field of ['dependencies', 'devDependencies']) {
+        for (const [name, version] of Object.entries(pkg[field] || {})) {
+          if (ignored.has(name) || peers.has(name) || name === pkg.name) continue;
+          if (name.startsWith('@types/') ? typesUsed(name) : mentioned(name) || runByScript(name)) continue;
+          if (name === 'typescript' && (hasTypeScript || hasTsconfig)) continue;
+
+          const importers = usage.get(dir).get(name) || [];
+          const liveImporters = importers.filter(i => !deadFiles.has(i.file));
+          if (liveImporters.length > 0) continue;
+
+          const deadOnly = importers.length > 0;
+          unusedDependencies.push({
+            name,
+            version,
+            declaredIn: field,
+            package: dir || '.',
+            packageName: pkg.name || null,
+            manifest,
+            line: manifestLine(manifestText, field, name),
+            reason: deadOnly ? 'imported-only-by-dead-code' : 'never-imported',
+            verdict: deadOnly ? 'dead-code-only' : 'unused-dependency',
+            cwe: 'CWE-1164',
+            ...(deadOnly && { importedBy: importers }),
+            evidence: {
+              method: 'declared-vs-imported',
+              searchedFiles,
+              checkedScripts: true,
+              checkedToolConfigs: true,
+              ...(deadOnly && { deadImporters: [...new Set(importers.map(i => i.file))] })
+            },
+            recommendation: {
+              action: 'remove',
+              command: `npm uninstall ${name}${dir ? ` -w ${dir}` : ''}`
+            }
+          });
+        }
+      }
+    }
+
+    for (const [name, importers] of missing.get(dir)) {
+      missingDependencies.push({
+        name,
+        package: dir || '.',
+        packageName: pkg.name || null,
+        manifest,
+        importedBy: importers,
+        reason: 'imported-but-not-declared',
+        verdict: 'missing-dependency',
+        deadCodeOnly: importers.every(i => deadFiles.has(i.file))
+      });
+    }
+  }
+
+  const byLocation = (a, b) => a.manifest.localeCompare(b.manifest) || a.name.localeCompare(b.name);
+  return {
+    unusedDependencies: unusedDependencies.sort(byLocation),
+    missingDependencies: missingDependencies.sort(byLocation)
+  };
+}
+
+export default { analyseDependencies, checkHeavyDependencies, enrichUnusedDependency, findDependencyIssues };
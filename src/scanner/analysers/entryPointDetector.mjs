@@ -546,7 +546,7 @@ export class EntryPointDetector {
     if (patternMatch.matches) {
       return {
         isEntry: true,
-        reason: 'Matches entry point pattern',
+        reason: `Matches entry point pattern ${patternMatch.pattern}`,
         source: 'convention',
         confidence: patternMatch.confidence
       };
@@ -0,0 +1,133 @@
+// src/scanner/analysers/env.mjs
+// Environment variables: names defined in .env files, docker-compose, Helm
+// values and Kubernetes manifests that no code reads, and names the code
+// reads that nothing defines
+
+import { parseEnvConfig } from './configParsers.mjs';
+import { loadKnowledge, getEnvPatterns } from '../../knowledge/loader.mjs';
+
+const SOURCE_LABELS = {
+  dotenv: 'env file',
+  compose: 'docker-compose',
+  helm: 'Helm values',
+  k8s: 'Kubernetes manifest',
+  configmap: 'ConfigMap',
+  secret: 'Secret'
+};
+
+/**
+ * Cross-reference env definitions with the reads of every parsed file.
+ * A definition is unused when no live file reads it and no config, script
+ * or manifest interpolates it; read only from dead files it is dead-code-only,
+ * and with an unconstrained computed read (process.env[key]) in live code
+ * it is possibly-live. Names the code reads without a default are undefined
+ * when no definition source names them. Variables that runtimes, tools and
+ * platforms set or read themselves (knowledge/patterns/env-vars.json) and
+ * the names in deadCode.ignoreEnvVars are skipped.
+ * @param {string} projectPath - Project root
+ * @param {Array} analysis - Parsed files ({ file: { relativePath }, envReads })
+ * @param {Object} options
+ * @param {Set<string>} options.deadFiles - Files already reported dead
+ * @param {string[]} [options.ignore] - Glob patterns to skip when finding definitions
+ * @param {Object} [options.config] - Scan config
+ * @returns {Promise<{ unusedEnvVars: Array, undefinedEnvVars: Array }>}
+ */
+export async function findEnvIssues(projectPath, analysis, { deadFiles = new Set(), ignore = [], config = {} } = {}) {
+  const { definitions, references } = parseEnvConfig(projectPath, { ignore });
+  if (definitions.length === 0) return { unusedEnvVars: [], undefinedEnvVars: [] };
+
+  await loadKnowledge();
+  const knowledge = getEnvPatterns() || {};
+  const platform = new Set(knowledge.platform_variables || []);
+  const tools = new Set(knowledge.tool_variables || []);
+  const prefixes = knowledge.platform_prefixes || [];
+  const ignored = new Set(config.ignoreEnvVars || config.deadCode?.ignoreEnvVars || []);
+  const external = (name) => ignored.has(name) || platform.has(name) || prefixes.some(p => name.startsWith(p));
+
+  // name -> [{ file, line, optional? }], and the computed reads
+  const reads = new Map();
+  const dynamicReads = [];
+  let searchedFiles = 0;
+  for (const entry of analysis) {
+    const file = entry.file?.relativePath;
+    if (!file) continue;
+    searchedFiles++;
+    for (const read of entry.envReads || []) {
+      if (read.name === undefined) {
+        dynamicReads.push({ file, line: read.line, prefix: read.prefix });
+        continue;
+      }
+      if (!reads.has(read.name)) reads.set(read.name, []);
+      reads.get(read.name).push({ file, line: read.line, ...(read.optional && { optional: true }) });
+    }
+  }
+  const referenced = new Set(references.map(r => r.name));
+  const liveDynamic = dynamicReads.filter(d => !deadFiles.has(d.file));
+  const unconstrained = liveDynamic.filter(d => d.prefix === '');
+
+  const unusedEnvVars = [];
+  for (const def of definitions) {
+    const { name } = def;
+    if (def.image || external(name) || tools.has(name) || referenced.has(name)) continue;
+    const readers = reads.get(name) || [];
+    if (readers.some(r => !deadFiles.has(r.file))) continue;
+    if (liveDynamic.some(d => d.prefix !== '' && name.startsWith(d.prefix))) continue;
+
+    const where = SOURCE_LABELS[def.source] || def.source;
+    let reason = 'never-read';
+    let verdict = 'unused-env-var';
+    let summary = `Defined in ${where} ${def.file}; no code, script or config reads it`;
+    if (readers.length > 0) {
+      reason = 'read-only-by-dead-code';
+      verdict = 'dead-code-only';
+      const deadReaders = [...new Set(readers.map(r => r.file))];
+      summary = `Only read by dead file${deadReaders.length !== 1 ? 's' : ''} ${deadReaders.join(', ')}`;
+    } else if (unconstrained.length > 0) {
+      verdict = 'possibly-live';
+      summary = `Never read by name, but ${unconstrained[0].file}:${unconstrained[0].line} reads the environment with a computed key`;
+    }
+
+    unusedEnvVars.push({
+      name,
+      file: def.file,
+      line: def.line,
+      source: def.source,
+      reason,
+      verdict,
+      cwe: 'CWE-1164',
+      ...(readers.length > 0 && { readBy: readers }),
+      evidence: {
+        method: 'defined-vs-read',
+        searchedFiles,
+        ...(verdict === 'possibly-live' && { dynamicReads: unconstrained }),
+        summary
+      }
+    });
+  }
+
+  const defined = new Set(definitions.map(d => d.name));
+  const undefinedEnvVars = [];
+  for (const [name, readers] of reads) {
+    if (defined.has(name) || external(name)) continue;
+    // A read with a default value is optional configuration, not a bug
+    const required = readers.filter(r => !r.optional);
+    if (required.length === 0) continue;
+    undefinedEnvVars.push({
+      name,
+      file: required[0].file,
+      line: required[0].line,
+      readBy: required,
+      reason: 'read-but-not-defined',
+      verdict: 'undefined-env-var',
+      deadCodeOnly: required.every(r => deadFiles.has(r.file))
+    });
+  }
+
+  const byLocation = (a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.name.localeCompare(b.name);
+  return {
+    unusedEnvVars: unusedEnvVars.sort(byLocation),
+    undefinedEnvVars: undefinedEnvVars.sort(byLocation)
+  };
+}
+
+export default { findEnvIssues };
@@ -0,0 +1,149 @@
+// src/scanner/analysers/flags.mjs
+// Feature flags with a permanent value: read from deadCode.flags and from
+// flag exports on disk (deadCode.flagsFile, JSON or YAML), and the import
+// edges that only a never-taken flag branch uses
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+
+function scalar(raw) {
+  const text = raw.replace(/\s+#.*$/, '').trim();
+  if (/^(["']).*\1$/.test(text)) return text.slice(1, -1);
+  if (text === 'true' || text === 'on' || text === 'yes') return true;
+  if (text === 'false' || text === 'off' || text === 'no') return false;
+  if (text === 'null' || text === '~' || text === '') return null;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+/**
+ * Nested `key: value` mappings of a YAML document. Lists, anchors and
+ * multi-line strings are not needed for a flag export and are skipped.
+ */
+function parseYamlMap(text) {
+  const root = {};
+  const stack = [{ indent: -1, map: root }];
+  for (const rawLine of text.split('\n')) {
+    if (/^\s*(#|$|-|---)/.test(rawLine)) continue;
+    const match = rawLine.match(/^(\s*)(["']?)([^"':#]+)\2\s*:(.*)$/);
+    if (!match) continue;
+    const indent = match[1].length;
+    while (stack.length > 1 && stack[stack.length - 1].indent >= indent) stack.pop();
+    const parent = stack[stack.length - 1].map;
+    const key = match[3].trim();
+    if (match[4].trim() === '' || match[4].trim().startsWith('#')) {
+      parent[key] = {};
+      stack.push({ indent, map: parent[key] });
+    } else {
+      parent[key] = scalar(match[4]);
+    }
+  }
+  return root;
+}
+
+/**
+ * The permanent value of one flag entry: a raw value, or an object with
+ * `value`, `enabled` or `on`
+ */
+function flagValue(entry) {
+  if (entry === null || typeof entry !== 'object') return entry;
+  for (const key of ['value', 'enabled', 'on']) {
+    if (Object.prototype.hasOwnProperty.call(entry, key)) return entry[key];
+  }
+  return undefined;
+}
+
+/**
+ * Flag entries of a parsed export: a `{ key: value }` map, optionally under
+ * `flags` or `features`, or a list of `{ key|name, value|enabled|on }`
+ */
+function flagEntries(data) {
+  const body = data?.flags ?? data?.features ?? data;
+  if (Array.isArray(body)) {
+    return body
+      .filter(f => f && typeof f === 'object' && (f.key || f.name))
+      .map(f => [f.key || f.name, flagValue(f)]);
+  }
+  if (!body || typeof body !== 'object') return [];
+  return Object.entries(body).map(([name, entry]) => [name, flagValue(entry)]);
+}
+
+/**
+ * Configured flags and where each value came from. Values in
+ * deadCode.flags override those read from deadCode.flagsFile.
+ * @param {string} projectPath - Project root
+ * @param {Object} config - Scan config
+ * @returns {{ values: Object, sources: Object } | null} null when no flags are configured
+ * @throws {Error} If a flag file cannot be read or parsed
+ */
+export function loadFlags(projectPath, config = {}) {
+  const files = [config.flagsFile ?? config.deadCode?.flagsFile ?? []].flat().filter(f => typeof f === 'string');
+  const inline = { ...(config.flags || {}), ...(config.deadCode?.flags || {}) };
+  const values = {};
+  const sources = {};
+
+  for (const file of files) {
+    let data;
+    try {
+      const text = readFileSync(join(projectPath, file), 'utf-8');
+      data = /\.ya?ml$/i.test(file) ? parseYamlMap(text) : JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Cannot read flag file ${file}: ${err.message}`);
+    }
+    for (const [name, value] of flagEntries(data)) {
+      if (value === undefined) continue;
+      values[name] = value;
+      sources[name] = file;
+    }
+  }
+  for (const [name, entry] of Object.entries(inline)) {
+    const value = flagValue(entry);
+    if (value === undefined) continue;
+    values[name] = value;
+    sources[name] = 'deadCode.flags';
+  }
+
+  return Object.keys(values).length > 0 ? { values, sources } : null;
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Imports of a file that only code inside `ranges` uses: a require() or
+ * import() on a line in a range, or a static import whose local names
+ * appear nowhere else in the file. Side-effect imports are always kept.
+ * @param {Array} imports - The file's parsed imports
+ * @param {Array<{ line, endLine }>} ranges - Code that never runs
+ * @param {string} content - File source
+ * @returns {Map<Object, Array>} The import records to drop, each with the ranges that use it
+ */
+export function importsOnlyIn(imports, ranges, content) {
+  const inRange = (line) => ranges.some(r => line >= r.line && line <= r.endLine);
+  const lines = content.split('\n');
+  // Lines of each static import statement, up to the one naming the module
+  const staticLines = new Set();
+  for (const imp of imports) {
+    if (imp.type !== 'esm' || !imp.line) continue;
+    let i = imp.line - 1;
+    staticLines.add(i);
+    while (i < lines.length - 1 && !lines[i].includes(imp.module)) staticLines.add(++i);
+  }
+  // The file with the never-run code and the import statements blanked out
+  const rest = lines.filter((_, i) => !inRange(i + 1) && !staticLines.has(i)).join('\n');
+
+  const dropped = new Map();
+  for (const imp of imports) {
+    if (imp.type === 'esm') {
+      const names = (imp.specifiers || []).map(s => s.localName || s.name).filter(Boolean);
+      const uses = names.map(name => new RegExp(`(^|[^\\w$.])${escapeRegExp(name)}(?![\\w$])`));
+      if (names.length === 0 || uses.some(re => re.test(rest))) continue;
+      const users = ranges.filter(r => uses.some(re => re.test(lines.slice(r.line - 1, r.endLine).join('\n'))));
+      if (users.length > 0) dropped.set(imp, users);
+    } else if (imp.line && inRange(imp.line)) {
+      dropped.set(imp, ranges.filter(r => imp.line >= r.line && imp.line <= r.endLine));
+    }
+  }
+  return dropped;
+}
+
+export default { loadFlags, importsOnlyIn };
@@ -0,0 +1,226 @@
+// src/scanner/analysers/i18n.mjs
+// Translation keys: messages in i18next, react-intl and vue-i18n locale
+// catalogs that no live code looks up, and keys the code uses that some
+// locales do not translate
+
+import { readFileSync } from 'fs';
+import { join, basename, extname } from 'path';
+import { globSync } from 'glob';
+import { parseCatalog, findTranslationUses } from '../parsers/i18n.mjs';
+
+const CATALOG_EXTENSIONS = new Set(['.json', '.yaml', '.yml']);
+const CODE_EXTENSIONS = new Set(['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx', '.vue', '.svelte']);
+// Directories locale catalogs live in
+const I18N_DIRS = new Set(['locales', 'locale', 'i18n', 'lang', 'langs', 'languages', 'translations', 'messages', 'intl', 'l10n']);
+// en, en-US, pt_BR, zh-Hans, sr-Latn-RS
+const LOCALE_RE = /^[a-z]{2}(?:[-_][A-Za-z0-9]{2,4}){0,2}$/;
+// i18next plural and ordinal suffixes: a lookup of `item` covers `item_one`, `item_other`
+const PLURAL_SUFFIX_RE = /_(?:zero|one|two|few|many|other|plural|ordinal_(?:zero|one|two|few|many|other)|\d+)$/;
+
+function read(projectPath, file) {
+  try {
+    return readFileSync(join(projectPath, file), 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Locale and namespace a catalog path names: locales/en.json is the default
+ * namespace of en, locales/en/common.json the common namespace
+ */
+function catalogName(file, named) {
+  const dirs = file.split('/').slice(0, -1);
+  if (!named && !dirs.some(d => I18N_DIRS.has(d.toLowerCase()))) return null;
+  const name = basename(file, extname(file));
+  if (LOCALE_RE.test(name)) return { locale: name, namespace: null };
+  const parent = dirs[dirs.length - 1];
+  if (parent && LOCALE_RE.test(parent)) return { locale: parent, namespace: name };
+  return named ? { locale: null, namespace: null } : null;
+}
+
+/**
+ * The per-locale catalogs in one file. A file whose top-level keys are all
+ * locales (`en:` in en.yml, or { en: {...}, fr: {...} }) holds one catalog
+ * per key; its keys are reported without the locale.
+ * @param {string} file - Path relative to the project root
+ * @param {string} text - File source
+ * @param {boolean} [named] - Listed in deadCode.translationCatalogs
+ * @returns {Array<{ file, locale, namespace, keys: Array<{ key, path, line, endLine? }>, maps: Array }>}
+ *   path is the key's position in the file, for editing it
+ */
+export function readCatalogs(file, text, named = false) {
+  const name = catalogName(file, named);
+  if (!name) return [];
+  const { keys, maps } = parseCatalog(text, file);
+  if (keys.length === 0) return [];
+
+  const roots = new Set(keys.map(k => k.path[0]));
+  if (keys.every(k => k.path.length > 1) && [...roots].every(r => LOCALE_RE.test(r))) {
+    return [...roots].map(locale => ({
+      file,
+      locale,
+      namespace: name.namespace,
+      keys: keys.filter(k => k.path[0] === locale).map(k => ({ ...k, key: k.path.slice(1).join('.') })),
+      maps: maps.filter(m => m.path[0] === locale && m.path.length > 1).map(m => ({ ...m, key: m.path.slice(1).join('.') }))
+    }));
+  }
+  if (!name.locale) return [];
+  return [{ file, locale: name.locale, namespace: name.namespace, keys, maps }];
+}
+
+/**
+ * Cross-reference the keys of every locale catalog with the lookups in the
+ * parsed JS/TS/Vue/Svelte files. A lookup covers its key, the key's plural
+ * forms and, for a group (`t('errors', { returnObjects: true })`), every key
+ * under it; `ns:key` only matches the ns namespace. A template-literal
+ * lookup (`` t(`errors.${code}`) ``) covers every key with its static prefix,
+ * and a lookup with no static prefix (`t(key)`) in live code makes every
+ * otherwise unused key possibly-live. Keys matching a deadCode.ignoreTranslationKeys
+ * regex are never reported.
+ * @param {string} projectPath - Project root
+ * @param {Array} files - Discovered files ({ relativePath })
+ * @param {Object} options
+ * @param {Array} options.jsAnalysis - Parsed JS/TS files
+ * @param {Set<string>} options.deadFiles - Code files already reported dead
+ * @param {Object} [options.config] - Scan config
+ * @returns {Promise<{ unusedTranslationKeys: Array, missingTranslationKeys: Array }>}
+ */
+export async function findTranslationIssues(projectPath, files, { jsAnalysis = [], deadFiles = new Set(), config = {} } = {}) {
+  const configured = config.translationCatalogs || config.deadCode?.translationCatalogs || [];
+  const named = new Set(configured.flatMap(pattern => globSync(pattern, { cwd: projectPath, nodir: true, ignore: ['**/node_modules/**'] })
+    .map(f => f.split('\\').join('/'))));
+  const paths = files.map(f => (typeof f === 'string' ? f : f.relativePath));
+
+  const catalogs = [];
+  for (const file of new Set([...paths, ...named])) {
+    if (!CATALOG_EXTENSIONS.has(extname(file).toLowerCase()) || !(named.has(file) || catalogName(file, false))) continue;
+    const text = read(projectPath, file);
+    if (text !== null) catalogs.push(...readCatalogs(file, text, named.has(file)));
+  }
+  if (catalogs.length === 0) return { unusedTranslationKeys: [], missingTranslationKeys: [] };
+
+  // key -> [{ file, line }], and the computed lookups
+  const uses = new Map();
+  const dynamicUses = [];
+  let searchedFiles = 0;
+  for (const entry of jsAnalysis) {
+    const file = entry.file?.relativePath;
+    if (!file || !CODE_EXTENSIONS.has(extname(file).toLowerCase())) continue;
+    const content = read(projectPath, file);
+    if (content === null) continue;
+    searchedFiles++;
+    for (const use of findTranslationUses(content)) {
+      if (use.key === undefined) {
+        dynamicUses.push({ file, line: use.line, prefix: use.prefix });
+        continue;
+      }
+      if (!uses.has(use.key)) uses.set(use.key, []);
+      uses.get(use.key).push({ file, line: use.line });
+    }
+  }
+  const liveDynamic = dynamicUses.filter(d => !deadFiles.has(d.file));
+  const unconstrained = liveDynamic.filter(d => d.prefix === '');
+  const ignore = (config.ignoreTranslationKeys || config.deadCode?.ignoreTranslationKeys || []).map(p => new RegExp(p));
+
+  // Every lookup that reaches a key of a namespace
+  const usersOf = (key, namespace) => {
+    const parts = key.split('.');
+    const names = [key, key.replace(PLURAL_SUFFIX_RE, '')];
+    for (let i = 1; i < parts.length; i++) names.push(parts.slice(0, i).join('.'));
+    const found = [];
+    for (const name of new Set(names)) {
+      found.push(...(uses.get(name) || []));
+      if (namespace) found.push(...(uses.get(`${namespace}:${name}`) || []));
+    }
+    for (const d of dynamicUses) {
+      if (d.prefix !== '' && (key.startsWith(d.prefix) || (namespace && `${namespace}:${key}`.startsWith(d.prefix)))) found.push({ file: d.file, line: d.line });
+    }
+    return found;
+  };
+
+  const unusedTranslationKeys = [];
+  const liveKeys = new Map();   // namespace -> Map(key -> live users)
+  for (const catalog of catalogs) {
+    const ns = catalog.namespace || '';
+    if (!liveKeys.has(ns)) liveKeys.set(ns, new Map());
+    for (const entry of catalog.keys) {
+      const users = usersOf(entry.key, catalog.namespace);
+      const live = users.filter(u => !deadFiles.has(u.file));
+      if (live.length > 0) {
+        liveKeys.get(ns).set(entry.key, live);
+        continue;
+      }
+      if (ignore.some(re => re.test(entry.key))) continue;
+
+      let reason = 'never-used';
+      let verdict = 'unused-translation-key';
+      let summary = 'No t(), $t(), <FormattedMessage> or i18nKey lookup uses this key';
+      if (users.length > 0) {
+        reason = 'used-only-by-dead-code';
+        verdict = 'dead-code-only';
+        const deadUsers = [...new Set(users.map(u => u.file))];
+        summary = `Only used by dead file${deadUsers.length !== 1 ? 's' : ''} ${deadUsers.join(', ')}`;
+      } else if (unconstrained.length > 0) {
+        verdict = 'possibly-live';
+        summary = `No lookup names this key, but ${unconstrained[0].file}:${unconstrained[0].line} looks up a computed key`;
+      }
+
+      unusedTranslationKeys.push({
+        key: entry.key,
+        ...(catalog.namespace && { namespace: catalog.namespace }),
+        locale: catalog.locale,
+        file: catalog.file,
+        line: entry.line,
+        ...(entry.endLine && { endLine: entry.endLine }),
+        reason,
+        verdict,
+        cwe: 'CWE-1164',
+        ...(users.length > 0 && { usedBy: users }),
+        evidence: {
+          method: 'catalog-vs-lookups',
+          searchedFiles,
+          ...(verdict === 'possibly-live' && { dynamicLookups: unconstrained }),
+          summary
+        }
+      });
+    }
+  }
+
+  // Keys live code uses that a locale of the same namespace lacks
+  const missingTranslationKeys = [];
+  for (const [ns, used] of liveKeys) {
+    const group = catalogs.filter(c => (c.namespace || '') === ns);
+    const locales = [...new Set(group.map(c => c.locale))];
+    if (locales.length < 2) continue;
+    const keysOf = new Map(locales.map(locale => [locale, new Set(group.filter(c => c.locale === locale).flatMap(c => c.keys.map(k => k.key)))]));
+    // Plural forms differ between languages: any form of the base counts
+    const pluralBases = new Map([...keysOf].map(([locale, keys]) => [locale, new Set([...keys].filter(k => PLURAL_SUFFIX_RE.test(k)).map(k => k.replace(PLURAL_SUFFIX_RE, '')))]));
+
+    for (const [key, users] of used) {
+      const definedIn = group.flatMap(c => c.keys.filter(k => k.key === key).map(k => ({ locale: c.locale, file: c.file, line: k.line })));
+      for (const locale of locales) {
+        if (keysOf.get(locale).has(key)) continue;
+        if (PLURAL_SUFFIX_RE.test(key) && pluralBases.get(locale).has(key.replace(PLURAL_SUFFIX_RE, ''))) continue;
+        missingTranslationKeys.push({
+          key,
+          ...(ns && { namespace: ns }),
+          locale,
+          file: group.find(c => c.locale === locale).file,
+          definedIn,
+          usedBy: users,
+          reason: 'missing-in-locale',
+          verdict: 'missing-translation'
+        });
+      }
+    }
+  }
+
+  const byLocation = (a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0) || a.key.localeCompare(b.key);
+  return {
+    unusedTranslationKeys: unusedTranslationKeys.sort(byLocation),
+    missingTranslationKeys: missingTranslationKeys.sort(byLocation)
+  };
+}
+
+export default { findTranslationIssues, readCatalogs };
@@ -0,0 +1,275 @@
+// src/scanner/analysers/library.mjs
+// Library mode: the public API of a published package, read from its
+// package.json (exports conditions, main/module, types and .d.ts rollups),
+// and the checks made against it
+
+import { readFileSync } from 'fs';
+import { join, posix } from 'path';
+import { globSync } from 'glob';
+import { sourceCandidates, conditionTargets, isBuildOutput } from './workspaces.mjs';
+
+// Resolution order for an extension-less path: source before declarations
+const SOURCE_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs', '.d.ts', '.d.mts', '.d.cts'];
+const EXTENSION_RE = /(\.d)?\.[mc]?[jt]sx?$/;
+const DECLARATION_RE = /\.d\.[mc]?ts$/;
+
+function readJson(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * api-extractor.json allows comments; its entry point is the .d.ts the rollup is built from
+ */
+function apiExtractorEntry(pkgRoot) {
+  try {
+    const content = readFileSync(join(pkgRoot, 'api-extractor.json'), 'utf-8')
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/^\s*\/\/.*$/gm, '');
+    const entry = JSON.parse(content).mainEntryPointFilePath;
+    return typeof entry === 'string' ? entry.replace(/^<projectFolder>\//, '') : null;
+  } catch {
+    return null;
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function hasPublicSurface(pkgJson) {
+  return Boolean(pkgJson && pkgJson.private !== true &&
+    (pkgJson.exports || pkgJson.main || pkgJson.module || pkgJson.types || pkgJson.typings));
+}
+
+/**
+ * Extension-less lookup of scanned files: "src/core" finds src/core.ts,
+ * and a directory finds its index file
+ * @param {Iterable<string>} files - Project-relative paths
+ * @returns {Map<string, string>} Path, stem or directory → file
+ */
+export function fileIndex(files) {
+  const index = new Map();
+  const rank = (file) => {
+    const ext = SOURCE_EXTENSIONS.findIndex(e => file.endsWith(e) && !(e === '.ts' && DECLARATION_RE.test(file)));
+    return ext === -1 ? SOURCE_EXTENSIONS.length : ext;
+  };
+  const add = (key, file) => {
+    const current = index.get(key);
+    if (!current || rank(file) < rank(current)) index.set(key, file);
+  };
+  for (const file of files) {
+    index.set(file, file);
+    if (!EXTENSION_RE.test(file)) continue;
+    const stem = file.replace(EXTENSION_RE, '');
+    add(stem, file);
+    if (stem === 'index') add('', file);
+    else if (stem.endsWith('/index')) add(stem.slice(0, -'/index'.length), file);
+  }
+  return index;
+}
+
+/**
+ * Packages to treat as libraries: the root package, unless it is private,
+ * and every publishable workspace package
+ * @param {string} projectPath - Project root
+ * @param {Object} rootPkg - Root package.json
+ * @param {Array} workspacePackages - Packages from detectWorkspaces
+ * @returns {Array<{ name, dir, manifest, pkgJson }>}
+ */
+export function libraryPackages(projectPath, rootPkg, workspacePackages = []) {
+  const packages = [];
+  if (hasPublicSurface(rootPkg)) {
+    packages.push({ name: rootPkg.name || '<root>', dir: '', manifest: 'package.json', pkgJson: rootPkg });
+  }
+  for (const pkg of workspacePackages) {
+    if (!pkg.publishable) continue;
+    const pkgJson = readJson(join(projectPath, pkg.dir, 'package.json'));
+    if (hasPublicSurface(pkgJson)) packages.push({ name: pkg.name, dir: pkg.dir, manifest: pkg.manifest, pkgJson });
+  }
+  return packages;
+}
+
+/**
+ * Every path a library's package.json publishes: each export condition of
+ * each subpath, main, module, types/typings and the api-extractor entry
+ */
+function publishedTargets(pkgJson, pkgRoot) {
+  const targets = [];
+  const { exports } = pkgJson;
+  if (typeof exports === 'string' || Array.isArray(exports)) {
+    for (const target of conditionTargets(exports)) targets.push({ subpath: '.', field: 'exports', target });
+  } else if (exports && typeof exports === 'object') {
+    const subpaths = Object.keys(exports).some(k => k.startsWith('.')) ? exports : { '.': exports };
+    for (const [subpath, value] of Object.entries(subpaths)) {
+      for (const target of conditionTargets(value)) targets.push({ subpath, field: `exports["${subpath}"]`, target });
+    }
+  }
+  for (const field of ['main', 'module', 'types', 'typings']) {
+    if (typeof pkgJson[field] === 'string') targets.push({ subpath: '.', field, target: pkgJson[field] });
+  }
+  const rollupEntry = apiExtractorEntry(pkgRoot);
+  if (rollupEntry) targets.push({ subpath: '.', field: 'api-extractor.json', target: rollupEntry, optional: true });
+  return targets;
+}
+
+/**
+ * Whether a published path exists on disk, or the source it is built from does
+ */
+function targetExists(pkgRoot, target) {
+  const candidates = sourceCandidates(target).filter(Boolean);
+  const patterns = candidates.flatMap(c => [c, `${c}.*`, `${c}/index.*`]);
+  try {
+    return globSync(patterns, { cwd: pkgRoot, dot: true, ignore: '**/node_modules/**' }).length > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The public entry files of a library package, and the paths its
+ * package.json publishes that do not exist.
+ *
+ * Export targets under a build directory (dist/, lib/, ...) are mapped back
+ * to the source they are built from, so a source checkout without build
+ * output is not reported. A .d.ts target that is checked in (a declaration
+ * rollup) is itself an entry file.
+ * @param {Object} pkg - Entry from libraryPackages
+ * @param {Map<string, string>} index - fileIndex of the scanned files
+ * @param {string} projectPath - Project root
+ * @returns {{ entries: Array<{ subpath, field, file }>, missing: Array<{ manifest, field, target }> }}
+ */
+export function publicSurface(pkg, index, projectPath) {
+  const prefix = pkg.dir ? `${pkg.dir}/` : '';
+  const pkgRoot = join(projectPath, pkg.dir);
+  const entries = [];
+  const missing = [];
+  const seen = new Set();
+  const addEntry = (subpath, field, file) => {
+    if (seen.has(file)) return;
+    seen.add(file);
+    entries.push({ subpath, field, file });
+  };
+
+  for (const { subpath, field, target, optional } of publishedTargets(pkg.pkgJson, pkgRoot)) {
+    if (typeof target !== 'string') continue;
+    const candidates = sourceCandidates(target).map(c => prefix + c);
+    if (target.includes('*')) {
+      // "./components/*": every scanned file the pattern matches
+      const res = candidates.map(c => new RegExp(`^${c.split('*').map(escapeRegExp).join('.+')}$`));
+      for (const [key, file] of index) {
+        if (key.startsWith(prefix) && res.some(re => re.test(key))) addEntry(subpath, field, file);
+      }
+    } else {
+      const file = candidates.map(c => index.get(c)).find(Boolean);
+      if (file) addEntry(subpath, field, file);
+    }
+    if (!optional && !targetExists(pkgRoot, target)) {
+      missing.push({ manifest: pkg.manifest, field, target });
+    }
+  }
+
+  for (const entry of pkg.pkgJson.files || []) {
+    if (typeof entry !== 'string' || entry.startsWith('!')) continue;
+    const clean = entry.replace(/^\.\//, '').replace(/\/+$/, '');
+    // A bare build directory only appears after a build
+    if (!clean.includes('/') && isBuildOutput(clean)) continue;
+    if (targetExists(pkgRoot, clean)) continue;
+    missing.push({ manifest: pkg.manifest, field: 'files', target: entry });
+  }
+
+  return { entries, missing };
+}
+
+/**
+ * Line of the declaration behind `export { name }`, or 0 if it is not found
+ */
+function declarationLine(lines, name) {
+  const re = new RegExp(`^\\s*(export\\s+)?(declare\\s+)?(default\\s+)?(abstract\\s+)?(async\\s+)?(function\\*?|class|const|let|var|interface|type|enum|namespace)\\s+${name.replace(/\$/g, '\\$')}\\b`);
+  const index = lines.findIndex(line => re.test(line));
+  return index + 1;
+}
+
+/**
+ * Whether the declaration at `line` (1-based) has a /** doc comment above
+ * it. Blank lines and decorators may sit between the two.
+ */
+function hasDocComment(lines, line) {
+  let i = line - 2;
+  while (i >= 0 && (lines[i].trim() === '' || lines[i].trim().startsWith('@'))) i--;
+  if (i < 0 || !lines[i].trim().endsWith('*/')) return false;
+  while (i >= 0 && !lines[i].includes('/*')) i--;
+  return i >= 0 && lines[i].includes('/**');
+}
+
+/**
+ * Public symbols of a library that have no doc comment. Re-exports are
+ * followed from the entry files to the declaration, and a symbol counts as
+ * documented when a /** comment sits above its declaration.
+ * @param {Array} entries - Entry files from publicSurface
+ * @param {Map<string, Object>} analysisByPath - Parsed files by path
+ * @param {Map<string, string>} index - fileIndex of the scanned files
+ * @param {string} projectPath - Project root
+ * @returns {Array<{ file, line, name, exportedAs, type, entry }>}
+ */
+export function findUndocumentedExports(entries, analysisByPath, index, projectPath) {
+  const linesCache = new Map();
+  const linesOf = (file) => {
+    if (!linesCache.has(file)) {
+      let lines = [];
+      try { lines = readFileSync(join(projectPath, file), 'utf-8').split('\n'); } catch { /* unreadable */ }
+      linesCache.set(file, lines);
+    }
+    return linesCache.get(file);
+  };
+  const resolveModule = (from, spec) => {
+    if (!spec?.startsWith('.')) return null;
+    const target = posix.normalize(posix.join(posix.dirname(from), spec));
+    return index.get(target) || index.get(target.replace(EXTENSION_RE, '')) || null;
+  };
+
+  const undocumented = [];
+  const reported = new Set();
+  const check = (file, exp, exportedAs, entry) => {
+    const lines = linesOf(file);
+    const line = exp.localName ? (declarationLine(lines, exp.localName) || exp.line) : exp.line;
+    const name = exp.localName || exp.name || 'default';
+    const key = `${file}:${line}:${name}`;
+    if (!line || reported.has(key) || hasDocComment(lines, line)) return;
+    reported.add(key);
+    undocumented.push({ file, line, name, exportedAs, type: exp.type || 'unknown', entry });
+  };
+
+  // Walk an export to its declaration: `export *` and `export { x } from` hop files
+  const visit = (file, wanted, exportedAs, entry, seen) => {
+    const visitKey = `${file}\0${wanted ?? '*'}`;
+    if (seen.has(visitKey)) return;
+    seen.add(visitKey);
+    for (const exp of analysisByPath.get(file)?.exports || []) {
+      if (exp.type === 'reexport-all') {
+        const target = resolveModule(file, exp.sourceModule);
+        if (target && wanted !== 'default') visit(target, wanted, exportedAs, entry, seen);
+        continue;
+      }
+      const name = exp.name || 'default';
+      if (wanted !== null && name !== wanted) continue;
+      const publicName = exportedAs || name;
+      if (exp.sourceModule) {
+        const target = resolveModule(file, exp.sourceModule);
+        if (target) visit(target, exp.sourceName || name, publicName, entry, seen);
+      } else {
+        check(file, exp, publicName, entry);
+      }
+    }
+  };
+
+  for (const { subpath, file } of entries) {
+    visit(file, null, null, subpath, new Set());
+  }
+  return undocumented.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+}
+
+export default { fileIndex, libraryPackages, publicSurface, findUndocumentedExports };
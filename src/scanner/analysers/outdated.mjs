@@ -5,6 +5,7 @@ import { exec } from 'child_process';
 import { promisify } from 'util';
 import { readFileSync, existsSync } from 'fs';
 import { join } from 'path';
+import { throwIfCancelled } from '../cancel.mjs';
 
 const execAsync = promisify(exec);
 
@@ -79,10 +80,11 @@ const KNOWN_ALTERNATIVES = {
  * Full-depth outdated dependency analysis
  * @param {Object} dependencies - Dependency list from package.json
  * @param {string} projectPath - Path to the project
- * @param {Object} options - Options including onProgress callback
+ * @param {Object} options - Options including onProgress callback and signal (AbortSignal)
  */
 export async function scanOutdatedDependencies(dependencies, projectPath = process.cwd(), options = {}) {
   const onProgress = options.onProgress || (() => {});
+  const signal = options.signal;
 
   // Check if node_modules exists - skip npm commands if not
   const nodeModulesPath = join(projectPath, 'node_modules');
@@ -128,14 +130,15 @@ export async function scanOutdatedDependencies(dependencies, projectPath = proce
   };
 
   // Get outdated packages from npm
-  const outdatedRaw = await getOutdatedPackages(projectPath);
+  const outdatedRaw = await getOutdatedPackages(projectPath, signal);
+  throwIfCancelled(signal, 'Checking outdated packages');
 
   if (Object.keys(outdatedRaw).length === 0) {
     return results;
   }
 
   // Get audit data for security checks
-  const auditData = await getAuditData(projectPath);
+  const auditData = await getAuditData(projectPath, signal);
 
   // Process each outdated package
   const packageNames = Object.keys(outdatedRaw);
@@ -143,6 +146,7 @@ export async function scanOutdatedDependencies(dependencies, projectPath = proce
   let processedPackages = 0;
 
   for (const [name, data] of Object.entries(outdatedRaw)) {
+    throwIfCancelled(signal, 'Checking outdated packages');
     processedPackages++;
     onProgress(`Analysing ${name}`, processedPackages, totalPackages);
     results.summary.total++;
@@ -267,10 +271,11 @@ export async function scanOutdatedDependencies(dependencies, projectPath = proce
 /**
  * Get outdated packages from npm (async to allow heartbeat)
  */
-async function getOutdatedPackages(projectPath) {
+async function getOutdatedPackages(projectPath, signal) {
   try {
     const { stdout } = await execAsync('npm outdated --json 2>/dev/null', {
       cwd: projectPath,
+      signal,
       encoding: 'utf-8',
       timeout: 60000,
       maxBuffer: 10 * 1024 * 1024
@@ -292,10 +297,11 @@ async function getOutdatedPackages(projectPath) {
 /**
  * Get npm audit data (async to allow heartbeat)
  */
-async function getAuditData(projectPath) {
+async function getAuditData(projectPath, signal) {
   try {
     const { stdout } = await execAsync('npm audit --json 2>/dev/null', {
       cwd: projectPath,
+      signal,
       encoding: 'utf-8',
       timeout: 60000,
       maxBuffer: 10 * 1024 * 1024
@@ -0,0 +1,321 @@
+// src/scanner/analysers/stylesheets.mjs
+// Stylesheets: SCSS/SASS/LESS partials no stylesheet, component or config
+// imports, and class/ID selectors no markup or code refers to
+
+import { readFileSync } from 'fs';
+import { join, posix, basename, extname } from 'path';
+import { parseStylesheet, selectorNames } from '../parsers/css.mjs';
+import { loadKnowledge, getClassUsagePatterns } from '../../knowledge/loader.mjs';
+
+const STYLE_EXTENSIONS = new Set(['.css', '.scss', '.sass', '.less']);
+const PARTIAL_EXTENSIONS = new Set(['.scss', '.sass', '.less']);
+const CODE_EXTENSIONS = new Set(['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx', '.vue', '.svelte']);
+// Markup and server templates that can carry class names
+const TEMPLATE_EXTENSIONS = new Set([
+  '.html', '.htm', '.astro', '.hbs', '.handlebars', '.mustache', '.ejs', '.njk', '.liquid', '.twig',
+  '.erb', '.php', '.jinja', '.jinja2', '.j2', '.pug', '.jade', '.md', '.mdx', '.cshtml', '.razor',
+  '.jsp', '.gohtml', '.tmpl'
+]);
+// JSON configs that may list stylesheets to build (angular.json, project.json, ...)
+const isStyleConfig = (file) => extname(file) === '.json' && /^(angular|project|workspace)\.json$|config/i.test(basename(file));
+
+const STRING_RE = /'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"|`(?:\\.|[^`\\])*`/g;
+const CSS_MODULE_RE = /(?:import\s+(?:\*\s+as\s+)?([\w$]+)\s+from\s*|([\w$]+)\s*=\s*require\(\s*)['"][^'"]+\.module\.(?:css|s[ac]ss|less)['"]/g;
+
+const languageOf = (file) => ({ '.scss': 'scss', '.sass': 'sass', '.less': 'less' })[extname(file)] || 'css';
+const isPartial = (file) => PARTIAL_EXTENSIONS.has(extname(file)) && basename(file).startsWith('_');
+const kebab = (name) => name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+
+function read(projectPath, file) {
+  try {
+    return readFileSync(join(projectPath, file), 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Text inside the parentheses that open at `index`
+ */
+function balanced(content, index) {
+  let depth = 0;
+  for (let i = index; i < content.length; i++) {
+    if (content[i] === '(') depth++;
+    else if (content[i] === ')' && --depth === 0) return content.slice(index, i + 1);
+  }
+  return content.slice(index);
+}
+
+/**
+ * Class and id names a source file may refer to. Every string literal and
+ * attribute value counts, whole (`md:flex`) and split into words
+ * (`'.card .title'`), as do object keys inside class helpers
+ * (`clsx({ active })`), class directives and CSS-module member reads.
+ * Dynamic patterns from the knowledge base add prefixes and suffixes.
+ */
+function collectNames(content, patterns, usage) {
+  const add = (token) => {
+    if (token) usage.names.add(token);
+  };
+  for (const match of content.matchAll(STRING_RE)) {
+    const body = match[0].slice(1, -1);
+    for (const token of body.split(/[\s'"`]+/)) add(token);
+    for (const word of body.matchAll(/[\w-]+/g)) add(word[0]);
+  }
+  for (const helper of patterns.class_helpers || []) {
+    const re = new RegExp(`(?<![\\w$.])${helper.replace(/\$/g, '\\$')}\\s*\\(`, 'g');
+    for (const match of content.matchAll(re)) {
+      const args = balanced(content, match.index + match[0].length - 1);
+      for (const word of args.matchAll(/[A-Za-z_][\w-]*/g)) add(word[0]);
+    }
+  }
+  for (const source of patterns.class_attribute_patterns || []) {
+    for (const match of content.matchAll(new RegExp(source, 'g'))) add(match[1]);
+  }
+  const modules = new Set(['$style']);
+  for (const match of content.matchAll(CSS_MODULE_RE)) modules.add(match[1] || match[2]);
+  for (const binding of modules) {
+    const name = binding.replace(/\$/g, '\\$');
+    for (const match of content.matchAll(new RegExp(`(?<![\\w$])${name}(?:\\.([\\w$]+)|\\[\\s*['"\`]([\\w-]+)['"\`]\\s*\\])`, 'g'))) {
+      const member = match[1] || match[2];
+      add(member);
+      add(kebab(member));
+    }
+  }
+  for (const pattern of patterns.dynamic_patterns || []) {
+    let re;
+    try { re = new RegExp(pattern.regex, 'g'); } catch { continue; }
+    for (const match of content.matchAll(re)) {
+      if (!match[1]) continue;
+      if (pattern.action === 'keep-suffix') usage.suffixes.add(match[1]);
+      else usage.prefixes.add(match[1]);
+    }
+  }
+}
+
+/**
+ * Stylesheet paths a source file names: `@import`/`@use` strings (Vue/Svelte
+ * style blocks, preprocessor options) and string literals ending in a
+ * stylesheet extension
+ */
+function styleReferences(content) {
+  const refs = [];
+  for (const match of content.matchAll(/@(?:import|use|forward)\s+(?:\([^)]*\)\s*)?['"]([^'"]+)['"]/g)) refs.push(match[1]);
+  for (const match of content.matchAll(/['"`]([^'"`\s]+\.(?:s[ac]ss|less|css))['"`]/g)) refs.push(match[1]);
+  return refs;
+}
+
+/**
+ * Resolve a stylesheet import to scanned files. Sass tries the partial
+ * (`_name`), each extension and `_index`; a path that resolves nowhere
+ * (a load path or alias) matches every stylesheet whose path ends with it.
+ */
+function styleResolver(stylesheets) {
+  const bySuffix = new Map();
+  for (const file of stylesheets) {
+    const stem = file.replace(/\.[^./]+$/, '');
+    const keys = [stem, stem.replace(/(^|\/)_([^/]*)$/, '$1$2')];
+    for (const key of keys) {
+      const parts = key.split('/');
+      for (let i = 0; i < parts.length; i++) {
+        const suffix = parts.slice(i).join('/');
+        if (!bySuffix.has(suffix)) bySuffix.set(suffix, new Set());
+        bySuffix.get(suffix).add(file);
+      }
+    }
+  }
+  return (from, spec) => {
+    if (!spec || /^(sass:|https?:|\/\/|data:)/.test(spec)) return [];
+    const clean = spec.replace(/^~/, '').replace(/\?.*$/, '');
+    const base = clean.startsWith('/') ? clean.slice(1) : posix.normalize(posix.join(posix.dirname(from), clean));
+    const dir = posix.dirname(base);
+    const name = posix.basename(base);
+    const prefix = dir === '.' ? '' : `${dir}/`;
+    const candidates = [base];
+    for (const ext of ['.scss', '.sass', '.less', '.css']) {
+      candidates.push(`${prefix}${name}${ext}`, `${prefix}_${name}${ext}`, `${base}/_index${ext}`, `${base}/index${ext}`);
+    }
+    const found = candidates.filter(c => stylesheets.has(c));
+    if (found.length > 0) return found;
+    const key = clean.replace(/^(\.\.?\/)+/, '').replace(/\.(s[ac]ss|less|css)$/, '');
+    return [...(bySuffix.get(key) || [])];
+  };
+}
+
+/**
+ * Unused SCSS/SASS/LESS partials and unused class/ID selectors.
+ *
+ * Partials (`_name.scss`) are only ever pulled in by another stylesheet, a
+ * component or a build config; those nothing reaches are dead files. Every
+ * other stylesheet is a root. Selectors are checked in the remaining
+ * stylesheets against the live code and markup. A rule is reported when
+ * each of its selectors needs a class or id nothing mentions.
+ * @param {string} projectPath - Project root
+ * @param {Array} files - Discovered files ({ relativePath })
+ * @param {Object} options
+ * @param {Array} options.jsAnalysis - Parsed JS/TS files (imports)
+ * @param {Set<string>} options.deadFiles - Code files already reported dead
+ * @param {Object} [options.config] - Scan config
+ * @returns {Promise<{ unusedPartials: Array, unusedSelectors: Array }>}
+ */
+export async function findUnusedStyles(projectPath, files, { jsAnalysis = [], deadFiles = new Set(), config = {} } = {}) {
+  const paths = files.map(f => (typeof f === 'string' ? f : f.relativePath));
+  const stylesheets = new Set(paths.filter(p => STYLE_EXTENSIONS.has(extname(p).toLowerCase())));
+  if (stylesheets.size === 0) return { unusedPartials: [], unusedSelectors: [] };
+
+  await loadKnowledge();
+  const knowledge = getClassUsagePatterns() || {};
+  const configured = config.dynamicClassPatterns || config.deadCode?.dynamicClassPatterns || [];
+  const patterns = {
+    ...knowledge,
+    dynamic_patterns: [...(knowledge.dynamic_patterns || []), ...configured.filter(p => typeof p === 'object' && p.regex)]
+  };
+  const keep = [...(knowledge.runtime_classes || []).map(r => r.regex), ...configured.filter(p => typeof p === 'string')]
+    .map(source => { try { return new RegExp(source); } catch { return null; } })
+    .filter(Boolean);
+
+  const resolve = styleResolver(stylesheets);
+  const parsed = new Map();
+  for (const file of stylesheets) {
+    const content = read(projectPath, file);
+    if (content === null) continue;
+    const sheet = extname(file) === '.sass'
+      ? { rules: [], imports: [...content.matchAll(/^\s*@(import|use|forward)\s+['"]?([^'"\s;,]+)/gm)].map(m => ({ module: m[2], kind: m[1] })), references: [] }
+      : parseStylesheet(content);
+    parsed.set(file, { content, ...sheet });
+  }
+
+  // Code and markup: what they import, and the names they use
+  const usage = { names: new Set(), prefixes: new Set(), suffixes: new Set() };
+  const importedBy = new Map();
+  const reached = new Set();
+  const queue = [];
+  const reach = (from, spec) => {
+    for (const target of resolve(from, spec)) {
+      if (!importedBy.has(target)) importedBy.set(target, new Set());
+      importedBy.get(target).add(from);
+      if (!reached.has(target)) {
+        reached.add(target);
+        queue.push(target);
+      }
+    }
+  };
+
+  let sources = 0;
+  const liveCode = new Set(jsAnalysis.map(f => f.file?.relativePath || f.file).filter(f => !deadFiles.has(f)));
+  for (const file of jsAnalysis) {
+    const filePath = file.file?.relativePath || file.file;
+    if (!liveCode.has(filePath)) continue;
+    for (const imp of file.imports || []) {
+      if (typeof imp.module === 'string' && /\.(s[ac]ss|less|css)(\?.*)?$/.test(imp.module)) reach(filePath, imp.module);
+    }
+  }
+  for (const file of paths) {
+    const ext = extname(file).toLowerCase();
+    const isCode = CODE_EXTENSIONS.has(ext);
+    if (isCode ? !liveCode.has(file) : !TEMPLATE_EXTENSIONS.has(ext) && !isStyleConfig(file)) continue;
+    const content = read(projectPath, file);
+    if (content === null) continue;
+    for (const spec of styleReferences(content)) reach(file, spec);
+    if (ext === '.json') continue;
+    collectNames(content, patterns, usage);
+    sources++;
+  }
+
+  for (const file of stylesheets) {
+    if (!isPartial(file) && !reached.has(file)) {
+      reached.add(file);
+      queue.push(file);
+    }
+  }
+  while (queue.length > 0) {
+    const file = queue.shift();
+    for (const imp of parsed.get(file)?.imports || []) reach(file, imp.module);
+  }
+
+  // Record who imports each unused partial, without reaching it
+  const unreached = [...stylesheets].filter(f => !reached.has(f));
+  for (const file of unreached) {
+    for (const imp of parsed.get(file)?.imports || []) {
+      for (const target of resolve(file, imp.module)) {
+        if (!importedBy.has(target)) importedBy.set(target, new Set());
+        importedBy.get(target).add(file);
+      }
+    }
+  }
+
+  const unusedPartials = [];
+  for (const file of unreached.sort()) {
+    if (!isPartial(file)) continue;
+    const content = parsed.get(file)?.content || '';
+    const importers = [...(importedBy.get(file) || [])].filter(f => stylesheets.has(f));
+    unusedPartials.push({
+      file,
+      sizeBytes: Buffer.byteLength(content),
+      lineCount: content.split('\n').length,
+      language: languageOf(file),
+      verdict: 'unreachable',
+      cwe: 'CWE-561',
+      evidence: {
+        cwe: 'CWE-561',
+        stylesheet: { partial: true, importedBy: importers },
+        summary: importers.length > 0
+          ? `Only imported by unused partial${importers.length !== 1 ? 's' : ''} ${importers.join(', ')}`
+          : 'No stylesheet, component or config imports this partial'
+      }
+    });
+  }
+
+  // Without any live code or markup there is nothing to check selectors against
+  const unusedSelectors = [];
+  if (sources === 0) return { unusedPartials, unusedSelectors };
+
+  for (const sheet of parsed.values()) {
+    for (const name of sheet.references) usage.names.add(name);
+  }
+  const used = (name) => usage.names.has(name) ||
+    [...usage.prefixes].some(p => name.startsWith(p)) ||
+    [...usage.suffixes].some(s => name.endsWith(s)) ||
+    keep.some(re => re.test(name));
+
+  for (const [file, sheet] of parsed) {
+    if (!reached.has(file)) continue;
+    const reported = new Set();
+    sheet.rules.forEach((rule, index) => {
+      if (rule.parent !== null && reported.has(rule.parent)) {
+        reported.add(index);
+        return;
+      }
+      const missing = [];
+      for (const selector of rule.selectors) {
+        const names = selectorNames(selector);
+        if (!names) return;
+        const unused = [...names.classes.filter(n => !used(n)).map(n => `.${n}`), ...names.ids.filter(n => !used(n)).map(n => `#${n}`)];
+        if (unused.length === 0) return;
+        missing.push(...unused.filter(n => !missing.includes(n)));
+      }
+      if (missing.length === 0) return;
+      reported.add(index);
+      unusedSelectors.push({
+        file,
+        selector: rule.selectors.join(', '),
+        line: rule.line,
+        endLine: rule.endLine,
+        lineCount: rule.endLine - rule.line + 1,
+        sizeBytes: Buffer.byteLength(sheet.content.slice(rule.start, rule.end)),
+        language: languageOf(file),
+        unused: missing,
+        verdict: 'unused-selector',
+        cwe: 'CWE-561',
+        evidence: {
+          cwe: 'CWE-561',
+          summary: `Nothing in the code or markup refers to ${missing.slice(0, 3).join(', ')}${missing.length > 3 ? `, +${missing.length - 3} more` : ''}`
+        }
+      });
+    });
+  }
+  unusedSelectors.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+  return { unusedPartials, unusedSelectors };
+}
+
+export default { findUnusedStyles };
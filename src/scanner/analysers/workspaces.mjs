@@ -0,0 +1,259 @@
+// src/scanner/analysers/workspaces.mjs
+// Workspace packages of a monorepo: npm/yarn/pnpm workspaces, Lerna, Nx
+// projects and Turborepo (which builds on the package manager's workspaces)
+
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import { globSync } from 'glob';
+
+// Cache for detectWorkspaces results (keyed by projectPath)
+let _workspaceCache = null;
+let _workspaceCacheProjectPath = null;
+
+// Scripts and config files that mark a package as something you run, not import
+const APP_SCRIPTS = ['start', 'dev', 'serve', 'preview'];
+const APP_CONFIG_FILES = /^(next|nuxt|astro|remix|gatsby)\.config\.([mc]?[jt]s)$|^angular\.json$/;
+
+// Export conditions that point at source before build output
+const CONDITION_ORDER = ['code', 'source', 'development', 'import', 'module', 'require', 'node', 'browser', 'default'];
+
+// Build output directories, and the format subdirectories tsup/tshy write below them
+const BUILD_DIR_RE = /^(dist-\w+|dist|lib|build|out)\//;
+const FORMAT_SUBDIR_RE = /^(dist-\w+|dist)\/(commonjs|cjs|esm|browser|react-native|workerd|node|default|types)\//;
+
+function readJson(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Package patterns of pnpm-workspace.yaml (the `packages:` list)
+ */
+function pnpmPatterns(content) {
+  const patterns = [];
+  let inPackages = false;
+  for (const line of content.split('\n')) {
+    if (/^packages:\s*$/.test(line)) {
+      inPackages = true;
+    } else if (inPackages && /^\S/.test(line)) {
+      break;
+    } else if (inPackages) {
+      const match = line.match(/^\s*-\s+['"]?([^'"#\n]+?)['"]?\s*(#.*)?$/);
+      if (match) patterns.push(match[1].trim());
+    }
+  }
+  return patterns;
+}
+
+function dependencyNames(pkgJson) {
+  const names = new Set();
+  for (const field of ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies']) {
+    for (const name of Object.keys(pkgJson?.[field] || {})) names.add(name);
+  }
+  return names;
+}
+
+/**
+ * Forget cached workspace packages, so the next detectWorkspaces() re-reads
+ * the manifests (watch mode, after a package.json changes)
+ */
+export function resetWorkspaceCache() {
+  _workspaceCache = null;
+  _workspaceCacheProjectPath = null;
+}
+
+/**
+ * Find the workspace packages of a project
+ * @param {string} projectPath - Project root
+ * @returns {{ tools: string[], packages: Array<{ name, dir, manifest, private, publishable, app, dependencies }> }}
+ *   tools lists the workspace managers found (e.g. ['turbo', 'pnpm']); packages is empty
+ *   when the project is not a monorepo
+ */
+export function detectWorkspaces(projectPath) {
+  if (!projectPath) return { tools: [], packages: [] };
+  if (_workspaceCacheProjectPath === projectPath && _workspaceCache) {
+    return _workspaceCache;
+  }
+
+  const tools = [];
+  const patterns = [];
+  const rootPkg = readJson(join(projectPath, 'package.json'));
+
+  if (existsSync(join(projectPath, 'turbo.json'))) tools.push('turbo');
+
+  const pnpmPath = join(projectPath, 'pnpm-workspace.yaml');
+  if (existsSync(pnpmPath)) {
+    tools.push('pnpm');
+    try { patterns.push(...pnpmPatterns(readFileSync(pnpmPath, 'utf-8'))); } catch { /* ignore */ }
+  }
+
+  const workspaces = rootPkg?.workspaces;
+  if (workspaces) {
+    if (!tools.includes('pnpm')) tools.push(existsSync(join(projectPath, 'yarn.lock')) ? 'yarn' : 'npm');
+    patterns.push(...(Array.isArray(workspaces) ? workspaces : (workspaces.packages || [])));
+  }
+
+  const lerna = readJson(join(projectPath, 'lerna.json'));
+  if (lerna) {
+    tools.push('lerna');
+    if (!workspaces && !tools.includes('pnpm')) patterns.push(...(lerna.packages || ['packages/*']));
+  }
+
+  const clean = (p) => p.trim().replace(/^\.\//, '').replace(/\/+$/, '');
+  const include = [...new Set(patterns.filter(p => !p.startsWith('!')).map(clean).filter(Boolean))];
+  const ignore = ['**/node_modules/**', ...patterns.filter(p => p.startsWith('!')).map(p => `${clean(p.slice(1))}/package.json`)];
+
+  const packages = new Map();
+  const addPackage = (dir, pkgJson, project = null) => {
+    const name = project?.name || pkgJson?.name || basename(dir);
+    const scripts = pkgJson?.scripts || {};
+    let hasAppConfig = false;
+    try {
+      hasAppConfig = globSync('*', { cwd: join(projectPath, dir), nodir: true }).some(f => APP_CONFIG_FILES.test(f));
+    } catch { /* ignore */ }
+    packages.set(dir, {
+      name,
+      dir,
+      manifest: pkgJson ? `${dir}/package.json` : `${dir}/project.json`,
+      private: pkgJson?.private === true,
+      publishable: Boolean(pkgJson && pkgJson.private !== true && pkgJson.name &&
+        (pkgJson.main || pkgJson.module || pkgJson.exports || pkgJson.bin)),
+      app: Boolean(pkgJson?.bin || APP_SCRIPTS.some(s => scripts[s]) ||
+        project?.projectType === 'application' || hasAppConfig),
+      dependencies: dependencyNames(pkgJson)
+    });
+  };
+
+  if (include.length > 0) {
+    try {
+      const manifests = globSync(include.map(p => `${p}/package.json`), { cwd: projectPath, ignore, nodir: true });
+      for (const manifest of manifests.sort()) {
+        const dir = dirname(manifest).split('\\').join('/');
+        if (dir === '.' || packages.has(dir)) continue;
+        const pkgJson = readJson(join(projectPath, manifest));
+        if (pkgJson) addPackage(dir, pkgJson, readJson(join(projectPath, dir, 'project.json')));
+      }
+    } catch { /* ignore glob errors */ }
+  }
+
+  // Nx projects are described by project.json, with or without a package.json
+  if (existsSync(join(projectPath, 'nx.json'))) {
+    tools.push('nx');
+    try {
+      const projects = globSync('**/project.json', { cwd: projectPath, ignore: ['**/node_modules/**', '**/dist/**'], nodir: true });
+      for (const manifest of projects.sort()) {
+        const dir = dirname(manifest).split('\\').join('/');
+        if (dir === '.' || packages.has(dir)) continue;
+        const project = readJson(join(projectPath, manifest));
+        if (project) addPackage(dir, readJson(join(projectPath, dir, 'package.json')), project);
+      }
+    } catch { /* ignore glob errors */ }
+  }
+
+  _workspaceCache = { tools, packages: [...packages.values()] };
+  _workspaceCacheProjectPath = projectPath;
+  return _workspaceCache;
+}
+
+/**
+ * Map files to the workspace package that contains them (nearest package wins)
+ * @param {Array} packages - Packages from detectWorkspaces
+ * @returns {(file: string) => Object|null}
+ */
+export function packageLocator(packages) {
+  const byDepth = [...packages].sort((a, b) => b.dir.length - a.dir.length);
+  const cache = new Map();
+  return (file) => {
+    if (!cache.has(file)) cache.set(file, byDepth.find(p => file.startsWith(p.dir + '/')) || null);
+    return cache.get(file);
+  };
+}
+
+/**
+ * Paths (relative to the package, without leading ./) a built file may have
+ * come from: the path itself, then the same path under src/ with the build
+ * directory stripped, extension-less so any source extension matches
+ */
+export function sourceCandidates(target) {
+  if (typeof target !== 'string') return [];
+  const raw = target.replace(/^\.\//, '');
+  const stem = raw.replace(/\.d\.([mc]?)ts$/, '').replace(/\.([mc]?)js$/, '');
+  const candidates = [raw, stem];
+  if (FORMAT_SUBDIR_RE.test(stem)) candidates.push(stem.replace(FORMAT_SUBDIR_RE, 'src/'));
+  if (BUILD_DIR_RE.test(stem)) {
+    candidates.push(stem.replace(BUILD_DIR_RE, 'src/'));
+    candidates.push(stem.replace(BUILD_DIR_RE, ''));
+  }
+  return [...new Set(candidates)];
+}
+
+/**
+ * Whether a package-relative path lies in a build output directory (dist/, lib/, ...)
+ */
+export function isBuildOutput(path) {
+  return BUILD_DIR_RE.test(path.replace(/^\.\//, '').replace(/\/*$/, '/'));
+}
+
+/**
+ * Export targets in condition priority order (source pointers first, types last)
+ */
+export function conditionTargets(target, out = []) {
+  if (typeof target === 'string') {
+    out.push(target);
+  } else if (Array.isArray(target)) {
+    for (const t of target) conditionTargets(t, out);
+  } else if (target && typeof target === 'object') {
+    const keys = Object.keys(target);
+    const ordered = [
+      ...CONDITION_ORDER.filter(k => keys.includes(k)),
+      ...keys.filter(k => !CONDITION_ORDER.includes(k) && k !== 'types'),
+      ...(keys.includes('types') ? ['types'] : [])
+    ];
+    for (const key of ordered) conditionTargets(target[key], out);
+  }
+  return out;
+}
+
+/**
+ * Candidate source paths of a package's main entry, best first: the "."
+ * export's conditions, then source, module, main and types
+ * @param {Object} pkgJson - Package manifest
+ * @returns {string[]} Paths relative to the package directory
+ */
+export function entryCandidates(pkgJson) {
+  const { exports } = pkgJson;
+  let rootExport;
+  if (typeof exports === 'string' || Array.isArray(exports)) {
+    rootExport = exports;
+  } else if (exports && typeof exports === 'object') {
+    rootExport = Object.keys(exports).some(k => k.startsWith('.')) ? exports['.'] : exports;
+  }
+  const targets = [
+    ...conditionTargets(rootExport),
+    pkgJson.source, pkgJson.module, pkgJson.main, pkgJson.types, pkgJson.typings
+  ];
+  return [...new Set(targets.flatMap(sourceCandidates))];
+}
+
+/**
+ * Wildcard subpath exports ("./components/*": "./dist/components/*.js")
+ * @param {Object} pkgJson - Package manifest
+ * @returns {Array<{ prefix: string, suffix: string, targets: string[] }>}
+ */
+export function exportPatterns(pkgJson) {
+  const patterns = [];
+  if (!pkgJson.exports || typeof pkgJson.exports !== 'object' || Array.isArray(pkgJson.exports)) return patterns;
+  for (const [subpath, target] of Object.entries(pkgJson.exports)) {
+    const star = subpath.indexOf('*');
+    if (star === -1 || !subpath.startsWith('./')) continue;
+    const targets = conditionTargets(target).filter(t => t.includes('*'));
+    if (targets.length === 0) continue;
+    patterns.push({ prefix: subpath.slice(2, star), suffix: subpath.slice(star + 1), targets });
+  }
+  return patterns;
+}
+
+export default { detectWorkspaces, packageLocator, sourceCandidates, isBuildOutput, conditionTargets, entryCandidates, exportPatterns };
@@ -0,0 +1,38 @@
+// src/scanner/cancel.mjs
+// Cooperative cancellation for scans driven by an AbortSignal.
+//
+// Scanners call checkpoint() between units of work; once the signal is
+// aborted it throws ScanCancelledError, which the scan entry points catch and
+// turn into a { cancelled: true } result.
+
+/**
+ * Thrown inside a scan when its AbortSignal fires
+ */
+export class ScanCancelledError extends Error {
+  constructor(phase = null, reason = undefined) {
+    super(phase ? `Scan cancelled during ${phase}` : 'Scan cancelled');
+    this.name = 'ScanCancelledError';
+    this.phase = phase;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Throw ScanCancelledError if the signal has been aborted
+ * @param {AbortSignal} [signal]
+ * @param {string} [phase] - Phase name, reported in the cancelled result
+ */
+export function throwIfCancelled(signal, phase) {
+  if (signal?.aborted) throw new ScanCancelledError(phase, signal.reason);
+}
+
+/**
+ * Yield to the event loop, then check the signal. Synchronous work (parsing,
+ * git subprocesses via execSync) blocks abort events from being delivered,
+ * so long loops call this between items when a signal is present.
+ */
+export async function checkpoint(signal, phase) {
+  if (!signal) return;
+  await new Promise(resolve => setImmediate(resolve));
+  throwIfCancelled(signal, phase);
+}
@@ -13,7 +13,9 @@ import { analyseAssets } from './parsers/assets.mjs';
 import { parseFile } from './parsers/registry.mjs';
 import { analyseDependencies, checkHeavyDependencies, enrichUnusedDependency } from './analysers/dependencies.mjs';
 import { analyseImports } from './analysers/imports.mjs';
-import { findDeadCode, calculateDeadCodeSize, enrichDeadCodeFile } from './analysers/deadcode.mjs';
+import { calculateDeadCodeSize, enrichDeadCodeFile } from './analysers/deadcode.mjs';
+import { analyseParsedFiles } from './scan-dead-code.mjs';
+import { toScanResult } from '../api/result.mjs';
 import { findDuplicates, calculateDuplicateSize } from './analysers/duplicates.mjs';
 import { analyseBundles } from './analysers/bundles.mjs';
 import { analyseAssetOptimisation, findUnusedAssets, enrichUnusedAsset, analyseAssetsFullDepth } from './analysers/assets.mjs';
@@ -27,6 +29,7 @@ import { analyseLogFiles } from './analysers/logs.mjs';
 import { calculateCosts } from '../calculator/cost.mjs';
 import { calculateHealthScore } from '../calculator/score.mjs';
 import { getSettings } from '../config/store.mjs';
+import { ScanCancelledError, throwIfCancelled, checkpoint } from './cancel.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -37,7 +40,7 @@ const DEFAULT_WORKER_COUNT = parseInt(process.env.SWYNX_WORKERS || '0') || Math.
  * Parse files in parallel using worker threads
  * Falls back to sequential parsing if workerCount is 1 or files are few
  */
-function parallelParse(files, parserType, onFileProgress, configWorkers) {
+function parallelParse(files, parserType, onFileProgress, configWorkers, signal) {
   const maxWorkers = configWorkers || DEFAULT_WORKER_COUNT;
   const workerCount = Math.min(maxWorkers, Math.ceil(files.length / 50));
 
@@ -51,6 +54,22 @@ function parallelParse(files, parserType, onFileProgress, configWorkers) {
     let completed = 0;
     let progressTotal = 0;
     const allResults = [];
+    const workers = [];
+
+    // On abort, stop every outstanding worker and settle immediately
+    const onAbort = () => {
+      console.error(`[PARALLEL] Scan cancelled — terminating ${workers.length} workers`);
+      for (const worker of workers) worker.terminate();
+      reject(new ScanCancelledError(`parsing ${parserType} files`, signal.reason));
+    };
+    if (signal) {
+      if (signal.aborted) return onAbort();
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    const finish = () => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve(allResults);
+    };
 
     console.error(`[PARALLEL] Splitting ${files.length} files across ${workerCount} workers`);
 
@@ -61,6 +80,7 @@ function parallelParse(files, parserType, onFileProgress, configWorkers) {
       const worker = new Worker(WORKER_PATH, {
         workerData: { files: chunk, parserType }
       });
+      workers.push(worker);
 
       worker.on('message', (msg) => {
         if (msg.type === 'progress') {
@@ -74,13 +94,13 @@ function parallelParse(files, parserType, onFileProgress, configWorkers) {
           allResults.push(...msg.results);
           completed++;
           if (completed === workerCount) {
-            resolve(allResults);
+            finish();
           }
         } else if (msg.type === 'error') {
           console.error(`[PARALLEL] Worker error: ${msg.message}`);
           completed++;
           if (completed === workerCount) {
-            resolve(allResults);
+            finish();
           }
         }
       });
@@ -89,7 +109,7 @@ function parallelParse(files, parserType, onFileProgress, configWorkers) {
         console.error(`[PARALLEL] Worker crashed: ${err.message}`);
         completed++;
         if (completed === workerCount) {
-          resolve(allResults);
+          finish();
         }
       });
     }
@@ -144,19 +164,45 @@ function createProgressBar(percent, width) {
 }
 
 /**
- * Main project scanner with deep data collection and progress reporting
+ * Main project scanner with deep data collection and progress reporting.
+ *
+ * Pass config.signal (AbortSignal) to make the scan cancellable: parse workers
+ * are terminated, git-history and dependency sub-analyses stop at their next
+ * item, and the scan resolves to { cancelled: true, phase, ... } instead of a
+ * full result.
  */
 export async function scanProject(projectPath, config = {}) {
+  const startTime = Date.now();
+  try {
+    return await runProjectScan(projectPath, config);
+  } catch (err) {
+    if (!(err instanceof ScanCancelledError)) throw err;
+    console.error(`[STAGE] ${err.message}`);
+    return {
+      id: randomUUID(),
+      projectPath,
+      cancelled: true,
+      phase: err.phase,
+      scannedAt: new Date().toISOString(),
+      duration: Date.now() - startTime
+    };
+  }
+}
+
+async function runProjectScan(projectPath, config) {
   const startTime = Date.now();
   const onProgress = config.onProgress || defaultProgressReporter;
+  const signal = config.signal || null;
 
   // Read feature flags from settings
   const settings = getSettings();
   const features = settings.features || {};
 
   let basePercent = 0;
+  let currentPhase = SCAN_PHASES.DISCOVERY.name;
 
   const reportPhase = (phaseName, detail = '', current = 0, total = 0) => {
+    currentPhase = phaseName;
     onProgress({
       phase: phaseName,
       percent: Math.min(basePercent, 100),
@@ -166,7 +212,9 @@ export async function scanProject(projectPath, config = {}) {
     });
   };
 
+  // Phase boundaries double as cancellation points
   const advancePhase = (phaseKey) => {
+    throwIfCancelled(signal, SCAN_PHASES[phaseKey].name);
     basePercent += SCAN_PHASES[phaseKey].weight;
   };
 
@@ -203,7 +251,7 @@ export async function scanProject(projectPath, config = {}) {
     const phaseProgress = (done / jsFiles.length) * SCAN_PHASES.PARSE_JS.weight;
     basePercent = SCAN_PHASES.DISCOVERY.weight + phaseProgress;
     reportPhase(SCAN_PHASES.PARSE_JS.name, `${done}/${jsFiles.length} files`, done, jsFiles.length);
-  }, config.workers);
+  }, config.workers, signal);
 
   if (jsParallel) {
     jsAnalysis = await jsParallel;
@@ -222,6 +270,7 @@ export async function scanProject(projectPath, config = {}) {
 
       if (i % 2 === 0) {
         await new Promise(resolve => setImmediate(resolve));
+        throwIfCancelled(signal, currentPhase);
       }
     }
   }
@@ -249,7 +298,7 @@ export async function scanProject(projectPath, config = {}) {
       const phaseProgress = (done / otherLangFiles.length) * SCAN_PHASES.PARSE_OTHER.weight;
       basePercent = prevPhases + phaseProgress;
       reportPhase(SCAN_PHASES.PARSE_OTHER.name, `${done}/${otherLangFiles.length} files`, done, otherLangFiles.length);
-    }, config.workers);
+    }, config.workers, signal);
 
     if (otherParallel) {
       otherLangAnalysis.push(...await otherParallel);
@@ -270,6 +319,7 @@ export async function scanProject(projectPath, config = {}) {
 
         if (i % 2 === 0) {
           await new Promise(resolve => setImmediate(resolve));
+          throwIfCancelled(signal, currentPhase);
         }
       }
     }
@@ -291,7 +341,7 @@ export async function scanProject(projectPath, config = {}) {
       const phaseProgress = (done / cssFiles.length) * SCAN_PHASES.PARSE_CSS.weight;
       basePercent = prevPhases + phaseProgress;
       reportPhase(SCAN_PHASES.PARSE_CSS.name, `${done}/${cssFiles.length} files`, done, cssFiles.length);
-    }, config.workers);
+    }, config.workers, signal);
 
     if (cssParallel) {
       cssAnalysis = await cssParallel;
@@ -306,6 +356,7 @@ export async function scanProject(projectPath, config = {}) {
 
         if (i % 2 === 0) {
           await new Promise(resolve => setImmediate(resolve));
+          throwIfCancelled(signal, currentPhase);
         }
       }
     }
@@ -330,7 +381,7 @@ export async function scanProject(projectPath, config = {}) {
       const phaseProgress = (done / assetFiles.length) * SCAN_PHASES.PARSE_ASSETS.weight;
       basePercent = prevPhases + phaseProgress;
       reportPhase(SCAN_PHASES.PARSE_ASSETS.name, `${done}/${assetFiles.length} files`, done, assetFiles.length);
-    }, config.workers);
+    }, config.workers, signal);
 
     if (assetParallel) {
       assetAnalysis = await assetParallel;
@@ -345,6 +396,7 @@ export async function scanProject(projectPath, config = {}) {
 
         if (i % 2 === 0) {
           await new Promise(resolve => setImmediate(resolve));
+          throwIfCancelled(signal, currentPhase);
         }
       }
     }
@@ -374,15 +426,6 @@ export async function scanProject(projectPath, config = {}) {
     reportPhase(SCAN_PHASES.IMPORT_GRAPH.name, fileName, current, total);
   });
 
-  // Read package.json for entry point detection
-  let packageJson = {};
-  try {
-    const pkgPath = `${projectPath}/package.json`;
-    const { readFileSync } = await import('fs');
-    packageJson = JSON.parse(readFileSync(pkgPath, 'utf-8'));
-  } catch {
-    // No package.json or invalid JSON
-  }
   advancePhase('IMPORT_GRAPH');
   console.error('[STAGE] Import graph complete');
 
@@ -392,18 +435,14 @@ export async function scanProject(projectPath, config = {}) {
   console.error('[STAGE] Detecting dead code...');
   reportPhase(SCAN_PHASES.DEAD_CODE.name, 'Analysing code reachability...');
 
-  // Pass dynamic patterns config to dead code detector
-  const deadCodeConfig = {
-    dynamicPatterns: config.deadCode?.dynamicPatterns || []
-  };
-
   // Combine JS and other language analysis for dead code detection
   const allCodeAnalysis = [...jsAnalysis, ...otherLangAnalysis];
 
-  const deadCode = await findDeadCode(allCodeAnalysis, importGraph, projectPath, packageJson, deadCodeConfig, ({ current, total, file }) => {
-    const fileName = typeof file === 'string' ? file.split('/').pop() : file;
-    reportPhase(SCAN_PHASES.DEAD_CODE.name, fileName, current, total);
-  });
+  // Same analysis as `swynx scan` (stylesheets, env vars, translation keys
+  // included), so the dashboard and the CLI report the same findings
+  const deadCode = await analyseParsedFiles(projectPath, { files, jsAnalysis, otherLangAnalysis, importGraph }, config, ({ message }) => {
+    reportPhase(SCAN_PHASES.DEAD_CODE.name, message);
+  }, signal);
   advancePhase('DEAD_CODE');
 
   const deadFileCount = (deadCode.fullyDeadFiles?.length || 0) + (deadCode.partiallyDeadFiles?.length || 0);
@@ -467,10 +506,14 @@ export async function scanProject(projectPath, config = {}) {
     d.declaredIn === 'dependencies' && !importGraph.usedPackages.has(d.name)
   );
 
-  const unusedDeps = unusedDepsRaw.map((dep, i) => {
+  // Enrichment shells out to git per dependency — check for cancellation between each
+  const unusedDeps = [];
+  for (let i = 0; i < unusedDepsRaw.length; i++) {
+    const dep = unusedDepsRaw[i];
+    await checkpoint(signal, 'Analysing unused dependencies');
     reportPhase(SCAN_PHASES.DUPLICATES.name, `Enriching ${dep.name}`, i + 1, unusedDepsRaw.length);
-    return enrichUnusedDependency(dep, projectPath, importGraph, jsAnalysis);
-  });
+    unusedDeps.push(enrichUnusedDependency(dep, projectPath, importGraph, jsAnalysis));
+  }
 
   const heavyDeps = checkHeavyDependencies(dependencies);
   console.error(`[STAGE] Unused dependency analysis complete - ${unusedDeps.length} unused`);
@@ -503,13 +546,17 @@ export async function scanProject(projectPath, config = {}) {
       console.error(`[PERF] Skipping git history for ${unusedAssetsRaw.length} unused assets (> 50 limit)`);
     }
 
-    unusedAssets = unusedAssetsRaw.map((asset, i) => {
+    unusedAssets = [];
+    for (let i = 0; i < unusedAssetsRaw.length; i++) {
+      const asset = unusedAssetsRaw[i];
+      // Git history lookups are synchronous — yield so an abort can land
+      if (!skipGitHistory) await checkpoint(signal, 'Finding unused assets');
       if (i % 20 === 0 || i === unusedAssetsRaw.length - 1) {
         reportPhase(SCAN_PHASES.DUPLICATES.name, `Enriching unused asset ${i + 1}/${unusedAssetsRaw.length}`, i + 1, unusedAssetsRaw.length);
         console.error(`[STAGE] Enriching unused asset ${i + 1}/${unusedAssetsRaw.length}...`);
       }
-      return enrichUnusedAsset(asset, skipGitHistory ? null : projectPath, jsAnalysis, cssAnalysis);
-    });
+      unusedAssets.push(enrichUnusedAsset(asset, skipGitHistory ? null : projectPath, jsAnalysis, cssAnalysis));
+    }
 
     reportPhase(SCAN_PHASES.DUPLICATES.name, `Found ${unusedAssets.length} unused assets`);
     console.error('[STAGE] Asset analysis complete');
@@ -530,6 +577,7 @@ export async function scanProject(projectPath, config = {}) {
 
   for (let i = 0; i < securityRaw.vulnerabilities.length; i++) {
     const vuln = securityRaw.vulnerabilities[i];
+    await checkpoint(signal, SCAN_PHASES.SECURITY.name);
     reportPhase(SCAN_PHASES.SECURITY.name, `Analysing ${vuln.package}`, i + 1, vulnCount);
     enrichedVulns.push(enrichVulnerability(vuln, projectPath, jsAnalysis));
   }
@@ -567,6 +615,7 @@ export async function scanProject(projectPath, config = {}) {
   console.error('[STAGE] Checking for outdated dependencies...');
   reportPhase(SCAN_PHASES.OUTDATED.name, 'Checking for outdated packages...');
   const outdated = await scanOutdatedDependencies(dependencies, projectPath, {
+    signal,
     onProgress: (detail, current, total) => {
       const phaseProgress = (current / Math.max(total, 1)) * SCAN_PHASES.OUTDATED.weight;
       reportPhase(SCAN_PHASES.OUTDATED.name, detail, current, total);
@@ -757,6 +806,9 @@ export async function scanProject(projectPath, config = {}) {
     costs,
     healthScore,
 
+    // The versioned dead code result (swynx/api ScanResult), as `swynx scan --format json` emits it
+    deadCodeResult: toScanResult(deadCode, { projectPath }),
+
     details: {
       jsAnalysis,
       cssAnalysis,
@@ -0,0 +1,51 @@
+// src/scanner/memory.mjs
+// Resident memory tracking for --low-memory scans.
+
+export const DEFAULT_MEMORY_BUDGET_MB = 2048;
+
+const toMb = (bytes) => Math.round(bytes / (1024 * 1024));
+
+/**
+ * Sample process RSS in the background and on demand, keeping the peak.
+ * The budget is advisory: callers size their work from underPressure(), and
+ * stop() reports whether the peak stayed within it.
+ *
+ * @param {number} [budgetMb] - RSS budget in megabytes
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=250] - Background sampling interval
+ * @returns {{ budgetMb: number, sample: Function, underPressure: Function, stop: Function }}
+ */
+export function createMemoryMonitor(budgetMb = DEFAULT_MEMORY_BUDGET_MB, { intervalMs = 250 } = {}) {
+  let peak = 0;
+  const sample = () => {
+    const rss = process.memoryUsage.rss();
+    if (rss > peak) peak = rss;
+    return rss;
+  };
+
+  // unref: sampling must never keep the process alive
+  const timer = setInterval(sample, intervalMs);
+  timer.unref();
+  sample();
+
+  return {
+    budgetMb,
+
+    /** Current RSS in MB */
+    sample: () => toMb(sample()),
+
+    /** True once RSS passes the given fraction of the budget */
+    underPressure: (fraction = 0.75) => toMb(sample()) > budgetMb * fraction,
+
+    /**
+     * Stop sampling
+     * @returns {{ budgetMb: number, peakRssMb: number, withinBudget: boolean }}
+     */
+    stop() {
+      clearInterval(timer);
+      sample();
+      const peakRssMb = toMb(peak);
+      return { budgetMb, peakRssMb, withinBudget: peakRssMb <= budgetMb };
+    }
+  };
+}
@@ -1,6 +1,8 @@
 // src/scanner/parse-worker.mjs
 // Worker thread for parallel file parsing
-// Receives a chunk of files and a parser type, returns parsed results
+// Receives a chunk of files and a parser type, returns parsed results.
+// Announces each file before parsing it ('start') so the parent can time out
+// a file that hangs and know where to resume if the worker dies.
 
 import { parentPort, workerData } from 'worker_threads';
 
@@ -39,6 +41,7 @@ async function run() {
   const batch = [];
 
   for (let i = 0; i < files.length; i++) {
+    parentPort.postMessage({ type: 'start', index: i });
     try {
       const result = await parseFn(files[i]);
       if (result) {
@@ -58,8 +61,8 @@ async function run() {
         }
         batch.push(result);
       }
-    } catch {
-      // Skip files that fail to parse
+    } catch (err) {
+      parentPort.postMessage({ type: 'failed', index: i, message: err?.message || String(err) });
     }
 
     // Report progress every 100 files
@@ -0,0 +1,541 @@
+// src/scanner/parsers/control-flow.mjs
+// Statement-level control flow over a Babel AST: code after return, throw,
+// break or continue, branches behind constant conditions and switch cases an
+// earlier case shadows — unreachable code inside live functions (CWE-561).
+// Branches on environment reads and feature-flag checks are recorded for the
+// analysis to fold with configured values.
+
+export const UNKNOWN = Symbol('unknown');
+
+const LOOP_TYPES = new Set(['WhileStatement', 'DoWhileStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement']);
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+  'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod'
+]);
+const SKIP_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments', 'comments', 'tokens']);
+const BINARY_OPS = new Set(['===', '!==', '==', '!=', '<', '>', '<=', '>=', '+', '-', '*', '/', '%']);
+const CONDITION_TEXT_MAX = 120;
+// Flag SDK checks whose first argument is the flag key: flags.isEnabled('x'),
+// useFlag('x'), ldClient.variation('x', false), ...
+const FLAG_CALLS = new Set([
+  'isEnabled', 'isFeatureEnabled', 'isFlagEnabled', 'isOn', 'useFlag', 'useFeatureFlag',
+  'useFeatureFlagEnabled', 'useFeatureIsOn', 'useFeature', 'variation', 'boolVariation', 'getFeatureValue'
+]);
+
+/**
+ * Compact, serialisable form of a condition. Leaves are literals, `undefined`,
+ * module-level constants (inlined), environment reads
+ * (`process.env.X`, `import.meta.env.X`) and feature-flag checks
+ * (`flags.isEnabled('x')`, `useFlag('x')`); anything else is `unknown`.
+ */
+function conditionTree(node, constOf, declared) {
+  if (!node) return { k: 'unknown' };
+  switch (node.type) {
+    case 'ParenthesizedExpression':
+    case 'TSAsExpression':
+    case 'TSSatisfiesExpression':
+    case 'TSNonNullExpression':
+    case 'TypeCastExpression':
+      return conditionTree(node.expression, constOf, declared);
+    case 'AwaitExpression':
+      return conditionTree(node.argument, constOf, declared);
+    case 'CallExpression':
+    case 'OptionalCallExpression': {
+      const name = flagKey(node);
+      return name ? { k: 'flag', name } : { k: 'unknown' };
+    }
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return { k: 'lit', v: node.value };
+    case 'NullLiteral':
+      return { k: 'lit', v: null };
+    case 'TemplateLiteral':
+      return node.expressions.length === 0 ? { k: 'lit', v: node.quasis[0]?.value?.cooked ?? '' } : { k: 'unknown' };
+    case 'Identifier':
+      if (node.name === 'undefined' && !declared.has('undefined')) return { k: 'undef' };
+      return constOf(node.name) || { k: 'unknown' };
+    case 'MemberExpression':
+    case 'OptionalMemberExpression': {
+      const name = envName(node);
+      return name ? { k: 'env', name } : { k: 'unknown' };
+    }
+    case 'UnaryExpression':
+      if (node.operator === 'void') return { k: 'undef' };
+      if (!['!', '-', '+', 'typeof'].includes(node.operator)) return { k: 'unknown' };
+      return { k: 'unary', op: node.operator, arg: conditionTree(node.argument, constOf, declared) };
+    case 'BinaryExpression':
+      if (!BINARY_OPS.has(node.operator)) return { k: 'unknown' };
+      return { k: 'binary', op: node.operator, left: conditionTree(node.left, constOf, declared), right: conditionTree(node.right, constOf, declared) };
+    case 'LogicalExpression':
+      return { k: 'logical', op: node.operator, left: conditionTree(node.left, constOf, declared), right: conditionTree(node.right, constOf, declared) };
+    default:
+      return { k: 'unknown' };
+  }
+}
+
+/**
+ * `process.env.X`, `process.env['X']` or `import.meta.env.X` → "X"
+ */
+function envName(node) {
+  const key = node.computed
+    ? (node.property.type === 'StringLiteral' ? node.property.value : null)
+    : node.property.name;
+  if (!key) return null;
+  const obj = node.object;
+  if (obj?.type !== 'MemberExpression' || obj.computed || obj.property.name !== 'env') return null;
+  if (obj.object.type === 'Identifier' && obj.object.name === 'process') return key;
+  if (obj.object.type === 'MetaProperty' && obj.object.meta.name === 'import' && obj.object.property.name === 'meta') return key;
+  return null;
+}
+
+/**
+ * Key of a flag check: `useFlag('x')` or `client.isEnabled('x')` → "x"
+ */
+function flagKey(node) {
+  const callee = node.callee;
+  const method = callee.type === 'Identifier' ? callee.name
+    : ((callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression') && !callee.computed ? callee.property.name : null);
+  if (!FLAG_CALLS.has(method)) return null;
+  const arg = node.arguments[0];
+  if (arg?.type === 'StringLiteral') return arg.value;
+  if (arg?.type === 'TemplateLiteral' && arg.expressions.length === 0) return arg.quasis[0]?.value?.cooked ?? null;
+  return null;
+}
+
+function isFlagCall(node) {
+  return (node?.type === 'CallExpression' || node?.type === 'OptionalCallExpression') && flagKey(node) !== null;
+}
+
+function treeUses(tree, kind) {
+  if (!tree) return false;
+  if (tree.k === kind) return true;
+  return treeUses(tree.arg, kind) || treeUses(tree.left, kind) || treeUses(tree.right, kind);
+}
+
+/**
+ * Environment variables a condition tree reads
+ */
+export function envNames(tree, out = []) {
+  return leafNames(tree, 'env', out);
+}
+
+/**
+ * Feature flags a condition tree checks
+ */
+export function flagNames(tree, out = []) {
+  return leafNames(tree, 'flag', out);
+}
+
+function leafNames(tree, kind, out) {
+  if (!tree) return out;
+  if (tree.k === kind && !out.includes(tree.name)) out.push(tree.name);
+  leafNames(tree.arg, kind, out);
+  leafNames(tree.left, kind, out);
+  leafNames(tree.right, kind, out);
+  return out;
+}
+
+const has = (object, key) => Boolean(object) && Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Fold a condition tree
+ * @param {Object} tree - From the parser's `conditions` records
+ * @param {Object} [values] - { env: { NAME: value }, flags: { key: value } }; a
+ *   missing name stays unknown, null means the variable is never set. An
+ *   environment read with no env value falls back to a flag of the same name
+ *   (true reads as "true", false as unset).
+ * @returns {*} The value, or UNKNOWN
+ */
+export function evaluateCondition(tree, values = {}) {
+  switch (tree?.k) {
+    case 'lit': return tree.v;
+    case 'undef': return undefined;
+    case 'env': {
+      if (has(values.env, tree.name)) {
+        return values.env[tree.name] === null ? undefined : String(values.env[tree.name]);
+      }
+      if (!has(values.flags, tree.name)) return UNKNOWN;
+      const flag = values.flags[tree.name];
+      return flag === false || flag === null ? undefined : String(flag);
+    }
+    case 'flag':
+      return has(values.flags, tree.name) ? values.flags[tree.name] : UNKNOWN;
+    case 'unary': {
+      const arg = evaluateCondition(tree.arg, values);
+      if (arg === UNKNOWN) return UNKNOWN;
+      if (tree.op === '!') return !arg;
+      if (tree.op === '-') return -arg;
+      if (tree.op === '+') return +arg;
+      return typeof arg;
+    }
+    case 'logical': {
+      const left = evaluateCondition(tree.left, values);
+      if (left === UNKNOWN) return UNKNOWN;
+      if (tree.op === '&&' && !left) return left;
+      if (tree.op === '||' && left) return left;
+      if (tree.op === '??' && left !== null && left !== undefined) return left;
+      return evaluateCondition(tree.right, values);
+    }
+    case 'binary': {
+      const left = evaluateCondition(tree.left, values);
+      const right = evaluateCondition(tree.right, values);
+      if (left === UNKNOWN || right === UNKNOWN) return UNKNOWN;
+      switch (tree.op) {
+        case '===': return left === right;
+        case '!==': return left !== right;
+        case '==': return left == right;
+        case '!=': return left != right;
+        case '<': return left < right;
+        case '>': return left > right;
+        case '<=': return left <= right;
+        case '>=': return left >= right;
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+      }
+      return UNKNOWN;
+    }
+    default:
+      return UNKNOWN;
+  }
+}
+
+/**
+ * Names bound by a declaration pattern (`{ a, b: [c] }` → a, c)
+ */
+function patternNames(node, out = []) {
+  if (!node) return out;
+  switch (node.type) {
+    case 'Identifier': out.push(node.name); break;
+    case 'ObjectPattern': for (const p of node.properties) patternNames(p.type === 'RestElement' ? p.argument : p.value, out); break;
+    case 'ArrayPattern': for (const el of node.elements) patternNames(el, out); break;
+    case 'AssignmentPattern': patternNames(node.left, out); break;
+    case 'RestElement': patternNames(node.argument, out); break;
+    case 'TSParameterProperty': patternNames(node.parameter, out); break;
+  }
+  return out;
+}
+
+function keyName(key) {
+  if (!key) return null;
+  if (key.type === 'Identifier') return key.name;
+  if (key.type === 'PrivateName') return `#${key.id.name}`;
+  if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+  return null;
+}
+
+/**
+ * Name of a function node, from its id or the binding/key it is assigned to
+ */
+function functionName(node, parent) {
+  if (node.id?.name) return node.id.name;
+  if (node.key) return keyName(node.key);
+  if (!parent) return null;
+  if (parent.type === 'VariableDeclarator') return parent.id?.name || null;
+  if (parent.type === 'ObjectProperty' || parent.type === 'ClassProperty' || parent.type === 'ClassPrivateProperty') return keyName(parent.key);
+  if (parent.type === 'AssignmentExpression') {
+    const left = parent.left;
+    return left.type === 'Identifier' ? left.name : (left.type === 'MemberExpression' ? keyName(left.property) : null);
+  }
+  return null;
+}
+
+/**
+ * Whether a statement leaves no code behind it: hoisted function
+ * declarations, types and bare `var` declarations are not unreachable
+ */
+function isInert(node) {
+  if (node.type === 'FunctionDeclaration' || node.type === 'EmptyStatement') return true;
+  if (node.type.startsWith('TS') && node.type !== 'TSEnumDeclaration' && node.type !== 'TSExportAssignment') return true;
+  if (node.type === 'VariableDeclaration') return node.kind === 'var' && node.declarations.every(d => !d.init);
+  return false;
+}
+
+/**
+ * Whether `body` contains a break that leaves the statement it belongs to:
+ * an unlabelled break outside any nested loop or switch, or `break label`
+ */
+function breaksOut(body, label) {
+  let found = false;
+  const walk = (node, nested) => {
+    if (!node || found) return;
+    if (node.type === 'BreakStatement') {
+      if (node.label ? node.label.name === label : !nested) found = true;
+    } else if (node.type === 'BlockStatement') {
+      for (const s of node.body) walk(s, nested);
+    } else if (node.type === 'IfStatement') {
+      walk(node.consequent, nested);
+      walk(node.alternate, nested);
+    } else if (node.type === 'LabeledStatement') {
+      walk(node.body, nested);
+    } else if (node.type === 'TryStatement') {
+      walk(node.block, nested);
+      walk(node.handler?.body, nested);
+      walk(node.finalizer, nested);
+    } else if (node.type === 'SwitchStatement') {
+      for (const c of node.cases) for (const s of c.consequent) walk(s, true);
+    } else if (LOOP_TYPES.has(node.type)) {
+      walk(node.body, true);
+    }
+  };
+  walk(body, false);
+  return found;
+}
+
+/**
+ * A logical expression that is part of a larger test (`a && b && c`, `!(a && b)`,
+ * `if (a && b)`): the enclosing branch is recorded instead
+ */
+function isNestedTest(node, parent) {
+  if (!parent) return false;
+  if (parent.type === 'LogicalExpression' || (parent.type === 'UnaryExpression' && parent.operator === '!')) return true;
+  return parent.test === node;
+}
+
+const combine = (a, b) => (a && b ? (a === b ? a : 'branches') : null);
+
+/**
+ * Find unreachable statements in a parsed file
+ * @param {Object} ast - Babel File node (parsed with ranges and locations)
+ * @param {string} source - The text that was parsed
+ * @param {Object} [options]
+ * @param {number} [options.lineOffset] - Added to every line (script block of a .vue/.svelte file)
+ * @returns {{ unreachable: Array<{ line, endLine, size, reason, causeLine, function, condition?, always? }>,
+ *             conditions: Array<{ line, test, condition, consequent, alternate, function }> }}
+ *   unreachable is decided from the source alone; conditions are branches
+ *   (if statements, ternaries, && and ||) on environment reads and flag
+ *   checks, decided at analysis time from configured values
+ */
+export function findUnreachableCode(ast, source, { lineOffset = 0 } = {}) {
+  const unreachable = [];
+  const conditions = [];
+  const bodies = [];
+  const expressions = [];
+  const declared = new Map();
+  const topLevelConsts = new Map();
+  const flagConsts = new Map();
+
+  // One pass over the tree: function bodies, every name a declaration binds,
+  // consts holding a flag check and branching expressions
+  const declare = (names) => { for (const n of names) declared.set(n, (declared.get(n) || 0) + 1); };
+  let owner = null;
+  const collect = (node, parent) => {
+    if (!node || typeof node.type !== 'string') return;
+    const outerOwner = owner;
+    if (FUNCTION_TYPES.has(node.type)) {
+      if (node.id) declare([node.id.name]);
+      declare(node.params.flatMap(p => patternNames(p)));
+      owner = functionName(node, parent) || 'anonymous';
+      if (node.body?.type === 'BlockStatement') bodies.push({ body: node.body, name: owner });
+    } else if (node.type === 'VariableDeclarator') {
+      declare(patternNames(node.id));
+      if (parent?.kind === 'const' && node.id.type === 'Identifier' && isFlagCall(node.init)) flagConsts.set(node.id.name, flagKey(node.init));
+    } else if (node.type === 'ConditionalExpression') {
+      expressions.push({ node, function: owner });
+    } else if (node.type === 'LogicalExpression' && node.operator !== '??' && !isNestedTest(node, parent)) {
+      expressions.push({ node, function: owner });
+    } else if (node.type === 'ClassDeclaration' && node.id) {
+      declare([node.id.name]);
+    } else if (node.type === 'CatchClause' && node.param) {
+      declare(patternNames(node.param));
+    } else if (node.type === 'ImportSpecifier' || node.type === 'ImportDefaultSpecifier' || node.type === 'ImportNamespaceSpecifier') {
+      declare([node.local.name]);
+    } else if (node.type === 'StaticBlock') {
+      bodies.push({ body: node, name: 'static' });
+    }
+    for (const key of Object.keys(node)) {
+      if (SKIP_KEYS.has(key)) continue;
+      const value = node[key];
+      if (Array.isArray(value)) {
+        for (const child of value) collect(child, node);
+      } else if (value && typeof value.type === 'string') {
+        collect(value, node);
+      }
+    }
+    owner = outerOwner;
+  };
+  const program = ast.program || ast;
+  collect(program, null);
+
+  for (const stmt of program.body) {
+    const decl = stmt.type === 'ExportNamedDeclaration' ? stmt.declaration : stmt;
+    if (decl?.type !== 'VariableDeclaration' || decl.kind !== 'const') continue;
+    for (const d of decl.declarations) {
+      if (d.id.type === 'Identifier' && d.init) topLevelConsts.set(d.id.name, d.init);
+    }
+  }
+
+  // A module-level const folds only when no other declaration shares its name
+  const resolving = new Set();
+  const constOf = (name) => {
+    if (flagConsts.has(name) && declared.get(name) === 1) return { k: 'flag', name: flagConsts.get(name) };
+    const init = topLevelConsts.get(name);
+    if (!init || declared.get(name) !== 1 || resolving.has(name)) return null;
+    resolving.add(name);
+    const tree = conditionTree(init, constOf, declared);
+    resolving.delete(name);
+    return tree;
+  };
+
+  const line = (node) => (node.loc?.start?.line || 0) + lineOffset;
+  const endLine = (node) => (node.loc?.end?.line || 0) + lineOffset;
+  const range = (from, to) => ({ line: line(from), endLine: endLine(to), size: Math.max(0, (to.end ?? 0) - (from.start ?? 0)) });
+  const text = (node) => {
+    const raw = source.slice(node.start ?? 0, node.end ?? 0).replace(/\s+/g, ' ');
+    return raw.length > CONDITION_TEXT_MAX ? `${raw.slice(0, CONDITION_TEXT_MAX - 3)}...` : raw;
+  };
+
+  let fnName = null;
+  const report = (from, to, reason, cause, extra = {}) => {
+    unreachable.push({ ...range(from, to), reason, causeLine: line(cause), function: fnName, ...extra });
+  };
+
+  // Value of a test: literal and const folding only. Tests on environment
+  // reads and flag checks are recorded for the analysis to fold.
+  const configurable = (tree) => treeUses(tree, 'env') || treeUses(tree, 'flag');
+  const testValue = (test) => {
+    const tree = conditionTree(test, constOf, declared);
+    if (tree.k === 'unknown' || configurable(tree)) return { value: UNKNOWN, tree };
+    return { value: evaluateCondition(tree), tree };
+  };
+
+  // Statement list: everything after a statement that cannot complete is unreachable
+  const list = (statements) => {
+    for (let i = 0; i < statements.length; i++) {
+      const exit = statement(statements[i]);
+      if (!exit) continue;
+      const rest = statements.slice(i + 1).filter(s => !isInert(s));
+      if (rest.length > 0) report(rest[0], rest[rest.length - 1], `after-${exit}`, statements[i]);
+      return exit;
+    }
+    return null;
+  };
+
+  // How a statement ends when it cannot complete normally
+  // (return, throw, break, continue, infinite-loop, branches), else null
+  const statement = (node, label = null) => {
+    if (!node) return null;
+    switch (node.type) {
+      case 'ReturnStatement': return 'return';
+      case 'ThrowStatement': return 'throw';
+      case 'BreakStatement': return 'break';
+      case 'ContinueStatement': return 'continue';
+      case 'BlockStatement': return list(node.body);
+      case 'LabeledStatement': {
+        const exit = statement(node.body, node.label.name);
+        return exit && !breaksOut(node.body, node.label.name) ? exit : null;
+      }
+      case 'IfStatement': {
+        const { value, tree } = testValue(node.test);
+        if (value !== UNKNOWN) {
+          const dead = value ? node.alternate : node.consequent;
+          if (dead) report(dead, dead, 'constant-condition', node.test, { condition: text(node.test), always: Boolean(value) });
+          return value ? statement(node.consequent) : statement(node.alternate);
+        }
+        if (configurable(tree)) {
+          conditions.push({
+            line: line(node.test),
+            test: tree,
+            condition: text(node.test),
+            consequent: range(node.consequent, node.consequent),
+            alternate: node.alternate ? range(node.alternate, node.alternate) : null,
+            function: fnName
+          });
+        }
+        const consequent = statement(node.consequent);
+        return node.alternate ? combine(consequent, statement(node.alternate)) : null;
+      }
+      case 'WhileStatement':
+      case 'ForStatement': {
+        const { value } = node.test ? testValue(node.test) : { value: true };
+        if (value !== UNKNOWN && !value) {
+          report(node.body, node.body, 'constant-condition', node.test, { condition: text(node.test), always: false });
+          return null;
+        }
+        statement(node.body);
+        return value === true && !breaksOut(node.body, label) ? 'infinite-loop' : null;
+      }
+      case 'DoWhileStatement': {
+        statement(node.body);
+        const { value } = testValue(node.test);
+        return value === true && !breaksOut(node.body, label) ? 'infinite-loop' : null;
+      }
+      case 'ForInStatement':
+      case 'ForOfStatement':
+        statement(node.body);
+        return null;
+      case 'TryStatement': {
+        const block = statement(node.block);
+        const handler = node.handler ? statement(node.handler.body) : block;
+        const finalizer = node.finalizer ? statement(node.finalizer) : null;
+        return finalizer || combine(block, handler);
+      }
+      case 'SwitchStatement': {
+        const seen = new Map();
+        const exits = [];
+        let previous = null;
+        for (const c of node.cases) {
+          const exit = list(c.consequent);
+          if (c.test) {
+            const { value } = testValue(c.test);
+            const key = value === UNKNOWN ? null : `${typeof value}:${String(value)}`;
+            if (key !== null && seen.has(key)) {
+              // An earlier case matches the same value; the body is only
+              // reachable by falling through from the case above it
+              if (previous && c.consequent.length > 0) report(c, c, 'shadowed-case', seen.get(key), { condition: text(c.test) });
+            } else if (key !== null) {
+              seen.set(key, c);
+            }
+          }
+          previous = exit;
+          if (exit) exits.push(exit);
+        }
+        // Every path leaves: a default case, no break out, and the last case does not fall off the end
+        const hasDefault = node.cases.some(c => !c.test);
+        const breaks = node.cases.some(c => c.consequent.some(s => breaksOut(s, label)));
+        if (!hasDefault || breaks || !previous) return null;
+        return exits.reduce(combine);
+      }
+      default:
+        return null;
+    }
+  };
+
+  fnName = null;
+  list(program.body);
+  for (const { body, name } of bodies) {
+    fnName = name;
+    list(body.body);
+  }
+
+  // `flag ? a : b`, `flag && a` and `flag || a`: the operand that only runs on one outcome
+  for (const { node, function: owner } of expressions) {
+    const test = node.type === 'ConditionalExpression' ? node.test : node.left;
+    const tree = conditionTree(test, constOf, declared);
+    if (!configurable(tree)) continue;
+    const consequent = node.type === 'ConditionalExpression' ? node.consequent : (node.operator === '&&' ? node.right : null);
+    const alternate = node.type === 'ConditionalExpression' ? node.alternate : (node.operator === '||' ? node.right : null);
+    conditions.push({
+      line: line(test),
+      test: tree,
+      condition: text(test),
+      consequent: consequent ? range(consequent, consequent) : null,
+      alternate: alternate ? range(alternate, alternate) : null,
+      function: owner
+    });
+  }
+
+  // Unreachable code inside code already reported once (a function declared after a return)
+  unreachable.sort((a, b) => a.line - b.line || b.endLine - a.endLine);
+  const outer = [];
+  for (const u of unreachable) {
+    if (outer.some(o => o.line <= u.line && o.endLine >= u.endLine)) continue;
+    outer.push(u);
+  }
+  return { unreachable: outer, conditions };
+}
+
+export default { findUnreachableCode, evaluateCondition, envNames, flagNames, UNKNOWN };
@@ -1,8 +1,15 @@
 // src/scanner/parsers/css.mjs
-// CSS parser
+// CSS parser. parseStylesheet also reads SCSS/LESS: nested rules are resolved
+// to full selectors (`&__item` under `.card` is `.card__item`) and
+// @import/@use/@forward statements are collected.
 
 import { readFileSync, existsSync } from 'fs';
 
+// At-rules whose blocks hold no selectors that reach the page as written
+const OPAQUE_AT_RULES = new Set(['keyframes', '-webkit-keyframes', 'font-face', 'page', 'mixin', 'function', 'counter-style', 'property', 'font-feature-values']);
+// Pseudo-classes that can match without their argument's classes
+const LENIENT_PSEUDO_RE = /:(is|where|has|matches|-moz-any|-webkit-any|host|host-context)\(/;
+
 /**
  * Parse a CSS file
  */
@@ -48,4 +55,197 @@ export async function parseCSS(file) {
   }
 }
 
-export default { parseCSS };
+/**
+ * Split on commas outside parentheses and brackets
+ */
+function splitSelectors(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of text) {
+    if (ch === '(' || ch === '[') depth++;
+    else if (ch === ')' || ch === ']') depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Nested selectors against their parents: `&` is replaced, anything else
+ * becomes a descendant
+ */
+function resolveNested(prelude, parents) {
+  const own = splitSelectors(prelude);
+  if (!parents) return own;
+  const resolved = [];
+  for (const parent of parents) {
+    for (const sel of own) resolved.push(sel.includes('&') ? sel.replace(/&/g, parent) : `${parent} ${sel}`);
+  }
+  return resolved;
+}
+
+const unescape = (name) => name.replace(/\\(.)/g, '$1');
+
+/**
+ * Classes and ids a selector needs to match, or null when it cannot be
+ * decided statically (interpolation, :is()/:where()/:has(), mixins)
+ * @param {string} selector - A single (comma-free) selector
+ * @returns {{ classes: string[], ids: string[] } | null}
+ */
+export function selectorNames(selector) {
+  if (/#\{|@\{|(?<!\\)%|\$/.test(selector) || LENIENT_PSEUDO_RE.test(selector)) return null;
+  // LESS mixin definition: .name() or .name(@arg)
+  if (/^\.[\w-]+\s*\(/.test(selector)) return null;
+  const plain = selector
+    .replace(/"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/g, '""')
+    .replace(/(?<!\\)\[[^\]]*\]/g, '')
+    .replace(/:not\((?:[^()]|\([^()]*\))*\)/g, '')
+    .replace(/:global\(([^)]*)\)/g, '$1');
+  const classes = [...plain.matchAll(/\.((?:\\.|[\w-])+)/g)].map(m => unescape(m[1])).filter(n => !/^\d/.test(n));
+  const ids = [...plain.matchAll(/(?<!\\)#((?:\\.|[\w-])+)/g)].map(m => unescape(m[1])).filter(n => !/^\d/.test(n));
+  return { classes, ids };
+}
+
+/**
+ * Rules, imports and mixin/extend references of a CSS, SCSS or LESS source
+ * @param {string} content - Stylesheet text
+ * @returns {{ rules: Array<{ selectors: string[], line, endLine, start, end, parent }>,
+ *             imports: Array<{ module, line, kind }>, references: string[] }}
+ *   selectors are resolved through nesting; parent is the index of the
+ *   enclosing rule (null at top level); references are class names that
+ *   @extend, :extend() or a LESS mixin call use
+ */
+export function parseStylesheet(content) {
+  const rules = [];
+  const imports = [];
+  const references = [];
+  // Stack of open blocks: { selectors, rule, opaque }
+  const stack = [];
+  let preludeStart = 0;
+
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) if (content[i] === '\n') lineStarts.push(i + 1);
+  const lineAt = (index) => {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= index) lo = mid; else hi = mid - 1;
+    }
+    return lo + 1;
+  };
+  // First character of a prelude after whitespace and comments
+  const skipTrivia = (from, to) => {
+    let i = from;
+    while (i < to) {
+      if (/\s/.test(content[i])) i++;
+      else if (content.startsWith('/*', i)) i = content.indexOf('*/', i + 2) === -1 ? to : content.indexOf('*/', i + 2) + 2;
+      else if (content.startsWith('//', i)) i = content.indexOf('\n', i) === -1 ? to : content.indexOf('\n', i) + 1;
+      else break;
+    }
+    return Math.min(i, to);
+  };
+  const preludeText = (from, to) => content.slice(from, to).replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|\s)\/\/[^\n]*/g, '$1').trim();
+
+  const statement = (text, atLine) => {
+    const stmt = text.trim();
+    const importMatch = stmt.match(/^@(import|use|forward)\b([\s\S]*)$/);
+    if (importMatch) {
+      for (const m of importMatch[2].matchAll(/(?:url\(\s*)?(["'])([^"']+)\1/g)) {
+        imports.push({ module: m[2], line: atLine, kind: importMatch[1] });
+      }
+      return;
+    }
+    const extend = stmt.match(/^@extend\s+([^;!]+)/);
+    if (extend) {
+      for (const m of extend[1].matchAll(/\.([\w-]+)/g)) references.push(m[1]);
+      return;
+    }
+    for (const m of stmt.matchAll(/:extend\(([^)]*)\)/g)) {
+      for (const c of m[1].matchAll(/\.([\w-]+)/g)) references.push(c[1]);
+    }
+    // LESS mixin call: .rounded; .rounded(4px); #ns > .mixin();
+    const mixin = stmt.match(/^(?:#[\w-]+\s*>?\s*)?\.([\w-]+)\s*(\(.*\))?\s*(!important)?$/s);
+    if (mixin) references.push(mixin[1]);
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i];
+    // Comments, strings and interpolation are skipped as a unit
+    if (ch === '/' && content[i + 1] === '*') {
+      const end = content.indexOf('*/', i + 2);
+      i = (end === -1 ? content.length : end + 2) - 1;
+      continue;
+    }
+    if (ch === '/' && content[i + 1] === '/' && content[i - 1] !== ':' && !/url\([^)]*$/.test(content.slice(Math.max(0, i - 200), i))) {
+      const end = content.indexOf('\n', i);
+      i = (end === -1 ? content.length : end) - 1;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      let j = i + 1;
+      while (j < content.length && content[j] !== ch && content[j] !== '\n') j += content[j] === '\\' ? 2 : 1;
+      i = j;
+      continue;
+    }
+    if ((ch === '#' || ch === '@' || ch === '$') && content[i + 1] === '{') {
+      let depth = 0;
+      let j = i + 1;
+      for (; j < content.length; j++) {
+        if (content[j] === '{') depth++;
+        else if (content[j] === '}' && --depth === 0) break;
+      }
+      i = j;
+      continue;
+    }
+    if (ch === ';') {
+      statement(preludeText(preludeStart, i), lineAt(skipTrivia(preludeStart, i)));
+      preludeStart = i + 1;
+      continue;
+    }
+    if (ch === '{') {
+      const prelude = preludeText(preludeStart, i);
+      const outer = stack[stack.length - 1];
+      const frame = { selectors: outer?.selectors || null, rule: null, opaque: outer?.opaque || false };
+      if (prelude.startsWith('@')) {
+        const name = prelude.slice(1).split(/[\s({]/)[0].toLowerCase();
+        if (OPAQUE_AT_RULES.has(name)) frame.opaque = true;
+        if (name === 'at-root') frame.selectors = null;
+      } else if (!frame.opaque && prelude && !/:\s*$/.test(prelude)) {
+        // Leading whitespace and comments are not part of the rule
+        const start = skipTrivia(preludeStart, i);
+        frame.selectors = resolveNested(prelude, outer?.selectors || null);
+        frame.rule = rules.length;
+        rules.push({
+          selectors: frame.selectors,
+          line: lineAt(start),
+          endLine: lineAt(start),
+          start,
+          end: i + 1,
+          parent: [...stack].reverse().find(f => f.rule !== null)?.rule ?? null
+        });
+      }
+      stack.push(frame);
+      preludeStart = i + 1;
+      continue;
+    }
+    if (ch === '}') {
+      const frame = stack.pop();
+      if (frame?.rule !== null && frame?.rule !== undefined) {
+        rules[frame.rule].endLine = lineAt(i);
+        rules[frame.rule].end = i + 1;
+      }
+      preludeStart = i + 1;
+    }
+  }
+
+  return { rules, imports, references };
+}
+
+export default { parseCSS, parseStylesheet, selectorNames };
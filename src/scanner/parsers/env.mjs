@@ -0,0 +1,146 @@
+// src/scanner/parsers/env.mjs
+// Environment variable reads in source files of every parsed language:
+// process.env.X, os.environ['X'], os.Getenv("X"), ENV['X'], System.getenv("X") ...
+
+import { extname } from 'path';
+
+const NAME = '([A-Za-z_][A-Za-z0-9_]*)';
+const QUOTED = `['"\`]${NAME}['"\`]`;
+
+// Each pattern captures the variable name in group 1
+const READ_PATTERNS = {
+  javascript: [
+    new RegExp(`\\b(?:process\\.env|import\\.meta\\.env|Bun\\.env)\\??\\.${NAME}`, 'g'),
+    new RegExp(`\\b(?:process\\.env|import\\.meta\\.env|Bun\\.env)\\[\\s*${QUOTED}\\s*\\]`, 'g'),
+    new RegExp(`\\bDeno\\.env\\.(?:get|has)\\(\\s*${QUOTED}`, 'g')
+  ],
+  python: [
+    new RegExp(`\\b(?:os\\.)?environ(?:b)?\\[\\s*${QUOTED}\\s*\\]`, 'g'),
+    new RegExp(`\\b(?:os\\.)?environ(?:b)?\\.(?:get|pop|setdefault)\\(\\s*${QUOTED}`, 'g'),
+    new RegExp(`\\b(?:os\\.)?getenv(?:b)?\\(\\s*${QUOTED}`, 'g'),
+    new RegExp(`\\benv(?:\\.(?:str|int|bool|float|list|json|url|db))?\\(\\s*${QUOTED}`, 'g')
+  ],
+  go: [
+    new RegExp(`\\bos\\.(?:Getenv|LookupEnv)\\(\\s*"${NAME}"`, 'g'),
+    new RegExp(`\\bviper\\.(?:BindEnv|GetString|Get)\\(\\s*"${NAME}"`, 'g')
+  ],
+  ruby: [
+    new RegExp(`\\bENV\\[\\s*['"]${NAME}['"]\\s*\\]`, 'g'),
+    new RegExp(`\\bENV\\.(?:fetch|key\\?|include\\?)\\(?\\s*['"]${NAME}['"]`, 'g')
+  ],
+  php: [
+    new RegExp(`\\bgetenv\\(\\s*['"]${NAME}['"]`, 'g'),
+    new RegExp(`\\$_(?:ENV|SERVER)\\[\\s*['"]${NAME}['"]\\s*\\]`, 'g'),
+    new RegExp(`(?<![\\w$>:])env\\(\\s*['"]${NAME}['"]`, 'g')
+  ],
+  jvm: [
+    new RegExp(`\\bSystem\\.getenv\\(\\s*"${NAME}"`, 'g'),
+    new RegExp(`\\bsys\\.env(?:\\.get)?\\(\\s*"${NAME}"`, 'g')
+  ],
+  dotnet: [
+    new RegExp(`\\bEnvironment\\.GetEnvironmentVariable\\(\\s*"${NAME}"`, 'g')
+  ],
+  rust: [
+    new RegExp(`\\benv::var(?:_os)?\\(\\s*"${NAME}"`, 'g'),
+    new RegExp(`\\b(?:option_)?env!\\(\\s*"${NAME}"`, 'g')
+  ],
+  elixir: [
+    new RegExp(`\\bSystem\\.(?:get_env|fetch_env!?)\\(\\s*"${NAME}"`, 'g')
+  ],
+  swift: [
+    new RegExp(`\\benvironment\\[\\s*"${NAME}"\\s*\\]`, 'g')
+  ],
+  dart: [
+    new RegExp(`\\bPlatform\\.environment\\[\\s*['"]${NAME}['"]\\s*\\]`, 'g'),
+    new RegExp(`\\b(?:String|bool|int)\\.fromEnvironment\\(\\s*['"]${NAME}['"]`, 'g')
+  ],
+  perl: [
+    new RegExp(`\\$ENV\\{\\s*['"]?${NAME}['"]?\\s*\\}`, 'g')
+  ]
+};
+
+// Reads whose key is computed: capture group 1 is the static prefix, if any
+const DYNAMIC_PATTERNS = {
+  javascript: [/\b(?:process\.env|import\.meta\.env)\[\s*(?:`([A-Za-z0-9_]*)\$\{|['"]([A-Za-z0-9_]*)['"]\s*\+|(?![\s'"`]))/g],
+  python: [/\b(?:os\.)?environ\[\s*(?:f['"]([A-Za-z0-9_]*)\{|['"]([A-Za-z0-9_]*)['"]\s*\+|(?![\s'"]))/g, /\b(?:os\.)?getenv\(\s*(?:f['"]([A-Za-z0-9_]*)\{|(?![\s'"]))/g],
+  ruby: [/\bENV\[\s*(?:"([A-Za-z0-9_]*)#\{|(?![\s'"]))/g],
+  php: [/\bgetenv\(\s*(?:['"]([A-Za-z0-9_]*)['"]\s*\.|(?![\s'")]))/g]
+};
+
+// A read followed by a default value: `|| 'x'`, `?? 'x'`, `or 'x'`, `, 'x')`
+const MEMBER_FALLBACK_RE = /^\s*(?:\|\||\?\?|\bor\b)/;
+const FALLBACK_RE = /^\s*(?:\|\||\?\?|\bor\b|,\s*[^\s)])/;
+
+const LANGUAGE_BY_EXT = {
+  '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'javascript',
+  '.ts': 'javascript', '.mts': 'javascript', '.cts': 'javascript', '.tsx': 'javascript',
+  '.vue': 'javascript', '.svelte': 'javascript', '.astro': 'javascript',
+  '.py': 'python', '.go': 'go', '.rb': 'ruby', '.php': 'php',
+  '.java': 'jvm', '.kt': 'jvm', '.kts': 'jvm', '.scala': 'jvm', '.sc': 'jvm', '.groovy': 'jvm',
+  '.cs': 'dotnet', '.fs': 'dotnet', '.vb': 'dotnet',
+  '.rs': 'rust', '.ex': 'elixir', '.exs': 'elixir', '.swift': 'swift', '.dart': 'dart',
+  '.pl': 'perl', '.pm': 'perl'
+};
+
+/**
+ * Environment variables a source file reads.
+ * @param {string} content - File source
+ * @param {string} filePath - Path, for the language
+ * @returns {Array<{ name?: string, prefix?: string, line: number, optional?: boolean }>}
+ *   A read with a computed key has no name; `prefix` is its static start ('' when
+ *   none). `optional` marks a read with a default value
+ */
+export function findEnvReads(content, filePath) {
+  const language = LANGUAGE_BY_EXT[extname(filePath).toLowerCase()];
+  if (!language || typeof content !== 'string') return [];
+
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) if (content[i] === '\n') lineStarts.push(i + 1);
+  const lineAt = (index) => {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= index) lo = mid; else hi = mid - 1;
+    }
+    return lo + 1;
+  };
+
+  const reads = [];
+  const seen = new Set();
+  const add = (read) => {
+    const key = `${read.name ?? `${read.prefix}*`}:${read.line}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      reads.push(read);
+    }
+  };
+
+  for (const re of READ_PATTERNS[language]) {
+    // A call can take the default as its second argument: os.getenv('X', 'dev')
+    const fallback = re.source.includes('\\(') ? FALLBACK_RE : MEMBER_FALLBACK_RE;
+    for (const match of content.matchAll(re)) {
+      const optional = fallback.test(content.slice(match.index + match[0].length, match.index + match[0].length + 40));
+      add({ name: match[1], line: lineAt(match.index), ...(optional && { optional }) });
+    }
+  }
+  for (const re of DYNAMIC_PATTERNS[language] || []) {
+    for (const match of content.matchAll(re)) add({ prefix: match[1] ?? match[2] ?? '', line: lineAt(match.index) });
+  }
+
+  if (language === 'javascript') {
+    // const { API_URL, PORT: port = 3000, ...rest } = process.env
+    for (const match of content.matchAll(/\{([^{}]*)\}\s*=\s*(?:process\.env|import\.meta\.env|Bun\.env)\b/g)) {
+      const line = lineAt(match.index);
+      for (const part of match[1].split(',')) {
+        const key = part.trim();
+        if (key.startsWith('...')) add({ prefix: '', line });
+        else if (/^[A-Za-z_]\w*/.test(key)) add({ name: key.match(/^[A-Za-z_]\w*/)[0], line });
+      }
+    }
+  }
+
+  return reads.sort((a, b) => a.line - b.line);
+}
+
+export default { findEnvReads };
@@ -0,0 +1,205 @@
+// src/scanner/parsers/i18n.mjs
+// Translation catalogs (i18next, react-intl and vue-i18n JSON/YAML) and the
+// keys code looks up: t('key'), $t('key'), <FormattedMessage id="key">,
+// <Trans i18nKey="key">, formatMessage({ id: 'key' }) ...
+
+import { extname } from 'path';
+
+// A leaf object with one of these is a single message (formatjs extract format)
+const MESSAGE_FIELDS = new Set(['defaultMessage', 'message', 'string']);
+
+const KEY = `([^'"\`$\\n]+)`;
+// Each pattern captures the key in group 1
+const USE_PATTERNS = [
+  // t('key'), i18n.t('key'), this.$t('key'), $tc('key', n), te('key'), tm('key')
+  new RegExp(`(?:^|[^\\w$])\\$?t[cem]?\\(\\s*(['"\`])${KEY}\\1`, 'g'),
+  // <FormattedMessage id="key">, <Trans i18nKey="key">, <i18n-t keypath="key">, {...{ id: 'key' }}
+  new RegExp(`(?:^|[^\\w$])(?:id|i18nKey|keypath)\\s*=\\s*\\{?\\s*(['"\`])${KEY}\\1`, 'g'),
+  // formatMessage({ id: 'key' }), defineMessages({ title: { id: 'key' } })
+  new RegExp(`(?:^|[^\\w$])id\\s*:\\s*(['"\`])${KEY}\\1`, 'g'),
+  // v-t="'key'"
+  new RegExp(`\\bv-t\\s*=\\s*"\\s*(')${KEY}'`, 'g')
+];
+// Lookups whose key is computed: group 1 is the static prefix of a template literal
+const DYNAMIC_USE_RE = /(?:^|[^\w$])\$?t[cem]?\(\s*(?:`([^`$\n]*)\$\{|(?![\s'"`)]))/g;
+
+const lineIndex = (content) => {
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) if (content[i] === '\n') lineStarts.push(i + 1);
+  return (index) => {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= index) lo = mid; else hi = mid - 1;
+    }
+    return lo + 1;
+  };
+};
+
+/**
+ * Translation keys a source file looks up.
+ * @param {string} content - File source
+ * @returns {Array<{ key?: string, prefix?: string, line: number }>} A lookup
+ *   with a computed key has no key; `prefix` is its static start ('' when none)
+ */
+export function findTranslationUses(content) {
+  if (typeof content !== 'string') return [];
+  const lineAt = lineIndex(content);
+  const uses = [];
+  const seen = new Set();
+  const add = (use) => {
+    const id = `${use.key ?? `${use.prefix}*`}:${use.line}`;
+    if (!seen.has(id)) {
+      seen.add(id);
+      uses.push(use);
+    }
+  };
+
+  for (const re of USE_PATTERNS) {
+    for (const match of content.matchAll(re)) add({ key: match[2].trim(), line: lineAt(match.index) });
+  }
+  for (const match of content.matchAll(DYNAMIC_USE_RE)) add({ prefix: match[1] ?? '', line: lineAt(match.index) });
+
+  return uses.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Keys of a JSON catalog with the line of each. Arrays are single values;
+ * an object holding a defaultMessage/message/string is one message.
+ */
+function jsonCatalog(text) {
+  const keys = [];
+  const maps = [];
+  const frames = [];   // open objects: { path, line, children, leaves }
+  const keyAhead = /\s*:/y;
+  let pending = null;  // { name, line } of the key whose value comes next
+  let line = 1;
+
+  const addLeaf = (name, at) => {
+    const frame = frames[frames.length - 1];
+    const entry = { key: [...frame.path, name].join('.'), path: [...frame.path, name], line: at };
+    frame.children.push(name);
+    frame.leaves.push(entry);
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\n') {
+      line++;
+    } else if (ch === '"') {
+      let j = i + 1;
+      while (j < text.length && text[j] !== '"') j += text[j] === '\\' ? 2 : 1;
+      const raw = text.slice(i, j + 1);
+      i = j;
+      keyAhead.lastIndex = i + 1;
+      if (frames.length > 0 && !pending && keyAhead.test(text)) {
+        try {
+          pending = { name: JSON.parse(raw), line };
+        } catch {
+          pending = { name: raw.slice(1, -1), line };
+        }
+      } else if (pending) {
+        addLeaf(pending.name, pending.line);
+        pending = null;
+      }
+    } else if (ch === '{') {
+      const parent = frames[frames.length - 1];
+      const path = pending ? [...parent.path, pending.name] : [];
+      if (pending) parent.children.push(pending.name);
+      frames.push({ path, line: pending?.line ?? line, children: [], leaves: [] });
+      pending = null;
+    } else if (ch === '}') {
+      const frame = frames.pop();
+      if (!frame) break;
+      const parent = frames[frames.length - 1];
+      if (!parent) {
+        keys.push(...frame.leaves);
+      } else if (frame.children.some(c => MESSAGE_FIELDS.has(c)) || frame.children.length === 0) {
+        // One message, or an empty group: a single value of the parent
+        parent.leaves.push({ key: frame.path.join('.'), path: frame.path, line: frame.line });
+      } else {
+        parent.leaves.push(...frame.leaves);
+        maps.push({ key: frame.path.join('.'), path: frame.path, line: frame.line });
+      }
+    } else if (ch === '[') {
+      if (pending) addLeaf(pending.name, pending.line);
+      pending = null;
+      // Skip the array: it is one value
+      let depth = 0;
+      for (; i < text.length; i++) {
+        const c = text[i];
+        if (c === '\n') line++;
+        else if (c === '"') {
+          i++;
+          while (i < text.length && text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+        } else if (c === '[') depth++;
+        else if (c === ']' && --depth === 0) break;
+      }
+    } else if (pending && /[-0-9tfn]/.test(ch)) {
+      addLeaf(pending.name, pending.line);
+      pending = null;
+    }
+  }
+  return { keys, maps };
+}
+
+/**
+ * Keys of a YAML catalog: nested `key: value` mappings, each with the lines
+ * it spans. Lists and block scalars are single values.
+ */
+function yamlCatalog(text) {
+  const lines = text.split('\n');
+  const keys = [];
+  const maps = [];
+  const stack = [];    // open keys: { indent, path, line, children, block }
+  let lastContent = 0;
+
+  const close = (frame) => {
+    const entry = { key: frame.path.join('.'), path: frame.path, line: frame.line, endLine: lastContent };
+    if (frame.children > 0) maps.push(entry); else keys.push(entry);
+  };
+
+  lines.forEach((raw, i) => {
+    if (/^\s*(#|$)/.test(raw) || /^(---|\.\.\.)\s*$/.test(raw)) return;
+    const indent = raw.match(/^\s*/)[0].length;
+    const top = stack[stack.length - 1];
+    // Block scalar and list lines belong to the key above them
+    if ((top?.block && indent > top.indent) || /^\s*-(\s|$)/.test(raw)) {
+      lastContent = i + 1;
+      return;
+    }
+    const match = raw.match(/^\s*(?:"((?:\\.|[^"\\])*)"|'((?:''|[^'])*)'|([^'"#\s][^#]*?))\s*:(?:\s+(.*))?$/);
+    if (!match) {
+      lastContent = i + 1;
+      return;
+    }
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) close(stack.pop());
+    const name = match[1] ?? match[2]?.replace(/''/g, "'") ?? match[3];
+    const parent = stack[stack.length - 1];
+    if (parent) parent.children++;
+    const value = (match[4] || '').replace(/\s+#.*$/, '').trim();
+    stack.push({ indent, path: [...(parent?.path || []), name], line: i + 1, children: 0, block: /^[|>]/.test(value) });
+    lastContent = i + 1;
+  });
+  while (stack.length > 0) close(stack.pop());
+
+  return { keys: keys.sort((a, b) => a.line - b.line), maps: maps.sort((a, b) => a.line - b.line) };
+}
+
+/**
+ * Keys of a translation catalog.
+ * @param {string} text - Catalog source
+ * @param {string} file - Path, for the format (.json, .yaml, .yml)
+ * @returns {{ keys: Array<{ key, path, line, endLine? }>, maps: Array<{ key, path, line, endLine? }> }}
+ *   keys are the messages, joined with '.'; maps are the groups holding them.
+ *   endLine is only known for YAML
+ */
+export function parseCatalog(text, file) {
+  const ext = extname(file).toLowerCase();
+  if (ext === '.json') return jsonCatalog(text);
+  if (ext === '.yaml' || ext === '.yml') return yamlCatalog(text);
+  return { keys: [], maps: [] };
+}
+
+export default { findTranslationUses, parseCatalog };
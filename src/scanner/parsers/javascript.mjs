@@ -5,6 +5,8 @@
 import { readFileSync, existsSync } from 'fs';
 import { parse } from '@babel/parser';
 import _traverse from '@babel/traverse';
+import { findUnreachableCode } from './control-flow.mjs';
+import { findEnvReads } from './env.mjs';
 
 // Handle both ESM and CJS default exports
 const traverse = _traverse.default || _traverse;
@@ -100,7 +102,9 @@ export async function parseJavaScript(file) {
     const functions = [];
     const classes = [];
     const exports = [];
+    const localTypeNames = new Set();
     const imports = [];
+    const dynamicImports = [];  // import()/require() of computed paths
 
     traverse(ast, {
       // ═══════════════════════════════════════════════════════════════════
@@ -164,7 +168,14 @@ export async function parseJavaScript(file) {
           lineCount: 0,
           sizeBytes: 0,
           exported: isExported(path),
-          superClass: node.superClass?.name || null,
+          // 'Component' for React.Component; '<expression>' for mixins like withX(Base)
+          superClass: node.superClass
+            ? node.superClass.name || node.superClass.property?.name || '<expression>'
+            : null,
+          // TS `implements` / Flow implements clauses
+          implements: (node.implements || [])
+            .map(impl => impl.expression?.name || impl.expression?.right?.name || impl.id?.name)
+            .filter(Boolean),
           methods: [],
           properties: [],
           // Extract decorators for DI detection (@Service, @Injectable, etc.)
@@ -226,9 +237,17 @@ export async function parseJavaScript(file) {
                 functions.push(method);
               } else {
                 classInfo.properties.push({
-                  name: member.key?.name || 'unknown',
+                  name: member.key?.type === 'PrivateName'
+                    ? `#${member.key.id?.name || 'private'}`
+                    : member.key?.name || 'unknown',
                   line: member.loc?.start?.line || 0,
-                  static: member.static || false
+                  endLine: member.loc?.end?.line || 0,
+                  static: member.static || false,
+                  accessibility: member.accessibility || null,
+                  // `declare foo: T` emits nothing; abstract members have no body
+                  declare: member.declare || member.abstract || false,
+                  computed: member.computed || false,
+                  decorators: (member.decorators || []).length
                 });
               }
             }
@@ -248,6 +267,8 @@ export async function parseJavaScript(file) {
         const func = extractFunctionInfo(path.node, content, 'method');
         func.name = name;
         func.isObjectMethod = true;
+        func.kind = path.node.kind || 'method'; // 'method', 'get', 'set'
+        func.computed = path.node.computed || false;
 
         // Try to find parent object name
         const parent = path.parentPath?.parentPath;
@@ -268,6 +289,12 @@ export async function parseJavaScript(file) {
           const func = extractFunctionInfo(value, content, 'property');
           func.name = name;
           func.isObjectProperty = true;
+          func.computed = path.node.computed || false;
+
+          const parent = path.parentPath?.parentPath;
+          if (parent?.node?.type === 'VariableDeclarator' && parent.node.id?.name) {
+            func.objectName = parent.node.id.name;
+          }
 
           // Get full property bounds
           func.line = path.node.loc?.start?.line || func.line;
@@ -292,23 +319,30 @@ export async function parseJavaScript(file) {
           type: 'esm',
           specifiers: []
         };
+        // `import type { A }` / `import { type A }` are erased at compile time
+        const typeOnlyImport = node.importKind === 'type' || node.importKind === 'typeof';
+        if (typeOnlyImport) importInfo.typeOnly = true;
 
         for (const spec of node.specifiers || []) {
+          const typeOnly = typeOnlyImport || spec.importKind === 'type' || spec.importKind === 'typeof';
           if (spec.type === 'ImportDefaultSpecifier') {
             importInfo.specifiers.push({
               name: spec.local?.name,
-              type: 'default'
+              type: 'default',
+              ...(typeOnly && { typeOnly })
             });
           } else if (spec.type === 'ImportNamespaceSpecifier') {
             importInfo.specifiers.push({
               name: spec.local?.name,
-              type: 'namespace'
+              type: 'namespace',
+              ...(typeOnly && { typeOnly })
             });
           } else if (spec.type === 'ImportSpecifier') {
             importInfo.specifiers.push({
               name: spec.imported?.name || spec.local?.name,
               localName: spec.local?.name,
-              type: 'named'
+              type: 'named',
+              ...(typeOnly && { typeOnly })
             });
           }
         }
@@ -340,10 +374,23 @@ export async function parseJavaScript(file) {
       CallExpression(path) {
         const node = path.node;
 
+        // Computed import()/require() paths: record the glob they imply
+        // (`./locales/${lang}.js` → ./locales/*.js) for findDeadCode to match
+        if ((node.callee?.type === 'Import' || node.callee?.name === 'require') && node.arguments?.[0] &&
+            !isStaticString(node.arguments[0])) {
+          const arg = node.arguments[0];
+          dynamicImports.push({
+            pattern: dynamicPattern(arg).replace(/\*+/g, '*').replace(/\/{2,}/g, '/'),
+            expression: scriptContent.slice(arg.start, arg.end).replace(/\s+/g, ' ').slice(0, 120),
+            line: node.loc?.start?.line || 0,
+            kind: node.callee.type === 'Import' ? 'import' : 'require'
+          });
+        }
+
         // Handle dynamic import() as CallExpression (older parser versions)
-        if (node.callee?.type === 'Import' && node.arguments?.[0]) {
+        if (node.callee?.type === 'Import' && node.arguments?.[0] && isStaticString(node.arguments[0])) {
           const arg = node.arguments[0];
-          const modulePath = arg.value || arg.quasis?.[0]?.value?.raw;
+          const modulePath = arg.value ?? arg.quasis?.[0]?.value?.cooked;
           if (modulePath && typeof modulePath === 'string') {
             imports.push({
               module: modulePath,
@@ -395,14 +442,18 @@ export async function parseJavaScript(file) {
         if (node.callee?.type === 'MemberExpression' &&
             node.callee.object?.type === 'MetaProperty' &&
             node.callee.property?.name === 'glob') {
-          const pattern = node.arguments?.[0]?.value;
-          if (pattern && typeof pattern === 'string') {
-            imports.push({
-              module: pattern,
-              line: node.loc?.start?.line || 0,
-              type: 'import-meta-glob',
-              isGlob: true
-            });
+          // A single pattern or an array of them; negated patterns only narrow the match
+          const arg = node.arguments?.[0];
+          const patterns = arg?.type === 'ArrayExpression' ? arg.elements.map(e => e?.value) : [arg?.value];
+          for (const pattern of patterns) {
+            if (pattern && typeof pattern === 'string' && !pattern.startsWith('!')) {
+              imports.push({
+                module: pattern,
+                line: node.loc?.start?.line || 0,
+                type: 'import-meta-glob',
+                isGlob: true
+              });
+            }
           }
         }
 
@@ -431,13 +482,17 @@ export async function parseJavaScript(file) {
       ExportNamedDeclaration(path) {
         const node = path.node;
         const decl = node.declaration;
+        // Ambient (`export declare ...`) declarations emit no runtime code
+        const ambient = decl?.declare ? { typeOnly: true } : null;
 
         if (decl) {
           if (decl.type === 'FunctionDeclaration' && decl.id) {
             exports.push({
               name: decl.id.name,
               type: 'function',
-              line: node.loc?.start?.line || 0
+              line: node.loc?.start?.line || 0,
+              endLine: node.loc?.end?.line || 0,
+              ...ambient
             });
           } else if (decl.type === 'VariableDeclaration') {
             for (const d of decl.declarations) {
@@ -445,7 +500,9 @@ export async function parseJavaScript(file) {
                 exports.push({
                   name: d.id.name,
                   type: 'variable',
-                  line: node.loc?.start?.line || 0
+                  line: node.loc?.start?.line || 0,
+                  endLine: node.loc?.end?.line || 0,
+                  ...ambient
                 });
               }
             }
@@ -453,22 +510,56 @@ export async function parseJavaScript(file) {
             exports.push({
               name: decl.id.name,
               type: 'class',
-              line: node.loc?.start?.line || 0
+              line: node.loc?.start?.line || 0,
+              endLine: node.loc?.end?.line || 0,
+              ...ambient
+            });
+          } else if ((decl.type === 'TSInterfaceDeclaration' || decl.type === 'TSTypeAliasDeclaration') && decl.id) {
+            exports.push({
+              name: decl.id.name,
+              type: decl.type === 'TSInterfaceDeclaration' ? 'interface' : 'type',
+              line: node.loc?.start?.line || 0,
+              endLine: node.loc?.end?.line || 0,
+              typeOnly: true
+            });
+          } else if (decl.type === 'TSEnumDeclaration' && decl.id) {
+            // const enums are inlined by the compiler; regular enums exist at runtime
+            exports.push({
+              name: decl.id.name,
+              type: 'enum',
+              line: node.loc?.start?.line || 0,
+              endLine: node.loc?.end?.line || 0,
+              members: (decl.members || decl.body?.members || [])
+                .map(m => ({ name: m.id?.name ?? m.id?.value, line: m.loc?.start?.line || 0 }))
+                .filter(m => m.name),
+              ...((decl.const || decl.declare) && { typeOnly: true })
             });
           }
         }
 
         // export { foo, bar } or export { foo } from './module'
         for (const spec of node.specifiers || []) {
+          const typeOnly = node.exportKind === 'type' || spec.exportKind === 'type';
           exports.push({
             name: spec.exported?.name || spec.local?.name,
             type: 'reexport',
             line: node.loc?.start?.line || 0,
-            sourceModule: node.source?.value || null  // Capture re-export source for barrel files
+            sourceModule: node.source?.value || null,  // Capture re-export source for barrel files
+            ...(!node.source && spec.local?.name && { localName: spec.local.name }),
+            ...(node.source && spec.local?.name && { sourceName: spec.local.name }),
+            ...(typeOnly && { typeOnly })
           });
         }
       },
 
+      // Local types, so `export { Props }` can be recognised as a type export
+      TSInterfaceDeclaration(path) {
+        if (path.node.id?.name) localTypeNames.add(path.node.id.name);
+      },
+      TSTypeAliasDeclaration(path) {
+        if (path.node.id?.name) localTypeNames.add(path.node.id.name);
+      },
+
       // ═══════════════════════════════════════════════════════════════════
       // EXPORT ALL: export * from './module'
       // ═══════════════════════════════════════════════════════════════════
@@ -497,15 +588,28 @@ export async function parseJavaScript(file) {
           name,
           type: 'default',
           isDefault: true,
-          line: node.loc?.start?.line || 0
+          line: node.loc?.start?.line || 0,
+          endLine: node.loc?.end?.line || 0
         });
       }
     });
 
+    for (const exp of exports) {
+      if (exp.localName && localTypeNames.has(exp.localName)) exp.typeOnly = true;
+    }
+
     // Sort functions by line number
     functions.sort((a, b) => a.line - b.line);
     classes.sort((a, b) => a.line - b.line);
 
+    // Unreachable statements, and branches on environment reads for the analysis to fold
+    let controlFlow = { unreachable: [], conditions: [] };
+    try {
+      controlFlow = findUnreachableCode(ast, scriptContent, { lineOffset: isVueSFC ? scriptLineOffset - 1 : 0 });
+    } catch {
+      // Never fail a parse over control flow
+    }
+
     return {
       file: { path: filePath, relativePath },
       content,
@@ -513,6 +617,10 @@ export async function parseJavaScript(file) {
       classes,
       exports,
       imports,
+      ...(dynamicImports.length > 0 && { dynamicImports }),
+      ...(controlFlow.unreachable.length > 0 && { unreachable: controlFlow.unreachable }),
+      ...(controlFlow.conditions.length > 0 && { conditions: controlFlow.conditions }),
+      ...withEnvReads(content, relativePath),
       lines: lines.length,
       size: content.length,
       parseMethod: isVueSFC ? 'babel-ast-vue' : 'babel-ast',
@@ -522,7 +630,10 @@ export async function parseJavaScript(file) {
   } catch (parseError) {
     // Fallback to regex parsing for files Babel can't handle
     console.warn(`[Parser] Babel failed for ${relativePath}, using regex fallback: ${parseError.message}`);
-    return parseWithRegex(filePath, relativePath, content, lines);
+    return {
+      ...parseWithRegex(filePath, relativePath, content, lines),
+      parseFailure: { reason: 'error', message: parseError.message }
+    };
   }
 }
 
@@ -605,6 +716,7 @@ function extractMethodInfo(node, content, className) {
     async: node.async || false,
     generator: node.generator || false,
     static: node.static || false,
+    computed: node.computed || false,
     // TS access modifier ('private' | 'protected' | 'public' | null) — null for plain JS
     accessibility: node.accessibility || null,
     // ES private methods (#name) are compiler-enforced file-private
@@ -653,6 +765,48 @@ function isExported(path) {
          parent.node?.type === 'ExportDefaultDeclaration';
 }
 
+/**
+ * A string literal, or a template literal with no expressions
+ */
+function isStaticString(node) {
+  return node.type === 'StringLiteral' || (node.type === 'TemplateLiteral' && node.expressions.length === 0);
+}
+
+function isDirname(node) {
+  return (node.type === 'Identifier' && node.name === '__dirname') ||
+         (node.type === 'MemberExpression' && node.object?.type === 'MetaProperty' && node.property?.name === 'dirname');
+}
+
+/**
+ * Glob a module path expression can evaluate to: static text is kept and
+ * every computed part becomes `*`. Handles template literals, `+`
+ * concatenation and path.join/path.resolve from __dirname.
+ *   `./locales/${lang}.js`                → ./locales/*.js
+ *   './plugins/' + name                   → ./plugins/*
+ *   path.join(__dirname, 'plugins', name) → ./plugins/*
+ */
+function dynamicPattern(node) {
+  switch (node?.type) {
+    case 'StringLiteral':
+      return node.value;
+    case 'TemplateLiteral':
+      return node.quasis.map((q, i) => (q.value.cooked ?? q.value.raw) + (i < node.expressions.length ? '*' : '')).join('');
+    case 'BinaryExpression':
+      return node.operator === '+' ? dynamicPattern(node.left) + dynamicPattern(node.right) : '*';
+    case 'CallExpression': {
+      const callee = node.callee;
+      const name = callee?.type === 'MemberExpression' ? callee.property?.name : callee?.name;
+      const onPath = callee?.type !== 'MemberExpression' || callee.object?.name === 'path';
+      if ((name !== 'join' && name !== 'resolve') || !onPath || node.arguments.length === 0) return '*';
+      return node.arguments
+        .map((arg, i) => (i === 0 && isDirname(arg) ? '.' : dynamicPattern(arg)))
+        .join('/');
+    }
+    default:
+      return '*';
+  }
+}
+
 /**
  * Extract code between line numbers
  */
@@ -691,6 +845,74 @@ function createEmptyResult(filePath, relativePath, error) {
   };
 }
 
+/**
+ * Environment variable reads of a file, as a field to spread into a parse result
+ */
+function withEnvReads(content, relativePath) {
+  const envReads = findEnvReads(content, relativePath);
+  return envReads.length > 0 ? { envReads } : {};
+}
+
+// Module specifier forms kept by parseJavaScriptFallback: import/export ... from,
+// bare side-effect import, dynamic import(), require()
+const FALLBACK_SPECIFIER_PATTERNS = [
+  /\b(?:import|export)\s[^'"`;]*?\bfrom\s*['"]([^'"]+)['"]/g,
+  /\bimport\s*['"]([^'"]+)['"]/g,
+  /\bimport\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+  /\brequire\s*\(\s*['"]([^'"]+)['"]\s*\)/g
+];
+
+/**
+ * Conservative stand-in for a file whose parse never finished (timeout,
+ * worker crash, parser exception). Every module specifier found by regex is
+ * kept as an import with no specifiers, which reachability treats as "all
+ * exports consumed" — so a broken file never makes its dependencies look
+ * dead. Functions and exports stay empty: nothing here is precise enough to
+ * report on.
+ */
+export function parseJavaScriptFallback(file) {
+  const filePath = typeof file === 'string' ? file : file.path;
+  const relativePath = typeof file === 'string' ? file : file.relativePath;
+
+  let content;
+  try {
+    content = readFileSync(filePath, 'utf-8');
+  } catch (error) {
+    return createEmptyResult(filePath, relativePath, `Read error: ${error.message}`);
+  }
+
+  const imports = [];
+  const seen = new Set();
+  for (const pattern of FALLBACK_SPECIFIER_PATTERNS) {
+    pattern.lastIndex = 0;
+    let line = 1;
+    let lineScanPos = 0;
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+      // Matches come in order, so count newlines incrementally
+      for (; lineScanPos < match.index; lineScanPos++) {
+        if (content.charCodeAt(lineScanPos) === 10) line++;
+      }
+      if (seen.has(match[1])) continue;
+      seen.add(match[1]);
+      imports.push({ module: match[1], line, type: 'parse-fallback' });
+    }
+  }
+
+  return {
+    file: { path: filePath, relativePath },
+    content: null,
+    functions: [],
+    classes: [],
+    exports: [],
+    imports,
+    ...withEnvReads(content, relativePath),
+    lines: content.split('\n').length,
+    size: content.length,
+    parseMethod: 'regex-fallback'
+  };
+}
+
 /**
  * Fallback regex-based parsing for files Babel can't handle
  */
@@ -776,6 +998,7 @@ function parseWithRegex(filePath, relativePath, content, lines) {
     classes,
     exports,
     imports,
+    ...withEnvReads(content, relativePath),
     lines: lines.length,
     size: content.length,
     parseMethod: 'regex-fallback'
@@ -831,4 +1054,4 @@ function findBlockEnd(lines, startIndex) {
   return startIndex + 1;
 }
 
-export default { parseJavaScript };
+export default { parseJavaScript, parseJavaScriptFallback };
@@ -2,6 +2,7 @@
 // Multi-language parser registry with lazy loading
 
 import { extname } from 'path';
+import { findEnvReads } from './env.mjs';
 
 /**
  * Parser result structure (common across all languages)
@@ -16,6 +17,7 @@ import { extname } from 'path';
  * @property {number} lines - Line count
  * @property {number} size - Byte size
  * @property {string} parseMethod - Parser used
+ * @property {Array} [envReads] - Environment variables read ({ name, line }, or { prefix, line } for a computed key)
  * @property {string} [error] - Error message if parsing failed
  */
 
@@ -185,7 +187,12 @@ export async function parseFile(file, options = {}) {
   }
 
   try {
-    return await parseFn(file, options);
+    const result = await parseFn(file, options);
+    if (result && !result.envReads && typeof result.content === 'string') {
+      const envReads = findEnvReads(result.content, filePath);
+      if (envReads.length > 0) result.envReads = envReads;
+    }
+    return result;
   } catch (error) {
     return {
       file: { path: filePath, relativePath: filePath },
@@ -8,96 +8,334 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readFileSync } from 'fs';
 import { discoverFiles, categoriseFiles } from './discovery.mjs';
-import { parseJavaScript } from './parsers/javascript.mjs';
+import { parseJavaScript, parseJavaScriptFallback } from './parsers/javascript.mjs';
 import { parseFile } from './parsers/registry.mjs';
 import { analyseImports } from './analysers/imports.mjs';
 import { findDeadCode } from './analysers/deadcode.mjs';
+import { findUnusedStyles } from './analysers/stylesheets.mjs';
+import { findEnvIssues } from './analysers/env.mjs';
+import { findTranslationIssues } from './analysers/i18n.mjs';
+import { CacheManager } from '../cache/manager.mjs';
+import { hashFile, hashDirectories } from '../cache/hash.mjs';
+import { ScanCancelledError, throwIfCancelled, checkpoint } from './cancel.mjs';
+import { createMemoryMonitor } from './memory.mjs';
+import { ParseSpill } from '../storage/spill.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const WORKER_PATH = join(__dirname, 'parse-worker.mjs');
+
+// Parser sources and knowledge files — any change to these invalidates the parse cache
+const CACHE_FINGERPRINT_DIRS = [
+  __dirname,
+  join(__dirname, 'parsers'),
+  join(__dirname, '..', 'knowledge', 'languages'),
+  join(__dirname, '..', 'knowledge', 'frameworks'),
+  join(__dirname, '..', 'knowledge', 'patterns')
+];
 const DEFAULT_WORKER_COUNT = parseInt(process.env.SWYNX_WORKERS || '0') || Math.min(availableParallelism(), 8);
 
 const CHUNK_THRESHOLD = 10000;  // B3: chunk parsing when file count exceeds this
 const CHUNK_SIZE = 5000;        // B3: files per parse chunk
+const DEFAULT_PARSE_TIMEOUT_MS = 30000;  // per file; 0 turns the timeout off
+
+// --low-memory: files per spilled parse chunk (at most one per MB of budget), halved under
+// memory pressure down to the minimum
+const LOW_MEMORY_CHUNK_SIZE = 2000;
+const LOW_MEMORY_MIN_CHUNK_SIZE = 250;
+const LOW_MEMORY_MAX_WORKERS = 2;
 
-function parallelParse(files, parserType) {
-  const maxWorkers = DEFAULT_WORKER_COUNT;
-  const workerCount = Math.min(maxWorkers, Math.ceil(files.length / 50));
-  if (workerCount <= 1 || files.length < 100) return null;
+/**
+ * Parse files across worker threads.
+ *
+ * Workers announce each file before parsing it. If a file runs past
+ * timeoutMs, or the worker crashes, the worker is dropped, the file in flight
+ * is recorded as a parse failure (with a conservative fallback result, see
+ * failedParse) and the rest of its chunk is retried on a fresh worker.
+ * workerHeapMb caps each worker's V8 heap; a worker that runs out is
+ * handled like a crash.
+ *
+ * Returns null when the set is too small to split across workers, unless
+ * isolate is set: then a single worker parses it, so the timeout still holds.
+ */
+function parallelParse(files, parserType, {
+  signal = null,
+  timeoutMs = DEFAULT_PARSE_TIMEOUT_MS,
+  maxWorkers = DEFAULT_WORKER_COUNT,
+  workerHeapMb = null,
+  isolate = false
+} = {}) {
+  const workerCount = Math.max(1, Math.min(maxWorkers, Math.ceil(files.length / 50)));
+  if (!isolate && (workerCount <= 1 || files.length < 100)) return null;
+  if (files.length === 0) return Promise.resolve([]);
 
-  return new Promise((resolve) => {
+  return new Promise((resolve, reject) => {
     const chunkSize = Math.ceil(files.length / workerCount);
-    let completed = 0;
     const allResults = [];
-    let activeWorkers = 0;
+    const workers = new Set();
+    let pending = 0;
+    let settled = false;
 
-    for (let i = 0; i < workerCount; i++) {
-      const chunk = files.slice(i * chunkSize, (i + 1) * chunkSize);
-      if (chunk.length === 0) continue;
-      activeWorkers++;
+    // On abort, stop every outstanding worker and settle immediately
+    const onAbort = () => {
+      settled = true;
+      for (const worker of workers) worker.terminate();
+      reject(new ScanCancelledError('scan', signal.reason));
+    };
+    if (signal) {
+      if (signal.aborted) return onAbort();
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    const workerFinished = () => {
+      if (--pending > 0 || settled) return;
+      settled = true;
+      signal?.removeEventListener('abort', onAbort);
+      resolve(allResults);
+    };
 
+    const runChunk = (chunk) => {
+      pending++;
       const worker = new Worker(WORKER_PATH, {
-        workerData: { files: chunk, parserType }
+        workerData: { files: chunk, parserType },
+        ...(workerHeapMb && { resourceLimits: { maxOldGenerationSizeMb: workerHeapMb } })
       });
+      workers.add(worker);
+
+      const indexOf = new Map(chunk.map((f, i) => [f.relativePath, i]));
+      const accounted = new Set();  // chunk indexes with a result or a recorded failure
+      let current = -1;             // chunk index being parsed right now
+      let timer = null;
+      let ended = false;
+
+      const end = () => {
+        ended = true;
+        clearTimeout(timer);
+        workers.delete(worker);
+      };
+
+      // Give up on the file in flight; hand everything not yet accounted for to a new worker
+      const abandon = (reason, message) => {
+        if (ended) return;
+        end();
+        worker.terminate();
+        if (settled) return;
+
+        if (current < 0) {
+          // Died before reaching a file (e.g. the parser failed to load) — retrying won't help
+          for (const file of chunk) allResults.push(failedParse(file, parserType, reason, message));
+        } else {
+          allResults.push(failedParse(chunk[current], parserType, reason, message));
+          accounted.add(current);
+          const remaining = chunk.filter((_, i) => !accounted.has(i));
+          if (remaining.length > 0) runChunk(remaining);
+        }
+        workerFinished();
+      };
+
+      const collect = (results) => {
+        for (const result of results) {
+          const index = indexOf.get(result.file?.relativePath);
+          if (index !== undefined) accounted.add(index);
+          allResults.push(result);
+        }
+      };
 
       worker.on('message', (msg) => {
-        if (msg.type === 'batch') {
+        if (msg.type === 'start') {
+          current = msg.index;
+          clearTimeout(timer);
+          if (timeoutMs > 0) timer = setTimeout(() => abandon('timeout', `Parsing took longer than ${timeoutMs}ms`), timeoutMs);
+        } else if (msg.type === 'failed') {
+          accounted.add(msg.index);
+          allResults.push(failedParse(chunk[msg.index], parserType, 'error', msg.message));
+        } else if (msg.type === 'batch') {
           // B1: Handle batch messages from worker (intermediate results)
-          allResults.push(...msg.results);
+          collect(msg.results);
         } else if (msg.type === 'done') {
-          allResults.push(...msg.results);
-          completed++;
-          if (completed === activeWorkers) resolve(allResults);
+          collect(msg.results);
+          end();
+          workerFinished();
         } else if (msg.type === 'error') {
-          completed++;
-          if (completed === activeWorkers) resolve(allResults);
+          abandon('crash', msg.message);
         }
       });
 
-      worker.on('error', () => {
-        completed++;
-        if (completed === activeWorkers) resolve(allResults);
-      });
+      worker.on('error', (err) => abandon('crash', err?.message || String(err)));
+      worker.on('exit', (code) => abandon('crash', `Parse worker exited with code ${code}`));
+    };
+
+    for (let i = 0; i < workerCount; i++) {
+      const chunk = files.slice(i * chunkSize, (i + 1) * chunkSize);
+      if (chunk.length > 0) runChunk(chunk);
     }
   });
 }
 
+/**
+ * Result recorded for a file that could not be parsed. JS/TS files keep the
+ * module specifiers a regex can find, as imports that count every export as
+ * used, so dependents of a broken file are not reported dead.
+ */
+function failedParse(file, parserType, reason, message) {
+  const fallback = parserType === 'javascript'
+    ? parseJavaScriptFallback(file)
+    : {
+      file: { path: file.path, relativePath: file.relativePath },
+      content: null,
+      functions: [],
+      classes: [],
+      exports: [],
+      imports: [],
+      lines: 0,
+      size: file.size || 0,
+      parseMethod: 'none'
+    };
+  return { ...fallback, content: null, parseFailure: { reason, message } };
+}
+
 /**
  * B3: Chunked parse pipeline — processes files in chunks to cap peak memory.
  * Each chunk goes through parallelParse, results accumulated (without content),
  * then next chunk starts. Previous chunk's worker memory is freed.
  */
-async function chunkedParse(files, parserType, onProgress) {
+async function chunkedParse(files, parserType, onProgress, guard) {
   const allResults = [];
   const totalChunks = Math.ceil(files.length / CHUNK_SIZE);
 
   for (let c = 0; c < totalChunks; c++) {
+    throwIfCancelled(guard.signal, 'scan');
     const start = c * CHUNK_SIZE;
     const chunk = files.slice(start, start + CHUNK_SIZE);
     onProgress({ phase: 'scan', message: `Parsing chunk ${c + 1}/${totalChunks} (${chunk.length} files)...` });
 
-    const chunkResults = parallelParse(chunk, parserType);
+    const chunkResults = parallelParse(chunk, parserType, { ...guard, isolate: guard.timeoutMs > 0 });
     if (chunkResults) {
       allResults.push(...await chunkResults);
     } else {
       // Fallback to sequential for small chunks
-      const parseFn = parserType === 'javascript' ? parseJavaScript : parseFile;
-      for (const file of chunk) {
-        try {
-          const result = await parseFn(file);
-          if (result) {
-            // Strip content like workers do (B2)
-            result.content = null;
-            allResults.push(result);
-          }
-        } catch { /* skip */ }
+      for (const result of await sequentialParse(chunk, parserType, guard)) {
+        // Strip content like workers do (B2)
+        result.content = null;
+        allResults.push(result);
       }
     }
   }
   return allResults;
 }
 
+/**
+ * --low-memory parse: parse in chunks and write each chunk to the spill as
+ * soon as it is done, so results never accumulate in the JS heap. Chunks
+ * start at one file per MB of budget and halve whenever RSS passes 75% of it.
+ * A chunk is also a spill segment, the unit analysis loads details from.
+ */
+async function spillParse(files, parserType, spill, onProgress, guard, monitor) {
+  let chunkSize = Math.max(LOW_MEMORY_MIN_CHUNK_SIZE, Math.min(LOW_MEMORY_CHUNK_SIZE, monitor.budgetMb));
+  for (let start = 0; start < files.length;) {
+    throwIfCancelled(guard.signal, 'scan');
+    const chunk = files.slice(start, start + chunkSize);
+    const results = await parseFiles(chunk, parserType, onProgress, guard);
+    spill.write(results, parserType);
+    start += chunk.length;
+    onProgress({ phase: 'scan', message: `Spilled ${start}/${files.length} ${parserType === 'javascript' ? 'JS/TS' : 'other-language'} files (RSS ${monitor.sample()} MB)` });
+
+    if (chunkSize > LOW_MEMORY_MIN_CHUNK_SIZE && monitor.underPressure()) {
+      chunkSize = Math.max(LOW_MEMORY_MIN_CHUNK_SIZE, chunkSize >> 1);
+      onProgress({ phase: 'scan', message: `Memory pressure — parse chunk size reduced to ${chunkSize}` });
+    }
+  }
+}
+
+/**
+ * Sequential fallback — used when the file set is too small to justify workers
+ * and the parse timeout is off (deadCode.parseTimeout: 0). Runs in-process, so
+ * nothing can interrupt a file that hangs; parser exceptions are still
+ * recorded as parse failures.
+ */
+async function sequentialParse(files, parserType, { signal = null } = {}) {
+  const parseFn = parserType === 'javascript' ? parseJavaScript : parseFile;
+  const results = [];
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    if (i % 25 === 0) await checkpoint(signal, 'scan');
+    try {
+      const result = await parseFn(file);
+      if (result) results.push(result);
+    } catch (err) {
+      results.push(failedParse(file, parserType, 'error', err?.message || String(err)));
+    }
+  }
+  return results;
+}
+
+/**
+ * Parse a file set, picking chunked, parallel or sequential parsing by size.
+ * With a timeout set, small sets still go through one worker so a file that
+ * hangs can be given up on.
+ * @param {Object} guard - { signal, timeoutMs } passed through to the parsers
+ */
+async function parseFiles(files, parserType, onProgress, guard = {}) {
+  guard = { ...guard, timeoutMs: guard.timeoutMs ?? DEFAULT_PARSE_TIMEOUT_MS };
+  if (files.length > CHUNK_THRESHOLD) {
+    // B3: Chunked parse for truly massive repos
+    return chunkedParse(files, parserType, onProgress, guard);
+  }
+  const parallel = parallelParse(files, parserType, { ...guard, isolate: guard.timeoutMs > 0 });
+  if (parallel) return parallel;
+  return sequentialParse(files, parserType, guard);
+}
+
+/**
+ * Parse with the incremental cache: files whose content hash matches a cached
+ * entry reuse the stored result; only misses are parsed (by workers or the
+ * sequential fallback) and then written back to the cache.
+ */
+async function cachedParse(files, parserType, cache, onProgress, guard) {
+  if (!cache) return parseFiles(files, parserType, onProgress, guard);
+
+  const results = [];
+  const misses = [];
+  const hashes = new Map();
+
+  for (const file of files) {
+    let hash;
+    try { hash = hashFile(file.path); } catch { misses.push(file); continue; }
+    hashes.set(file.relativePath, hash);
+
+    const cached = cache.get(file.relativePath, hash);
+    if (cached) {
+      // Re-anchor the absolute path in case the project was moved since caching
+      results.push({ ...cached, file: { path: file.path, relativePath: file.relativePath } });
+    } else {
+      misses.push(file);
+    }
+  }
+
+  if (misses.length === 0) return results;
+  if (results.length > 0) {
+    onProgress({ phase: 'scan', message: `${results.length} unchanged files reused from cache, parsing ${misses.length}...` });
+  }
+
+  const parsed = await parseFiles(misses, parserType, onProgress, guard);
+  for (const result of parsed) {
+    const relativePath = result.file?.relativePath;
+    const hash = hashes.get(relativePath);
+    // Don't cache failures — a transient read error or timeout shouldn't stick
+    if (hash && !result.error && !result.parseFailure) {
+      cache.set(relativePath, hash, { ...result, content: null });
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+// categoriseFiles() buckets parsed through the parser registry (everything but JS/TS)
+const OTHER_LANGUAGES = [
+  'python', 'java', 'kotlin', 'csharp', 'go', 'rust', 'php', 'ruby', 'swift', 'dart',
+  'scala', 'elixir', 'haskell', 'fsharp', 'ocaml', 'julia', 'zig', 'nim', 'erlang',
+  'crystal', 'vlang', 'perl', 'clojure', 'vbnet'
+];
+
 /**
  * Detect language from file extension (for legacy-compatible summary)
  */
@@ -131,7 +369,7 @@ function detectLanguage(filePath) {
 
 const DEFAULT_EXCLUDE = [
   '**/node_modules/**', '**/bower_components/**', '**/.git/**', '**/dist/**', '**/build/**',
-  '**/.swynx-quarantine/**', '**/coverage/**', '**/*.min.js', '**/*.min.css',
+  '**/.swynx-quarantine/**', '**/.swynx-cache/**', '**/coverage/**', '**/*.min.js', '**/*.min.css',
   '**/logs/**', '**/log/**', '**/*.log',
   '**/tmp/**', '**/temp/**', '**/.cache/**', '**/cache/**',
   '**/__pycache__/**', '**/*.pyc', '**/*.pyo',
@@ -162,100 +400,150 @@ const DEFAULT_EXCLUDE = [
 ];
 
 /**
- * Standalone dead code scan.
- *
- * @param {string} projectPath - Absolute path to the project root
- * @param {Object} [options]
- * @param {string[]} [options.exclude] - Glob patterns to exclude
- * @param {number}  [options.workers] - Max parallel parse workers
- * @param {Function} [options.onProgress] - Progress callback ({ phase, message })
- * @returns {Promise<Object>} Result with both legacy-compatible and full-scanner fields
+ * Resolve the discovery scope for a scan: config excludes extend the built-in
+ * list unless deadCode.excludeDefaults is false; explicit options win.
+ * @returns {{ exclude: string[], include: string[]|undefined }}
  */
-export async function scanDeadCode(projectPath, options = {}) {
-  const { exclude = DEFAULT_EXCLUDE, onProgress = () => {} } = options;
-  const t0 = Date.now();
+export function resolveScanScope(options = {}) {
+  const deadCodeConfig = options.config?.deadCode || {};
+  const exclude = options.exclude || [
+    ...(deadCodeConfig.excludeDefaults === false ? [] : DEFAULT_EXCLUDE),
+    ...(deadCodeConfig.exclude || [])
+  ];
+  const include = options.include?.length ? options.include
+    : deadCodeConfig.include?.length ? deadCodeConfig.include
+    : undefined;
+  return { exclude, include };
+}
 
-  // Phase 1: Search — discover files, structure, languages
-  onProgress({ phase: 'search', message: 'Discovering files...' });
-  const files = await discoverFiles(projectPath, { exclude });
+/**
+ * Parse a discovered file set — JS/TS through the JavaScript parser, every
+ * other supported language through the parser registry. Files that time out
+ * (timeoutMs, 0 for none), crash their worker or throw come back
+ * with a `parseFailure` marker instead of being dropped.
+ * @returns {Promise<{ jsAnalysis: Array, otherLangAnalysis: Array }>}
+ */
+export async function parseFileSet(files, { cache = null, onProgress = () => {}, signal = null, timeoutMs = DEFAULT_PARSE_TIMEOUT_MS } = {}) {
   const categorised = categoriseFiles(files);
-  const totalFiles = files.length;
-  onProgress({ phase: 'search', message: `${totalFiles} files discovered` });
+  const guard = { signal, timeoutMs };
 
   // Phase 2: Scan — parse files, extract imports/exports/functions
   onProgress({ phase: 'scan', message: `Parsing ${categorised.javascript.length} JS/TS files...` });
   const jsFiles = categorised.javascript;
-  let jsAnalysis;
-  if (jsFiles.length > CHUNK_THRESHOLD) {
-    // B3: Chunked parse for truly massive repos
-    jsAnalysis = await chunkedParse(jsFiles, 'javascript', onProgress);
-  } else {
-    const jsParallel = parallelParse(jsFiles, 'javascript');
-    if (jsParallel) {
-      jsAnalysis = await jsParallel;
-    } else {
-      jsAnalysis = [];
-      for (const file of jsFiles) {
-        jsAnalysis.push(await parseJavaScript(file));
-      }
-    }
-  }
+  const jsAnalysis = await cachedParse(jsFiles, 'javascript', cache, onProgress, guard);
   onProgress({ phase: 'scan', message: `Parsed ${jsAnalysis.length} JS/TS files` });
 
   // Phase 3: Scan — parse other languages
-  const otherLangFiles = [
-    ...categorised.python || [],
-    ...categorised.java || [],
-    ...categorised.kotlin || [],
-    ...categorised.csharp || [],
-    ...categorised.go || [],
-    ...categorised.rust || [],
-    ...categorised.php || [],
-    ...categorised.ruby || [],
-    ...categorised.swift || [],
-    ...categorised.dart || [],
-    ...categorised.scala || [],
-    ...categorised.elixir || [],
-    ...categorised.haskell || [],
-    ...categorised.fsharp || [],
-    ...categorised.ocaml || [],
-    ...categorised.julia || [],
-    ...categorised.zig || [],
-    ...categorised.nim || [],
-    ...categorised.erlang || [],
-    ...categorised.crystal || [],
-    ...categorised.vlang || [],
-    ...categorised.perl || [],
-    ...categorised.clojure || [],
-    ...categorised.vbnet || []
-  ];
+  const otherLangFiles = OTHER_LANGUAGES.flatMap(lang => categorised[lang] || []);
   const otherLangAnalysis = [];
   if (otherLangFiles.length > 0) {
     onProgress({ phase: 'scan', message: `Parsing ${otherLangFiles.length} other-language files...` });
-    if (otherLangFiles.length > CHUNK_THRESHOLD) {
-      // B3: Chunked parse for large non-JS repos
-      otherLangAnalysis.push(...await chunkedParse(otherLangFiles, 'other', onProgress));
-    } else {
-      const otherParallel = parallelParse(otherLangFiles, 'other');
-      if (otherParallel) {
-        otherLangAnalysis.push(...await otherParallel);
-      } else {
-        for (const file of otherLangFiles) {
-          try {
-            const parsed = await parseFile(file);
-            if (parsed) otherLangAnalysis.push(parsed);
-          } catch { /* skip */ }
-        }
-      }
-    }
+    otherLangAnalysis.push(...await cachedParse(otherLangFiles, 'other', cache, onProgress, guard));
     onProgress({ phase: 'scan', message: `Parsed ${otherLangAnalysis.length} other-language files` });
   }
 
+  return { jsAnalysis, otherLangAnalysis };
+}
+
+/**
+ * --low-memory counterpart of parseFileSet: parse results are spilled to disk
+ * chunk by chunk and the import graph is built from the spilled edges. The
+ * results are read back without their functions and classes, which load from
+ * the spill per file as analysis reaches them (see ParseSpill.read). Workers
+ * are capped at LOW_MEMORY_MAX_WORKERS with a heap limit derived from the
+ * budget.
+ * @returns {Promise<{ jsAnalysis: Array, otherLangAnalysis: Array, importGraph: Object, spill: ParseSpill }>}
+ *   The caller disposes of spill once analysis is done.
+ */
+async function parseLowMemory(projectPath, files, { onProgress, signal, timeoutMs, monitor }) {
+  const categorised = categoriseFiles(files);
+  const guard = {
+    signal,
+    timeoutMs,
+    maxWorkers: Math.min(DEFAULT_WORKER_COUNT, LOW_MEMORY_MAX_WORKERS),
+    workerHeapMb: Math.max(256, Math.floor(monitor.budgetMb / 4))
+  };
+
+  const spill = await ParseSpill.open(projectPath);
+  try {
+    onProgress({ phase: 'scan', message: `Low-memory mode: spilling parse results to disk (budget ${monitor.budgetMb} MB)` });
+    await spillParse(categorised.javascript, 'javascript', spill, onProgress, guard, monitor);
+    const otherLangFiles = OTHER_LANGUAGES.flatMap(lang => categorised[lang] || []);
+    await spillParse(otherLangFiles, 'other', spill, onProgress, guard, monitor);
+
+    await checkpoint(signal, 'analyse');
+    onProgress({ phase: 'analyse', message: `Building import graph from ${spill.segments.length} spill segments...` });
+    const importGraph = spill.importGraph();
+    return {
+      importGraph,
+      jsAnalysis: spill.read('javascript'),
+      otherLangAnalysis: spill.read('other'),
+      spill
+    };
+  } catch (err) {
+    spill.dispose();
+    throw err;
+  }
+}
+
+/**
+ * Legacy-compatible deadFiles entry for a fully dead file or unused partial
+ */
+export function toDeadFileEntry(f) {
+  return {
+    file: f.file,
+    size: f.sizeBytes || f.size || 0,
+    lines: f.lineCount || f.lines || 0,
+    language: f.language || detectLanguage(f.file),
+    exports: (f.exports || []).map(e => typeof e === 'string' ? { name: e, type: 'unknown' } : e),
+    verdict: f.verdict || null,
+    cwe: f.cwe || 'CWE-561',
+    evidence: f.evidence || null,
+    ...(f.island && { island: f.island }),
+    ...(f.packageName && { packageName: f.packageName })
+  };
+}
+
+/**
+ * Tag findings with the name of the workspace package their file is in
+ * @param {Array} findings - Findings with a project-relative `file`
+ * @param {Object} [workspace] - deadCode.workspace ({ packages: [{ name, dir }] })
+ */
+function tagPackages(findings, workspace) {
+  const packages = workspace?.packages || [];
+  for (const finding of findings) {
+    const pkg = packages.find(p => p.dir && finding.file.startsWith(p.dir + '/'));
+    if (pkg) finding.packageName = pkg.name;
+  }
+}
+
+/**
+ * Run reachability over already-parsed files and assemble the scan result.
+ * Shared by scanDeadCode and watch mode, which keeps parse results in memory.
+ *
+ * @param {string} projectPath - Absolute path to the project root
+ * @param {Object} parsed
+ * @param {Array} parsed.files - Discovered files ({ path, relativePath, ... })
+ * @param {Array} parsed.jsAnalysis - JS/TS parse results
+ * @param {Array} parsed.otherLangAnalysis - Other-language parse results
+ * @param {Object} [parsed.importGraph] - Prebuilt import graph (built from jsAnalysis when omitted)
+ * @param {Object} [config] - Merged swynx config
+ * @param {Function} [onProgress] - Progress callback ({ phase, message })
+ * @param {AbortSignal} [signal] - Checked before each analysis step
+ * @returns {Promise<Object>} Scan result (without elapsed/cache metadata)
+ */
+export async function analyseParsedFiles(projectPath, { files, jsAnalysis, otherLangAnalysis, importGraph = null }, config = {}, onProgress = () => {}, signal = null) {
+  const totalFiles = files.length;
+
   // Phase 4: Analyse — build import graph, BFS reachability
-  onProgress({ phase: 'analyse', message: 'Building import graph...' });
-  const importGraph = await analyseImports(jsAnalysis);
+  await checkpoint(signal, 'analyse');
+  if (!importGraph) {
+    onProgress({ phase: 'analyse', message: 'Building import graph...' });
+    importGraph = await analyseImports(jsAnalysis);
+  }
 
   // Phase 5: Analyse — detect dead code
+  await checkpoint(signal, 'analyse');
   onProgress({ phase: 'analyse', message: 'Detecting dead code...' });
   let packageJson = {};
   try {
@@ -263,28 +551,61 @@ export async function scanDeadCode(projectPath, options = {}) {
   } catch { /* no package.json */ }
 
   const allCodeAnalysis = [...jsAnalysis, ...otherLangAnalysis];
-  const deadCode = await findDeadCode(allCodeAnalysis, importGraph, projectPath, packageJson, {});
+  const deadCode = await findDeadCode(allCodeAnalysis, importGraph, projectPath, packageJson, config, () => {}, signal);
+
+  // Files that could not be parsed (or read) — listed so a missing import edge is never silent
+  const parseFailures = allCodeAnalysis
+    .filter(a => a.parseFailure || (a.error && a.parseMethod === 'none'))
+    .map(a => ({
+      file: a.file.relativePath,
+      reason: a.parseFailure?.reason || 'error',
+      message: a.parseFailure?.message || a.error,
+      fallback: a.parseMethod === 'regex-fallback' ? 'regex-imports' : 'none'
+    }))
+    .sort((a, b) => a.file.localeCompare(b.file));
+
+  // Files the style, env and translation checks treat as dead
+  const deadPaths = new Set((deadCode.fullyDeadFiles || []).map(f => f.file));
+
+  // Stylesheets are not in the import graph: partials and selectors are
+  // checked against the live code and markup found above
+  let styles = { unusedPartials: [], unusedSelectors: [] };
+  if (config.unusedSelectors !== false && config.deadCode?.unusedSelectors !== false) {
+    await checkpoint(signal, 'analyse');
+    onProgress({ phase: 'analyse', message: 'Checking stylesheets...' });
+    styles = await findUnusedStyles(projectPath, files, { jsAnalysis, deadFiles: deadPaths, config });
+    tagPackages([...styles.unusedPartials, ...styles.unusedSelectors], deadCode.workspace);
+  }
+
+  // Environment variables are defined outside the parsed code (.env files,
+  // compose, Helm, Kubernetes) and read through envReads of every language
+  let env = { unusedEnvVars: [], undefinedEnvVars: [] };
+  if (config.unusedEnvVars !== false && config.deadCode?.unusedEnvVars !== false) {
+    await checkpoint(signal, 'analyse');
+    onProgress({ phase: 'analyse', message: 'Checking environment variables...' });
+    env = await findEnvIssues(projectPath, allCodeAnalysis, { deadFiles: deadPaths, ignore: resolveScanScope({ config }).exclude, config });
+    tagPackages([...env.unusedEnvVars, ...env.undefinedEnvVars], deadCode.workspace);
+  }
+
+  // Locale catalogs are checked against the t() / $t() / <FormattedMessage>
+  // lookups of the parsed JS/TS/Vue files
+  let i18n = { unusedTranslationKeys: [], missingTranslationKeys: [] };
+  if (config.unusedTranslationKeys !== false && config.deadCode?.unusedTranslationKeys !== false) {
+    await checkpoint(signal, 'analyse');
+    onProgress({ phase: 'analyse', message: 'Checking translation keys...' });
+    i18n = await findTranslationIssues(projectPath, files, { jsAnalysis, deadFiles: deadPaths, config });
+    tagPackages([...i18n.unusedTranslationKeys, ...i18n.missingTranslationKeys], deadCode.workspace);
+  }
 
   // Phase 6: Document — assemble evidence trail per verdict
   onProgress({ phase: 'document', message: 'Assembling evidence trails...' });
 
-  const elapsed = ((Date.now() - t0) / 1000).toFixed(1);
-  onProgress({ phase: 'done', message: `Done in ${elapsed}s` });
-
   // Build legacy-compatible deadFiles array — only fully dead files for CLI/CI reporting
   // Partially-dead files (with some unused exports) are available separately for dashboard detail
   const deadFiles = [
-    ...(deadCode.fullyDeadFiles || [])
-  ].map(f => ({
-    file: f.file,
-    size: f.sizeBytes || f.size || 0,
-    lines: f.lineCount || f.lines || 0,
-    language: f.language || detectLanguage(f.file),
-    exports: (f.exports || []).map(e => typeof e === 'string' ? { name: e, type: 'unknown' } : e),
-    verdict: f.verdict || null,
-    cwe: f.cwe || 'CWE-561',
-    evidence: f.evidence || null
-  }));
+    ...(deadCode.fullyDeadFiles || []),
+    ...styles.unusedPartials
+  ].map(toDeadFileEntry);
 
   // Sort by size descending
   deadFiles.sort((a, b) => b.size - a.size);
@@ -304,10 +625,12 @@ export async function scanDeadCode(projectPath, options = {}) {
   const totalDeadBytes = deadFiles.reduce((sum, f) => sum + f.size, 0);
 
   return {
-    // Legacy-compatible fields (used by toReporterShape in cli.mjs and scan-all-repos.mjs)
+    // Legacy-compatible fields (used by toScanResult in api/result.mjs and scan-all-repos.mjs)
     deadFiles,
     entryPoints: deadCode.entryPoints || [],
     summary: {
+      // Detector totals (totalDeadExports, filesWithDeadCode, ...) for the full scanner's cost and waste figures
+      ...deadCode.summary,
       totalFiles,
       entryPoints: (deadCode.entryPoints || []).length,
       reachableFiles: totalFiles - deadCount - (deadCode.entryPoints || []).length,
@@ -315,6 +638,25 @@ export async function scanDeadCode(projectPath, options = {}) {
       deadRate: `${deadRate}%`,
       totalDeadBytes,
       deadFunctions: (deadCode.deadFunctions || []).length,
+      unreachableCode: (deadCode.unreachableCode || []).length,
+      deadMembers: (deadCode.deadMembers || []).length,
+      unusedTypes: (deadCode.unusedTypes || []).length,
+      unusedDependencies: (deadCode.unusedDependencies || []).length,
+      missingDependencies: (deadCode.missingDependencies || []).length,
+      deadIslands: deadCode.summary?.totalDeadIslands || 0,
+      unconstrainedDynamicImports: (deadCode.unconstrainedDynamicImports || []).length,
+      unusedPackages: (deadCode.unusedPackages || []).length,
+      testOnlyFiles: (deadCode.testOnlyFiles || []).length,
+      testOnlyExports: (deadCode.testOnlyExports || []).length,
+      unreachableFromPublicApi: (deadCode.unreachableFromPublicApi || []).length,
+      undocumentedExports: (deadCode.undocumentedExports || []).length,
+      missingPackageFiles: (deadCode.missingPackageFiles || []).length,
+      unusedSelectors: styles.unusedSelectors.length,
+      unusedEnvVars: env.unusedEnvVars.length,
+      undefinedEnvVars: env.undefinedEnvVars.length,
+      unusedTranslationKeys: i18n.unusedTranslationKeys.length,
+      missingTranslationKeys: i18n.missingTranslationKeys.length,
+      parseFailures: parseFailures.length,
       languages
     },
 
@@ -322,11 +664,137 @@ export async function scanDeadCode(projectPath, options = {}) {
     fullyDeadFiles: deadCode.fullyDeadFiles || [],
     partiallyDeadFiles: deadCode.partiallyDeadFiles || [],
     deadFunctions: deadCode.deadFunctions || [],
+    unreachableCode: deadCode.unreachableCode || [],
+    deadMembers: deadCode.deadMembers || [],
+    unusedTypes: deadCode.unusedTypes || [],
+    unusedDependencies: deadCode.unusedDependencies || [],
+    missingDependencies: deadCode.missingDependencies || [],
+    deadIslands: deadCode.deadIslands || [],
+    dynamicImports: deadCode.dynamicImports || [],
+    unconstrainedDynamicImports: deadCode.unconstrainedDynamicImports || [],
+    ...(deadCode.workspace && { workspace: deadCode.workspace }),
+    unusedPackages: deadCode.unusedPackages || [],
+    testOnlyFiles: deadCode.testOnlyFiles || [],
+    testOnlyExports: deadCode.testOnlyExports || [],
+    ...(deadCode.library && { library: deadCode.library }),
+    unreachableFromPublicApi: deadCode.unreachableFromPublicApi || [],
+    undocumentedExports: deadCode.undocumentedExports || [],
+    missingPackageFiles: deadCode.missingPackageFiles || [],
+    unusedSelectors: styles.unusedSelectors,
+    unusedEnvVars: env.unusedEnvVars,
+    undefinedEnvVars: env.undefinedEnvVars,
+    unusedTranslationKeys: i18n.unusedTranslationKeys,
+    missingTranslationKeys: i18n.missingTranslationKeys,
+    parseFailures,
+    ...(deadCode.reachabilityTrace && { reachabilityTrace: deadCode.reachabilityTrace }),
     skippedDynamic: deadCode.skippedDynamic || [],
     excludedGenerated: deadCode.excludedGenerated || [],
 
+    totalFiles
+  };
+}
+
+/**
+ * Open the parse cache for a project (null when caching is disabled)
+ */
+export function openParseCache(projectPath, enabled = true) {
+  if (!enabled) return null;
+  return new CacheManager(projectPath, {
+    fingerprint: hashDirectories(CACHE_FINGERPRINT_DIRS, ['.mjs', '.json'])
+  }).load();
+}
+
+/**
+ * Persist the parse cache after a parse pass, dropping entries for files
+ * that no longer exist.
+ */
+export function saveParseCache(cache, files, onProgress = () => {}) {
+  if (!cache) return;
+  cache.prune(files.map(f => f.relativePath));
+  try {
+    cache.save();
+  } catch (err) {
+    onProgress({ phase: 'scan', message: `Could not write parse cache: ${err.message}` });
+  }
+  const { hits, misses } = cache.stats();
+  onProgress({ phase: 'scan', message: `Parse cache: ${hits} hits, ${misses} misses` });
+}
+
+/**
+ * Standalone dead code scan.
+ *
+ * @param {string} projectPath - Absolute path to the project root
+ * @param {Object} [options]
+ * @param {Object}  [options.config] - Merged swynx config (see config/index.mjs loadConfig)
+ * @param {string[]} [options.exclude] - Glob patterns to exclude (replaces the resolved exclude list)
+ * @param {string[]} [options.include] - Glob patterns to include (default: config.deadCode.include or everything)
+ * @param {number}  [options.workers] - Max parallel parse workers
+ * @param {boolean} [options.cache=true] - Reuse parse results from .swynx-cache/ for unchanged files
+ * @param {boolean} [options.trace=false] - Record reachability roots and edges as result.reachabilityTrace (for `swynx why`)
+ * @param {boolean} [options.keepParsed=false] - Keep the parse results as result.parsed ({ jsAnalysis, otherLangAnalysis }), for `swynx impact`;
+ *   overrides config.deadCode.lowMemory
+ * @param {Function} [options.onProgress] - Progress callback ({ phase, message })
+ * @param {AbortSignal} [options.signal] - Aborting stops parse workers and returns a cancelled result
+ * @returns {Promise<Object>} Result with both legacy-compatible and full-scanner fields,
+ *   or { cancelled: true, phase, elapsed } when the signal fired first. With
+ *   config.deadCode.lowMemory, summary.memory holds { budgetMb, peakRssMb, withinBudget }.
+ */
+export async function scanDeadCode(projectPath, options = {}) {
+  const { config = {}, cache: useCache = true, trace = false, keepParsed = false, onProgress = () => {}, signal = null } = options;
+  const t0 = Date.now();
+
+  const { exclude, include } = resolveScanScope(options);
+  // keepParsed holds every parse result after the scan, which low-memory mode exists to avoid
+  const lowMemory = config.deadCode?.lowMemory === true && !keepParsed;
+  const monitor = lowMemory ? createMemoryMonitor(config.deadCode.memoryBudget) : null;
+  // The parse cache keeps every result in memory, so low-memory scans go without it
+  const cache = openParseCache(projectPath, useCache && !lowMemory);
+
+  let result;
+  try {
+    // Phase 1: Search — discover files, structure, languages
+    throwIfCancelled(signal, 'search');
+    onProgress({ phase: 'search', message: 'Discovering files...' });
+    const files = await discoverFiles(projectPath, { exclude, include });
+    onProgress({ phase: 'search', message: `${files.length} files discovered` });
+
+    const timeoutMs = config.deadCode?.parseTimeout;
+    const { spill, ...parsed } = lowMemory
+      ? await parseLowMemory(projectPath, files, { onProgress, signal, timeoutMs, monitor })
+      : await parseFileSet(files, { cache, onProgress, signal, timeoutMs });
+    saveParseCache(cache, files, onProgress);
+
+    const analysisConfig = trace ? { ...config, traceReachability: true } : config;
+    try {
+      result = await analyseParsedFiles(projectPath, { files, ...parsed }, analysisConfig, onProgress, signal);
+    } finally {
+      spill?.dispose();
+    }
+    if (keepParsed) {
+      result.parsed = { jsAnalysis: parsed.jsAnalysis, otherLangAnalysis: parsed.otherLangAnalysis };
+    }
+  } catch (err) {
+    monitor?.stop();
+    if (!(err instanceof ScanCancelledError)) throw err;
+    const elapsed = ((Date.now() - t0) / 1000).toFixed(1);
+    onProgress({ phase: 'done', message: `Cancelled during ${err.phase} after ${elapsed}s` });
+    return { cancelled: true, phase: err.phase, elapsed };
+  }
+
+  if (monitor) {
+    const memory = monitor.stop();
+    result.summary.memory = memory;
+    onProgress({ phase: 'done', message: `Peak RSS ${memory.peakRssMb} MB (budget ${memory.budgetMb} MB)` });
+  }
+
+  const elapsed = ((Date.now() - t0) / 1000).toFixed(1);
+  onProgress({ phase: 'done', message: `Done in ${elapsed}s` });
+
+  return {
+    ...result,
+
     // Metadata
     elapsed,
-    totalFiles
+    cache: cache ? cache.stats() : null
   };
 }
@@ -0,0 +1,350 @@
+// src/scanner/watch.mjs
+// Watch mode — keeps the parsed file set and reachable set in memory,
+// re-parses only files that change, and re-walks the import graph only when a
+// change can affect it. Entry point detection (a full analysis) re-runs only
+// for changes that can add entry points: new files, decorators, config files.
+
+import { relative, sep } from 'path';
+import { watch } from 'chokidar';
+import { discoverFiles } from './discovery.mjs';
+import {
+  resolveScanScope,
+  parseFileSet,
+  analyseParsedFiles,
+  openParseCache,
+  saveParseCache,
+  toDeadFileEntry
+} from './scan-dead-code.mjs';
+import { buildReachableFiles, isCodeFile, resetProjectCaches } from './analysers/deadcode.mjs';
+
+const DEFAULT_DEBOUNCE_MS = 250;
+
+// Directories never worth watching, whatever the exclude list says
+const IGNORED_DIRS = /(^|[/\\])(node_modules|\.git|\.swynx-cache|\.swynx-quarantine|\.swynx)([/\\]|$)/;
+
+// Files that are not scanned but steer entry points, aliases or the config
+const CONFIG_FILES = /(^|\/)(package\.json|[jt]sconfig(\.[^/]*)?\.json)$/;
+// Project config files loadProjectConfig reads (project root only)
+const SWYNX_CONFIG_FILES = /^(\.swynx\.json|swynx\.config\.(json|js|mjs)|\.swynxrc\.json|\.swynx\.js)$/;
+
+/**
+ * Test for the directories the exclude list drops whole, anywhere or from
+ * the root (patterns ending in a directory and a globstar), so chokidar
+ * doesn't watch what is never scanned. Other patterns are left to discovery.
+ */
+function excludedDirs(exclude) {
+  const anywhere = [];
+  const rooted = [];
+  for (const pattern of exclude) {
+    const match = pattern.match(/^(\*\*\/)?([^*?{}[\]!]+)\/\*\*$/);
+    if (match) (match[1] ? anywhere : rooted).push(match[2]);
+  }
+  return (rel) => anywhere.some(dir => `/${rel}/`.includes(`/${dir}/`)) ||
+    rooted.some(dir => rel === dir || rel.startsWith(`${dir}/`));
+}
+
+/**
+ * The parts of a parse result that form import graph edges. When only these
+ * change, re-walking the graph from the known entry points is enough.
+ */
+function importSignature(analysis) {
+  if (!analysis) return null;
+  return JSON.stringify([
+    (analysis.imports || []).map(i => [i.module, i.type, (i.specifiers || []).map(s => s.name)]),
+    (analysis.exports || []).map(e => [e.name, e.type, e.sourceModule || null])
+  ]);
+}
+
+/**
+ * The parts of a parse result entry point detection reads beyond its path.
+ * A change here can make or unmake an entry point, so it needs a full analysis.
+ */
+function entrySignature(analysis) {
+  if (!analysis) return null;
+  return JSON.stringify([
+    (analysis.classes || []).map(c => [c.name, (c.decorators || []).map(d => d.name)]),
+    analysis.metadata || null
+  ]);
+}
+
+function deadFileSet(result) {
+  return new Set((result.deadFiles || []).map(f => f.file));
+}
+
+/**
+ * Apply a reachability change to the last full result: drop dead files that
+ * are reachable again or deleted, add the ones that became unreachable, and
+ * recount the file totals. Findings below file level (functions, exports,
+ * members) and the evidence of new dead files wait for the next full analysis.
+ */
+function patchDeadFiles(result, { becameDead, becameAlive, removed, totalFiles }) {
+  const drop = new Set([...becameAlive, ...removed]);
+  const deadFiles = [
+    ...result.deadFiles.filter(f => !drop.has(f.file)),
+    ...becameDead.map(({ file, analysis }) => toDeadFileEntry({
+      file: file.relativePath,
+      size: file.size || analysis?.size || 0,
+      lines: analysis?.lines || 0,
+      exports: (analysis?.exports || []).map(e => ({ name: e.name, type: e.type || 'unknown' })),
+      verdict: 'unreachable'
+    }))
+  ].sort((a, b) => b.size - a.size);
+
+  const deadCount = deadFiles.length;
+  const entryPoints = result.entryPoints.filter(ep => !removed.includes(ep.file));
+  return {
+    ...result,
+    deadFiles,
+    fullyDeadFiles: result.fullyDeadFiles.filter(f => !drop.has(f.file)),
+    entryPoints,
+    totalFiles,
+    summary: {
+      ...result.summary,
+      totalFiles,
+      entryPoints: entryPoints.length,
+      reachableFiles: totalFiles - deadCount - entryPoints.length,
+      deadFiles: deadCount,
+      deadRate: `${totalFiles > 0 ? ((deadCount / totalFiles) * 100).toFixed(2) : '0.00'}%`,
+      totalDeadBytes: deadFiles.reduce((sum, f) => sum + f.size, 0)
+    }
+  };
+}
+
+/**
+ * Start watching a project for dead code changes.
+ *
+ * The initial scan is a normal full scan. After that, each batch of file
+ * events (debounced) re-parses just the touched files and writes them back to
+ * the parse cache. When only import/export edges changed, or files were
+ * deleted, reachability is re-walked from the known entry points with
+ * buildReachableFiles and the dead file list is patched. New files, changed
+ * decorators and edits to package.json, tsconfig or the swynx config can move
+ * entry points, so those re-run the full analysis.
+ *
+ * @param {string} projectPath - Absolute path to the project root
+ * @param {Object} [options]
+ * @param {Object}  [options.config] - Merged swynx config
+ * @param {Function} [options.loadConfig] - Returns the merged config again; called when a swynx
+ *   config file changes (without it the config given at start is kept)
+ * @param {string[]} [options.exclude] - Glob patterns to exclude
+ * @param {string[]} [options.include] - Glob patterns to include
+ * @param {boolean} [options.cache=true] - Read and update .swynx-cache/ as files are parsed
+ * @param {number}  [options.debounceMs=250] - Quiet period before a batch is processed
+ * @param {Function} [options.onProgress] - Progress callback ({ phase, message })
+ * @param {Function} [options.onUpdate] - Called with { type: 'ready' | 'update' | 'error', ... }
+ * @returns {Promise<{ close: Function, getResult: Function }>}
+ */
+export async function watchDeadCode(projectPath, options = {}) {
+  const {
+    cache: useCache = true,
+    loadConfig = null,
+    debounceMs = DEFAULT_DEBOUNCE_MS,
+    onProgress = () => {},
+    onUpdate = () => {}
+  } = options;
+  let config = options.config || {};
+  let { exclude, include } = resolveScanScope(options);
+  let isExcludedDir = excludedDirs(exclude);
+
+  // ── Initial full scan ──────────────────────────────────────────────────────
+  const t0 = Date.now();
+  const cache = openParseCache(projectPath, useCache);
+  const discovered = await discoverFiles(projectPath, { exclude, include });
+  const parsed = await parseFileSet(discovered, { cache, onProgress, timeoutMs: config.deadCode?.parseTimeout });
+  saveParseCache(cache, discovered, onProgress);
+
+  const files = new Map(discovered.map(f => [f.relativePath, f]));
+  const jsAnalysis = new Map(parsed.jsAnalysis.map(a => [a.file.relativePath, a]));
+  const otherAnalysis = new Map(parsed.otherLangAnalysis.map(a => [a.file.relativePath, a]));
+
+  // Entry points and the files reachable from them, as of the last full analysis
+  // plus any incremental walks since
+  let entryFiles = new Set();
+  let reachable = new Set();
+  const walk = () => buildReachableFiles(entryFiles, [...jsAnalysis.values(), ...otherAnalysis.values()], projectPath).reachable;
+
+  const analyse = async () => {
+    const analysed = await analyseParsedFiles(projectPath, {
+      files: [...files.values()],
+      jsAnalysis: [...jsAnalysis.values()],
+      otherLangAnalysis: [...otherAnalysis.values()]
+    }, config, onProgress);
+    entryFiles = new Set(analysed.entryPoints.map(ep => ep.file));
+    reachable = walk();
+    return analysed;
+  };
+
+  let result = await analyse();
+  let dead = deadFileSet(result);
+  onUpdate({ type: 'ready', result, elapsed: Date.now() - t0 });
+
+  // ── Incremental updates ───────────────────────────────────────────────────
+  const pending = new Map();  // relativePath → 'add' | 'change' | 'unlink'
+  let timer = null;
+  let running = Promise.resolve();
+
+  async function processBatch(batch) {
+    const started = Date.now();
+    const changedFiles = [...batch.keys()];
+    let fullAnalysis = changedFiles.some(rel => CONFIG_FILES.test(rel) || SWYNX_CONFIG_FILES.test(rel));
+    let structural = false;
+
+    if (fullAnalysis) {
+      // Aliases, nested packages and workspaces are cached per project path
+      resetProjectCaches();
+    }
+    if (loadConfig && changedFiles.some(rel => SWYNX_CONFIG_FILES.test(rel))) {
+      config = await loadConfig();
+      ({ exclude, include } = resolveScanScope({ ...options, config }));
+      isExcludedDir = excludedDirs(exclude);
+      // Pick up directories the old exclude list kept chokidar out of
+      watcher.add(projectPath);
+    }
+
+    // New files only count if they fall inside the scan scope (include/exclude);
+    // after a config change the scope itself may have moved
+    const added = [...batch].filter(([, event]) => event === 'add').map(([rel]) => rel);
+    let inScope = null;
+    if (added.length > 0 || fullAnalysis) {
+      inScope = new Map((await discoverFiles(projectPath, { exclude, include })).map(f => [f.relativePath, f]));
+    }
+
+    const toParse = [];
+    const removed = [];
+    const forget = (rel) => {
+      files.delete(rel);
+      jsAnalysis.delete(rel);
+      otherAnalysis.delete(rel);
+      removed.push(rel);
+    };
+    for (const [rel, event] of batch) {
+      if (event === 'unlink') {
+        if (files.has(rel)) {
+          forget(rel);
+          structural = true;
+        }
+      } else if (event === 'add' && !files.has(rel)) {
+        const file = inScope?.get(rel);
+        if (!file) continue;
+        files.set(rel, file);
+        toParse.push(file);
+        fullAnalysis = true;
+      } else if (files.has(rel)) {
+        toParse.push(files.get(rel));
+      }
+    }
+    if (fullAnalysis) {
+      for (const rel of [...files.keys()]) {
+        if (!inScope.has(rel)) forget(rel);
+      }
+      for (const [rel, file] of inScope) {
+        if (!files.has(rel)) {
+          files.set(rel, file);
+          toParse.push(file);
+        }
+      }
+    }
+
+    if (toParse.length === 0 && !structural && !fullAnalysis) return;
+
+    const reparsed = await parseFileSet(toParse, { cache, timeoutMs: config.deadCode?.parseTimeout });
+    if (toParse.length > 0) saveParseCache(cache, [...files.values()]);
+    for (const [target, analyses] of [[jsAnalysis, reparsed.jsAnalysis], [otherAnalysis, reparsed.otherLangAnalysis]]) {
+      for (const analysis of analyses) {
+        const rel = analysis.file.relativePath;
+        const before = target.get(rel);
+        if (before && entrySignature(before) !== entrySignature(analysis)) {
+          fullAnalysis = true;
+        } else if (importSignature(before) !== importSignature(analysis)) {
+          structural = true;
+        }
+        target.set(rel, analysis);
+      }
+    }
+
+    if (!structural && !fullAnalysis) {
+      onUpdate({ type: 'update', changedFiles, reachabilityChanged: false, becameDead: [], becameAlive: [], removed: [], result, elapsed: Date.now() - started });
+      return;
+    }
+
+    const previous = dead;
+    if (fullAnalysis) {
+      result = await analyse();
+    } else {
+      // Same entry points (less any deleted ones): a new walk tells which files flipped
+      for (const rel of removed) entryFiles.delete(rel);
+      const before = reachable;
+      reachable = walk();
+      result = patchDeadFiles(result, {
+        // Unreachable code files become dead the way findDeadCode decides it: not
+        // an entry point, and not empty
+        becameDead: [...before]
+          .filter(rel => !reachable.has(rel) && files.has(rel) && !entryFiles.has(rel) && !dead.has(rel) && isCodeFile(rel))
+          .map(rel => ({ file: files.get(rel), analysis: jsAnalysis.get(rel) || otherAnalysis.get(rel) }))
+          .filter(({ file, analysis }) => (file.size ?? analysis?.size) !== 0),
+        becameAlive: [...dead].filter(rel => reachable.has(rel) && !before.has(rel)),
+        removed,
+        totalFiles: files.size
+      });
+    }
+    dead = deadFileSet(result);
+
+    onUpdate({
+      type: 'update',
+      changedFiles,
+      reachabilityChanged: true,
+      becameDead: [...dead].filter(f => !previous.has(f)),
+      becameAlive: [...previous].filter(f => !dead.has(f) && files.has(f)),
+      removed: [...previous].filter(f => !files.has(f)),
+      result,
+      elapsed: Date.now() - started
+    });
+  }
+
+  function flush() {
+    timer = null;
+    const batch = new Map(pending);
+    pending.clear();
+    // Serialise batches so a slow analysis never overlaps the next one
+    running = running
+      .then(() => processBatch(batch))
+      .catch(err => onUpdate({ type: 'error', error: err }));
+  }
+
+  const watcher = watch(projectPath, {
+    ignoreInitial: true,
+    ignored: (path) => {
+      const rel = relative(projectPath, path).split(sep).join('/');
+      return IGNORED_DIRS.test(rel) || isExcludedDir(rel);
+    },
+    awaitWriteFinish: { stabilityThreshold: 50, pollInterval: 10 }
+  });
+
+  const queue = (event) => (path) => {
+    const rel = relative(projectPath, path).split(sep).join('/');
+    // add followed by unlink within one batch cancels out
+    if (event === 'unlink' && pending.get(rel) === 'add' && !files.has(rel)) {
+      pending.delete(rel);
+    } else if (!(event === 'change' && pending.get(rel) === 'add')) {
+      pending.set(rel, event);
+    }
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(flush, debounceMs);
+  };
+
+  watcher.on('add', queue('add'));
+  watcher.on('change', queue('change'));
+  watcher.on('unlink', queue('unlink'));
+  watcher.on('error', err => onUpdate({ type: 'error', error: err }));
+
+  await new Promise(resolve => watcher.once('ready', resolve));
+
+  return {
+    getResult: () => result,
+    close: async () => {
+      if (timer) clearTimeout(timer);
+      await watcher.close();
+      await running;
+    }
+  };
+}
@@ -0,0 +1,221 @@
+// src/storage/spill.mjs
+// On-disk spill for parse results during --low-memory scans, using sql.js
+// like the scan history store.
+//
+// sql.js databases live entirely in WebAssembly memory, so one database per
+// parse chunk is written to its own file and closed straight away. Only one
+// segment is ever open: memory held by the spill is bounded by the chunk
+// size, not the repository size.
+//
+// Functions and classes, the bulk of a parse result, are stored apart from
+// the rest. read() returns the rest and loads them per file on first access,
+// so analysis holds one file's functions at a time rather than every file's.
+
+import initSqlJs from 'sql.js';
+import { dirname, join } from 'path';
+import { mkdirSync, readFileSync, rmdirSync, rmSync, writeFileSync } from 'fs';
+
+const SPILL_ROOT = join('.swynx-cache', 'spill');
+
+let SQL = null;
+
+const SCHEMA = `
+  CREATE TABLE results (
+    path TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    data TEXT NOT NULL,
+    detail TEXT NOT NULL
+  );
+  CREATE TABLE imports (
+    from_path TEXT NOT NULL,
+    module TEXT NOT NULL
+  );
+`;
+
+/**
+ * Drop fields of a parse result that dead code analysis never reads, and
+ * split off its functions and classes. Content is re-read from disk where
+ * it's needed, as for worker results.
+ * @returns {[Object, Object]} The result without functions and classes, and { functions, classes }
+ */
+function slim(result) {
+  const { functions, classes, ...rest } = result;
+  return [
+    { ...rest, content: null },
+    {
+      functions: functions?.map(({ params, signature, column, ...fn }) => fn),
+      classes
+    }
+  ];
+}
+
+/**
+ * Parse results spilled to disk in sql.js segments, one per parse chunk
+ */
+export class ParseSpill {
+  /**
+   * @param {string} dir - Directory holding this spill's segment files
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.segments = [];
+    this.count = 0;
+    this.open = null;   // { segment, db, stmt } of the segment details are loaded from
+    this.last = null;   // { path, detail } of the last file whose details were loaded
+  }
+
+  /**
+   * Create an empty spill under <project>/.swynx-cache/spill/
+   * @param {string} projectPath - Project root
+   */
+  static async open(projectPath) {
+    if (!SQL) {
+      SQL = await initSqlJs();
+    }
+    const dir = join(projectPath, SPILL_ROOT, String(process.pid));
+    rmSync(dir, { recursive: true, force: true });
+    mkdirSync(dir, { recursive: true });
+    return new ParseSpill(dir);
+  }
+
+  /**
+   * Write one chunk of parse results as a new segment
+   * @param {Array} results - Parse results
+   * @param {string} kind - 'javascript' or 'other'
+   */
+  write(results, kind) {
+    if (results.length === 0) return;
+    const db = new SQL.Database();
+    try {
+      db.run(SCHEMA);
+      db.run('BEGIN');
+      const insertResult = db.prepare('INSERT OR REPLACE INTO results (path, kind, data, detail) VALUES (?, ?, ?, ?)');
+      const insertImport = db.prepare('INSERT INTO imports (from_path, module) VALUES (?, ?)');
+      for (const result of results) {
+        const path = result.file?.relativePath || result.file;
+        const [data, detail] = slim(result);
+        insertResult.run([path, kind, JSON.stringify(data), JSON.stringify(detail)]);
+        for (const imp of result.imports || []) {
+          if (typeof imp.module === 'string') insertImport.run([path, imp.module]);
+        }
+      }
+      insertResult.free();
+      insertImport.free();
+      db.run('COMMIT');
+
+      const file = join(this.dir, `segment-${String(this.segments.length).padStart(4, '0')}.db`);
+      writeFileSync(file, Buffer.from(db.export()));
+      this.segments.push(file);
+      this.count += results.length;
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Run a query against each segment in turn, calling onRow for every row
+   * with the row and the segment's index
+   */
+  each(sql, params, onRow) {
+    this.segments.forEach((file, segment) => {
+      const db = new SQL.Database(readFileSync(file));
+      try {
+        const stmt = db.prepare(sql);
+        stmt.bind(params);
+        while (stmt.step()) onRow(stmt.get(), segment);
+        stmt.free();
+      } finally {
+        db.close();
+      }
+    });
+  }
+
+  /**
+   * Read back every parse result of one kind. functions and classes are
+   * getters that load the file's details from its segment, so the spill must
+   * stay open until analysis is done with the results.
+   * @param {string} kind - 'javascript' or 'other'
+   * @returns {Array}
+   */
+  read(kind) {
+    const results = [];
+    this.each('SELECT path, data FROM results WHERE kind = ?', [kind], ([path, data], segment) => {
+      const result = JSON.parse(data);
+      for (const field of ['functions', 'classes']) {
+        Object.defineProperty(result, field, {
+          get: () => this.detail(segment, path)[field],
+          enumerable: true
+        });
+      }
+      results.push(result);
+    });
+    return results;
+  }
+
+  /**
+   * Load one file's functions and classes. Analysis walks files in spill
+   * order, so the segment they come from is kept open between calls.
+   * @returns {{ functions?: Array, classes?: Array }}
+   */
+  detail(segment, path) {
+    if (this.last?.path === path) return this.last.detail;
+    if (this.open?.segment !== segment) {
+      this.close();
+      const db = new SQL.Database(readFileSync(this.segments[segment]));
+      this.open = { segment, db, stmt: db.prepare('SELECT detail FROM results WHERE path = ?') };
+    }
+    const { stmt } = this.open;
+    stmt.bind([path]);
+    const detail = stmt.step() ? JSON.parse(stmt.get()[0]) : {};
+    stmt.reset();
+    this.last = { path, detail };
+    return detail;
+  }
+
+  /**
+   * Close the segment details are loaded from
+   */
+  close() {
+    if (!this.open) return;
+    this.open.stmt.free();
+    this.open.db.close();
+    this.open = null;
+  }
+
+  /**
+   * Build the import graph from the spilled edges, in the shape analyseImports
+   * returns. Exports are not duplicated into the graph.
+   */
+  importGraph() {
+    const graph = new Map();
+    const usedPackages = new Set();
+    this.each('SELECT from_path, module FROM imports', [], ([from, module]) => {
+      if (!module.startsWith('.') && !module.startsWith('/')) {
+        usedPackages.add(module.startsWith('@')
+          ? module.split('/').slice(0, 2).join('/')
+          : module.split('/')[0]);
+      }
+      if (!graph.has(from)) {
+        graph.set(from, { imports: [], exports: [], importedBy: [] });
+      }
+      graph.get(from).imports.push(module);
+    });
+    return { graph, usedPackages, unusedExports: [], fileCount: graph.size };
+  }
+
+  /**
+   * Delete the segment files, and the spill and cache directories if that
+   * left them empty
+   */
+  dispose() {
+    this.close();
+    this.last = null;
+    rmSync(this.dir, { recursive: true, force: true });
+    this.segments = [];
+    for (const dir of [dirname(this.dir), dirname(dirname(this.dir))]) {
+      try { rmdirSync(dir); } catch { break; }
+    }
+  }
+}
+
+export default { ParseSpill };
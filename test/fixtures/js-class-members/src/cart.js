@@ -0,0 +1,17 @@
+export class Cart {
+  #items = [];
+  #neverRead = 0;
+  discount = 0;
+  staleFlag = false;
+
+  static create() { return new Cart(); }
+  static fromLegacy(data) { return Object.assign(new Cart(), data); }
+
+  add(item) { this.#items.push(item); }
+
+  get total() { return this.#items.reduce((sum, i) => sum + i.price, 0) - this.discount; }
+  get itemCount() { return this.#items.length; }
+
+  describe() { return `cart with ${this.#items.length} items`; }
+  clearAll() { this.#items = []; }
+}
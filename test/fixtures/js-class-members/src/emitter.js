@@ -0,0 +1,6 @@
+import { EventEmitter } from 'events';
+
+// Members of classes extending an external class may be called by the base
+export class Emitter extends EventEmitter {
+  _transform() { return null; }
+}
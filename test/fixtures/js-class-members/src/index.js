@@ -0,0 +1,13 @@
+import { Cart } from './cart.js';
+import { Emitter } from './emitter.js';
+import { Special } from './special.js';
+
+const cart = new Cart();
+cart.add({ price: 2 });
+console.log(cart.total, Cart.create(), new Emitter(), new Special().describe());
+
+const helpers = {
+  used() { return 1; },
+  unusedHelper() { return 2; }
+};
+console.log(helpers.used());
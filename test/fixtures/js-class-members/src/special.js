@@ -0,0 +1,5 @@
+import { Cart } from './cart.js';
+
+export class Special extends Cart {
+  describe() { return 'special ' + super.describe(); }
+}
@@ -0,0 +1,3 @@
+const { loadJob } = require('./loader');
+
+loadJob(process.argv[2]);
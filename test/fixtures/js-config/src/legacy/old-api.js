@@ -0,0 +1,3 @@
+module.exports = function oldApi() {
+  return 'deprecated';
+};
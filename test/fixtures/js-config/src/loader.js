@@ -0,0 +1,7 @@
+const path = require('path');
+
+function loadJob(name) {
+  return require(path.join(__dirname, 'jobs', name));
+}
+
+module.exports = { loadJob };
@@ -0,0 +1,3 @@
+module.exports = function orphan() {
+  return 'nobody imports me';
+};
@@ -0,0 +1,9 @@
+import express from 'express';
+import { join } from 'node:path';
+import debounce from 'lodash/debounce';
+import axios from 'axios';
+import { helper } from '@fixture/lib';
+
+export const app = express();
+
+app.get('/', debounce(() => helper(join('a', 'b'), axios), 100));
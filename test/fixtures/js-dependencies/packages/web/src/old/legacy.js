@@ -0,0 +1,4 @@
+import moment from 'moment';
+import dayjs from 'dayjs';
+
+export const when = () => moment() || dayjs();
@@ -0,0 +1,6 @@
+async function loadLocale(lang) {
+  const messages = await import(`./copy/${lang}.js`);
+  return messages.default;
+}
+
+module.exports = { loadLocale };
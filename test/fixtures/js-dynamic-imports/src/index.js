@@ -0,0 +1,14 @@
+const path = require('path');
+const { loadLocale } = require('./i18n');
+
+function loadPlugin(name) {
+  return require(path.join(__dirname, 'extras', name));
+}
+
+function loadAnything(id) {
+  return require(id);
+}
+
+const pages = import.meta.glob(['./screens/*.js', '!./screens/*.draft.js']);
+
+module.exports = { loadLocale, loadPlugin, loadAnything, pages };
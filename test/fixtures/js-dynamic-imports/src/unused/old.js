@@ -0,0 +1 @@
+module.exports = function oldHelper() { return 1; };
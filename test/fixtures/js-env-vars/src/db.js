@@ -0,0 +1,3 @@
+export function connect(url) {
+  return { url, key: process.env['API_KEY'] };
+}
@@ -0,0 +1,13 @@
+import { connect } from './db.js';
+
+const features = ['BETA'];
+
+export function start() {
+  const db = connect(process.env.DATABASE_URL);
+  const enabled = features.filter(name => process.env[`FEATURE_${name}`] === 'true');
+  const timeout = Number(process.env.TIMEOUT || 5000);
+  if (process.env.NODE_ENV !== 'production') console.log('enabled features', enabled);
+  return { db, timeout, secret: process.env.PAYMENT_SECRET };
+}
+
+start();
@@ -0,0 +1,4 @@
+// No longer imported anywhere
+export function reportError(err) {
+  return { dsn: process.env.SENTRY_DSN, release: process.env.OLD_RELEASE, err };
+}
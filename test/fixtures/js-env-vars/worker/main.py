@@ -0,0 +1,14 @@
+import os
+
+REDIS_URL = os.environ['REDIS_URL']
+LOG_LEVEL = os.getenv('LOG_LEVEL', 'info')
+CONCURRENCY = int(os.environ.get('WORKER_CONCURRENCY'))
+QUEUE = os.environ['QUEUE_NAME']
+
+
+def main():
+    print(REDIS_URL, LOG_LEVEL, CONCURRENCY, QUEUE)
+
+
+if __name__ == '__main__':
+    main()
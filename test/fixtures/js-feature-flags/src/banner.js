@@ -0,0 +1,6 @@
+import { useFlag } from './flags-client.js';
+
+export function banner() {
+  const showNew = useFlag('new-banner');
+  return showNew ? 'Welcome to the new store' : 'Welcome';
+}
@@ -0,0 +1,16 @@
+import { flags } from './flags-client.js';
+import { newCheckout } from './new-checkout.js';
+import { legacyCheckout } from './legacy/checkout.js';
+import { trialCheckout } from './trial-checkout.js';
+
+export function checkout(cart) {
+  if (flags.isEnabled('new-checkout')) {
+    return newCheckout(cart);
+  } else {
+    return legacyCheckout(cart);
+  }
+}
+
+export function trial(cart) {
+  return flags.isEnabled('trial-pricing') ? trialCheckout(cart) : checkout(cart);
+}
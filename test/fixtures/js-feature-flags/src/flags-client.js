@@ -0,0 +1,9 @@
+const enabled = new Set((process.env.FLAGS || '').split(','));
+
+export const flags = {
+  isEnabled: (key) => enabled.has(key)
+};
+
+export function useFlag(key) {
+  return enabled.has(key);
+}
@@ -0,0 +1,5 @@
+import { checkout } from './checkout.js';
+import { banner } from './banner.js';
+import { report } from './reports.js';
+
+console.log(checkout({ total: 10 }), banner(), await report());
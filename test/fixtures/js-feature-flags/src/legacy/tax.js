@@ -0,0 +1,3 @@
+export function addTax(amount) {
+  return Math.round(amount * 1.2 * 100) / 100;
+}
@@ -0,0 +1,3 @@
+export function newCheckout(cart) {
+  return { total: cart.total, flow: 'new' };
+}
@@ -0,0 +1,13 @@
+import { flags } from './flags-client.js';
+
+function renderBeta() {
+  return 'beta';
+}
+
+export async function report() {
+  if (process.env.FEATURE_SEARCH) {
+    const { search } = await import('./search.js');
+    return search('reports');
+  }
+  return flags.isEnabled('beta-reports') && renderBeta();
+}
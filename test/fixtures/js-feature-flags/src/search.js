@@ -0,0 +1,3 @@
+export function search(query) {
+  return [query];
+}
@@ -0,0 +1,3 @@
+export function trialCheckout(cart) {
+  return { total: 0, flow: 'trial', original: cart.total };
+}
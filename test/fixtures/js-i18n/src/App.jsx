@@ -0,0 +1,15 @@
+import { useTranslation } from 'react-i18next';
+import { FormattedMessage } from 'react-intl';
+import { Nav } from './components/Nav.jsx';
+
+export function App({ count, error }) {
+  const { t } = useTranslation('common');
+  return (
+    <main>
+      <Nav />
+      <p>{t('cart.items', { count })}</p>
+      <p>{t(`errors.${error}`)}</p>
+      <h1><FormattedMessage id="checkout.title" /></h1>
+    </main>
+  );
+}
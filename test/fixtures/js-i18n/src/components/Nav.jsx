@@ -0,0 +1,11 @@
+import { useTranslation } from 'react-i18next';
+
+export function Nav() {
+  const { t } = useTranslation();
+  return (
+    <nav>
+      <a href="/">{t('common:nav.home')}</a>
+      <a href="/settings">{t('nav.settings')}</a>
+    </nav>
+  );
+}
@@ -0,0 +1,4 @@
+import { b } from './b.js';
+import { c } from './admin/c.js';
+
+export const a = b + c;
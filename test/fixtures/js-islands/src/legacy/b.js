@@ -0,0 +1,3 @@
+import { c } from './admin/c.js';
+
+export const b = c * 2;
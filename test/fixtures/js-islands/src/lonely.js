@@ -0,0 +1 @@
+export const lonely = 3;
@@ -0,0 +1,4 @@
+export const VERSION = '1.0.0';
+
+/** Default request timeout, in milliseconds. */
+export const TIMEOUT = 5000;
@@ -0,0 +1,12 @@
+import { pad } from './internal/pad.js';
+
+/**
+ * Format a value for display.
+ */
+export function format(value) {
+  return pad(String(value));
+}
+
+export function trimAll(value) {
+  return String(value).trim();
+}
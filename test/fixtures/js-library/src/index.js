@@ -0,0 +1,9 @@
+/**
+ * Create a client with default formatting.
+ */
+export function createClient() {
+  return { name: format('client') };
+}
+
+export { format } from './format.js';
+export * from './constants.js';
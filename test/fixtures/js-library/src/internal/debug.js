@@ -0,0 +1,3 @@
+export function debug(value) {
+  console.log(JSON.stringify(value));
+}
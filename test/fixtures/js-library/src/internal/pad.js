@@ -0,0 +1,3 @@
+export function pad(value) {
+  return ` ${value} `;
+}
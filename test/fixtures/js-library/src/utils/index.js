@@ -0,0 +1,4 @@
+/**
+ * Resolve after the given number of milliseconds.
+ */
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
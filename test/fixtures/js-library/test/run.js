@@ -0,0 +1,4 @@
+import { createClient } from '../src/index.js';
+import { debug } from '../src/internal/debug.js';
+
+debug(createClient());
@@ -0,0 +1,4 @@
+import { format } from './format.js';
+
+export function render( {
+  return format('x');
@@ -0,0 +1,3 @@
+import { render } from './broken.js';
+
+render();
@@ -0,0 +1,12 @@
+import clsx from 'clsx';
+import styles from './Panel.module.css';
+
+export function App({ open, variant }) {
+  return (
+    <div className="card card--active">
+      <header className={styles.panelHeader}>Orders</header>
+      <nav className={clsx('menu', { 'is-open': open })} />
+      <button className={`btn-${variant}`}>Save</button>
+    </div>
+  );
+}
@@ -0,0 +1,4 @@
+import { App } from './App.jsx';
+import './styles/main.scss';
+
+export default App;
@@ -0,0 +1,11 @@
+// An in-memory payment gateway that records charges instead of making them
+export class FakeGateway {
+  constructor() {
+    this.charges = [];
+  }
+
+  charge(amount) {
+    this.charges.push(amount);
+    return { ok: true };
+  }
+}
@@ -0,0 +1,8 @@
+export function totalOf(lines) {
+  return lines.reduce((sum, line) => sum + line.amount, 0);
+}
+
+// Only the tests build invoices by hand
+export function makeInvoice(amounts) {
+  return amounts.map(amount => ({ amount }));
+}
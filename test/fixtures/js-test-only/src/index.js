@@ -0,0 +1,3 @@
+import { totalOf } from './billing/invoice.js';
+
+console.log(totalOf([{ amount: 12 }, { amount: 30 }]));
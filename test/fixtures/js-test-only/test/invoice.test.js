@@ -0,0 +1,10 @@
+import assert from 'node:assert';
+import { test } from 'node:test';
+import { totalOf, makeInvoice } from '../src/billing/invoice.js';
+import { FakeGateway } from '../src/billing/fake-gateway.js';
+
+test('totals an invoice', () => {
+  const gateway = new FakeGateway();
+  gateway.charge(totalOf(makeInvoice([1, 2])));
+  assert.deepStrictEqual(gateway.charges, [3]);
+});
@@ -0,0 +1,3 @@
+import { priceOf, statusLabel, retry } from './orders.js';
+
+console.log(priceOf({ total: 10 }), statusLabel('paid'), retry(() => true));
@@ -0,0 +1,43 @@
+const DEBUG = false;
+
+export function priceOf(order) {
+  if (!order) {
+    throw new Error('No order');
+    console.warn('missing order');
+  }
+  if (DEBUG) {
+    console.log('pricing', order);
+  }
+  if (process.env.LEGACY_CHECKOUT === 'on') {
+    return order.total * 1.2;
+  }
+  return order.total;
+}
+
+export function statusLabel(status) {
+  switch (status) {
+    case 'paid':
+      return 'Paid';
+    case 'open':
+      return 'Open';
+    case 'paid':
+      return 'Settled';
+    default:
+      return 'Unknown';
+  }
+}
+
+export function retry(fn) {
+  for (;;) {
+    if (fn()) return true;
+  }
+  return false;
+}
+
+// Reachable: the branch depends on a value only known at runtime
+export function discount(order) {
+  if (order.coupon) {
+    return 5;
+  }
+  return 0;
+}
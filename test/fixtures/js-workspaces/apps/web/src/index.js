@@ -0,0 +1,4 @@
+import { Button } from '@demo/ui';
+import { formatDate } from '@demo/utils/helpers/format';
+
+console.log(Button('Today'), formatDate(new Date()));
@@ -0,0 +1 @@
+export function legacyFormat(date) { return String(date); }
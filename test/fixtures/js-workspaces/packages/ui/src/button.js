@@ -0,0 +1 @@
+export function Button(label) { return '<button>' + label + '</button>'; }
@@ -0,0 +1 @@
+export function OldButton(label) { return '<input type=button value=' + label + '>'; }
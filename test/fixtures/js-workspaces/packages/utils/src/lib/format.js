@@ -0,0 +1 @@
+export function formatDate(date) { return date.toISOString().slice(0, 10); }
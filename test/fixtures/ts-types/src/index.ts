@@ -0,0 +1,7 @@
+import type { User, UserId } from './types';
+import { Status, formatUser } from './types';
+
+export function describe(id: UserId, name: string, archived: boolean): string {
+  const user: User = { id, name, status: archived ? Status.Archived : Status.Active };
+  return formatUser(user);
+}
@@ -0,0 +1,24 @@
+export interface User {
+  id: UserId;
+  name: string;
+  status: Status;
+}
+
+export interface LegacyUser {
+  uid: number;
+  fullName: string;
+}
+
+export type UserId = string;
+
+export type SortOrder = 'asc' | 'desc';
+
+export enum Status {
+  Active = 'active',
+  Archived = 'archived',
+  Pending = 'pending'
+}
+
+export function formatUser(user: User): string {
+  return `${user.name} (${user.status})`;
+}
@@ -8,15 +8,64 @@
 //   notDeadFiles       [paths]                — must NOT be reported as unused files
 //   deadFunctions      [{file, name}]         — must be reported as unused functions
 //   notDeadFunctions   [names]                — must NOT appear as unused functions
+//   unreachableCode    [{file, line, reason}] — must be reported as unreachable statements
+//   notUnreachableCode [functions]            — functions that must have no unreachable code reported
+//   deadMembers        [{file, name}]         — must be reported as unused class/object members
+//   notDeadMembers     [names]                — must NOT appear as unused members
+//   unusedTypes        [{file, name}]         — must be reported as unused types / enum members
+//   notUnusedTypes     [names]                — must NOT appear as unused types
 //   unusedExports      [{file, name}]         — must be reported as unused exports
+//   unusedDependencies [{manifest, name, verdict?}] — must be reported as unused (or dead-code-only) dependencies
+//   notUnusedDependencies [names]             — must NOT appear as unused dependencies
+//   missingDependencies [{manifest, name}]    — must be reported as imported but undeclared
 //   notUnusedExports   [names]                — must NOT appear as unused exports
+//   parseFailures      [paths]                — must be listed as files that could not be parsed
+//   deadIslands        [[paths]]              — each list must be exactly the files of one dead island
+//   unconstrainedDynamicImports [file:line]   — must be listed as dynamic imports that match no pattern
+//   unusedPackages     [names]                — must be reported as unused workspace packages
+//   notUnusedPackages  [names]                — must NOT appear as unused workspace packages
+//   unreachableFromPublicApi [paths]          — library mode: live files the public API must not reach
+//   undocumentedExports [names]               — library mode: public exports reported without a doc comment
+//   notUndocumentedExports [names]            — library mode: public exports that must NOT be reported
+//   missingPackageFiles [targets]             — library mode: package.json paths reported as missing
+//   testOnlyFiles      [paths]                — test-only mode: production files only tests reach
+//   notTestOnlyFiles   [paths]                — test-only mode: files that must NOT be reported
+//   testOnlyExports    [{file, name}]         — test-only mode: exports only tests import
+//   notTestOnlyExports [names]                — test-only mode: exports that must NOT be reported
+//   unusedSelectors    [{file, selector}]     — must be reported as unused CSS rules
+//   notUnusedSelectors [.class|#id]           — names that must NOT appear in any unused CSS rule
+//   unusedEnvVars      [{file, name, verdict?}] — must be reported as defined but never read
+//   notUnusedEnvVars   [names]                — must NOT appear as unused env vars
+//   undefinedEnvVars   [names]                — must be reported as read but never defined
+//   notUndefinedEnvVars [names]               — must NOT appear as undefined env vars
+//   unusedTranslationKeys [{file, key, verdict?}] — must be reported as catalog keys no lookup uses
+//   notUnusedTranslationKeys [keys]           — must NOT appear as unused translation keys
+//   missingTranslationKeys [{file, key}]      — must be reported as used but missing from that catalog
+//   notMissingTranslationKeys [keys]          — must NOT appear as missing translations
+//
+// Fixtures are scanned with --no-cache. Scenarios at the end (parse cache,
+// low memory, watch mode, ...) run against temporary copies of fixtures.
+// SWYNX_DATA_DIR points at a temporary directory so nothing is written to
+// the real scan history.
 
-import { execFileSync } from 'node:child_process';
-import { readdirSync, readFileSync, existsSync } from 'node:fs';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { readdirSync, readFileSync, writeFileSync, appendFileSync, existsSync, mkdirSync, mkdtempSync, cpSync, rmSync } from 'node:fs';
 import { join, dirname } from 'node:path';
+import { tmpdir } from 'node:os';
 import { fileURLToPath } from 'node:url';
+import { scanDeadCode } from '../src/scanner/scan-dead-code.mjs';
+import { watchDeadCode } from '../src/scanner/watch.mjs';
+import { findDeadCode } from '../src/scanner/analysers/deadcode.mjs';
+import { analyseImports } from '../src/scanner/analysers/imports.mjs';
+import { toScanResult } from '../src/api/result.mjs';
+import { createBaseline, applyBaseline } from '../src/reports/baseline.mjs';
+import { applyDiffScope } from '../src/reports/diff-scope.mjs';
+import { explainFile } from '../src/reports/why.mjs';
+import { simulateRemoval } from '../src/reports/impact.mjs';
 
 const root = dirname(dirname(fileURLToPath(import.meta.url)));
+const dataDir = mkdtempSync(join(tmpdir(), 'swynx-data-'));
+process.env.SWYNX_DATA_DIR = dataDir;
 const fixturesDir = join(root, 'test', 'fixtures');
 const swynxBin = join(root, 'bin', 'swynx');
 
@@ -61,11 +110,34 @@ for (const name of fixtures) {
     continue;
   }
 
-  const deadFilePaths = (result.unusedFiles || []).map(f => f.path);
-  const deadFns = result.unusedFunctions || [];
+  const aliased = ['Files', 'Functions', 'Members'].filter(k => JSON.stringify(result[`unused${k}`]) !== JSON.stringify(result[`dead${k}`] || []));
+  check(name, aliased.length === 0, `unused${aliased[0]} should repeat dead${aliased[0]} for pre-schema consumers`);
+
+  const deadFilePaths = (result.deadFiles || []).map(f => f.path);
+  const deadFns = result.deadFunctions || [];
   const deadFnNames = deadFns.map(f => f.name);
+  const deadMembers = result.deadMembers || [];
+  const deadMemberNames = deadMembers.map(m => m.name);
+  const unusedTypes = result.unusedTypes || [];
+  const unusedTypeNames = unusedTypes.map(t => t.name);
   const unusedExports = (result.unusedExports || []).flatMap(e => e.deadExports.map(x => ({ file: e.file, name: x.name })));
   const unusedExportNames = unusedExports.map(e => e.name);
+  const unusedDeps = result.unusedDependencies || [];
+  const missingDeps = result.missingDependencies || [];
+  const islandFiles = (result.deadIslands || []).map(i => [...i.files].sort().join(', '));
+  const unconstrained = (result.unconstrainedDynamicImports || []).map(d => `${d.file}:${d.line}`);
+  const unusedPackageNames = (result.unusedPackages || []).map(p => p.name);
+  const internalModules = (result.unreachableFromPublicApi || []).map(m => m.file);
+  const undocumented = (result.undocumentedExports || []).map(u => u.exportedAs);
+  const missingTargets = (result.missingPackageFiles || []).map(m => m.target);
+  const unreachable = result.unreachableCode || [];
+  const testOnlyFiles = (result.testOnlyFiles || []).map(f => f.file);
+  const testOnlyExports = result.testOnlyExports || [];
+  const unusedSelectors = result.unusedSelectors || [];
+  const unusedEnvVars = result.unusedEnvVars || [];
+  const undefinedEnvVars = (result.undefinedEnvVars || []).map(v => v.name);
+  const unusedKeys = result.unusedTranslationKeys || [];
+  const missingKeys = result.missingTranslationKeys || [];
 
   for (const path of expected.deadFiles || []) {
     check(name, deadFilePaths.includes(path), `expected dead file "${path}" not reported (got: ${JSON.stringify(deadFilePaths)})`);
@@ -80,6 +152,27 @@ for (const name of fixtures) {
   for (const fnName of expected.notDeadFunctions || []) {
     check(name, !deadFnNames.includes(fnName), `false positive: live function "${fnName}" reported dead`);
   }
+  for (const u of expected.unreachableCode || []) {
+    check(name, unreachable.some(x => x.file === u.file && x.line === u.line && (!u.reason || x.reason === u.reason)),
+      `expected unreachable code ${u.file}:${u.line}${u.reason ? ` (${u.reason})` : ''} not reported (got: ${JSON.stringify(unreachable.map(x => `${x.file}:${x.line} (${x.reason})`))})`);
+  }
+  for (const fnName of expected.notUnreachableCode || []) {
+    check(name, !unreachable.some(x => x.function === fnName), `false positive: reachable code in "${fnName}" reported unreachable`);
+  }
+  for (const member of expected.deadMembers || []) {
+    check(name, deadMembers.some(m => m.file === member.file && m.name === member.name),
+      `expected dead member ${member.file}:${member.name} not reported (got: ${JSON.stringify(deadMembers.map(m => `${m.file}:${m.name}`))})`);
+  }
+  for (const memberName of expected.notDeadMembers || []) {
+    check(name, !deadMemberNames.includes(memberName), `false positive: live member "${memberName}" reported dead`);
+  }
+  for (const type of expected.unusedTypes || []) {
+    check(name, unusedTypes.some(t => t.file === type.file && t.name === type.name),
+      `expected unused type ${type.file}:${type.name} not reported (got: ${JSON.stringify(unusedTypes.map(t => `${t.file}:${t.name}`))})`);
+  }
+  for (const typeName of expected.notUnusedTypes || []) {
+    check(name, !unusedTypeNames.includes(typeName), `false positive: used type "${typeName}" reported unused`);
+  }
   for (const exp of expected.unusedExports || []) {
     check(name, unusedExports.some(e => e.file === exp.file && e.name === exp.name),
       `expected unused export ${exp.file}:${exp.name} not reported (got: ${JSON.stringify(unusedExports)})`);
@@ -87,12 +180,511 @@ for (const name of fixtures) {
   for (const expName of expected.notUnusedExports || []) {
     check(name, !unusedExportNames.includes(expName), `false positive: live export "${expName}" reported unused`);
   }
+  const parseFailurePaths = (result.parseFailures || []).map(f => f.file);
+  for (const dep of expected.unusedDependencies || []) {
+    check(name, unusedDeps.some(d => d.manifest === dep.manifest && d.name === dep.name && (!dep.verdict || d.verdict === dep.verdict)),
+      `expected unused dependency ${dep.manifest}:${dep.name}${dep.verdict ? ` (${dep.verdict})` : ''} not reported (got: ${JSON.stringify(unusedDeps.map(d => `${d.manifest}:${d.name} (${d.verdict})`))})`);
+  }
+  for (const depName of expected.notUnusedDependencies || []) {
+    check(name, !unusedDeps.some(d => d.name === depName), `false positive: used dependency "${depName}" reported unused`);
+  }
+  for (const dep of expected.missingDependencies || []) {
+    check(name, missingDeps.some(d => d.manifest === dep.manifest && d.name === dep.name),
+      `expected missing dependency ${dep.manifest}:${dep.name} not reported (got: ${JSON.stringify(missingDeps.map(d => `${d.manifest}:${d.name}`))})`);
+  }
+  for (const path of expected.parseFailures || []) {
+    check(name, parseFailurePaths.includes(path), `expected parse failure "${path}" not reported (got: ${JSON.stringify(parseFailurePaths)})`);
+  }
+
+  for (const files of expected.deadIslands || []) {
+    const group = [...files].sort().join(', ');
+    check(name, islandFiles.includes(group), `expected dead island [${group}] not reported (got: ${JSON.stringify(islandFiles)})`);
+  }
+
+  for (const site of expected.unconstrainedDynamicImports || []) {
+    check(name, unconstrained.includes(site), `expected unconstrained dynamic import ${site} not reported (got: ${JSON.stringify(unconstrained)})`);
+  }
+
+  for (const pkgName of expected.unusedPackages || []) {
+    check(name, unusedPackageNames.includes(pkgName), `expected unused package "${pkgName}" not reported (got: ${JSON.stringify(unusedPackageNames)})`);
+  }
+  for (const pkgName of expected.notUnusedPackages || []) {
+    check(name, !unusedPackageNames.includes(pkgName), `false positive: used package "${pkgName}" reported unused`);
+  }
+
+  for (const path of expected.unreachableFromPublicApi || []) {
+    check(name, internalModules.includes(path), `expected module outside the public API "${path}" not reported (got: ${JSON.stringify(internalModules)})`);
+  }
+  for (const expName of expected.undocumentedExports || []) {
+    check(name, undocumented.includes(expName), `expected undocumented export "${expName}" not reported (got: ${JSON.stringify(undocumented)})`);
+  }
+  for (const expName of expected.notUndocumentedExports || []) {
+    check(name, !undocumented.includes(expName), `false positive: documented export "${expName}" reported undocumented`);
+  }
+  for (const target of expected.missingPackageFiles || []) {
+    check(name, missingTargets.includes(target), `expected missing package file "${target}" not reported (got: ${JSON.stringify(missingTargets)})`);
+  }
+
+  for (const path of expected.testOnlyFiles || []) {
+    check(name, testOnlyFiles.includes(path), `expected test-only file "${path}" not reported (got: ${JSON.stringify(testOnlyFiles)})`);
+  }
+  for (const path of expected.notTestOnlyFiles || []) {
+    check(name, !testOnlyFiles.includes(path), `false positive: production file "${path}" reported test-only`);
+  }
+  for (const exp of expected.testOnlyExports || []) {
+    check(name, testOnlyExports.some(e => e.file === exp.file && e.name === exp.name),
+      `expected test-only export ${exp.file}:${exp.name} not reported (got: ${JSON.stringify(testOnlyExports.map(e => `${e.file}:${e.name}`))})`);
+  }
+  for (const expName of expected.notTestOnlyExports || []) {
+    check(name, !testOnlyExports.some(e => e.name === expName), `false positive: production export "${expName}" reported test-only`);
+  }
 
+  for (const sel of expected.unusedSelectors || []) {
+    check(name, unusedSelectors.some(s => s.file === sel.file && s.selector === sel.selector),
+      `expected unused selector ${sel.file}:${sel.selector} not reported (got: ${JSON.stringify(unusedSelectors.map(s => `${s.file}:${s.selector}`))})`);
+  }
+  for (const selName of expected.notUnusedSelectors || []) {
+    check(name, !unusedSelectors.some(s => s.unused.includes(selName)), `false positive: used selector "${selName}" reported unused`);
+  }
+  for (const v of expected.unusedEnvVars || []) {
+    check(name, unusedEnvVars.some(u => u.file === v.file && u.name === v.name && (!v.verdict || u.verdict === v.verdict)),
+      `expected unused env var ${v.file}:${v.name}${v.verdict ? ` (${v.verdict})` : ''} not reported (got: ${JSON.stringify(unusedEnvVars.map(u => `${u.file}:${u.name}:${u.verdict}`))})`);
+  }
+  for (const varName of expected.notUnusedEnvVars || []) {
+    check(name, !unusedEnvVars.some(u => u.name === varName), `false positive: read env var "${varName}" reported unused`);
+  }
+  for (const varName of expected.undefinedEnvVars || []) {
+    check(name, undefinedEnvVars.includes(varName), `expected undefined env var "${varName}" not reported (got: ${JSON.stringify(undefinedEnvVars)})`);
+  }
+  for (const varName of expected.notUndefinedEnvVars || []) {
+    check(name, !undefinedEnvVars.includes(varName), `false positive: defined env var "${varName}" reported undefined`);
+  }
+  for (const k of expected.unusedTranslationKeys || []) {
+    check(name, unusedKeys.some(u => u.file === k.file && u.key === k.key && (!k.verdict || u.verdict === k.verdict)),
+      `expected unused translation key ${k.file}:${k.key}${k.verdict ? ` (${k.verdict})` : ''} not reported (got: ${JSON.stringify(unusedKeys.map(u => `${u.file}:${u.key}:${u.verdict}`))})`);
+  }
+  for (const key of expected.notUnusedTranslationKeys || []) {
+    check(name, !unusedKeys.some(u => u.key === key), `false positive: used translation key "${key}" reported unused`);
+  }
+  for (const k of expected.missingTranslationKeys || []) {
+    check(name, missingKeys.some(m => m.file === k.file && m.key === k.key),
+      `expected missing translation ${k.file}:${k.key} not reported (got: ${JSON.stringify(missingKeys.map(m => `${m.file}:${m.key}`))})`);
+  }
+  for (const key of expected.notMissingTranslationKeys || []) {
+    check(name, !missingKeys.some(m => m.key === key), `false positive: translation "${key}" reported missing`);
+  }
+
+  console.log(`  ${name}: done`);
+}
+
+// Scenarios: feature checks that edit files or run more than one scan work
+// on a temporary copy of a fixture, removed afterwards
+const scenarios = [];
+
+async function scenario(name, fixture, body) {
+  scenarios.push(name);
+  const project = mkdtempSync(join(tmpdir(), `swynx-${name}-`));
+  try {
+    cpSync(join(fixturesDir, fixture), project, { recursive: true });
+    await body(project);
+  } catch (err) {
+    check(name, false, `checks failed — ${err.message.split('\n')[0]}`);
+  } finally {
+    rmSync(project, { recursive: true, force: true });
+  }
   console.log(`  ${name}: done`);
 }
 
+// Parse cache: a second scan reuses every file, an edit re-parses only that
+// file, a parser/knowledge fingerprint change drops the cache, --no-cache
+// neither reads nor writes it
+await scenario('parse-cache', 'js-basic', async (project) => {
+  const name = 'parse-cache';
+  const cacheFile = join(project, '.swynx-cache', 'scan-cache.json');
+  const scan = () => scanDeadCode(project, { cache: true });
+
+  execFileSync(process.execPath, [swynxBin, 'scan', project, '--format', 'json', '--no-cache'], { stdio: 'ignore', timeout: 120_000 });
+  check(name, !existsSync(cacheFile), '--no-cache wrote .swynx-cache/scan-cache.json');
+
+  const first = await scan();
+  const files = first.cache?.misses ?? 0;
+  check(name, files > 0 && first.cache.hits === 0, `first scan should parse every file (got: ${JSON.stringify(first.cache)})`);
+  check(name, existsSync(cacheFile), 'first scan did not write .swynx-cache/scan-cache.json');
+
+  const second = await scan();
+  check(name, second.cache?.hits === files && second.cache.misses === 0, `second scan should reuse all ${files} files (got: ${JSON.stringify(second.cache)})`);
+  check(name, JSON.stringify(second.deadFiles) === JSON.stringify(first.deadFiles), 'cached scan reported different dead files');
+
+  appendFileSync(join(project, 'src', 'used.js'), '\nfunction addedAfterCaching() { return 1; }\n');
+  const edited = await scan();
+  check(name, edited.cache?.hits === files - 1 && edited.cache.misses === 1, `edit should re-parse only src/used.js (got: ${JSON.stringify(edited.cache)})`);
+  const editedFns = (edited.deadFunctions || []).map(f => f.name);
+  check(name, editedFns.includes('addedAfterCaching'), `re-parsed file's new function not seen (got: ${JSON.stringify(editedFns)})`);
+
+  const stored = JSON.parse(readFileSync(cacheFile, 'utf-8'));
+  writeFileSync(cacheFile, JSON.stringify({ ...stored, fingerprint: 'stale-parser' }));
+  const refingerprinted = await scan();
+  check(name, refingerprinted.cache?.hits === 0 && refingerprinted.cache.misses === files, `fingerprint change should drop the cache (got: ${JSON.stringify(refingerprinted.cache)})`);
+});
+
+// Low memory: functions and classes load from the spill per file, the
+// findings must be exactly those of an in-memory scan, and a larger scan
+// stays within a small memory budget
+await scenario('low-memory', 'js-class-members', async (project) => {
+  const name = 'low-memory';
+  const findings = ({ deadFiles, deadFunctions, deadMembers, partiallyDeadFiles }) =>
+    JSON.stringify({ deadFiles, deadFunctions, deadMembers, partiallyDeadFiles });
+
+  const inMemory = await scanDeadCode(project, { cache: false });
+  const spilled = await scanDeadCode(project, { cache: false, config: { deadCode: { lowMemory: true, memoryBudget: 512 } } });
+  check(name, findings(spilled) === findings(inMemory), 'low-memory scan reported different findings');
+  check(name, spilled.summary.memory?.budgetMb === 512, `summary.memory should report the budget (got: ${JSON.stringify(spilled.summary.memory)})`);
+  check(name, !existsSync(join(project, '.swynx-cache')), 'spill segments were left in .swynx-cache/');
+
+  // Peak RSS of a CLI scan (its own process) over 1000 files stays within a small budget
+  const generated = join(project, 'src', 'generated');
+  mkdirSync(generated);
+  for (let i = 0; i < 1000; i++) {
+    const next = i < 999 ? `import { f${i + 1} } from './m${i + 1}.js';\n` : '';
+    writeFileSync(join(generated, `m${i}.js`), next + Array.from({ length: 40 }, (_, j) => `export function f${j ? `${i}_${j}` : i}(a) { return a + ${j}; }`).join('\n'));
+  }
+  const budget = 384;
+  const report = JSON.parse(execFileSync(process.execPath, [swynxBin, 'scan', project, '--format', 'json', '--low-memory', '--memory-budget', String(budget)], {
+    encoding: 'utf-8', timeout: 300_000, maxBuffer: 64 * 1024 * 1024
+  }));
+  const memory = report.summary.memory;
+  check(name, memory?.budgetMb === budget && memory.withinBudget && memory.peakRssMb <= budget, `peak RSS should stay within ${budget} MB (got: ${JSON.stringify(memory)})`);
+});
+
+// Watch mode: an import edit is re-walked incrementally, a tsconfig alias
+// edit re-analyses with fresh alias caches, excluded directories are not
+// watched, and re-parsed files go back to the parse cache
+await scenario('watch', 'js-basic', async (project) => {
+  const name = 'watch';
+  mkdirSync(join(project, 'src', 'lib'));
+  mkdirSync(join(project, 'dist'));
+  writeFileSync(join(project, 'src', 'lib', 'util.js'), 'export const util = 1;\n');
+  writeFileSync(join(project, 'tsconfig.json'), '{ "compilerOptions": {} }\n');
+  writeFileSync(join(project, 'src', 'index.js'), "import { used } from './used.js';\nimport { util } from '@lib/util';\nconsole.log(used(), util);\n");
+
+  const updates = [];
+  let wake = null;
+  const nextUpdate = (ms = 10_000) => new Promise(resolve => {
+    const timer = setTimeout(() => { wake = null; resolve(null); }, ms);
+    wake = (update) => { clearTimeout(timer); wake = null; resolve(update); };
+  });
+  const session = await watchDeadCode(project, {
+    debounceMs: 50,
+    onUpdate: (update) => {
+      updates.push(update);
+      wake?.(update);
+    }
+  });
+  try {
+    const deadPaths = (update) => update.result.deadFiles.map(f => f.file).sort();
+    check(name, JSON.stringify(deadPaths(updates[0])) === JSON.stringify(['src/lib/util.js', 'src/orphan.js']),
+      `initial scan should find the unresolved alias target and orphan dead (got: ${JSON.stringify(deadPaths(updates[0]))})`);
+
+    writeFileSync(join(project, 'dist', 'bundle.js'), 'console.log(1);\n');
+    check(name, await nextUpdate(1500) === null, 'a write under the excluded dist/ triggered an update');
+
+    let update = nextUpdate();
+    writeFileSync(join(project, 'src', 'index.js'), "import { used } from './used.js';\nimport { util } from '@lib/util';\nimport './orphan.js';\nconsole.log(used(), util);\n");
+    update = await update;
+    check(name, JSON.stringify(update?.becameAlive) === JSON.stringify(['src/orphan.js']), `importing orphan.js should revive it (got: ${JSON.stringify(update?.becameAlive)})`);
+
+    update = nextUpdate();
+    writeFileSync(join(project, 'tsconfig.json'), '{ "compilerOptions": { "baseUrl": ".", "paths": { "@lib/*": ["src/lib/*"] } } }\n');
+    update = await update;
+    check(name, JSON.stringify(update?.becameAlive) === JSON.stringify(['src/lib/util.js']), `tsconfig paths edit should resolve @lib/util (got: ${JSON.stringify(update?.becameAlive)})`);
+    check(name, update?.result.deadFiles.length === 0, `nothing should be dead after the alias edit (got: ${JSON.stringify(update && deadPaths(update))})`);
+
+    update = nextUpdate();
+    writeFileSync(join(project, 'src', 'index.js'), 'console.log(1);\n');
+    update = await update;
+    check(name, JSON.stringify([...(update?.becameDead || [])].sort()) === JSON.stringify(['src/lib/util.js', 'src/orphan.js', 'src/used.js']),
+      `dropping every import should kill the imported files (got: ${JSON.stringify(update?.becameDead)})`);
+  } finally {
+    await session.close();
+  }
+
+  const rescan = await scanDeadCode(project, { cache: true });
+  check(name, rescan.cache?.misses === 0, `watch should have written re-parsed files to the parse cache (got: ${JSON.stringify(rescan.cache)})`);
+});
+
+// /watch-stream: the dashboard route streams the watch session as SSE and
+// ends it when the client disconnects
+await scenario('watch-stream', 'js-basic', async (project) => {
+  const name = 'watch-stream';
+  const { default: express } = await import('express');
+  const { createRoutes } = await import('../src/dashboard/api/routes.mjs');
+  const app = express();
+  app.use('/api', await createRoutes());
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+
+  const client = new AbortController();
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/watch-stream/${encodeURIComponent(project)}`, { signal: client.signal });
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    const events = [];
+    let buffer = '';
+    while (!events.some(e => e.type === 'ready' || e.type === 'error')) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const frames = buffer.split('\n\n');
+      buffer = frames.pop();
+      events.push(...frames.map(frame => JSON.parse(frame.replace(/^data: /, ''))));
+    }
+    check(name, events[0]?.type === 'connected', `first event should be connected (got: ${events[0]?.type})`);
+    const ready = events.find(e => e.type === 'ready');
+    check(name, JSON.stringify(ready?.deadFiles) === JSON.stringify(['src/orphan.js']), `ready event should list the dead files (got: ${JSON.stringify(ready?.deadFiles ?? events.at(-1))})`);
+  } finally {
+    client.abort();
+  }
+  // The server only finishes closing once the route has ended the response
+  const closed = await Promise.race([
+    new Promise(resolve => server.close(() => resolve(true))),
+    new Promise(resolve => setTimeout(() => resolve(false), 10_000).unref())
+  ]);
+  check(name, closed, 'watch stream kept its connection open after the client went away');
+});
+
+// Cancellation: aborting while a worker is busy parsing returns a cancelled
+// result and terminates the worker; aborting during dead code detection
+// stops it at its next checkpoint
+await scenario('cancel', 'js-basic', async (project) => {
+  const name = 'cancel';
+  const ports = () => process.getActiveResourcesInfo().filter(r => r === 'MessagePort').length;
+  const baseline = ports();
+  writeFileSync(join(project, 'src', 'big.js'), Array.from({ length: 40_000 }, (_, i) => `export function f${i}(a) { return a + ${i}; }`).join('\n'));
+  writeFileSync(join(project, 'src', 'index.js'), "import { used } from './used.js';\nimport './big.js';\nconsole.log(used());\n");
+
+  const parsing = new AbortController();
+  let workersAtAbort = 0;
+  const cancelled = await scanDeadCode(project, {
+    cache: false,
+    signal: parsing.signal,
+    onProgress: ({ message }) => {
+      if (/^Parsing \d+ JS\/TS/.test(message)) {
+        setTimeout(() => {
+          workersAtAbort = ports() - baseline;
+          parsing.abort();
+        }, 300);
+      }
+    }
+  });
+  check(name, cancelled.cancelled === true && cancelled.phase === 'scan', `abort during parsing should cancel in the scan phase (got: ${JSON.stringify(cancelled)})`);
+  check(name, workersAtAbort > 0, 'no parse worker was running when the scan was aborted');
+  const deadline = Date.now() + 5000;
+  while (ports() > baseline && Date.now() < deadline) await new Promise(resolve => setTimeout(resolve, 50));
+  check(name, ports() === baseline, `parse workers still running after the scan was cancelled (${ports() - baseline} left)`);
+
+  const analysing = new AbortController();
+  const stopped = await scanDeadCode(project, {
+    cache: false,
+    signal: analysing.signal,
+    onProgress: ({ message }) => {
+      if (message === 'Detecting dead code...') analysing.abort();
+    }
+  });
+  check(name, stopped.cancelled === true && stopped.phase === 'analyse', `abort during detection should cancel in the analyse phase (got: ${JSON.stringify(stopped)})`);
+
+  // findDeadCode itself stops at its checkpoints (here, before the dead file's git history)
+  const { parsed } = await scanDeadCode(project, { cache: false, keepParsed: true });
+  const error = await findDeadCode(parsed.jsAnalysis, await analyseImports(parsed.jsAnalysis), project, {}, {}, () => {}, AbortSignal.abort())
+    .then(() => null, err => err);
+  check(name, error?.name === 'ScanCancelledError', `findDeadCode ignored an aborted signal (got: ${error ? error.message : 'a result'})`);
+});
+
+// Baseline round trip: `swynx baseline`, then `scan --ci --baseline` fails
+// only on a finding added since, and lists a fixed one as no longer present
+await scenario('baseline', 'js-islands', async (project) => {
+  const name = 'baseline';
+  const baselineFile = join(project, '.swynx-baseline.json');
+  const gate = () => {
+    const run = spawnSync(process.execPath, [swynxBin, 'scan', project, '--ci', '--baseline', baselineFile, '--format', 'json', '--no-cache'], { encoding: 'utf-8', timeout: 120_000 });
+    return { status: run.status, result: JSON.parse(run.stdout), stderr: run.stderr };
+  };
+  const findings = (list) => JSON.stringify(list.map(f => `${f.type || 'unused-file'} ${f.file || f.path}`));
+
+  execFileSync(process.execPath, [swynxBin, 'baseline', project, '--no-cache'], { stdio: 'ignore', timeout: 120_000 });
+  check(name, existsSync(baselineFile), 'swynx baseline did not write .swynx-baseline.json');
+
+  const clean = gate();
+  check(name, clean.status === 0 && clean.result.deadFiles.length === 0, `a scan against a fresh baseline should pass (got: exit ${clean.status}, ${findings(clean.result.deadFiles)})`);
+
+  rmSync(join(project, 'src', 'lonely.js'));
+  writeFileSync(join(project, 'src', 'stray.js'), 'export const stray = 1;\n');
+  const failing = gate();
+  check(name, failing.status === 1 && findings(failing.result.deadFiles) === '["unused-file src/stray.js"]',
+    `only the new dead file should fail the scan (got: exit ${failing.status}, ${findings(failing.result.deadFiles)})`);
+  check(name, findings(failing.result.baseline?.resolved || []) === '["unused-file src/lonely.js"]',
+    `the removed dead file should be listed as resolved (got: ${findings(failing.result.baseline?.resolved || [])})`);
+  check(name, failing.stderr.includes('1 baseline finding no longer present'), `the removed dead file should be reported on stderr (got: ${JSON.stringify(failing.stderr)})`);
+
+  rmSync(join(project, 'src', 'stray.js'));
+  const fixed = gate();
+  check(name, fixed.status === 0 && fixed.stderr.includes('1 baseline finding no longer present'), `removing the new dead file should pass again (got: exit ${fixed.status}, ${JSON.stringify(fixed.stderr)})`);
+});
+
+// Scoped islands: a baseline or --since scope that drops an island's files
+// drops the island too
+await scenario('scoped-islands', 'js-islands', async (project) => {
+  const name = 'scoped-islands';
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=swynx', '-c', 'user.email=swynx@example.com', ...args], { cwd: project, stdio: 'ignore' });
+  const islands = (results) => JSON.stringify(results.deadIslands.map(i => i.files));
+  const scan = () => scanDeadCode(project, { cache: false, trace: true });
+
+  const baseline = createBaseline(toScanResult(await scan()));
+  writeFileSync(join(project, 'src', 'stray.js'), 'export const stray = 1;\n');
+  const suppressed = applyBaseline(toScanResult(await scan()), baseline);
+  check(name, islands(suppressed) === '[["src/stray.js"]]', `baseline should leave only the new island (got: ${islands(suppressed)})`);
+
+  git('init', '-q');
+  git('add', '-A');
+  git('commit', '-q', '-m', 'base');
+  writeFileSync(join(project, 'src', 'lonely.js'), 'export const lonely = 2;\n');
+  git('commit', '-q', '-am', 'edit lonely');
+  const raw = await scan();
+  const scoped = applyDiffScope(toScanResult(raw), project, { since: 'HEAD~1', trace: raw.reachabilityTrace });
+  check(name, islands(scoped) === '[["src/lonely.js"]]', `--since should leave only the changed island (got: ${islands(scoped)})`);
+});
+
+// Diff scope: --since and --diff report a file de-imported through a
+// tsconfig alias, and the findings of files a changed file imports, but
+// nothing the range did not touch
+await scenario('diff-scope', 'js-basic', async (project) => {
+  const name = 'diff-scope';
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=swynx', '-c', 'user.email=swynx@example.com', ...args], { cwd: project, stdio: 'ignore' });
+  const scan = (...args) => JSON.parse(execFileSync(process.execPath, [swynxBin, 'scan', project, '--format', 'json', '--no-cache', ...args], { encoding: 'utf-8', timeout: 120_000 }));
+  const reasons = (findings) => [...new Set(findings.map(f => `${f.file || f.path} ${f.evidence?.diff?.reason} ${f.evidence?.diff?.via || ''}`.trim()))].sort();
+
+  mkdirSync(join(project, 'src', 'lib'));
+  writeFileSync(join(project, 'tsconfig.json'), '{ "compilerOptions": { "baseUrl": ".", "paths": { "@lib/*": ["src/lib/*"] } } }\n');
+  writeFileSync(join(project, 'src', 'lib', 'util.js'), 'export function format(x) { return x; }\nexport function parse(x) { return x; }\n');
+  writeFileSync(join(project, 'src', 'lib', 'old.js'), 'export function legacy() { return 1; }\n');
+  writeFileSync(join(project, 'src', 'index.js'), "import { used } from './used.js';\nimport { format } from '@lib/util';\nimport { legacy } from '@lib/old';\nconsole.log(used(), format(1), legacy());\n");
+  git('init', '-q');
+  git('add', '-A');
+  git('commit', '-q', '-m', 'base');
+
+  writeFileSync(join(project, 'src', 'index.js'), "import { used } from './used.js';\nimport { format } from '@lib/util';\nconsole.log(used(), format(1));\n");
+  const since = scan('--since', 'HEAD');
+  check(name, JSON.stringify(reasons(since.deadFiles)) === JSON.stringify(['src/lib/old.js import-removed src/index.js']),
+    `--since should report only the file de-imported through @lib/old (got: ${JSON.stringify(reasons(since.deadFiles))})`);
+  check(name, JSON.stringify(reasons(since.deadFunctions)) === JSON.stringify(['src/used.js importer-changed src/index.js']),
+    `--since should keep dead functions of files the changed file imports (got: ${JSON.stringify(reasons(since.deadFunctions))})`);
+  check(name, JSON.stringify(reasons(since.unusedExports)) === JSON.stringify(['src/lib/util.js importer-changed src/index.js', 'src/used.js importer-changed src/index.js']),
+    `--since should keep unused exports of files the changed file imports (got: ${JSON.stringify(reasons(since.unusedExports))})`);
+
+  git('commit', '-q', '-am', 'drop legacy');
+  appendFileSync(join(project, 'src', 'orphan.js'), '// edited after the range\n');
+  const diff = scan('--diff', 'HEAD~1..HEAD');
+  check(name, JSON.stringify(reasons(diff.deadFiles)) === JSON.stringify(['src/lib/old.js import-removed src/index.js']),
+    `--diff should report the de-imported file and not the edit outside the range (got: ${JSON.stringify(reasons(diff.deadFiles))})`);
+  check(name, diff.diffScope?.range === 'HEAD~1..HEAD' && diff.diffScope.outOfScope > 0, `--diff summary is wrong (got: ${JSON.stringify(diff.diffScope)})`);
+
+  const untouched = scan('--since', 'HEAD');
+  check(name, JSON.stringify(reasons(untouched.deadFiles)) === JSON.stringify(['src/orphan.js changed-in-range']) && untouched.deadFunctions.length === 0,
+    `--since should report only the edited dead file (got: ${JSON.stringify(reasons([...untouched.deadFiles, ...untouched.deadFunctions]))})`);
+});
+
+// Check: without a stored scan the gate scans the project itself and stores
+// the scan, which later checks and `report` reuse until --rescan
+await scenario('check', 'js-basic', async (project) => {
+  const name = 'check';
+  const swynx = (...args) => {
+    const run = spawnSync(process.execPath, [swynxBin, ...args], { encoding: 'utf-8', timeout: 120_000 });
+    // report prints a status line ahead of its JSON
+    const json = run.stdout?.slice(run.stdout.indexOf('{'));
+    return { status: run.status, output: json ? JSON.parse(json) : null };
+  };
+  const gate = (...args) => swynx('check', project, '--max-dead-files', '1', '--format', 'json', ...args);
+  const deadFiles = (output) => output?.checks?.find(c => c.name === 'maxDeadFiles')?.actual;
+
+  const first = gate();
+  check(name, first.status === 0 && deadFiles(first.output) === 1 && first.output.scanId, `first check should scan and pass with 1 dead file (got: exit ${first.status}, ${JSON.stringify(first.output)})`);
+
+  writeFileSync(join(project, 'src', 'extra.js'), 'export const extra = 1;\n');
+  const stored = gate();
+  check(name, stored.status === 0 && stored.output?.scanId === first.output?.scanId, `second check should reuse the stored scan (got: exit ${stored.status}, ${JSON.stringify(stored.output)})`);
+
+  const rescanned = gate('--rescan');
+  check(name, rescanned.status === 1 && deadFiles(rescanned.output) === 2 && rescanned.output.scanId !== first.output?.scanId,
+    `--rescan should scan again and fail on 2 dead files (got: exit ${rescanned.status}, ${JSON.stringify(rescanned.output)})`);
+
+  const report = swynx('report', project, '--format', 'json');
+  check(name, report.status === 0 && report.output?.meta?.scanId === rescanned.output?.scanId, `report should use the scan check stored (got: exit ${report.status}, ${JSON.stringify(report.output?.meta)})`);
+});
+
+// Why: a live file's shortest chain and the rule behind its entry point, a
+// dead file's dead importers and the live imports that nearly reach it
+await scenario('why', 'js-basic', async (project) => {
+  const name = 'why';
+  writeFileSync(join(project, 'src', 'orphan-user.js'), "import { totallyDead } from './orphan.js';\nexport const user = totallyDead();\n");
+  // An entry point only package.json main names, so the rule is unambiguous
+  rmSync(join(project, 'src', 'index.js'));
+  writeFileSync(join(project, 'src', 'start.js'), "import { used } from './used.js';\nimport './orphans.js';\nconsole.log(used());\n");
+  writeFileSync(join(project, 'package.json'), '{"name":"js-basic","version":"1.0.0","private":true,"main":"src/start.js"}\n');
+  const scan = await scanDeadCode(project, { cache: false, trace: true });
+
+  const live = explainFile(scan, 'src/used.js', project);
+  const chain = (live.steps || []).map(s => `${s.from} -> ${s.to} (${s.specifier})`);
+  check(name, live.status === 'live' && live.root === 'src/start.js' && live.reason === 'Package main entry',
+    `src/used.js should be live from src/start.js via package.json main (got: ${JSON.stringify({ ...live, steps: undefined })})`);
+  check(name, JSON.stringify(chain) === JSON.stringify(['src/start.js -> src/used.js (./used.js)']), `wrong chain for src/used.js (got: ${JSON.stringify(chain)})`);
+
+  const dead = explainFile(scan, 'src/orphan.js', project);
+  check(name, dead.status === 'dead' && JSON.stringify(dead.importers) === JSON.stringify([{ from: 'src/orphan-user.js', specifier: './orphan.js', line: 1 }]),
+    `src/orphan.js should be dead with src/orphan-user.js as its importer (got: ${JSON.stringify(dead)})`);
+  check(name, JSON.stringify(dead.nearMisses?.[0]) === JSON.stringify({ from: 'src/start.js', specifier: './orphans.js', line: 2, distance: 1 }),
+    `'./orphans.js' in src/start.js should be a near miss (got: ${JSON.stringify(dead.nearMisses)})`);
+
+  check(name, explainFile(scan, 'src/missing.js', project).status === 'not-scanned', 'a file outside the scan should be not-scanned');
+});
+
+// Impact: deleting a file lists what falls away in deletion order, the
+// exports and dependencies only it used; deleting an export drops the
+// imports only that export's code used
+await scenario('impact', 'js-basic', async (project) => {
+  const name = 'impact';
+  const src = (file, text) => writeFileSync(join(project, 'src', file), text);
+  writeFileSync(join(project, 'package.json'), '{"name":"js-basic","version":"1.0.0","private":true,"main":"src/index.js","dependencies":{"left-pad":"^1.3.0"}}\n');
+  src('index.js', "import { used } from './used.js';\nimport { feature } from './feature.js';\nimport { helperB } from './helpers.js';\nconsole.log(used(), feature(), helperB());\n");
+  src('feature.js', "import leftPad from 'left-pad';\nimport { helperA } from './helpers.js';\nimport { sub } from './sub.js';\nexport function feature() { return leftPad(helperA() + sub(), 4); }\n");
+  src('helpers.js', "import { extra } from './extra.js';\nexport function helperA() { return 'a'; }\nexport function helperB() {\n  return extra();\n}\n");
+  src('sub.js', "import { subsub } from './subsub.js';\nexport function sub() { return subsub(); }\n");
+  src('subsub.js', "export function subsub() { return 's'; }\n");
+  src('extra.js', "export function extra() { return 'e'; }\n");
+  const scan = await scanDeadCode(project, { cache: false, trace: true, keepParsed: true });
+
+  const file = simulateRemoval(scan, 'src/feature.js', project);
+  const cascade = (file.files || []).map(f => `${f.depth} ${f.file} <- ${f.importedBy.join(', ')}`);
+  check(name, file.status === 'ok' && JSON.stringify(cascade) === JSON.stringify(['1 src/sub.js <- src/feature.js', '2 src/subsub.js <- src/sub.js']),
+    `removing src/feature.js should leave sub.js then subsub.js dead (got: ${JSON.stringify(cascade)})`);
+  check(name, JSON.stringify(file.brokenImporters) === JSON.stringify([{ file: 'src/index.js', specifier: './feature.js', line: 2 }]),
+    `src/index.js should need an edit (got: ${JSON.stringify(file.brokenImporters)})`);
+  check(name, JSON.stringify((file.exports || []).map(e => `${e.file}#${e.name}`)) === JSON.stringify(['src/helpers.js#helperA']),
+    `helperA should lose its last importer (got: ${JSON.stringify(file.exports)})`);
+  check(name, JSON.stringify((file.dependencies || []).map(d => d.name)) === JSON.stringify(['left-pad']),
+    `left-pad should become unused (got: ${JSON.stringify(file.dependencies)})`);
+
+  const exported = simulateRemoval(scan, 'src/helpers.js#helperB', project);
+  check(name, exported.status === 'ok' && exported.removed?.kind === 'export' && exported.removed.lines === 3,
+    `removing helperB should remove its 3 lines (got: ${JSON.stringify(exported.removed)})`);
+  check(name, JSON.stringify((exported.files || []).map(f => `${f.depth} ${f.file}`)) === JSON.stringify(['1 src/extra.js']),
+    `the import only helperB used should leave src/extra.js dead (got: ${JSON.stringify(exported.files)})`);
+  check(name, JSON.stringify((exported.brokenImporters || []).map(b => b.file)) === JSON.stringify(['src/index.js']),
+    `src/index.js imports helperB and should need an edit (got: ${JSON.stringify(exported.brokenImporters)})`);
+});
+
+rmSync(dataDir, { recursive: true, force: true });
+
 console.log('');
-console.log(`${passed} checks passed, ${failed} failed across ${fixtures.length} fixtures`);
+console.log(`${passed} checks passed, ${failed} failed across ${fixtures.length} fixtures and ${scenarios.length} scenarios`);
 if (failures.length > 0) {
   console.log('');
   for (const f of failures) console.log(`  ✗ ${f}`);